@@ -191,6 +191,19 @@ describe('Auth Routes', () => {
       expect(mockUser.update).toHaveBeenCalled();
     });
 
+    it('ignores points and role fields', async () => {
+      const mockUser = buildUser();
+      User.findOne.mockResolvedValue(mockUser);
+
+      const res = await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ firstName: 'Updated', loyaltyPoints: 100000, totalLoyaltyPointsEarned: 100000, role: 'admin' });
+
+      expect(res.status).toBe(200);
+      expect(mockUser.update).toHaveBeenCalledWith({ firstName: 'Updated' });
+    });
+
     it('rejects phone change (requires SMS verification)', async () => {
       const mockUser = buildUser({ phone: '+33600000000' });
       User.findOne.mockResolvedValue(mockUser);
@@ -4,11 +4,26 @@ const admin = require('firebase-admin');
 const { buildUser, buildProduct, buildOrder, buildOrderItem } = require('../../helpers/factories');
 
 // Mock all dependencies
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
 jest.mock('../../../models/Order');
 jest.mock('../../../models/OrderItem');
 jest.mock('../../../models/Product');
 jest.mock('../../../models/User');
 jest.mock('../../../services/paymentProcessor');
+jest.mock('../../../services/stockReservationService', () => ({
+  reserve: jest.fn(),
+  allocateOrderStock: jest.fn(),
+  release: jest.fn(),
+}));
+jest.mock('../../../services/inventoryService', () => ({
+  restockOrder: jest.fn(),
+}));
+jest.mock('../../../services/cartService', () => ({
+  clearCart: jest.fn(),
+}));
+jest.mock('../../../services/refundService', () => ({
+  refundOrder: jest.fn(),
+}));
 jest.mock('../../../services/emailService', () => ({
   sendOrderConfirmationEmail: jest.fn().mockResolvedValue({ success: true }),
   sendOrderStatusUpdateEmail: jest.fn().mockResolvedValue({ success: true }),
@@ -19,6 +34,9 @@ const OrderItem = require('../../../models/OrderItem');
 const Product = require('../../../models/Product');
 const User = require('../../../models/User');
 const paymentProcessor = require('../../../services/paymentProcessor');
+const stockReservationService = require('../../../services/stockReservationService');
+const refundService = require('../../../services/refundService');
+const inventoryService = require('../../../services/inventoryService');
 
 function buildApp() {
   const app = express();
@@ -51,9 +69,16 @@ describe('Orders Routes', () => {
   });
 
   describe('POST /api/orders/create-payment-intent', () => {
+    const items = [{ productId: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890', quantity: 2 }];
+
     it('creates a payment intent for authenticated user', async () => {
       const mockUser = buildUser();
       User.findOne.mockResolvedValue(mockUser);
+      Product.findByPk.mockResolvedValue(buildProduct({
+        id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+        stockQuantity: 50,
+        getDiscountedPrice: jest.fn().mockReturnValue(29.99),
+      }));
       paymentProcessor.getOrCreateCustomer.mockResolvedValue({ id: 'cus_test' });
       paymentProcessor.createPaymentIntent.mockResolvedValue({
         clientSecret: 'pi_secret_test',
@@ -63,33 +88,76 @@ describe('Orders Routes', () => {
       const res = await request(app)
         .post('/api/orders/create-payment-intent')
         .set('Authorization', 'Bearer valid-token')
-        .send({ amount: 99.99 });
+        .send({ items, amount: 1, shippingCity: 'Rabat', shippingMethod: 'standard' });
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.clientSecret).toBe('pi_secret_test');
       expect(res.body.paymentIntentId).toBe('pi_test_123');
-      // Amount should be converted to centimes (99.99 * 100 = 9999)
+      // Amount is derived server-side, the client-sent amount is ignored:
+      // 59.98 subtotal + 12.00 VAT + 64.20 shipping = 136.18 DH
+      expect(res.body.quote.totalAmount).toBe(136.18);
       expect(paymentProcessor.createPaymentIntent).toHaveBeenCalledWith(
-        9999, 'mad', { userId: mockUser.id }, 'cus_test'
+        13618, 'mad', { userId: mockUser.id, shippingCity: 'Rabat', shippingMethod: 'standard' }, 'cus_test'
       );
+      expect(stockReservationService.reserve).toHaveBeenCalledWith('pi_test_123', mockUser.id, items);
+    });
+
+    it('requires the delivery the amount is priced for', async () => {
+      User.findOne.mockResolvedValue(buildUser());
+
+      const res = await request(app)
+        .post('/api/orders/create-payment-intent')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ items });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(detail => detail.path)).toEqual(expect.arrayContaining(['shippingCity', 'shippingMethod']));
+      expect(paymentProcessor.createPaymentIntent).not.toHaveBeenCalled();
+    });
+
+    it('cancels the payment intent when the stock cannot be reserved', async () => {
+      User.findOne.mockResolvedValue(buildUser());
+      Product.findByPk.mockResolvedValue(buildProduct({
+        id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+        name: 'Last Caftan',
+        stockQuantity: 2,
+        getDiscountedPrice: jest.fn().mockReturnValue(29.99),
+      }));
+      paymentProcessor.getOrCreateCustomer.mockResolvedValue({ id: 'cus_test' });
+      paymentProcessor.createPaymentIntent.mockResolvedValue({
+        clientSecret: 'pi_secret_test',
+        paymentIntentId: 'pi_test_123',
+      });
+      stockReservationService.reserve.mockRejectedValueOnce(
+        Object.assign(new Error('Stock insuffisant pour Last Caftan'), { status: 400 })
+      );
+
+      const res = await request(app)
+        .post('/api/orders/create-payment-intent')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ items, shippingCity: 'Rabat', shippingMethod: 'standard' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Stock insuffisant pour Last Caftan');
+      expect(paymentProcessor.cancelPaymentIntent).toHaveBeenCalledWith('pi_test_123');
     });
 
     it('returns 401 without authentication', async () => {
       const res = await request(app)
         .post('/api/orders/create-payment-intent')
-        .send({ amount: 50 });
+        .send({ items });
 
       expect(res.status).toBe(401);
     });
 
-    it('returns 400 with invalid amount', async () => {
+    it('returns 400 without items', async () => {
       User.findOne.mockResolvedValue(buildUser());
 
       const res = await request(app)
         .post('/api/orders/create-payment-intent')
         .set('Authorization', 'Bearer valid-token')
-        .send({ amount: -10 });
+        .send({ amount: 50 });
 
       expect(res.status).toBe(400);
     });
@@ -101,7 +169,7 @@ describe('Orders Routes', () => {
       const res = await request(app)
         .post('/api/orders/create-payment-intent')
         .set('Authorization', 'Bearer valid-token')
-        .send({ amount: 50 });
+        .send({ items, shippingCity: 'Rabat', shippingMethod: 'standard' });
 
       expect(res.status).toBe(404);
     });
@@ -132,7 +200,7 @@ describe('Orders Routes', () => {
     });
 
     it('creates order when Stripe payment succeeded', async () => {
-      paymentProcessor.retrievePaymentIntent.mockResolvedValue({ status: 'succeeded' });
+      paymentProcessor.retrievePaymentIntent.mockResolvedValue({ status: 'succeeded', amount: 13618 });
 
       const mockProduct = buildProduct({
         id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
@@ -140,7 +208,6 @@ describe('Orders Routes', () => {
         getDiscountedPrice: jest.fn().mockReturnValue(29.99),
       });
       Product.findByPk.mockResolvedValue(mockProduct);
-      Product.decrement = jest.fn().mockResolvedValue();
 
       const mockOrder = buildOrder();
       mockOrder.toJSON = jest.fn().mockReturnValue(mockOrder);
@@ -182,6 +249,89 @@ describe('Orders Routes', () => {
       expect(res.body.error).toContain('paiement');
     });
 
+    describe('payment checks', () => {
+      const moroccanOrderBody = {
+        ...validOrderBody,
+        customerPhone: '0612345678',
+        billingCountry: 'Maroc',
+        shippingCountry: 'Maroc',
+      };
+
+      it('rejects a payment made by another customer', async () => {
+        paymentProcessor.retrievePaymentIntent.mockResolvedValue({
+          status: 'succeeded', amount: 13618, metadata: { userId: 'someone-else' },
+        });
+
+        const res = await request(app)
+          .post('/api/orders')
+          .set('Authorization', 'Bearer valid-token')
+          .send(moroccanOrderBody);
+
+        expect(res.status).toBe(403);
+        expect(Order.create).not.toHaveBeenCalled();
+      });
+
+      it('rejects a payment that already paid for an order', async () => {
+        const mockUser = buildUser();
+        User.findOne.mockResolvedValue(mockUser);
+        paymentProcessor.retrievePaymentIntent.mockResolvedValue({
+          status: 'succeeded', amount: 13618, metadata: { userId: mockUser.id },
+        });
+        Order.findOne.mockResolvedValue({ id: 'order-paid-before' });
+
+        const res = await request(app)
+          .post('/api/orders')
+          .set('Authorization', 'Bearer valid-token')
+          .send(moroccanOrderBody);
+
+        expect(res.status).toBe(409);
+        expect(Order.findOne).toHaveBeenCalledWith(expect.objectContaining({
+          where: { paymentTransactionId: 'pi_test_123' },
+        }));
+        expect(Order.create).not.toHaveBeenCalled();
+      });
+
+      it('rejects a payment refunded since, e.g. as an orphan payment', async () => {
+        const mockUser = buildUser();
+        User.findOne.mockResolvedValue(mockUser);
+        Order.findOne.mockResolvedValue(null);
+        paymentProcessor.retrievePaymentIntent.mockResolvedValue({
+          status: 'succeeded',
+          amount: 13618,
+          metadata: { userId: mockUser.id },
+          latest_charge: { amount_refunded: 13618 },
+        });
+
+        const res = await request(app)
+          .post('/api/orders')
+          .set('Authorization', 'Bearer valid-token')
+          .send(moroccanOrderBody);
+
+        expect(res.status).toBe(409);
+        expect(Order.create).not.toHaveBeenCalled();
+      });
+
+      it('rejects a payment priced for another delivery', async () => {
+        const mockUser = buildUser();
+        User.findOne.mockResolvedValue(mockUser);
+        Order.findOne.mockResolvedValue(null);
+        paymentProcessor.retrievePaymentIntent.mockResolvedValue({
+          status: 'succeeded',
+          amount: 13618,
+          metadata: { userId: mockUser.id, shippingCity: 'Casablanca', shippingMethod: 'standard' },
+        });
+
+        const res = await request(app)
+          .post('/api/orders')
+          .set('Authorization', 'Bearer valid-token')
+          .send({ ...moroccanOrderBody, shippingCity: 'Dakhla' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain('livraison');
+        expect(Order.create).not.toHaveBeenCalled();
+      });
+    });
+
     it('returns 400 when product stock is insufficient', async () => {
       paymentProcessor.retrievePaymentIntent.mockResolvedValue({ status: 'succeeded' });
 
@@ -211,8 +361,8 @@ describe('Orders Routes', () => {
       expect(res.status).toBe(400);
     });
 
-    it('decrements product stock after order creation', async () => {
-      paymentProcessor.retrievePaymentIntent.mockResolvedValue({ status: 'succeeded' });
+    it('takes the stock inside the order transaction', async () => {
+      paymentProcessor.retrievePaymentIntent.mockResolvedValue({ status: 'succeeded', amount: 13618 });
 
       const mockProduct = buildProduct({
         id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
@@ -220,7 +370,6 @@ describe('Orders Routes', () => {
         getDiscountedPrice: jest.fn().mockReturnValue(29.99),
       });
       Product.findByPk.mockResolvedValue(mockProduct);
-      Product.decrement = jest.fn().mockResolvedValue();
 
       const mockOrder = buildOrder();
       Order.create.mockResolvedValue(mockOrder);
@@ -233,10 +382,11 @@ describe('Orders Routes', () => {
         .set('Authorization', 'Bearer valid-token')
         .send(validOrderBody);
 
-      expect(Product.decrement).toHaveBeenCalledWith('stockQuantity', {
-        by: 2,
-        where: { id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890' },
-      });
+      expect(stockReservationService.allocateOrderStock).toHaveBeenCalledWith(
+        mockOrder,
+        validOrderBody.items,
+        expect.objectContaining({ paymentIntentId: 'pi_test_123' })
+      );
     });
   });
 
@@ -284,10 +434,9 @@ describe('Orders Routes', () => {
       mockOrder.canBeCancelled = jest.fn().mockReturnValue(true);
       mockOrder.toJSON = jest.fn().mockReturnValue({ ...mockOrder, status: 'cancelled' });
       Order.findOne.mockResolvedValue(mockOrder);
-
-      const orderItems = [buildOrderItem({ quantity: 2 })];
-      OrderItem.findAll.mockResolvedValue(orderItems);
-      Product.increment = jest.fn().mockResolvedValue();
+      Order.findByPk.mockResolvedValue({ id: mockOrder.id, status: 'pending' });
+      inventoryService.restockOrder.mockResolvedValue([{ productId: 'prod-1', variantId: null, quantity: 2 }]);
+      Product.findByPk.mockResolvedValue(buildProduct({ stockQuantity: 12 }));
       User.findByPk = jest.fn().mockResolvedValue(mockUser);
 
       const res = await request(app)
@@ -297,12 +446,49 @@ describe('Orders Routes', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(mockOrder.update).toHaveBeenCalledWith(
-        expect.objectContaining({ status: 'cancelled' })
+        expect.objectContaining({ status: 'cancelled' }),
+        expect.any(Object)
       );
-      expect(Product.increment).toHaveBeenCalledWith('stockQuantity', {
-        by: 2,
-        where: { id: orderItems[0].productId },
-      });
+      expect(inventoryService.restockOrder).toHaveBeenCalledWith(mockOrder, expect.any(String), expect.any(Object));
+    });
+
+    it('does not restock twice when the order was cancelled meanwhile', async () => {
+      User.findOne.mockResolvedValue(buildUser());
+
+      const mockOrder = buildOrder({ status: 'pending' });
+      mockOrder.canBeCancelled = jest.fn().mockReturnValue(true);
+      Order.findOne.mockResolvedValue(mockOrder);
+      Order.findByPk.mockResolvedValue({ id: mockOrder.id, status: 'cancelled' });
+
+      const res = await request(app)
+        .post(`/api/orders/${mockOrder.id}/cancel`)
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(res.status).toBe(409);
+      expect(inventoryService.restockOrder).not.toHaveBeenCalled();
+    });
+
+    it('refunds what is left after an earlier partial refund', async () => {
+      const mockUser = buildUser();
+      User.findOne.mockResolvedValue(mockUser);
+
+      const mockOrder = buildOrder({ status: 'confirmed', paymentStatus: 'partially_refunded', totalAmount: 500, refundedAmount: 120 });
+      mockOrder.canBeCancelled = jest.fn().mockReturnValue(true);
+      mockOrder.getRefundableAmount = jest.fn().mockReturnValue(380);
+      mockOrder.toJSON = jest.fn().mockReturnValue({ ...mockOrder, status: 'cancelled' });
+      Order.findOne.mockResolvedValue(mockOrder);
+      Order.findByPk.mockResolvedValue({ id: mockOrder.id, status: 'refunded' });
+      refundService.refundOrder.mockResolvedValue({ refund: { amount: 380, stripeRefundId: 're_rest' }, isFullRefund: true });
+      inventoryService.restockOrder.mockResolvedValue([]);
+      User.findByPk = jest.fn().mockResolvedValue(mockUser);
+
+      const res = await request(app)
+        .post(`/api/orders/${mockOrder.id}/cancel`)
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.refundId).toBe('re_rest');
+      expect(refundService.refundOrder).toHaveBeenCalledWith(mockOrder, expect.objectContaining({ amount: 380 }));
     });
 
     it('returns 400 for shipped order', async () => {
@@ -335,7 +521,7 @@ describe('Orders Routes', () => {
 
   describe('PUT /api/orders/:id/status (admin)', () => {
     it('admin can update order status', async () => {
-      const adminUser = buildUser({ role: 'admin', isActive: true });
+      const adminUser = buildUser({ role: 'admin', adminRole: 'super_admin', isActive: true });
       User.findOne.mockResolvedValue(adminUser);
 
       const mockOrder = buildOrder({ status: 'pending' });
@@ -370,8 +556,23 @@ describe('Orders Routes', () => {
       expect(res.status).toBe(403);
     });
 
+    it('returns 403 for admins whose role cannot manage orders', async () => {
+      const warehouseUser = buildUser({ role: 'admin', adminRole: 'warehouse', isActive: true });
+      User.findOne.mockResolvedValue(warehouseUser);
+      const mockOrder = buildOrder({ status: 'pending' });
+
+      const res = await request(app)
+        .put(`/api/orders/${mockOrder.id}/status`)
+        .set('Authorization', 'Bearer valid-token')
+        .send({ status: 'confirmed' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.requiredPermissions).toEqual(['orders.manage']);
+      expect(mockOrder.update).not.toHaveBeenCalled();
+    });
+
     it('returns 400 for invalid status', async () => {
-      const adminUser = buildUser({ role: 'admin', isActive: true });
+      const adminUser = buildUser({ role: 'admin', adminRole: 'super_admin', isActive: true });
       User.findOne.mockResolvedValue(adminUser);
 
       const res = await request(app)
@@ -383,7 +584,7 @@ describe('Orders Routes', () => {
     });
 
     it('sets shippedAt and trackingNumber when status is shipped', async () => {
-      const adminUser = buildUser({ role: 'admin', isActive: true });
+      const adminUser = buildUser({ role: 'admin', adminRole: 'super_admin', isActive: true });
       User.findOne.mockResolvedValue(adminUser);
 
       const mockOrder = buildOrder({ status: 'confirmed' });
@@ -406,6 +607,21 @@ describe('Orders Routes', () => {
     });
   });
 
+  describe('GET /api/orders/:id/history', () => {
+    it('limits staff without orders.view to their own orders', async () => {
+      User.findOne.mockResolvedValue(buildUser({ role: 'admin', adminRole: 'catalog_manager' }));
+      Order.findOne.mockResolvedValue(null);
+      const orderId = 'a1b2c3d4-e5f6-7890-abcd-ef1234567890';
+
+      const res = await request(app)
+        .get(`/api/orders/${orderId}/history`)
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(res.status).toBe(404);
+      expect(Order.findOne).toHaveBeenCalledWith({ where: { id: orderId, userId: expect.any(String) } });
+    });
+  });
+
   describe('GET /api/orders/track/:orderNumber', () => {
     it('returns order for valid order number and email', async () => {
       const mockOrder = buildOrder({ orderNumber: 'ORD-123', customerEmail: 'test@example.com' });
@@ -165,7 +165,7 @@ describe('Products Routes', () => {
     });
 
     it('creates a product when admin is authenticated', async () => {
-      const adminUser = buildUser({ role: 'admin', isActive: true });
+      const adminUser = buildUser({ role: 'admin', adminRole: 'super_admin', isActive: true });
       User.findOne.mockResolvedValue(adminUser);
 
       const newProduct = buildProduct();
@@ -216,7 +216,7 @@ describe('Products Routes', () => {
     });
 
     it('returns 400 with validation errors', async () => {
-      const adminUser = buildUser({ role: 'admin', isActive: true });
+      const adminUser = buildUser({ role: 'admin', adminRole: 'super_admin', isActive: true });
       User.findOne.mockResolvedValue(adminUser);
 
       const res = await request(app)
@@ -5,52 +5,59 @@ const { buildOrder } = require('../../helpers/factories');
 // Mock dependencies
 jest.mock('../../../services/paymentProcessor');
 jest.mock('../../../models/Order');
+jest.mock('../../../models/User');
+jest.mock('../../../models/index', () => ({}));
+jest.mock('../../../models/MembershipTransaction', () => ({
+  update: jest.fn(),
+}));
+jest.mock('../../../models/StripeWebhookEvent', () => ({
+  create: jest.fn(),
+  update: jest.fn(),
+  destroy: jest.fn(),
+}));
+jest.mock('../../../models/OrphanPayment', () => ({
+  findOrCreate: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../services/refundService', () => ({
+  recordStripeRefund: jest.fn(),
+}));
+jest.mock('../../../services/loyaltyService', () => ({
+  reverseOrderPoints: jest.fn(),
+}));
+jest.mock('../../../services/membershipService', () => ({
+  expireMembership: jest.fn(),
+}));
+jest.mock('../../../services/stockReservationService', () => ({
+  release: jest.fn(),
+}));
 
 const paymentProcessor = require('../../../services/paymentProcessor');
 const Order = require('../../../models/Order');
+const StripeWebhookEvent = require('../../../models/StripeWebhookEvent');
+const OrphanPayment = require('../../../models/OrphanPayment');
+const refundService = require('../../../services/refundService');
+const loyaltyService = require('../../../services/loyaltyService');
+const stockReservationService = require('../../../services/stockReservationService');
 
 /**
- * Build a minimal Express app with just the Stripe webhook route.
- * This mirrors the setup in server.js where raw body parsing is used.
+ * Build a minimal Express app with just the Stripe webhook router, mounted
+ * before any JSON body parser as in server.js.
  */
 function buildApp() {
   const app = express();
+  app.use('/api/webhooks', require('../../../routes/webhooks'));
+  return app;
+}
 
-  // Stripe webhook needs raw body (same as server.js)
-  app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-
-    try {
-      const event = paymentProcessor.constructWebhookEvent(req.body, sig);
-
-      switch (event.type) {
-        case 'payment_intent.succeeded': {
-          const pi = event.data.object;
-          const order = await Order.findOne({ where: { paymentTransactionId: pi.id } });
-          if (order && order.paymentStatus !== 'paid') {
-            await order.update({ paymentStatus: 'paid' });
-          }
-          break;
-        }
-        case 'payment_intent.payment_failed': {
-          const pi = event.data.object;
-          const order = await Order.findOne({ where: { paymentTransactionId: pi.id } });
-          if (order) {
-            await order.update({ paymentStatus: 'failed' });
-          }
-          break;
-        }
-        default:
-          break;
-      }
-
-      res.json({ received: true });
-    } catch (err) {
-      res.status(400).json({ error: `Webhook Error: ${err.message}` });
-    }
-  });
+function sendEvent(app, event) {
+  paymentProcessor.constructWebhookEvent.mockReturnValue({ id: 'evt_123', ...event });
 
-  return app;
+  return request(app)
+    .post('/api/webhooks/stripe')
+    .set('stripe-signature', 'valid_sig')
+    .set('Content-Type', 'application/json')
+    .send(JSON.stringify({ type: event.type }));
 }
 
 describe('Stripe Webhook', () => {
@@ -58,6 +65,7 @@ describe('Stripe Webhook', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    StripeWebhookEvent.create.mockResolvedValue({});
     app = buildApp();
   });
 
@@ -66,17 +74,11 @@ describe('Stripe Webhook', () => {
       const mockOrder = buildOrder({ paymentStatus: 'pending', paymentTransactionId: 'pi_success_123' });
       Order.findOne.mockResolvedValue(mockOrder);
 
-      paymentProcessor.constructWebhookEvent.mockReturnValue({
+      const res = await sendEvent(app, {
         type: 'payment_intent.succeeded',
         data: { object: { id: 'pi_success_123' } },
       });
 
-      const res = await request(app)
-        .post('/api/webhooks/stripe')
-        .set('stripe-signature', 'valid_sig')
-        .set('Content-Type', 'application/json')
-        .send(JSON.stringify({ type: 'payment_intent.succeeded' }));
-
       expect(res.status).toBe(200);
       expect(res.body.received).toBe(true);
       expect(Order.findOne).toHaveBeenCalledWith({
@@ -89,57 +91,140 @@ describe('Stripe Webhook', () => {
       const mockOrder = buildOrder({ paymentStatus: 'paid', paymentTransactionId: 'pi_already_paid' });
       Order.findOne.mockResolvedValue(mockOrder);
 
-      paymentProcessor.constructWebhookEvent.mockReturnValue({
+      const res = await sendEvent(app, {
         type: 'payment_intent.succeeded',
         data: { object: { id: 'pi_already_paid' } },
       });
 
-      const res = await request(app)
-        .post('/api/webhooks/stripe')
-        .set('stripe-signature', 'valid_sig')
-        .set('Content-Type', 'application/json')
-        .send(JSON.stringify({}));
-
       expect(res.status).toBe(200);
       expect(mockOrder.update).not.toHaveBeenCalled();
     });
 
-    it('handles case where order is not found', async () => {
+    it('tracks a checkout payment with no order as an orphan', async () => {
       Order.findOne.mockResolvedValue(null);
 
-      paymentProcessor.constructWebhookEvent.mockReturnValue({
+      const res = await sendEvent(app, {
         type: 'payment_intent.succeeded',
-        data: { object: { id: 'pi_no_order' } },
+        data: { object: { id: 'pi_no_order', amount: 54420, amount_received: 54420, currency: 'mad', metadata: { userId: 'user-1' } } },
       });
 
-      const res = await request(app)
-        .post('/api/webhooks/stripe')
-        .set('stripe-signature', 'valid_sig')
-        .set('Content-Type', 'application/json')
-        .send(JSON.stringify({}));
+      expect(res.status).toBe(200);
+      expect(OrphanPayment.findOrCreate).toHaveBeenCalledWith({
+        where: { paymentIntentId: 'pi_no_order' },
+        defaults: { userId: 'user-1', amount: 544.2, currency: 'MAD' },
+      });
+    });
+
+    it('ignores membership charges with no order', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      const res = await sendEvent(app, {
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_membership', amount: 9900, metadata: { type: 'membership_renewal', userId: 'user-1' } } },
+      });
 
       expect(res.status).toBe(200);
+      expect(OrphanPayment.findOrCreate).not.toHaveBeenCalled();
     });
   });
 
   describe('payment_intent.payment_failed', () => {
-    it('updates order paymentStatus to failed', async () => {
+    it('updates order paymentStatus to failed and releases reserved stock', async () => {
       const mockOrder = buildOrder({ paymentStatus: 'pending', paymentTransactionId: 'pi_fail_123' });
       Order.findOne.mockResolvedValue(mockOrder);
 
-      paymentProcessor.constructWebhookEvent.mockReturnValue({
+      const res = await sendEvent(app, {
         type: 'payment_intent.payment_failed',
         data: { object: { id: 'pi_fail_123' } },
       });
 
-      const res = await request(app)
-        .post('/api/webhooks/stripe')
-        .set('stripe-signature', 'valid_sig')
-        .set('Content-Type', 'application/json')
-        .send(JSON.stringify({}));
-
       expect(res.status).toBe(200);
       expect(mockOrder.update).toHaveBeenCalledWith({ paymentStatus: 'failed' });
+      expect(stockReservationService.release).toHaveBeenCalledWith('pi_fail_123');
+    });
+  });
+
+  describe('charge.refunded', () => {
+    it('records refunds made from the Stripe dashboard only', async () => {
+      const mockOrder = buildOrder({ paymentTransactionId: 'pi_refunded' });
+      Order.findOne.mockResolvedValue(mockOrder);
+      paymentProcessor.listRefunds.mockResolvedValue([
+        { id: 're_backend', amount: 12000, status: 'succeeded', created: 1, metadata: { source: 'backend' } },
+        { id: 're_dashboard', amount: 5000, status: 'succeeded', created: 2, metadata: {} },
+      ]);
+      refundService.recordStripeRefund.mockResolvedValue({ isFullRefund: false });
+
+      const res = await sendEvent(app, {
+        type: 'charge.refunded',
+        data: { object: { id: 'ch_123', payment_intent: 'pi_refunded' } },
+      });
+
+      expect(res.status).toBe(200);
+      expect(refundService.recordStripeRefund).toHaveBeenCalledTimes(1);
+      expect(refundService.recordStripeRefund).toHaveBeenCalledWith(mockOrder, expect.objectContaining({ id: 're_dashboard' }));
+      expect(loyaltyService.reverseOrderPoints).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('charge.dispute.*', () => {
+    it('flags the order when a dispute is opened', async () => {
+      const mockOrder = buildOrder({ paymentTransactionId: 'pi_disputed' });
+      Order.findOne.mockResolvedValue(mockOrder);
+
+      const res = await sendEvent(app, {
+        type: 'charge.dispute.created',
+        data: { object: { id: 'dp_123', payment_intent: 'pi_disputed', amount: 54420, reason: 'fraudulent', status: 'needs_response' } },
+      });
+
+      expect(res.status).toBe(200);
+      expect(mockOrder.update).toHaveBeenCalledWith(expect.objectContaining({
+        disputeId: 'dp_123',
+        disputeStatus: 'needs_response',
+        disputeReason: 'fraudulent',
+        disputeAmount: 544.2,
+      }));
+    });
+
+    it('reverses loyalty points when the dispute is lost', async () => {
+      const mockOrder = buildOrder({ paymentTransactionId: 'pi_disputed' });
+      Order.findOne.mockResolvedValue(mockOrder);
+
+      await sendEvent(app, {
+        type: 'charge.dispute.closed',
+        data: { object: { id: 'dp_123', payment_intent: 'pi_disputed', amount: 54420, reason: 'fraudulent', status: 'lost' } },
+      });
+
+      expect(mockOrder.update).toHaveBeenCalledWith({ disputeId: 'dp_123', disputeStatus: 'lost' });
+      expect(loyaltyService.reverseOrderPoints).toHaveBeenCalledWith(mockOrder, expect.stringContaining('Litige perdu'));
+    });
+  });
+
+  describe('idempotency', () => {
+    it('skips events that were already processed', async () => {
+      const duplicate = new Error('Validation error');
+      duplicate.name = 'SequelizeUniqueConstraintError';
+      StripeWebhookEvent.create.mockRejectedValue(duplicate);
+
+      const res = await sendEvent(app, {
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_success_123' } },
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.duplicate).toBe(true);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('releases the event id when handling fails so Stripe can retry', async () => {
+      Order.findOne.mockRejectedValue(new Error('connection lost'));
+
+      const res = await sendEvent(app, {
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_success_123' } },
+      });
+
+      expect(res.status).toBe(500);
+      expect(StripeWebhookEvent.destroy).toHaveBeenCalledWith({ where: { id: 'evt_123' } });
     });
   });
 
@@ -162,17 +247,11 @@ describe('Stripe Webhook', () => {
 
   describe('unknown event type', () => {
     it('acknowledges unknown event types', async () => {
-      paymentProcessor.constructWebhookEvent.mockReturnValue({
-        type: 'charge.refunded',
+      const res = await sendEvent(app, {
+        type: 'customer.created',
         data: { object: {} },
       });
 
-      const res = await request(app)
-        .post('/api/webhooks/stripe')
-        .set('stripe-signature', 'valid_sig')
-        .set('Content-Type', 'application/json')
-        .send(JSON.stringify({}));
-
       expect(res.status).toBe(200);
       expect(res.body.received).toBe(true);
     });
@@ -0,0 +1,63 @@
+const { createMockReq, createMockRes, createMockNext } = require('../../helpers/mockAuth');
+const { buildUser } = require('../../helpers/factories');
+const requirePermission = require('../../../middleware/requirePermission');
+
+describe('requirePermission middleware', () => {
+  let res, next;
+
+  beforeEach(() => {
+    res = createMockRes();
+    next = createMockNext();
+  });
+
+  it('calls next() when the admin role grants the permission', () => {
+    const req = createMockReq({ user: buildUser({ role: 'admin', adminRole: 'warehouse' }) });
+
+    requirePermission('inventory.manage')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('returns 403 when the admin role lacks the permission', () => {
+    const req = createMockReq({ user: buildUser({ role: 'admin', adminRole: 'warehouse' }) });
+
+    requirePermission('orders.refund')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res._json.requiredPermissions).toEqual(['orders.refund']);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('accepts any one of several permissions', () => {
+    const req = createMockReq({ user: buildUser({ role: 'admin', adminRole: 'catalog_manager' }) });
+
+    requirePermission('orders.view', 'products.manage')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('grants every permission to super admins', () => {
+    const req = createMockReq({ user: buildUser({ role: 'admin', adminRole: 'super_admin' }) });
+
+    requirePermission('roles.manage')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('denies admins without an admin role', () => {
+    const req = createMockReq({ user: buildUser({ role: 'admin', adminRole: null }) });
+
+    requirePermission('dashboard.view')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('denies clients even if an admin role was left on the account', () => {
+    const req = createMockReq({ user: buildUser({ role: 'client', adminRole: 'super_admin' }) });
+
+    requirePermission('dashboard.view')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
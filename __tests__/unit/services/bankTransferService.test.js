@@ -0,0 +1,210 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Order', () => ({
+  findAll: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../models/OrderStatusLog', () => ({
+  create: jest.fn(),
+}));
+jest.mock('../../../models/User', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../services/inventoryService', () => ({
+  restockOrder: jest.fn(),
+}));
+jest.mock('../../../services/loyaltyService', () => ({
+  releaseVoucher: jest.fn(),
+}));
+jest.mock('../../../services/couponService', () => ({
+  releaseRedemption: jest.fn(),
+}));
+jest.mock('../../../services/emailService', () => ({
+  sendOrderStatusUpdateEmail: jest.fn(),
+}));
+
+const Order = require('../../../models/Order');
+const OrderStatusLog = require('../../../models/OrderStatusLog');
+const inventoryService = require('../../../services/inventoryService');
+const loyaltyService = require('../../../services/loyaltyService');
+const couponService = require('../../../services/couponService');
+const emailService = require('../../../services/emailService');
+const bankTransferService = require('../../../services/bankTransferService');
+
+const ORDER_ID = '11111111-2222-3333-4444-555555555555';
+const HOUR_MS = 60 * 60 * 1000;
+
+function buildOrder(overrides = {}) {
+  const order = {
+    id: ORDER_ID,
+    orderNumber: 'UMD-2001',
+    userId: 'user-1',
+    paymentMethod: 'bank_transfer',
+    paymentStatus: 'pending',
+    status: 'pending',
+    totalAmount: 544.2,
+    bankTransferStatus: 'awaiting_transfer',
+    bankTransferReference: 'VIR-ABCD2345',
+    bankTransferDeadline: new Date(Date.now() + 24 * HOUR_MS),
+    bankTransferReceipts: [],
+    ...overrides,
+  };
+  order.update = jest.fn(async (values) => Object.assign(order, values));
+  order.set = jest.fn((values) => Object.assign(order, values));
+  return order;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.AWS_S3_BUCKET = 'umod-test';
+});
+
+describe('BankTransferService', () => {
+  describe('getInitialFields()', () => {
+    it('generates a reference and a deadline', () => {
+      const now = new Date('2026-03-02T10:00:00Z');
+
+      const fields = bankTransferService.getInitialFields(now);
+
+      expect(fields.bankTransferStatus).toBe('awaiting_transfer');
+      expect(fields.bankTransferReference).toMatch(/^VIR-[A-HJ-NP-Z2-9]{8}$/);
+      expect(fields.bankTransferDeadline).toEqual(new Date('2026-03-05T10:00:00Z'));
+    });
+  });
+
+  describe('submitReceipts()', () => {
+    it('attaches receipts uploaded on the order', async () => {
+      const order = buildOrder({ bankTransferStatus: 'rejected', bankTransferRejectionReason: 'Montant incorrect' });
+      const receipt = `bank-transfer-receipts/${ORDER_ID}/1700000000-abc-recu.jpg`;
+
+      await bankTransferService.submitReceipts(order, [receipt]);
+
+      expect(order).toMatchObject({
+        bankTransferStatus: 'receipt_submitted',
+        bankTransferReceipts: [receipt],
+        bankTransferRejectionReason: null,
+      });
+    });
+
+    it('refuses files uploaded elsewhere', async () => {
+      const order = buildOrder();
+
+      await expect(bankTransferService.submitReceipts(order, ['refund-proofs/other/recu.jpg']))
+        .rejects.toMatchObject({ status: 400 });
+      expect(order.update).not.toHaveBeenCalled();
+    });
+
+    it('refuses receipts after the deadline', async () => {
+      const order = buildOrder({ bankTransferDeadline: new Date(Date.now() - 1000) });
+
+      await expect(bankTransferService.submitReceipts(order, [`bank-transfer-receipts/${ORDER_ID}/recu.jpg`]))
+        .rejects.toThrow('Le délai de paiement de cette commande est dépassé');
+    });
+  });
+
+  describe('assertCanShip()', () => {
+    it('holds bank-transfer orders until the transfer is confirmed', () => {
+      expect(() => bankTransferService.assertCanShip(buildOrder())).toThrow(/UMD-2001/);
+      expect(() => bankTransferService.assertCanShip(buildOrder({ paymentStatus: 'paid' }))).not.toThrow();
+      expect(() => bankTransferService.assertCanShip(buildOrder({ paymentMethod: 'cash_on_delivery' }))).not.toThrow();
+    });
+  });
+
+  describe('confirm()', () => {
+    it('marks the order paid and confirmed', async () => {
+      const order = buildOrder({ bankTransferStatus: 'receipt_submitted' });
+      Order.update.mockResolvedValue([1]);
+
+      await bankTransferService.confirm(order, 'admin-1');
+
+      expect(order).toMatchObject({
+        status: 'confirmed',
+        paymentStatus: 'paid',
+        bankTransferStatus: 'confirmed',
+        bankTransferReviewedBy: 'admin-1',
+      });
+      expect(OrderStatusLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ newStatus: 'confirmed', changedBy: 'admin-1', changedByRole: 'admin' }),
+        expect.any(Object)
+      );
+    });
+
+    it('refuses cancelled orders', async () => {
+      const order = buildOrder({ status: 'cancelled', bankTransferStatus: 'expired' });
+
+      await expect(bankTransferService.confirm(order, 'admin-1')).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('refuses an order the expiry job cancelled since it was loaded', async () => {
+      const order = buildOrder({ bankTransferStatus: 'receipt_submitted' });
+      Order.update.mockResolvedValue([0]);
+
+      await expect(bankTransferService.confirm(order, 'admin-1')).rejects.toMatchObject({ status: 409 });
+      expect(Order.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'confirmed' }),
+        expect.objectContaining({ where: expect.objectContaining({ id: ORDER_ID, status: 'pending' }) })
+      );
+      expect(OrderStatusLog.create).not.toHaveBeenCalled();
+      expect(order.status).toBe('pending');
+    });
+  });
+
+  describe('reject()', () => {
+    it('records the reason so the customer can resubmit', async () => {
+      const order = buildOrder({ bankTransferStatus: 'receipt_submitted' });
+      Order.update.mockResolvedValue([1]);
+
+      await bankTransferService.reject(order, 'admin-1', 'Montant incorrect');
+
+      expect(order).toMatchObject({ bankTransferStatus: 'rejected', bankTransferRejectionReason: 'Montant incorrect' });
+    });
+
+    it('refuses a receipt another admin confirmed since it was loaded', async () => {
+      const order = buildOrder({ bankTransferStatus: 'receipt_submitted' });
+      Order.update.mockResolvedValue([0]);
+
+      await expect(bankTransferService.reject(order, 'admin-1', 'Montant incorrect')).rejects.toMatchObject({ status: 409 });
+      expect(Order.update).toHaveBeenCalledWith(
+        expect.objectContaining({ bankTransferStatus: 'rejected' }),
+        { where: { id: ORDER_ID, bankTransferStatus: 'receipt_submitted' } }
+      );
+      expect(order.bankTransferStatus).toBe('receipt_submitted');
+    });
+
+    it('needs a receipt to review', async () => {
+      await expect(bankTransferService.reject(buildOrder(), 'admin-1', 'Montant incorrect'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('cancelExpired()', () => {
+    it('cancels unpaid orders past the deadline and releases what they held', async () => {
+      const order = buildOrder({ bankTransferDeadline: new Date(Date.now() - HOUR_MS) });
+      Order.findAll.mockResolvedValue([order]);
+      Order.update.mockResolvedValue([1]);
+
+      const cancelled = await bankTransferService.cancelExpired();
+
+      expect(cancelled).toBe(1);
+      expect(inventoryService.restockOrder).toHaveBeenCalledWith(order, expect.stringContaining('UMD-2001'), expect.any(Object));
+      expect(loyaltyService.releaseVoucher).toHaveBeenCalledWith(order, expect.any(Object));
+      expect(couponService.releaseRedemption).toHaveBeenCalledWith(order, expect.any(Object));
+      expect(OrderStatusLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ newStatus: 'cancelled', changedByRole: 'system' }),
+        expect.any(Object)
+      );
+      expect(emailService.sendOrderStatusUpdateEmail).toHaveBeenCalled();
+    });
+
+    it('leaves orders confirmed in the meantime untouched', async () => {
+      Order.findAll.mockResolvedValue([buildOrder({ bankTransferDeadline: new Date(Date.now() - HOUR_MS) })]);
+      Order.update.mockResolvedValue([0]);
+
+      const cancelled = await bankTransferService.cancelExpired();
+
+      expect(cancelled).toBe(0);
+      expect(inventoryService.restockOrder).not.toHaveBeenCalled();
+      expect(loyaltyService.releaseVoucher).not.toHaveBeenCalled();
+      expect(emailService.sendOrderStatusUpdateEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Cart', () => ({
+  findAll: jest.fn(),
+}));
+jest.mock('../../../models/CartItem', () => ({
+  findAll: jest.fn(),
+}));
+jest.mock('../../../models/CartRecovery', () => ({
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock('../../../models/Order', () => ({
+  count: jest.fn(),
+}));
+jest.mock('../../../models/Product', () => ({}));
+jest.mock('../../../models/User', () => ({}));
+jest.mock('../../../services/emailService', () => ({
+  sendAbandonedCartEmail: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const sequelize = require('../../../config/database');
+const Cart = require('../../../models/Cart');
+const CartItem = require('../../../models/CartItem');
+const CartRecovery = require('../../../models/CartRecovery');
+const Order = require('../../../models/Order');
+const emailService = require('../../../services/emailService');
+const cartRecoveryService = require('../../../services/cartRecoveryService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+const notificationService = {
+  getUserPreferences: jest.fn(),
+  createNotification: jest.fn(),
+};
+
+function buildCart(idleHours) {
+  return {
+    id: 'cart-1',
+    userId: 'user-1',
+    updatedAt: hoursAgo(idleHours),
+    user: { id: 'user-1', email: 'salma@example.com', firstName: 'Salma' },
+  };
+}
+
+function buildRecovery(overrides = {}) {
+  const recovery = { id: 'recovery-1', status: 'pending', emailsSent: 1, lastEmailAt: hoursAgo(1), ...overrides };
+  recovery.update = jest.fn(async (values) => Object.assign(recovery, values));
+  return recovery;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  cartRecoveryService.setNotificationService(notificationService);
+  CartRecovery.findOne.mockResolvedValue(null);
+  Order.count.mockResolvedValue(0);
+  notificationService.getUserPreferences.mockResolvedValue({});
+  emailService.sendAbandonedCartEmail.mockResolvedValue({ success: true });
+  CartItem.findAll.mockResolvedValue([
+    { quantity: 2, totalPrice: '300.00', product: { id: 'prod-1', name: 'Caftan soie', isActive: true } },
+    { quantity: 1, totalPrice: '90.00', product: { id: 'prod-2', name: 'Babouches', isActive: false } },
+  ]);
+});
+
+describe('CartRecoveryService', () => {
+  describe('processCart()', () => {
+    it('sends the first reminder once the cart has been idle long enough', async () => {
+      const sent = await cartRecoveryService.processCart(buildCart(2), now);
+
+      expect(sent).toBe(true);
+      expect(emailService.sendAbandonedCartEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'salma@example.com' }),
+        expect.objectContaining({
+          items: [{ productName: 'Caftan soie', quantity: 2, totalPrice: '300.00' }],
+          totalAmount: 300,
+          step: 1,
+          isLastStep: false,
+          cartUrl: expect.stringContaining('/cart?utm_source=cart_recovery'),
+        })
+      );
+      expect(CartRecovery.create).toHaveBeenCalledWith({
+        cartId: 'cart-1', userId: 'user-1', emailsSent: 1, lastEmailAt: now, cartTotal: 300,
+      });
+      expect(notificationService.createNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-1', type: 'cart_recovery' })
+      );
+    });
+
+    it('waits for the next delay before the following reminder', async () => {
+      CartRecovery.findOne.mockResolvedValue(buildRecovery());
+
+      await expect(cartRecoveryService.processCart(buildCart(5), now)).resolves.toBe(false);
+      expect(emailService.sendAbandonedCartEmail).not.toHaveBeenCalled();
+    });
+
+    it('sends the second reminder after a day', async () => {
+      const recovery = buildRecovery({ lastEmailAt: hoursAgo(24) });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      await expect(cartRecoveryService.processCart(buildCart(25), now)).resolves.toBe(true);
+      expect(recovery.update).toHaveBeenCalledWith({ emailsSent: 2, lastEmailAt: now, cartTotal: 300 });
+    });
+
+    it('stops once the customer has ordered', async () => {
+      Order.count.mockResolvedValue(1);
+
+      await expect(cartRecoveryService.processCart(buildCart(2), now)).resolves.toBe(false);
+      expect(emailService.sendAbandonedCartEmail).not.toHaveBeenCalled();
+    });
+
+    it('respects customers who turned the reminders off', async () => {
+      notificationService.getUserPreferences.mockResolvedValue({ cart_recovery: { enabled: false } });
+
+      await expect(cartRecoveryService.processCart(buildCart(2), now)).resolves.toBe(false);
+      expect(emailService.sendAbandonedCartEmail).not.toHaveBeenCalled();
+    });
+
+    it('does not count a reminder the email service failed to send', async () => {
+      emailService.sendAbandonedCartEmail.mockResolvedValue({ success: false });
+
+      await expect(cartRecoveryService.processCart(buildCart(2), now)).resolves.toBe(false);
+      expect(CartRecovery.create).not.toHaveBeenCalled();
+    });
+
+    it('starts over when the customer changed the cart after the last reminder', async () => {
+      const finished = buildRecovery({ emailsSent: 3, lastEmailAt: hoursAgo(10) });
+      CartRecovery.findOne.mockResolvedValue(finished);
+
+      await expect(cartRecoveryService.processCart(buildCart(2), now)).resolves.toBe(true);
+      expect(finished.update).toHaveBeenCalledWith({ status: 'expired' });
+      expect(CartRecovery.create).toHaveBeenCalledWith(expect.objectContaining({ emailsSent: 1 }));
+    });
+  });
+
+  describe('sendDueReminders()', () => {
+    it('leaves finished carts out of the batch', async () => {
+      sequelize.literal.mockImplementation(sql => ({ sql }));
+      Cart.findAll.mockResolvedValue([buildCart(2)]);
+
+      const result = await cartRecoveryService.sendDueReminders(now);
+
+      const { where } = Cart.findAll.mock.calls[0][0];
+      expect(where[Op.and].map(condition => condition.sql)).toEqual([
+        expect.stringMatching(/cart_recoveries\."emailsSent" >= 3/),
+      ]);
+      expect(result).toEqual({ checked: 1, sent: 1, failed: 0 });
+    });
+  });
+
+  describe('recordCheckout()', () => {
+    it('credits the order to the reminders', async () => {
+      const recovery = buildRecovery({ lastEmailAt: new Date(Date.now() - 2 * HOUR_MS) });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      await cartRecoveryService.recordCheckout('user-1', { id: 'order-1', totalAmount: '340.00' });
+
+      expect(recovery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'recovered', orderId: 'order-1', orderTotal: '340.00',
+      }));
+    });
+
+    it('closes reminders too old to take credit for the order', async () => {
+      const recovery = buildRecovery({ lastEmailAt: new Date(Date.now() - 30 * 24 * HOUR_MS) });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      await cartRecoveryService.recordCheckout('user-1', { id: 'order-1', totalAmount: '340.00' });
+
+      expect(recovery.update).toHaveBeenCalledWith({ status: 'expired' });
+    });
+  });
+
+  describe('getReport()', () => {
+    it('computes emails per step, conversion and recovered revenue', async () => {
+      CartRecovery.findAll.mockResolvedValue([
+        { emailsSent: 1, status: 'recovered', count: '3', revenue: '900.00' },
+        { emailsSent: 2, status: 'pending', count: '4', revenue: '0' },
+        { emailsSent: 3, status: 'expired', count: '2', revenue: '0' },
+        { emailsSent: 3, status: 'recovered', count: '1', revenue: '250.50' },
+      ]);
+
+      const report = await cartRecoveryService.getReport({ period: 30 });
+
+      expect(report).toEqual({
+        abandonedCarts: 10,
+        recoveredCarts: 4,
+        conversionRate: 40,
+        recoveredRevenue: 1150.5,
+        steps: [
+          { step: 1, delayHours: 1, emailsSent: 10, recovered: 3 },
+          { step: 2, delayHours: 24, emailsSent: 7, recovered: 0 },
+          { step: 3, delayHours: 72, emailsSent: 3, recovered: 1 },
+        ],
+      });
+    });
+  });
+});
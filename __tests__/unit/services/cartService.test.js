@@ -0,0 +1,164 @@
+jest.mock('../../../models/Cart', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock('../../../models/CartItem', () => ({
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn(),
+}));
+jest.mock('../../../models/Product', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../models/index', () => ({}));
+
+const Cart = require('../../../models/Cart');
+const CartItem = require('../../../models/CartItem');
+const Product = require('../../../models/Product');
+const cartService = require('../../../services/cartService');
+
+function buildCart(overrides = {}) {
+  return {
+    id: 'cart-1',
+    userId: 'user-1',
+    sessionId: null,
+    totalAmount: 0,
+    itemCount: 0,
+    isActive: true,
+    expiresAt: null,
+    update: jest.fn().mockImplementation(function (data) {
+      Object.assign(this, data);
+      return Promise.resolve(this);
+    }),
+    ...overrides,
+  };
+}
+
+function buildProduct(overrides = {}) {
+  return {
+    id: 'prod-1',
+    name: 'Caftan',
+    price: 200,
+    isActive: true,
+    stockQuantity: 10,
+    getDiscountedPrice: jest.fn().mockReturnValue(180),
+    ...overrides,
+  };
+}
+
+function buildItem(overrides = {}) {
+  return {
+    id: 'item-1',
+    cartId: 'cart-1',
+    productId: 'prod-1',
+    quantity: 1,
+    unitPrice: 180,
+    totalPrice: 180,
+    createdAt: new Date(),
+    update: jest.fn().mockImplementation(function (data) {
+      Object.assign(this, data);
+      return Promise.resolve(this);
+    }),
+    destroy: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('CartService', () => {
+  describe('addItem()', () => {
+    it('creates the cart and line, then recomputes totals from the discounted price', async () => {
+      const cart = buildCart();
+      const product = buildProduct();
+      Cart.findOne.mockResolvedValue(null);
+      Cart.create.mockResolvedValue(cart);
+      CartItem.findOne.mockResolvedValue(null);
+      Product.findByPk.mockResolvedValue(product);
+      CartItem.findAll.mockResolvedValue([buildItem({ quantity: 2, unitPrice: 180, totalPrice: 360, product })]);
+
+      const result = await cartService.addItem({ userId: 'user-1' }, 'prod-1', 2);
+
+      expect(CartItem.create).toHaveBeenCalledWith({
+        cartId: 'cart-1',
+        productId: 'prod-1',
+        quantity: 2,
+        unitPrice: 180,
+        totalPrice: 360,
+      });
+      expect(cart.update).toHaveBeenCalledWith({ totalAmount: 360, itemCount: 2 });
+      expect(result.items).toHaveLength(1);
+    });
+
+    it('rejects quantities above the available stock', async () => {
+      Cart.findOne.mockResolvedValue(buildCart());
+      CartItem.findOne.mockResolvedValue(buildItem({ quantity: 9 }));
+      Product.findByPk.mockResolvedValue(buildProduct({ stockQuantity: 10 }));
+
+      await expect(cartService.addItem({ userId: 'user-1' }, 'prod-1', 2))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('Stock insuffisant') });
+      expect(CartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for inactive products', async () => {
+      Cart.findOne.mockResolvedValue(buildCart());
+      CartItem.findOne.mockResolvedValue(null);
+      Product.findByPk.mockResolvedValue(buildProduct({ isActive: false }));
+
+      await expect(cartService.addItem({ userId: 'user-1' }, 'prod-1', 1))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('recalculate()', () => {
+    it('re-prices stale lines and drops inactive products', async () => {
+      const cart = buildCart();
+      const stale = buildItem({ quantity: 3, unitPrice: 200, totalPrice: 600, product: buildProduct() });
+      const gone = buildItem({ id: 'item-2', productId: 'prod-2', product: buildProduct({ id: 'prod-2', isActive: false }) });
+      CartItem.findAll.mockResolvedValue([stale, gone]);
+
+      const result = await cartService.recalculate(cart);
+
+      expect(stale.update).toHaveBeenCalledWith({ unitPrice: 180, totalPrice: 540 });
+      expect(gone.destroy).toHaveBeenCalled();
+      expect(result.removedItems).toEqual([{ productId: 'prod-2', reason: 'unavailable' }]);
+      expect(cart.update).toHaveBeenCalledWith({ totalAmount: 540, itemCount: 3 });
+    });
+  });
+
+  describe('mergeGuestCart()', () => {
+    it('adds guest quantities to the user cart capped at stock and deactivates the guest cart', async () => {
+      const guestCart = buildCart({ id: 'guest-cart', userId: null, sessionId: 'session-abcdefghijkl' });
+      const userCart = buildCart();
+      const product = buildProduct({ stockQuantity: 4 });
+      const guestLine = buildItem({ id: 'guest-item', cartId: 'guest-cart', quantity: 3, product });
+      const userLine = buildItem({ quantity: 2 });
+
+      Cart.findOne
+        .mockResolvedValueOnce(guestCart)
+        .mockResolvedValueOnce(userCart);
+      CartItem.findAll
+        .mockResolvedValueOnce([guestLine])
+        .mockResolvedValueOnce([{ ...userLine, quantity: 4, product }]);
+      CartItem.findOne.mockResolvedValue(userLine);
+
+      await cartService.mergeGuestCart('user-1', 'session-abcdefghijkl');
+
+      expect(userLine.update).toHaveBeenCalledWith({ quantity: 4 });
+      expect(guestLine.destroy).toHaveBeenCalled();
+      expect(guestCart.update).toHaveBeenCalledWith({ isActive: false, itemCount: 0, totalAmount: 0 });
+    });
+
+    it('does nothing when the guest session has no cart', async () => {
+      Cart.findOne.mockResolvedValue(null);
+
+      const result = await cartService.mergeGuestCart('user-1', 'session-abcdefghijkl');
+
+      expect(result).toBeNull();
+      expect(Cart.create).not.toHaveBeenCalled();
+    });
+  });
+});
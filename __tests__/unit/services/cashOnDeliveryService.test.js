@@ -0,0 +1,214 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Order', () => ({
+  findAll: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../models/OrderStatusLog', () => ({
+  create: jest.fn(),
+}));
+jest.mock('../../../models/User', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../services/smsService', () => ({
+  sendOrderConfirmationSMS: jest.fn(),
+}));
+jest.mock('../../../services/emailService', () => ({
+  sendOrderStatusUpdateEmail: jest.fn(),
+}));
+jest.mock('../../../services/loyaltyService', () => ({
+  releaseVoucher: jest.fn(),
+}));
+jest.mock('../../../services/couponService', () => ({
+  releaseRedemption: jest.fn(),
+}));
+jest.mock('../../../services/inventoryService', () => ({
+  restockOrder: jest.fn(),
+}));
+
+const Order = require('../../../models/Order');
+const OrderStatusLog = require('../../../models/OrderStatusLog');
+const smsService = require('../../../services/smsService');
+const emailService = require('../../../services/emailService');
+const loyaltyService = require('../../../services/loyaltyService');
+const couponService = require('../../../services/couponService');
+const inventoryService = require('../../../services/inventoryService');
+const cashOnDeliveryService = require('../../../services/cashOnDeliveryService');
+
+function buildOrder(overrides = {}) {
+  const order = {
+    id: 'order-1',
+    orderNumber: 'UMD-1001',
+    userId: 'user-1',
+    customerPhone: '+212600000000',
+    paymentMethod: 'cash_on_delivery',
+    paymentStatus: 'pending',
+    status: 'pending',
+    totalAmount: 525,
+    codConfirmationCode: '123456',
+    codConfirmationExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    codConfirmationAttempts: 0,
+    codConfirmedAt: null,
+    codCollectedAt: null,
+    ...overrides,
+  };
+  order.update = jest.fn(async (values) => Object.assign(order, values));
+  order.set = jest.fn((values) => Object.assign(order, values));
+  order.increment = jest.fn(async (field) => { order[field] += 1; });
+  return order;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  smsService.sendOrderConfirmationSMS.mockResolvedValue({ success: true });
+  Order.update.mockResolvedValue([1]);
+});
+
+describe('CashOnDeliveryService', () => {
+  describe('getFee()', () => {
+    it('returns the fee of the delivery zone', () => {
+      expect(cashOnDeliveryService.getFee('Casablanca', 500)).toBe(10);
+      expect(cashOnDeliveryService.getFee('Ouarzazate', 500)).toBe(20);
+    });
+
+    it('refuses zones where couriers do not collect cash', () => {
+      expect(() => cashOnDeliveryService.getFee('Laâyoune', 500)).toThrow('Le paiement à la livraison n\'est pas disponible pour cette ville');
+    });
+
+    it('refuses orders above the cap, fee included', () => {
+      expect(() => cashOnDeliveryService.getFee('Casablanca', 2995)).toThrow(/3000 DH maximum/);
+    });
+  });
+
+  describe('sendConfirmationCode()', () => {
+    it('stores a new code and texts it to the customer', async () => {
+      const order = buildOrder({ codConfirmationCode: null, codConfirmationExpiresAt: null, codConfirmationAttempts: 3 });
+
+      const result = await cashOnDeliveryService.sendConfirmationCode(order);
+
+      expect(result.sent).toBe(true);
+      expect(order.codConfirmationCode).toMatch(/^\d{6}$/);
+      expect(order.codConfirmationAttempts).toBe(0);
+      expect(smsService.sendOrderConfirmationSMS).toHaveBeenCalledWith('+212600000000', expect.objectContaining({
+        orderNumber: 'UMD-1001',
+        code: order.codConfirmationCode,
+      }));
+    });
+
+    it('throttles resends', async () => {
+      const order = buildOrder({ codConfirmationExpiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000) });
+
+      await expect(cashOnDeliveryService.sendConfirmationCode(order)).rejects.toMatchObject({ status: 429 });
+      expect(smsService.sendOrderConfirmationSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmWithCode()', () => {
+    it('counts a wrong code as a failed attempt', async () => {
+      const order = buildOrder();
+
+      await expect(cashOnDeliveryService.confirmWithCode(order, '654321')).rejects.toMatchObject({ status: 400 });
+      expect(order.codConfirmationAttempts).toBe(1);
+      expect(order.status).toBe('pending');
+    });
+
+    it('locks the code after too many attempts', async () => {
+      const order = buildOrder({ codConfirmationAttempts: 5 });
+
+      await expect(cashOnDeliveryService.confirmWithCode(order, '123456')).rejects.toMatchObject({ status: 429 });
+    });
+
+    it('refuses an expired code', async () => {
+      const order = buildOrder({ codConfirmationExpiresAt: new Date(Date.now() - 1000) });
+
+      await expect(cashOnDeliveryService.confirmWithCode(order, '123456')).rejects.toThrow('Code expiré. Demandez un nouveau code.');
+    });
+
+    it('confirms the order with the right code', async () => {
+      const order = buildOrder();
+
+      await cashOnDeliveryService.confirmWithCode(order, '123456');
+
+      expect(order).toMatchObject({ status: 'confirmed', codConfirmationCode: null, codConfirmedBy: null });
+      expect(order.codConfirmedAt).toBeInstanceOf(Date);
+      expect(OrderStatusLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ previousStatus: 'pending', newStatus: 'confirmed', changedByRole: 'customer' }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('assertCanShip()', () => {
+    it('blocks unconfirmed cash-on-delivery orders only', () => {
+      expect(() => cashOnDeliveryService.assertCanShip(buildOrder())).toThrow(/UMD-1001/);
+      expect(() => cashOnDeliveryService.assertCanShip(buildOrder({ codConfirmedAt: new Date() }))).not.toThrow();
+      expect(() => cashOnDeliveryService.assertCanShip(buildOrder({ paymentMethod: 'card' }))).not.toThrow();
+    });
+  });
+
+  describe('markCollected()', () => {
+    it('marks a shipped order paid and delivered', async () => {
+      const order = buildOrder({ status: 'shipped', codConfirmedAt: new Date() });
+
+      await cashOnDeliveryService.markCollected(order, 'admin-1');
+
+      expect(order).toMatchObject({ paymentStatus: 'paid', status: 'delivered', codCollectedBy: 'admin-1' });
+      expect(OrderStatusLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ previousStatus: 'shipped', newStatus: 'delivered', changedBy: 'admin-1' }),
+        expect.any(Object)
+      );
+    });
+
+    it('refuses to collect twice', async () => {
+      const order = buildOrder({ status: 'delivered', codCollectedAt: new Date() });
+
+      await expect(cashOnDeliveryService.markCollected(order, 'admin-1')).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('refuses orders that have not shipped', async () => {
+      const order = buildOrder({ status: 'confirmed', codConfirmedAt: new Date() });
+
+      await expect(cashOnDeliveryService.markCollected(order, 'admin-1')).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('records the cash once when two collect requests race', async () => {
+      const order = buildOrder({ status: 'delivered', codConfirmedAt: new Date() });
+      Order.update.mockResolvedValue([0]);
+
+      await expect(cashOnDeliveryService.markCollected(order, 'admin-1')).rejects.toMatchObject({ status: 409 });
+      expect(Order.update).toHaveBeenCalledWith(
+        expect.objectContaining({ paymentStatus: 'paid' }),
+        expect.objectContaining({ where: { id: 'order-1', status: 'delivered', codCollectedAt: null } })
+      );
+      expect(order.codCollectedAt).toBeNull();
+    });
+  });
+
+  describe('cancelUnconfirmed()', () => {
+    it('cancels stale unconfirmed orders and releases what they held', async () => {
+      const order = buildOrder();
+      Order.findAll.mockResolvedValue([order]);
+
+      const cancelled = await cashOnDeliveryService.cancelUnconfirmed();
+
+      expect(cancelled).toBe(1);
+      expect(Order.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'cancelled' }),
+        expect.objectContaining({ where: { id: 'order-1', status: 'pending', codConfirmedAt: null } })
+      );
+      expect(inventoryService.restockOrder).toHaveBeenCalledWith(order, expect.stringContaining('UMD-1001'), expect.any(Object));
+      expect(loyaltyService.releaseVoucher).toHaveBeenCalledWith(order, expect.any(Object));
+      expect(couponService.releaseRedemption).toHaveBeenCalledWith(order, expect.any(Object));
+      expect(emailService.sendOrderStatusUpdateEmail).toHaveBeenCalled();
+    });
+
+    it('leaves orders confirmed in the meantime untouched', async () => {
+      Order.findAll.mockResolvedValue([buildOrder()]);
+      Order.update.mockResolvedValue([0]);
+
+      const cancelled = await cashOnDeliveryService.cancelUnconfirmed();
+
+      expect(cancelled).toBe(0);
+      expect(inventoryService.restockOrder).not.toHaveBeenCalled();
+    });
+  });
+});
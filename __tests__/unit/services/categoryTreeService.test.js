@@ -0,0 +1,122 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Category', () => ({
+  findAll: jest.fn(),
+  update: jest.fn(),
+}));
+
+const Category = require('../../../models/Category');
+const categoryTreeService = require('../../../services/categoryTreeService');
+
+const ROOT = '00000000-0000-4000-8000-000000000001';
+const CHILD = '00000000-0000-4000-8000-000000000002';
+const GRANDCHILD = '00000000-0000-4000-8000-000000000003';
+const OTHER_ROOT = '00000000-0000-4000-8000-000000000004';
+
+const buildCategories = () => [
+  { id: ROOT, name: 'Mode', slug: 'mode', parentId: null, level: 0, sortOrder: 1 },
+  { id: CHILD, name: 'Femme', slug: 'femme', parentId: ROOT, level: 1, sortOrder: 0 },
+  { id: GRANDCHILD, name: 'Caftans', slug: 'caftans', parentId: CHILD, level: 2, sortOrder: 0 },
+  { id: OTHER_ROOT, name: 'Artisanat', slug: 'artisanat', parentId: null, level: 0, sortOrder: 0 },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Category.findAll.mockResolvedValue(buildCategories());
+  Category.update.mockResolvedValue([1]);
+});
+
+describe('CategoryTreeService', () => {
+  describe('buildTree()', () => {
+    it('nests children and sorts each level by sortOrder', () => {
+      const tree = categoryTreeService.buildTree(buildCategories());
+
+      expect(tree.map(node => node.slug)).toEqual(['artisanat', 'mode']);
+      expect(tree[1].children[0].slug).toBe('femme');
+      expect(tree[1].children[0].children[0].slug).toBe('caftans');
+    });
+
+    it('drops subtrees whose parent is missing', () => {
+      const tree = categoryTreeService.buildTree(buildCategories().filter(category => category.id !== CHILD));
+
+      expect(tree[1].children).toEqual([]);
+    });
+  });
+
+  describe('getBreadcrumb()', () => {
+    it('returns the path from the root, by slug or id', async () => {
+      const bySlug = await categoryTreeService.getBreadcrumb('caftans');
+
+      expect(bySlug.map(step => step.slug)).toEqual(['mode', 'femme', 'caftans']);
+      expect(await categoryTreeService.getBreadcrumb(CHILD)).toHaveLength(2);
+      expect(await categoryTreeService.getBreadcrumb('inconnue')).toBeNull();
+    });
+  });
+
+  describe('getDescendantIds()', () => {
+    it('includes the category and every level below it', async () => {
+      expect(await categoryTreeService.getDescendantIds(ROOT)).toEqual([ROOT, CHILD, GRANDCHILD]);
+      expect(await categoryTreeService.getDescendantIds(GRANDCHILD)).toEqual([GRANDCHILD]);
+    });
+  });
+
+  describe('moveCategories()', () => {
+    it('recomputes the level of the moved subtree', async () => {
+      const changed = await categoryTreeService.moveCategories([{ id: CHILD, parentId: OTHER_ROOT, sortOrder: 3 }]);
+
+      expect(changed.map(category => category.id)).toEqual([CHILD]);
+      expect(Category.update).toHaveBeenCalledWith(
+        { parentId: OTHER_ROOT, level: 1, sortOrder: 3 },
+        expect.objectContaining({ where: { id: CHILD } })
+      );
+    });
+
+    it('locks the categories, in the caller transaction when given one', async () => {
+      const transaction = { id: 'outer' };
+
+      await categoryTreeService.moveCategories([{ id: CHILD, parentId: OTHER_ROOT }], { transaction });
+
+      expect(Category.findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: true }));
+      expect(Category.update).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ transaction }));
+    });
+
+    it('treats a category whose parent no longer exists as a root', async () => {
+      Category.findAll.mockResolvedValue([
+        ...buildCategories(),
+        { id: '00000000-0000-4000-8000-000000000005', name: 'Bijoux', slug: 'bijoux', parentId: '00000000-0000-4000-8000-000000000009', level: 1, sortOrder: 0 },
+      ]);
+
+      const changed = await categoryTreeService.moveCategories([{ id: CHILD, parentId: OTHER_ROOT }]);
+
+      expect(changed.map(category => category.id)).toEqual([CHILD, '00000000-0000-4000-8000-000000000005']);
+      expect(changed[1].level).toBe(0);
+    });
+
+    it('updates descendant levels when a category moves to the root', async () => {
+      await categoryTreeService.moveCategories([{ id: CHILD, parentId: null }]);
+
+      expect(Category.update).toHaveBeenCalledWith(
+        { parentId: null, level: 0, sortOrder: 0 },
+        expect.objectContaining({ where: { id: CHILD } })
+      );
+      expect(Category.update).toHaveBeenCalledWith(
+        { parentId: CHILD, level: 1, sortOrder: 0 },
+        expect.objectContaining({ where: { id: GRANDCHILD } })
+      );
+    });
+
+    it('refuses to move a category under its own descendant', async () => {
+      await expect(categoryTreeService.moveCategories([{ id: ROOT, parentId: GRANDCHILD }]))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(categoryTreeService.moveCategories([{ id: CHILD, parentId: CHILD }]))
+        .rejects.toMatchObject({ status: 400 });
+      expect(Category.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown categories and parents', async () => {
+      await expect(categoryTreeService.moveCategories([{ id: '00000000-0000-4000-8000-000000000009' }]))
+        .rejects.toMatchObject({ status: 404 });
+      await expect(categoryTreeService.moveCategories([{ id: CHILD, parentId: '00000000-0000-4000-8000-000000000009' }]))
+        .rejects.toThrow('Catégorie parente non trouvée');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Coupon', () => ({
+  findOne: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../models/CouponRedemption', () => ({
+  count: jest.fn(),
+  create: jest.fn(),
+  findOne: jest.fn(),
+  sum: jest.fn(),
+}));
+
+const Coupon = require('../../../models/Coupon');
+const CouponRedemption = require('../../../models/CouponRedemption');
+const couponService = require('../../../services/couponService');
+
+function buildCoupon(overrides = {}) {
+  return {
+    id: 'coupon-1',
+    code: 'RAMADAN20',
+    type: 'percent',
+    value: 20,
+    maxDiscountAmount: null,
+    minSubtotal: 0,
+    usageLimit: null,
+    usageLimitPerUser: null,
+    usageCount: 0,
+    startsAt: null,
+    endsAt: null,
+    isActive: true,
+    appliesToProduct: jest.fn().mockReturnValue(true),
+    ...overrides,
+  };
+}
+
+const lines = [
+  { product: { id: 'prod-1', categoryId: 'cat-1' }, totalPrice: 300 },
+  { product: { id: 'prod-2', categoryId: 'cat-2' }, totalPrice: 100 },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('CouponService', () => {
+  describe('validateCoupon()', () => {
+    it('computes a percentage discount on the whole basket', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon());
+
+      const result = await couponService.validateCoupon(' ramadan20 ', { userId: 'user-1', items: lines, subtotal: 400 });
+
+      expect(Coupon.findOne).toHaveBeenCalledWith({ where: { code: 'RAMADAN20' } });
+      expect(result.discountAmount).toBe(80);
+      expect(result.freeShipping).toBe(false);
+    });
+
+    it('only discounts lines matching a scoped coupon', async () => {
+      const coupon = buildCoupon({
+        appliesToProduct: jest.fn((product) => product.categoryId === 'cat-2'),
+      });
+      Coupon.findOne.mockResolvedValue(coupon);
+
+      const result = await couponService.validateCoupon('RAMADAN20', { userId: 'user-1', items: lines, subtotal: 400 });
+
+      expect(result.eligibleSubtotal).toBe(100);
+      expect(result.discountAmount).toBe(20);
+    });
+
+    it('caps fixed discounts at the eligible subtotal', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ type: 'fixed', value: 500 }));
+
+      const result = await couponService.validateCoupon('RAMADAN20', { userId: 'user-1', items: lines, subtotal: 400 });
+
+      expect(result.discountAmount).toBe(400);
+    });
+
+    it('flags free-shipping coupons without a product discount', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ type: 'free_shipping', value: 0 }));
+
+      const result = await couponService.validateCoupon('RAMADAN20', { userId: 'user-1', items: lines, subtotal: 400 });
+
+      expect(result.discountAmount).toBe(0);
+      expect(result.freeShipping).toBe(true);
+    });
+
+    it('rejects expired coupons', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ endsAt: new Date(Date.now() - 1000) }));
+
+      await expect(couponService.validateCoupon('RAMADAN20', { userId: 'user-1', items: lines, subtotal: 400 }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('expiré') });
+    });
+
+    it('rejects baskets under the minimum subtotal', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ minSubtotal: 500 }));
+
+      await expect(couponService.validateCoupon('RAMADAN20', { userId: 'user-1', items: lines, subtotal: 400 }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('enforces the per-user usage limit', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ usageLimitPerUser: 1 }));
+      CouponRedemption.count.mockResolvedValue(1);
+
+      await expect(couponService.validateCoupon('RAMADAN20', { userId: 'user-1', items: lines, subtotal: 400 }))
+        .rejects.toMatchObject({ message: expect.stringContaining('déjà utilisé') });
+    });
+
+    it('returns 404 for unknown or inactive codes', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ isActive: false }));
+
+      await expect(couponService.validateCoupon('NOPE', { userId: 'user-1', items: lines, subtotal: 400 }))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('recordRedemption()', () => {
+    it('increments usage and stores the redemption', async () => {
+      Coupon.update.mockResolvedValue([1]);
+      CouponRedemption.create.mockResolvedValue({ id: 'redemption-1' });
+      const transaction = {};
+
+      await couponService.recordRedemption(buildCoupon(), { userId: 'user-1', orderId: 'order-1', discountAmount: 80 }, { transaction });
+
+      expect(CouponRedemption.create).toHaveBeenCalledWith({
+        couponId: 'coupon-1',
+        userId: 'user-1',
+        orderId: 'order-1',
+        code: 'RAMADAN20',
+        discountAmount: 80,
+      }, { transaction });
+    });
+
+    it('refuses when the customer used up their own limit concurrently', async () => {
+      Coupon.update.mockResolvedValue([1]);
+      CouponRedemption.count.mockResolvedValue(1);
+      const transaction = {};
+
+      await expect(couponService.recordRedemption(buildCoupon({ usageLimitPerUser: 1 }), { userId: 'user-1', orderId: 'order-1', discountAmount: 80 }, { transaction }))
+        .rejects.toMatchObject({ status: 409 });
+      expect(CouponRedemption.count).toHaveBeenCalledWith({ where: { couponId: 'coupon-1', userId: 'user-1' }, transaction });
+      expect(CouponRedemption.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses when the global limit was reached concurrently', async () => {
+      Coupon.update.mockResolvedValue([0]);
+
+      await expect(couponService.recordRedemption(buildCoupon({ usageLimit: 10 }), { userId: 'user-1', orderId: 'order-1', discountAmount: 80 }))
+        .rejects.toMatchObject({ status: 400 });
+      expect(CouponRedemption.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseRedemption()', () => {
+    it('deletes the redemption and gives the use back to the coupon', async () => {
+      const redemption = { id: 'redemption-1', couponId: 'coupon-1', destroy: jest.fn() };
+      CouponRedemption.findOne.mockResolvedValue(redemption);
+      const transaction = {};
+
+      const released = await couponService.releaseRedemption({ id: 'order-1' }, { transaction });
+
+      expect(released).toBe(true);
+      expect(CouponRedemption.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { orderId: 'order-1' }, transaction }));
+      expect(redemption.destroy).toHaveBeenCalledWith({ transaction });
+      expect(Coupon.update).toHaveBeenCalledWith(expect.any(Object), { where: { id: 'coupon-1' }, transaction });
+    });
+
+    it('does nothing for an order placed without a coupon', async () => {
+      CouponRedemption.findOne.mockResolvedValue(null);
+
+      const released = await couponService.releaseRedemption({ id: 'order-1' });
+
+      expect(released).toBe(false);
+      expect(Coupon.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs').promises;
+const emailTemplateService = require('../../../services/emailTemplateService');
+const samples = require('../../../templates/samples.json');
+const fr = require('../../../templates/locales/fr.json');
+const en = require('../../../templates/locales/en.json');
+const ar = require('../../../templates/locales/ar.json');
+
+// Dotted paths of every message in a catalog
+const keysOf = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+  typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('emailTemplateService', () => {
+  it('has sample data for every template', async () => {
+    const templates = await emailTemplateService.listTemplates();
+
+    expect(templates).toContain('orderConfirmation');
+    expect(Object.keys(samples).sort()).toEqual(templates);
+  });
+
+  it('translates every message in English and Arabic', () => {
+    expect(keysOf(en)).toEqual(keysOf(fr));
+    expect(keysOf(ar)).toEqual(keysOf(fr));
+  });
+
+  describe.each(['fr', 'ar', 'en'])('in %s', (language) => {
+    it.each(Object.keys(samples))('renders %s completely', async (name) => {
+      const email = await emailTemplateService.preview(name, language);
+
+      expect(email.language).toBe(language);
+      expect(email.subject).not.toMatch(/\{\{|undefined/);
+      expect(email.html).not.toMatch(/\{\{|undefined/);
+      expect(email.text).not.toMatch(/<|\{\{|undefined/);
+    });
+  });
+
+  it('lays Arabic emails out right to left', async () => {
+    const email = await emailTemplateService.render('welcomeEmail', { userName: 'Salma', shopUrl: 'https://umod.ma' }, 'ar');
+
+    expect(email.html).toContain('<html lang="ar" dir="rtl">');
+    expect(email.subject).toBe(ar.welcomeEmail.subject);
+  });
+
+  it('fills and escapes the data, in the default language when the requested one is unknown', async () => {
+    const email = await emailTemplateService.render('orderStatusUpdate', {
+      ...samples.orderStatusUpdate,
+      userName: '<script>x</script>',
+      status: 'delivered',
+      previousStatus: 'shipped'
+    }, 'de');
+
+    expect(email.language).toBe('fr');
+    expect(email.subject).toBe('📦 Commande UMOD-20260512-0042 — Livrée');
+    expect(email.html).toContain('&lt;script&gt;x&lt;/script&gt;');
+    expect(email.html).not.toContain('RR123456789MA');
+    expect(email.text).toContain('Votre commande a été livrée.');
+  });
+
+  it('rejects unknown templates', async () => {
+    await expect(emailTemplateService.render('layouts', {})).rejects.toMatchObject({ status: 404 });
+    await expect(emailTemplateService.preview('missingTemplate', 'fr')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('reads the template list from disk once', async () => {
+    await emailTemplateService.listTemplates();
+    const readdir = jest.spyOn(fs, 'readdir');
+
+    await emailTemplateService.preview('orderConfirmation', 'fr');
+
+    expect(readdir).not.toHaveBeenCalled();
+    readdir.mockRestore();
+  });
+});
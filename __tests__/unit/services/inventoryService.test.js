@@ -12,6 +12,9 @@ jest.mock('../../../models/StockHistory', () => ({
 }));
 
 jest.mock('../../../models/User', () => ({}));
+jest.mock('../../../models/OrderItem', () => ({
+  findAll: jest.fn(),
+}));
 
 // Mock models/index.js to prevent association loading
 jest.mock('../../../models/index', () => ({}));
@@ -38,6 +41,9 @@ beforeEach(() => {
     findAll: jest.fn(),
   }));
   jest.mock('../../../models/User', () => ({}));
+  jest.mock('../../../models/OrderItem', () => ({
+    findAll: jest.fn(),
+  }));
   jest.mock('../../../models/index', () => ({}));
 
   inventoryService = require('../../../services/inventoryService');
@@ -109,6 +115,47 @@ describe('InventoryService', () => {
       expect(mockProduct.update).toHaveBeenCalledWith({ stockQuantity: 40 });
     });
 
+    it('sets an absolute level from the locked row', async () => {
+      const mockProduct = {
+        id: 'prod-1',
+        name: 'Test Product',
+        stockQuantity: 50,
+        minStockLevel: 10,
+        lastStockAlert: null,
+        update: jest.fn().mockResolvedValue(),
+      };
+      const ProductModel = require('../../../models/Product');
+      const StockHistoryModel = require('../../../models/StockHistory');
+      const transaction = { afterCommit: jest.fn() };
+
+      ProductModel.findByPk.mockResolvedValue(mockProduct);
+      StockHistoryModel.create.mockResolvedValue({});
+
+      const result = await inventoryService.updateStock(
+        'prod-1', 35, 'adjustment', 'Inventaire', null, null, null, 'admin-1', { transaction, absolute: true }
+      );
+
+      expect(ProductModel.findByPk).toHaveBeenCalledWith('prod-1', { transaction, lock: true });
+      expect(result).toMatchObject({ previousStock: 50, newStock: 35, change: -15 });
+      expect(StockHistoryModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ quantity: -15, previousStock: 50, newStock: 35 }),
+        { transaction }
+      );
+    });
+
+    it('writes nothing when an absolute level matches the stock', async () => {
+      const mockProduct = { id: 'prod-1', stockQuantity: 50, update: jest.fn() };
+      const ProductModel = require('../../../models/Product');
+      const StockHistoryModel = require('../../../models/StockHistory');
+      ProductModel.findByPk.mockResolvedValue(mockProduct);
+
+      const result = await inventoryService.updateStock('prod-1', 50, 'adjustment', 'Inventaire', null, null, null, null, { absolute: true });
+
+      expect(result.change).toBe(0);
+      expect(mockProduct.update).not.toHaveBeenCalled();
+      expect(StockHistoryModel.create).not.toHaveBeenCalled();
+    });
+
     it('throws when result would be negative stock', async () => {
       const mockProduct = {
         id: 'prod-1',
@@ -205,4 +252,24 @@ describe('InventoryService', () => {
       expect(mockProduct.update).not.toHaveBeenCalled();
     });
   });
+
+  describe('restockOrder()', () => {
+    it('puts back only the units not already restocked by a refund', async () => {
+      const OrderItemModel = require('../../../models/OrderItem');
+      OrderItemModel.findAll.mockResolvedValue([
+        { productId: 'prod-1', variantId: null, quantity: 3, refundedQuantity: 1 },
+        { productId: 'prod-2', variantId: 'var-2', quantity: 1, refundedQuantity: 1 },
+      ]);
+      const updateStock = jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({ success: true });
+      const transaction = {};
+
+      const restocked = await inventoryService.restockOrder({ id: 'order-1' }, 'Annulation ORD-1', { transaction });
+
+      expect(updateStock).toHaveBeenCalledTimes(1);
+      expect(updateStock).toHaveBeenCalledWith(
+        'prod-1', 2, 'in', 'Annulation ORD-1', 'order-1', 'order', null, null, { transaction, variantId: null }
+      );
+      expect(restocked).toEqual([{ productId: 'prod-1', variantId: null, quantity: 2 }]);
+    });
+  });
 });
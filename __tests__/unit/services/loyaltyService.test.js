@@ -0,0 +1,297 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/User', () => ({
+  update: jest.fn(),
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../models/LoyaltyVoucher', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../models/LoyaltyTransaction', () => ({
+  create: jest.fn(),
+  count: jest.fn(),
+  sum: jest.fn(),
+  findAndCountAll: jest.fn(),
+}));
+
+const User = require('../../../models/User');
+const LoyaltyVoucher = require('../../../models/LoyaltyVoucher');
+const LoyaltyTransaction = require('../../../models/LoyaltyTransaction');
+const loyaltyService = require('../../../services/loyaltyService');
+
+function buildUser(overrides = {}) {
+  return {
+    id: 'user-1',
+    loyaltyPoints: 2500,
+    reload: jest.fn().mockImplementation(function () {
+      this.loyaltyPoints = 500;
+      return Promise.resolve(this);
+    }),
+    ...overrides,
+  };
+}
+
+function buildVoucher(overrides = {}) {
+  return {
+    id: 'voucher-1',
+    code: 'FID-3F9A12BC',
+    amount: '100.00',
+    status: 'active',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    isUsable: jest.fn().mockReturnValue(true),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  LoyaltyTransaction.create.mockImplementation(async (data) => ({ id: 'ledger-1', ...data }));
+});
+
+describe('LoyaltyService', () => {
+  describe('redeemPoints()', () => {
+    it('deducts the points and persists a voucher', async () => {
+      const user = buildUser();
+      User.update.mockResolvedValue([1]);
+      User.findByPk.mockResolvedValue({ id: 'user-1', loyaltyPoints: 500 });
+      LoyaltyVoucher.create.mockImplementation(async (data) => ({ id: 'voucher-1', ...data }));
+
+      const result = await loyaltyService.redeemPoints(user, 2000);
+
+      expect(User.update).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ where: expect.objectContaining({ id: 'user-1' }) })
+      );
+      expect(LoyaltyVoucher.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        amount: 100,
+        pointsRedeemed: 2000,
+        status: 'active',
+        code: expect.stringMatching(/^FID-[0-9A-F]{8}$/),
+      }), expect.any(Object));
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        type: 'redeem',
+        points: -2000,
+        balanceAfter: 500,
+        voucherId: 'voucher-1',
+      }), expect.any(Object));
+      expect(result).toMatchObject({ voucherAmount: 100, remainingPoints: 500, pointsRedeemed: 2000 });
+      expect(result.voucher.id).toBe('voucher-1');
+    });
+
+    it('creates no voucher when a concurrent redemption drained the balance', async () => {
+      User.update.mockResolvedValue([0]);
+      LoyaltyVoucher.create.mockImplementation(async (data) => ({ id: 'voucher-1', ...data }));
+
+      await expect(loyaltyService.redeemPoints(buildUser(), 2000)).rejects.toThrow('Points insuffisants.');
+      expect(LoyaltyTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('awardPoints()', () => {
+    it('writes an earn entry keyed to the order', async () => {
+      // The instance is stale: another order raised the total since it was loaded
+      const user = buildUser({ loyaltyPoints: 0, totalLoyaltyPointsEarned: 4000, loyaltyTier: 'bronze' });
+      User.update.mockResolvedValue([1]);
+      User.findByPk
+        .mockResolvedValueOnce({ id: 'user-1', loyaltyTier: 'bronze', totalLoyaltyPointsEarned: 4900 })
+        .mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 200 });
+
+      const result = await loyaltyService.awardPoints(user, 100, true, 'order-1');
+
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'earn',
+        points: 200,
+        balanceAfter: 200,
+        orderId: 'order-1',
+      }), expect.any(Object));
+      expect(User.update).toHaveBeenCalledWith(
+        { totalLoyaltyPointsEarned: 5100, loyaltyTier: 'silver' },
+        expect.objectContaining({ where: { id: 'user-1' } })
+      );
+      expect(User.findByPk).toHaveBeenNthCalledWith(1, 'user-1', expect.objectContaining({ lock: true }));
+      expect(result).toMatchObject({ pointsEarned: 200, newBalance: 200, newTier: 'silver', tierUpgrade: true });
+    });
+  });
+
+  describe('reverseOrderPoints()', () => {
+    const order = { id: 'order-1', userId: 'user-1' };
+
+    it('debits the points earned on the order', async () => {
+      LoyaltyTransaction.count.mockResolvedValue(0);
+      LoyaltyTransaction.sum.mockResolvedValue(300);
+      User.findByPk
+        .mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 1000, totalLoyaltyPointsEarned: 6000 })
+        .mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 700 });
+      User.update.mockResolvedValue([1]);
+
+      const entry = await loyaltyService.reverseOrderPoints(order, 'Annulation');
+
+      expect(User.update).toHaveBeenCalledWith(
+        { totalLoyaltyPointsEarned: 5700, loyaltyTier: 'silver' },
+        expect.any(Object)
+      );
+      expect(entry).toMatchObject({ type: 'reversal', points: -300, balanceAfter: 700, orderId: 'order-1' });
+    });
+
+    it('caps the reversal at the points still on the account', async () => {
+      LoyaltyTransaction.count.mockResolvedValue(0);
+      LoyaltyTransaction.sum.mockResolvedValue(300);
+      User.findByPk
+        .mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 100, totalLoyaltyPointsEarned: 300 })
+        .mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 0 });
+      User.update.mockResolvedValue([1]);
+
+      const entry = await loyaltyService.reverseOrderPoints(order, 'Annulation');
+
+      expect(entry.points).toBe(-100);
+      expect(entry.description).toContain('200 points déjà utilisés');
+    });
+
+    it('marks the order reversed even when every point was spent', async () => {
+      LoyaltyTransaction.count.mockResolvedValue(0);
+      LoyaltyTransaction.sum.mockResolvedValue(300);
+      User.findByPk.mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 0, totalLoyaltyPointsEarned: 300 });
+      User.update.mockResolvedValue([1]);
+
+      const entry = await loyaltyService.reverseOrderPoints(order, 'Annulation');
+
+      expect(entry).toBeNull();
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'reversal', points: 0, orderId: 'order-1' }),
+        expect.any(Object)
+      );
+    });
+
+    it('does nothing when the order was already reversed', async () => {
+      User.findByPk.mockResolvedValueOnce({ id: 'user-1', loyaltyPoints: 1000, totalLoyaltyPointsEarned: 6000 });
+      LoyaltyTransaction.count.mockResolvedValue(1);
+
+      const entry = await loyaltyService.reverseOrderPoints(order, 'Annulation');
+
+      expect(entry).toBeNull();
+      expect(User.findByPk).toHaveBeenCalledWith('user-1', expect.objectContaining({ lock: true }));
+      expect(LoyaltyTransaction.count).toHaveBeenCalledWith(expect.objectContaining({ transaction: expect.any(Object) }));
+      expect(User.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUsableVoucher()', () => {
+    it('looks the code up for the user only', async () => {
+      LoyaltyVoucher.findOne.mockResolvedValue(buildVoucher());
+
+      await loyaltyService.getUsableVoucher('user-1', ' fid-3f9a12bc ');
+
+      expect(LoyaltyVoucher.findOne).toHaveBeenCalledWith({ where: { code: 'FID-3F9A12BC', userId: 'user-1' } });
+    });
+
+    it('rejects consumed vouchers', async () => {
+      LoyaltyVoucher.findOne.mockResolvedValue(buildVoucher({
+        status: 'consumed',
+        isUsable: jest.fn().mockReturnValue(false),
+      }));
+
+      await expect(loyaltyService.getUsableVoucher('user-1', 'FID-3F9A12BC'))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('déjà été utilisé') });
+    });
+
+    it('returns 404 for unknown codes', async () => {
+      LoyaltyVoucher.findOne.mockResolvedValue(null);
+
+      await expect(loyaltyService.getUsableVoucher('user-1', 'FID-00000000'))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('consumeVoucher()', () => {
+    it('marks the voucher consumed for the order', async () => {
+      LoyaltyVoucher.update.mockResolvedValue([1]);
+      const transaction = {};
+
+      await loyaltyService.consumeVoucher(buildVoucher(), 'order-1', { transaction });
+
+      expect(LoyaltyVoucher.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'consumed', orderId: 'order-1' }),
+        expect.objectContaining({ where: expect.objectContaining({ id: 'voucher-1', status: 'active' }), transaction })
+      );
+    });
+
+    it('refuses when another checkout already consumed it', async () => {
+      LoyaltyVoucher.update.mockResolvedValue([0]);
+
+      await expect(loyaltyService.consumeVoucher(buildVoucher(), 'order-1'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('releaseVoucher()', () => {
+    const order = { id: 'order-1', loyaltyVoucherId: 'voucher-1' };
+
+    it('makes the voucher spendable again', async () => {
+      const voucher = buildVoucher({ status: 'consumed', orderId: 'order-1', update: jest.fn() });
+      LoyaltyVoucher.findOne.mockResolvedValue(voucher);
+      const transaction = {};
+
+      await loyaltyService.releaseVoucher(order, { transaction });
+
+      expect(LoyaltyVoucher.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'voucher-1', orderId: 'order-1', status: 'consumed' },
+        transaction,
+        lock: true,
+      }));
+      expect(voucher.update).toHaveBeenCalledWith({ status: 'active', consumedAt: null, orderId: null }, { transaction });
+      expect(LoyaltyTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('expires a voucher whose validity ended meanwhile, with a ledger line', async () => {
+      const voucher = buildVoucher({
+        status: 'consumed',
+        userId: 'user-1',
+        pointsRedeemed: 2000,
+        expiresAt: new Date(Date.now() - 1000),
+        update: jest.fn(),
+      });
+      LoyaltyVoucher.findOne.mockResolvedValue(voucher);
+      User.findByPk.mockResolvedValue({ id: 'user-1', loyaltyPoints: 300 });
+
+      await loyaltyService.releaseVoucher(order, { transaction: {} });
+
+      expect(voucher.update).toHaveBeenCalledWith({ status: 'expired' }, expect.anything());
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'expiry', points: 0, balanceAfter: 300, voucherId: 'voucher-1' }),
+        expect.anything()
+      );
+    });
+
+    it('does nothing for an order paid without a voucher', async () => {
+      const result = await loyaltyService.releaseVoucher({ id: 'order-1', loyaltyVoucherId: null });
+
+      expect(result).toBeNull();
+      expect(LoyaltyVoucher.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireVouchers()', () => {
+    it('writes an expiry line for each voucher it expires', async () => {
+      LoyaltyVoucher.findAll.mockResolvedValue([
+        buildVoucher({ id: 'voucher-1', userId: 'user-1' }),
+        buildVoucher({ id: 'voucher-2', userId: 'user-1' }),
+      ]);
+      // The second one was spent at checkout since it was loaded
+      LoyaltyVoucher.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+      User.findByPk.mockResolvedValue({ id: 'user-1', loyaltyPoints: 300 });
+
+      const expired = await loyaltyService.expireVouchers();
+
+      expect(expired).toBe(1);
+      expect(LoyaltyTransaction.create).toHaveBeenCalledTimes(1);
+      expect(LoyaltyTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'expiry', voucherId: 'voucher-1' }),
+        expect.anything()
+      );
+    });
+  });
+});
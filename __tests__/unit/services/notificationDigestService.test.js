@@ -0,0 +1,129 @@
+jest.mock('../../../models', () => ({
+  Notification: {
+    findAll: jest.fn(),
+    update: jest.fn(),
+  },
+  User: {
+    findByPk: jest.fn(),
+  },
+}));
+jest.mock('../../../services/emailService', () => ({
+  sendNotificationDigestEmail: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const { Notification, User } = require('../../../models');
+const emailService = require('../../../services/emailService');
+const notificationDigestService = require('../../../services/notificationDigestService');
+
+// Africa/Casablanca is UTC+1 outside Ramadan
+const at = (localTime) => new Date(`2026-05-12T${localTime}:00+01:00`);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('NotificationDigestService', () => {
+  describe('getScheduledDelivery()', () => {
+    it('sends instant notifications right away', () => {
+      expect(notificationDigestService.getScheduledDelivery({ deliveryMode: 'instant' }, 'medium', at('14:20'))).toBeNull();
+    });
+
+    it('holds hourly notifications until the next hour', () => {
+      expect(notificationDigestService.getScheduledDelivery({ deliveryMode: 'hourly' }, 'medium', at('14:20')))
+        .toEqual(at('15:00'));
+    });
+
+    it('holds daily notifications until the digest hour', () => {
+      expect(notificationDigestService.getScheduledDelivery({ deliveryMode: 'daily' }, 'high', at('14:20')))
+        .toEqual(new Date('2026-05-13T08:00:00+01:00'));
+    });
+
+    it('waits for the end of quiet hours spanning midnight', () => {
+      const preference = { deliveryMode: 'instant', quietHoursStart: '22:00', quietHoursEnd: '07:30' };
+
+      expect(notificationDigestService.getScheduledDelivery(preference, 'medium', at('23:10')))
+        .toEqual(new Date('2026-05-13T07:30:00+01:00'));
+      expect(notificationDigestService.getScheduledDelivery(preference, 'medium', at('12:00'))).toBeNull();
+    });
+
+    it('moves an hourly digest that falls in quiet hours', () => {
+      const preference = { deliveryMode: 'hourly', quietHoursStart: '13:00', quietHoursEnd: '18:00' };
+
+      expect(notificationDigestService.getScheduledDelivery(preference, 'low', at('12:40'))).toEqual(at('18:00'));
+    });
+
+    it('never delays critical notifications', () => {
+      const preference = { deliveryMode: 'daily', quietHoursStart: '00:00', quietHoursEnd: '23:59' };
+
+      expect(notificationDigestService.getScheduledDelivery(preference, 'critical', at('03:00'))).toBeNull();
+    });
+  });
+
+  describe('sendDueDigests()', () => {
+    it('sends one email per user and marks the notifications sent', async () => {
+      Notification.findAll.mockResolvedValue([
+        { id: 'n1', userId: 'user-1', title: 'Nouvelle commande', message: 'UMD-1' },
+        { id: 'n2', userId: 'user-2', title: 'Stock faible', message: 'Caftan' },
+        { id: 'n3', userId: 'user-1', title: 'Nouvelle commande', message: 'UMD-2' },
+      ]);
+      User.findByPk.mockImplementation(async (id) => ({ id, email: `${id}@example.com`, isActive: true }));
+      emailService.sendNotificationDigestEmail.mockResolvedValue({ success: true });
+
+      const result = await notificationDigestService.sendDueDigests(at('15:00'));
+
+      expect(result).toEqual({ users: 2, notifications: 3, failed: 0 });
+      expect(emailService.sendNotificationDigestEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'user-1@example.com' }),
+        [expect.objectContaining({ id: 'n1' }), expect.objectContaining({ id: 'n3' })],
+        { total: 2 }
+      );
+      expect(Notification.update).toHaveBeenCalledWith(
+        { emailStatus: 'sent' },
+        { where: { id: { [Op.in]: ['n1', 'n3'] } } }
+      );
+    });
+
+    it('keeps the notifications queued but pushes them back when the email fails', async () => {
+      Notification.findAll.mockResolvedValue([{ id: 'n1', userId: 'user-1', createdAt: at('14:55') }]);
+      User.findByPk.mockResolvedValue({ email: 'user-1@example.com', isActive: true });
+      emailService.sendNotificationDigestEmail.mockResolvedValue({ success: false });
+
+      const result = await notificationDigestService.sendDueDigests(at('15:00'));
+
+      expect(result.failed).toBe(1);
+      expect(Notification.update).toHaveBeenCalledTimes(1);
+      expect(Notification.update).toHaveBeenCalledWith(
+        { emailScheduledFor: at('15:15') },
+        { where: { id: { [Op.in]: ['n1'] } } }
+      );
+    });
+
+    it('waits longer the longer a digest keeps failing, up to a day', async () => {
+      Notification.findAll.mockResolvedValue([
+        { id: 'n1', userId: 'user-1', createdAt: at('11:00') },
+        { id: 'n2', userId: 'user-1', createdAt: at('14:00') },
+      ]);
+      User.findByPk.mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await notificationDigestService.sendDueDigests(at('15:00'));
+
+      expect(Notification.update).toHaveBeenCalledWith(
+        { emailScheduledFor: at('19:00') },
+        { where: { id: { [Op.in]: ['n1', 'n2'] } } }
+      );
+
+      Notification.update.mockClear();
+      Notification.findAll.mockResolvedValue([{ id: 'n1', userId: 'user-1', createdAt: new Date('2026-05-01T10:00:00+01:00') }]);
+
+      await notificationDigestService.sendDueDigests(at('15:00'));
+
+      expect(Notification.update).toHaveBeenCalledWith(
+        { emailScheduledFor: new Date('2026-05-13T15:00:00+01:00') },
+        { where: { id: { [Op.in]: ['n1'] } } }
+      );
+      console.error.mockRestore();
+    });
+  });
+});
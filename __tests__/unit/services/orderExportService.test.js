@@ -0,0 +1,110 @@
+jest.mock('../../../models/Order', () => ({
+  findAll: jest.fn(),
+}));
+jest.mock('../../../models/OrderItem', () => ({}));
+jest.mock('../../../models/OrderRefund', () => ({}));
+jest.mock('../../../models/User', () => ({}));
+jest.mock('../../../models/index', () => ({}));
+
+const { PassThrough } = require('stream');
+const { Op } = require('sequelize');
+const Order = require('../../../models/Order');
+const orderExportService = require('../../../services/orderExportService');
+const { buildOrder, buildOrderItem } = require('../../helpers/factories');
+
+const collect = (stream) => new Promise((resolve) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+const order = buildOrder({
+  orderNumber: 'ORD-1001',
+  customerFirstName: 'Salma',
+  customerLastName: 'Alaoui, née Idrissi',
+  refundedAmount: 0,
+  orderItems: [
+    buildOrderItem({ productSku: 'CAF-M', productName: 'Caftan', quantity: 2, unitPrice: 250, totalPrice: 500 }),
+    buildOrderItem({ productSku: 'BAB-38', productName: 'Babouches', quantity: 1, unitPrice: 120, totalPrice: 120 }),
+  ],
+  refunds: [],
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Order.findAll.mockResolvedValue([order]);
+});
+
+describe('OrderExportService', () => {
+  describe('buildOrderQuery()', () => {
+    it('translates the admin order filters', () => {
+      const { where, userInclude } = orderExportService.buildOrderQuery({
+        status: 'delivered',
+        startDate: '2026-01-01',
+        maxAmount: '500',
+        search: 'salma',
+      });
+
+      expect(where.status).toBe('delivered');
+      expect(where.createdAt[Op.gte]).toEqual(new Date('2026-01-01'));
+      expect(where.createdAt[Op.lte]).toBeUndefined();
+      expect(where.totalAmount).toEqual({ [Op.lte]: 500 });
+      expect(userInclude.where[Op.or]).toHaveLength(3);
+    });
+  });
+
+  describe('resolveColumns()', () => {
+    it('rejects unknown columns', () => {
+      expect(() => orderExportService.resolveColumns(['orderNumber', 'password']))
+        .toThrow('Colonne inconnue : password');
+    });
+
+    it('only allows item columns in per-item mode', () => {
+      expect(() => orderExportService.resolveColumns(['itemSku'])).toThrow('nécessite l\'export par article');
+      expect(orderExportService.resolveColumns(['itemSku'], true)).toHaveLength(1);
+    });
+  });
+
+  describe('writeCsv()', () => {
+    it('writes one row per order with escaped values', async () => {
+      const stream = new PassThrough();
+      const output = collect(stream);
+      const columns = orderExportService.resolveColumns(['orderNumber', 'customerName', 'itemCount', 'totalAmount']);
+
+      const rowCount = await orderExportService.writeCsv(stream, {}, { columns });
+      const lines = (await output).toString('utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+
+      expect(rowCount).toBe(1);
+      expect(lines).toEqual([
+        'Order Number,Customer Name,Items Count,Total Amount',
+        'ORD-1001,"Salma Alaoui, née Idrissi",3,76.98',
+      ]);
+    });
+
+    it('writes one row per line item in per-item mode', async () => {
+      const stream = new PassThrough();
+      const output = collect(stream);
+      const columns = orderExportService.resolveColumns(['orderNumber', 'itemSku', 'itemQuantity', 'itemTotal'], true);
+
+      await orderExportService.writeCsv(stream, {}, { columns, perItem: true, delimiter: ';' });
+      const lines = (await output).toString('utf8').trim().split('\r\n');
+
+      expect(lines.slice(1)).toEqual(['ORD-1001;CAF-M;2;500', 'ORD-1001;BAB-38;1;120']);
+    });
+  });
+
+  describe('writeXlsx()', () => {
+    it('streams a workbook', async () => {
+      const stream = new PassThrough();
+      const output = collect(stream);
+
+      const rowCount = await orderExportService.writeXlsx(stream, {}, {
+        columns: orderExportService.resolveColumns(null, true),
+        perItem: true,
+      });
+
+      expect(rowCount).toBe(2);
+      expect((await output).subarray(0, 2).toString()).toBe('PK');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/OutboundMessage', () => ({
+  create: jest.fn(),
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../services/transports', () => {
+  const transport = { name: 'memory', send: jest.fn(), isConfigured: () => true };
+  return { getTransport: () => transport, transport };
+});
+
+const OutboundMessage = require('../../../models/OutboundMessage');
+const { transport } = require('../../../services/transports');
+const outboxService = require('../../../services/outboxService');
+
+function buildMessage(overrides = {}) {
+  const message = {
+    id: 'msg-1',
+    channel: 'email',
+    recipient: 'salma@example.com',
+    payload: { to: 'salma@example.com', subject: 'Commande confirmée' },
+    status: 'sending',
+    attempts: 0,
+    maxAttempts: 6,
+    ...overrides,
+  };
+  message.update = jest.fn(async (values) => Object.assign(message, values));
+  message.reload = jest.fn(async () => message);
+  return message;
+}
+
+const permanent = (text) => Object.assign(new Error(text), { permanent: true });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  transport.send.mockResolvedValue({ providerMessageId: 'provider-1' });
+  OutboundMessage.update.mockResolvedValue([1]);
+});
+
+describe('OutboxService', () => {
+  describe('send()', () => {
+    it('stores the message and sends it right away', async () => {
+      const message = buildMessage();
+      OutboundMessage.create.mockResolvedValue(message);
+
+      const result = await outboxService.send('email', message.payload, { category: 'order_confirmation' });
+
+      expect(OutboundMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'email',
+        category: 'order_confirmation',
+        recipient: 'salma@example.com',
+        subject: 'Commande confirmée',
+        status: 'sending',
+      }));
+      expect(transport.send).toHaveBeenCalledWith(message);
+      expect(result.error).toBeNull();
+      expect(message).toMatchObject({ status: 'sent', attempts: 1, providerMessageId: 'provider-1', transport: 'memory' });
+    });
+
+    it('schedules a retry when the provider fails', async () => {
+      const message = buildMessage();
+      OutboundMessage.create.mockResolvedValue(message);
+      transport.send.mockRejectedValue(new Error('Service Unavailable'));
+
+      const before = Date.now();
+      const { error } = await outboxService.send('email', message.payload);
+
+      expect(error.message).toBe('Service Unavailable');
+      expect(message).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Service Unavailable' });
+      // First retry after a minute
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    });
+
+    it('dead-letters messages the provider refused for good', async () => {
+      const message = buildMessage({ channel: 'sms', recipient: '+212600000000' });
+      OutboundMessage.create.mockResolvedValue(message);
+      transport.send.mockRejectedValue(permanent('Invalid phone number'));
+
+      await outboxService.send('sms', { to: '+212600000000', body: 'Code 123456' });
+
+      expect(message).toMatchObject({ status: 'dead', attempts: 1, nextAttemptAt: null });
+    });
+
+    it('gives verification codes an expiry', async () => {
+      const message = buildMessage({ channel: 'sms' });
+      OutboundMessage.create.mockResolvedValue(message);
+
+      const before = Date.now();
+      await outboxService.send('sms', { to: '+212600000000', body: 'Code 123456' }, { category: 'phone_verification' });
+
+      const { expiresAt } = OutboundMessage.create.mock.calls[0][0];
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+      expect(expiresAt.getTime()).toBeLessThan(before + 11 * 60 * 1000);
+    });
+
+    it('dead-letters a code that would expire before the next attempt', async () => {
+      const message = buildMessage({ attempts: 2, expiresAt: new Date(Date.now() + 8 * 60 * 1000) });
+      OutboundMessage.create.mockResolvedValue(message);
+      transport.send.mockRejectedValue(new Error('Service Unavailable'));
+
+      await outboxService.send('sms', { to: '+212600000000', body: 'Code 123456' }, { category: 'phone_verification' });
+
+      // Third attempt would be 30 minutes later
+      expect(message).toMatchObject({ status: 'dead', attempts: 3, nextAttemptAt: null });
+    });
+  });
+
+  describe('getRetryDelay()', () => {
+    it('backs off and keeps the last delay', () => {
+      expect(outboxService.getRetryDelay(1)).toBe(60 * 1000);
+      expect(outboxService.getRetryDelay(2)).toBe(5 * 60 * 1000);
+      expect(outboxService.getRetryDelay(5)).toBe(720 * 60 * 1000);
+      expect(outboxService.getRetryDelay(9)).toBe(720 * 60 * 1000);
+    });
+  });
+
+  describe('processDue()', () => {
+    it('retries due messages and dead-letters the last attempt', async () => {
+      const retried = buildMessage({ status: 'pending', attempts: 2 });
+      const exhausted = buildMessage({ id: 'msg-2', status: 'pending', attempts: 5 });
+      OutboundMessage.findAll.mockResolvedValue([retried, exhausted]);
+      transport.send
+        .mockResolvedValueOnce({ providerMessageId: 'provider-2' })
+        .mockRejectedValueOnce(new Error('timeout'));
+
+      const result = await outboxService.processDue();
+
+      expect(result).toEqual({ sent: 1, retrying: 0, dead: 1 });
+      expect(retried).toMatchObject({ status: 'sent', attempts: 3 });
+      expect(exhausted).toMatchObject({ status: 'dead', attempts: 6 });
+    });
+
+    it('dead-letters due messages whose code expired', async () => {
+      const expired = buildMessage({ status: 'pending', attempts: 1, expiresAt: new Date(Date.now() - 1000) });
+      OutboundMessage.findAll.mockResolvedValue([expired]);
+
+      const result = await outboxService.processDue();
+
+      expect(result).toEqual({ sent: 0, retrying: 0, dead: 1 });
+      expect(transport.send).not.toHaveBeenCalled();
+      expect(expired.status).toBe('dead');
+    });
+
+    it('skips messages another worker claimed', async () => {
+      OutboundMessage.findAll.mockResolvedValue([buildMessage({ status: 'pending' })]);
+      OutboundMessage.update
+        .mockResolvedValueOnce([0]) // stale 'sending' reset
+        .mockResolvedValueOnce([0]); // claim lost
+
+      const result = await outboxService.processDue();
+
+      expect(result).toEqual({ sent: 0, retrying: 0, dead: 0 });
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('get()', () => {
+    it('hides the content of messages carrying a code or an account link', async () => {
+      const reset = buildMessage({ category: 'password_reset', payload: { to: 'salma@example.com', html: 'token=secret' } });
+      reset.toJSON = () => ({ id: reset.id, category: reset.category, payload: reset.payload });
+      OutboundMessage.findByPk.mockResolvedValue(reset);
+
+      const data = await outboxService.get('msg-1');
+
+      expect(data).toMatchObject({ id: 'msg-1', payload: null, payloadHidden: true });
+      expect(reset.payload.html).toBe('token=secret');
+    });
+
+    it('shows the content of other messages', async () => {
+      const confirmation = buildMessage({ category: 'order_confirmation' });
+      confirmation.toJSON = () => ({ id: confirmation.id, payload: confirmation.payload });
+      OutboundMessage.findByPk.mockResolvedValue(confirmation);
+
+      const data = await outboxService.get('msg-1');
+
+      expect(data.payload).toEqual(confirmation.payload);
+      expect(data.payloadHidden).toBeUndefined();
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      OutboundMessage.findByPk.mockResolvedValue(null);
+
+      await expect(outboxService.get('missing')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('resend()', () => {
+    it('gives a dead message a fresh set of attempts', async () => {
+      const message = buildMessage({ status: 'dead', attempts: 6 });
+      OutboundMessage.findByPk.mockResolvedValue(message);
+      message.reload.mockImplementation(async () => Object.assign(message, { status: 'sending', attempts: 0 }));
+
+      const { error } = await outboxService.resend('msg-1');
+
+      expect(OutboundMessage.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'sending', attempts: 0 }),
+        expect.objectContaining({ where: expect.objectContaining({ id: 'msg-1' }) })
+      );
+      expect(error).toBeNull();
+      expect(message).toMatchObject({ status: 'sent', attempts: 1 });
+    });
+
+    it('refuses to resend an expired code', async () => {
+      OutboundMessage.findByPk.mockResolvedValue(buildMessage({ status: 'dead', expiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(outboxService.resend('msg-1')).rejects.toMatchObject({ status: 409 });
+      expect(OutboundMessage.update).not.toHaveBeenCalled();
+    });
+
+    it('refuses to send a message twice', async () => {
+      OutboundMessage.findByPk.mockResolvedValue(buildMessage({ status: 'sent' }));
+      OutboundMessage.update.mockResolvedValue([0]);
+
+      await expect(outboxService.resend('msg-1')).rejects.toMatchObject({ status: 409 });
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -183,7 +183,7 @@ describe('PaymentProcessorService', () => {
 
       const result = await paymentProcessor.retrievePaymentIntent('pi_123');
 
-      expect(mockPaymentIntentsRetrieve).toHaveBeenCalledWith('pi_123');
+      expect(mockPaymentIntentsRetrieve).toHaveBeenCalledWith('pi_123', { expand: ['latest_charge'] });
       expect(result).toEqual(mockPI);
     });
   });
@@ -196,6 +196,7 @@ describe('PaymentProcessorService', () => {
 
       expect(mockRefundsCreate).toHaveBeenCalledWith({
         payment_intent: 'pi_123',
+        metadata: { source: 'backend' },
       });
     });
 
@@ -206,9 +207,21 @@ describe('PaymentProcessorService', () => {
 
       expect(mockRefundsCreate).toHaveBeenCalledWith({
         payment_intent: 'pi_123',
+        metadata: { source: 'backend' },
         amount: 1501,
       });
     });
+
+    it('tags order refunds with their row id and an idempotency key', async () => {
+      mockRefundsCreate.mockResolvedValue({ id: 're_123' });
+
+      await paymentProcessor.refundPayment('pi_123', 12000, { orderRefundId: 'refund-1' });
+
+      expect(mockRefundsCreate).toHaveBeenCalledWith(
+        { payment_intent: 'pi_123', metadata: { source: 'backend', orderRefundId: 'refund-1' }, amount: 12000 },
+        { idempotencyKey: 'order-refund-refund-1' }
+      );
+    });
   });
 
   describe('constructWebhookEvent()', () => {
@@ -0,0 +1,143 @@
+jest.mock('../../../models/Product', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../services/couponService', () => ({
+  validateCoupon: jest.fn(),
+}));
+jest.mock('../../../services/seasonalService', () => ({
+  getCampaignDiscount: jest.fn(),
+}));
+jest.mock('../../../services/loyaltyService', () => ({
+  getUsableVoucher: jest.fn(),
+}));
+
+const Product = require('../../../models/Product');
+const couponService = require('../../../services/couponService');
+const seasonalService = require('../../../services/seasonalService');
+const loyaltyService = require('../../../services/loyaltyService');
+const pricingService = require('../../../services/pricingService');
+
+function buildProduct(overrides = {}) {
+  return {
+    id: 'prod-1',
+    name: 'Caftan',
+    isActive: true,
+    stockQuantity: 10,
+    getDiscountedPrice: jest.fn().mockReturnValue(200),
+    ...overrides,
+  };
+}
+
+const member = {
+  id: 'user-1',
+  membershipStatus: 'active',
+  membershipExpiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+};
+const customer = { id: 'user-2', membershipStatus: 'none' };
+const items = [{ productId: 'prod-1', quantity: 2 }];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Product.findByPk.mockResolvedValue(buildProduct());
+  seasonalService.getCampaignDiscount.mockResolvedValue({ campaign: null, discountAmount: 0 });
+});
+
+describe('PricingService', () => {
+  describe('quote()', () => {
+    it('adds VAT and standard shipping for regular customers', async () => {
+      const quote = await pricingService.quote({ user: customer, items });
+
+      expect(quote).toMatchObject({
+        subtotal: 400,
+        taxAmount: 80,
+        shippingAmount: 64.2,
+        discountAmount: 0,
+        totalAmount: 544.2,
+        amountInCentimes: 54420,
+        isMember: false,
+      });
+    });
+
+    it('gives Prime members free shipping, 5% off and the campaign discount', async () => {
+      seasonalService.getCampaignDiscount.mockResolvedValue({
+        campaign: { id: 'campaign-1', name: 'Ramadan Kareem' },
+        discountAmount: 12,
+      });
+
+      const quote = await pricingService.quote({ user: member, items });
+
+      expect(seasonalService.getCampaignDiscount).toHaveBeenCalledWith(400, true);
+      expect(quote.shippingAmount).toBe(0);
+      expect(quote.primeDiscount).toBe(20);
+      expect(quote.discountAmount).toBe(32);
+      expect(quote.totalAmount).toBe(448);
+    });
+
+    it('applies the coupon and then the voucher', async () => {
+      couponService.validateCoupon.mockResolvedValue({
+        coupon: { id: 'coupon-1', code: 'RAMADAN20', type: 'percent' },
+        discountAmount: 80,
+        freeShipping: false,
+      });
+      loyaltyService.getUsableVoucher.mockResolvedValue({ id: 'voucher-1', code: 'FID-3F9A12BC', amount: '50.00' });
+
+      const quote = await pricingService.quote({ user: customer, items, couponCode: 'RAMADAN20', voucherCode: 'FID-3F9A12BC' });
+
+      expect(quote.couponDiscountAmount).toBe(80);
+      expect(quote.voucherAmount).toBe(50);
+      expect(quote.totalAmount).toBe(414.2);
+    });
+
+    it('caps the voucher at the order total', async () => {
+      Product.findByPk.mockResolvedValue(buildProduct({ getDiscountedPrice: jest.fn().mockReturnValue(10) }));
+      loyaltyService.getUsableVoucher.mockResolvedValue({ id: 'voucher-1', code: 'FID-3F9A12BC', amount: '100.00' });
+
+      const quote = await pricingService.quote({ user: customer, items, voucherCode: 'FID-3F9A12BC' });
+
+      expect(quote.voucherAmount).toBe(88.2);
+      expect(quote.totalAmount).toBe(0);
+    });
+
+    it('prices the chosen shipping method for the delivery city', async () => {
+      const quote = await pricingService.quote({ user: customer, items, shippingCity: 'Casablanca', shippingMethod: 'express' });
+
+      expect(quote.shipping).toMatchObject({ method: 'express', zone: 'casablanca' });
+      expect(quote.shipping.estimatedDeliveryDate).toBeInstanceOf(Date);
+      expect(quote.shippingAmount).toBe(60);
+      expect(quote.totalAmount).toBe(540);
+    });
+
+    it('only waives standard and relay shipping for free-shipping coupons', async () => {
+      couponService.validateCoupon.mockResolvedValue({
+        coupon: { id: 'coupon-2', code: 'LIVRAISON', type: 'free_shipping' },
+        discountAmount: 0,
+        freeShipping: true,
+      });
+
+      const standard = await pricingService.quote({ user: customer, items, couponCode: 'LIVRAISON' });
+      const express = await pricingService.quote({ user: customer, items, couponCode: 'LIVRAISON', shippingMethod: 'express' });
+
+      expect(standard.shippingAmount).toBe(0);
+      expect(express.shippingAmount).toBe(140);
+    });
+
+    it('adds the cash-on-delivery fee of the delivery zone', async () => {
+      const quote = await pricingService.quote({ user: customer, items, shippingCity: 'Casablanca', paymentMethod: 'cash_on_delivery' });
+
+      expect(quote.codFee).toBe(10);
+      expect(quote.totalAmount).toBe(525);
+    });
+
+    it('refuses cash on delivery where couriers do not collect cash', async () => {
+      await expect(pricingService.quote({ user: customer, items, shippingCity: 'Dakhla', paymentMethod: 'cash_on_delivery' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('rejects quantities above the available stock', async () => {
+      Product.findByPk.mockResolvedValue(buildProduct({ stockQuantity: 1 }));
+
+      await expect(pricingService.quote({ user: customer, items }))
+        .rejects.toMatchObject({ status: 400, message: 'Stock insuffisant pour Caftan' });
+    });
+  });
+});
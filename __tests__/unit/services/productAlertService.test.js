@@ -0,0 +1,160 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/ProductAlert', () => ({
+  findOrCreate: jest.fn(),
+  findAll: jest.fn(),
+  destroy: jest.fn(),
+}));
+jest.mock('../../../models/Product', () => ({
+  findOne: jest.fn(),
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../models/User', () => ({}));
+jest.mock('../../../models/Notification', () => ({
+  count: jest.fn(),
+}));
+jest.mock('../../../services/emailService', () => ({
+  sendProductAlertEmail: jest.fn(),
+}));
+
+const ProductAlert = require('../../../models/ProductAlert');
+const Product = require('../../../models/Product');
+const Notification = require('../../../models/Notification');
+const emailService = require('../../../services/emailService');
+const productAlertService = require('../../../services/productAlertService');
+
+const notificationService = {
+  getUserPreferences: jest.fn(),
+  createNotification: jest.fn(),
+};
+
+function buildProduct(overrides = {}) {
+  return { id: 'prod-1', name: 'Caftan soie', price: '400.00', stockQuantity: 5, isActive: true, ...overrides };
+}
+
+function buildAlert(overrides = {}) {
+  const alert = {
+    id: 'alert-1',
+    userId: 'user-1',
+    productId: 'prod-1',
+    type: 'back_in_stock',
+    source: 'manual',
+    user: { id: 'user-1', email: 'salma@example.com', firstName: 'Salma', isActive: true },
+    ...overrides,
+  };
+  alert.update = jest.fn(async (values) => Object.assign(alert, values));
+  alert.destroy = jest.fn();
+  return alert;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  productAlertService.setNotificationService(notificationService);
+  Notification.count.mockResolvedValue(0);
+  notificationService.getUserPreferences.mockResolvedValue({});
+  emailService.sendProductAlertEmail.mockResolvedValue({ success: true });
+});
+
+describe('ProductAlertService', () => {
+  describe('subscribe()', () => {
+    it('creates a manual alert', async () => {
+      Product.findOne.mockResolvedValue(buildProduct({ stockQuantity: 0 }));
+      ProductAlert.findOrCreate.mockResolvedValue([buildAlert(), true]);
+
+      await productAlertService.subscribe('user-1', 'prod-1', 'back_in_stock');
+
+      expect(ProductAlert.findOrCreate).toHaveBeenCalledWith({
+        where: { userId: 'user-1', productId: 'prod-1', type: 'back_in_stock' },
+        defaults: { source: 'manual' },
+      });
+    });
+
+    it('refuses back-in-stock alerts for products in stock', async () => {
+      Product.findOne.mockResolvedValue(buildProduct());
+
+      await expect(productAlertService.subscribe('user-1', 'prod-1', 'back_in_stock'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('keeps a wishlist alert the customer asked for explicitly', async () => {
+      const alert = buildAlert({ type: 'price_drop', source: 'wishlist' });
+      Product.findOne.mockResolvedValue(buildProduct());
+      ProductAlert.findOrCreate.mockResolvedValue([alert, false]);
+
+      await productAlertService.subscribe('user-1', 'prod-1', 'price_drop');
+
+      expect(alert.update).toHaveBeenCalledWith({ source: 'manual' });
+    });
+  });
+
+  describe('notifyBackInStock()', () => {
+    it('alerts by email and in-app, then drops one-off alerts', async () => {
+      const manual = buildAlert();
+      const wishlist = buildAlert({ id: 'alert-2', userId: 'user-2', source: 'wishlist', user: { id: 'user-2', email: 'omar@example.com', isActive: true } });
+      Product.findByPk.mockResolvedValue(buildProduct());
+      ProductAlert.findAll.mockResolvedValue([manual, wishlist]);
+
+      const result = await productAlertService.notifyBackInStock('prod-1');
+
+      expect(result).toEqual({ notified: 2 });
+      expect(emailService.sendProductAlertEmail).toHaveBeenCalledTimes(2);
+      expect(notificationService.createNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-1', type: 'product_back_in_stock' })
+      );
+      expect(manual.destroy).toHaveBeenCalled();
+      expect(wishlist.update).toHaveBeenCalledWith({ lastNotifiedAt: expect.any(Date) });
+    });
+
+    it('does nothing while the product is still out of stock', async () => {
+      Product.findByPk.mockResolvedValue(buildProduct({ stockQuantity: 0 }));
+
+      await expect(productAlertService.notifyBackInStock('prod-1')).resolves.toEqual({ notified: 0 });
+      expect(ProductAlert.findAll).not.toHaveBeenCalled();
+    });
+
+    it('skips customers who reached their daily alerts', async () => {
+      const alert = buildAlert();
+      Product.findByPk.mockResolvedValue(buildProduct());
+      ProductAlert.findAll.mockResolvedValue([alert]);
+      Notification.count.mockResolvedValue(5);
+
+      await expect(productAlertService.notifyBackInStock('prod-1')).resolves.toEqual({ notified: 0 });
+      expect(emailService.sendProductAlertEmail).not.toHaveBeenCalled();
+      expect(alert.destroy).not.toHaveBeenCalled();
+    });
+
+    it('respects customers who turned the alert off', async () => {
+      Product.findByPk.mockResolvedValue(buildProduct());
+      ProductAlert.findAll.mockResolvedValue([buildAlert()]);
+      notificationService.getUserPreferences.mockResolvedValue({ product_back_in_stock: { enabled: false } });
+
+      await expect(productAlertService.notifyBackInStock('prod-1')).resolves.toEqual({ notified: 0 });
+      expect(emailService.sendProductAlertEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyPriceDrop()', () => {
+    it('announces the new price once', async () => {
+      const alert = buildAlert({ type: 'price_drop' });
+      Product.findByPk.mockResolvedValue(buildProduct({ price: '340.00' }));
+      ProductAlert.findAll.mockResolvedValue([alert]);
+
+      const result = await productAlertService.notifyPriceDrop('prod-1', 400);
+
+      expect(result).toEqual({ notified: 1 });
+      expect(emailService.sendProductAlertEmail).toHaveBeenCalledWith(alert.user, expect.objectContaining({
+        type: 'price_drop',
+        price: 340,
+        previousPrice: 400,
+        productUrl: expect.stringContaining('/products/prod-1'),
+      }));
+      expect(alert.update).toHaveBeenCalledWith({ lastNotifiedAt: expect.any(Date), notifiedPrice: 340 });
+    });
+
+    it('ignores drops below the threshold', async () => {
+      Product.findByPk.mockResolvedValue(buildProduct({ price: '390.00' }));
+
+      await expect(productAlertService.notifyPriceDrop('prod-1', 400)).resolves.toEqual({ notified: 0 });
+      expect(ProductAlert.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Product', () => ({
+  findAll: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock('../../../models/Category', () => ({
+  findAll: jest.fn(),
+}));
+jest.mock('../../../models/index', () => ({}));
+jest.mock('../../../services/inventoryService', () => ({
+  updateStock: jest.fn(),
+}));
+jest.mock('../../../services/productAlertService', () => ({
+  getPrice: jest.fn(product => Number(product.price)),
+  handleProductChange: jest.fn().mockResolvedValue(),
+}));
+
+const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+const inventoryService = require('../../../services/inventoryService');
+const productAlertService = require('../../../services/productAlertService');
+const productCsvService = require('../../../services/productCsvService');
+const { buildProduct } = require('../../helpers/factories');
+
+const CATEGORY_ID = 'c1d2e3f4-a5b6-7890-abcd-ef1234567890';
+const HEADER = 'sku,name,description,price,stockQuantity,category,tags';
+
+let existing;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  existing = buildProduct({ sku: 'CAF-M', name: 'Caftan Atlas', price: '250.00', stockQuantity: 4, hasVariants: false, tags: [] });
+  Product.findAll.mockResolvedValue([existing]);
+  Product.create.mockImplementation(async (data) => ({ id: 'new-id', ...data }));
+  Category.findAll.mockResolvedValue([{ id: CATEGORY_ID, slug: 'caftans' }]);
+});
+
+describe('ProductCsvService', () => {
+  describe('importCsv()', () => {
+    it('reports what a dry run would do without writing', async () => {
+      const csv = [
+        HEADER,
+        'CAF-M,,,229.90,,,',
+        'CAF-L,Caftan Atlas L,Caftan brodé à la main,260,3,caftans,fête|brodé',
+      ].join('\n');
+
+      const report = await productCsvService.importCsv(csv, { dryRun: true });
+
+      expect(report).toMatchObject({ dryRun: true, totalRows: 2, created: 1, updated: 1, failed: 0 });
+      expect(report.rows[0]).toMatchObject({ line: 2, sku: 'CAF-M', action: 'update', fields: ['price'] });
+      expect(report.rows[1]).toMatchObject({ line: 3, sku: 'CAF-L', action: 'create' });
+      expect(Product.create).not.toHaveBeenCalled();
+      expect(existing.update).not.toHaveBeenCalled();
+    });
+
+    it('applies valid rows and reports invalid ones', async () => {
+      const csv = [
+        HEADER,
+        'CAF-M,,,229.90,6,,',
+        'CAF-L,Caftan Atlas L,Caftan brodé à la main,260,3,caftans,fête|brodé',
+        'CAF-XL,Caftan Atlas XL,Caftan brodé à la main,-5,1,robes,',
+      ].join('\n');
+
+      const report = await productCsvService.importCsv(csv, { updateStock: true, performedBy: 'admin-1' });
+
+      expect(report).toMatchObject({ created: 1, updated: 1, failed: 1 });
+      expect(existing.update).toHaveBeenCalledWith({ price: 229.9 }, expect.anything());
+      expect(productAlertService.handleProductChange).toHaveBeenCalledWith(existing, { price: 250 });
+      expect(productAlertService.handleProductChange).toHaveBeenCalledTimes(1);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        existing.id, 6, 'adjustment', 'Import CSV', null, 'import', null, 'admin-1', expect.objectContaining({ absolute: true })
+      );
+      expect(Product.create).toHaveBeenCalledWith(expect.objectContaining({
+        sku: 'CAF-L',
+        categoryId: CATEGORY_ID,
+        tags: ['fête', 'brodé'],
+      }), expect.anything());
+      expect(report.rows[2].errors).toEqual([
+        'price doit être un nombre positif',
+        'Catégorie inconnue : robes',
+      ]);
+    });
+
+    it('leaves rows identical to the catalog untouched', async () => {
+      const report = await productCsvService.importCsv(`${HEADER}\nCAF-M,Caftan Atlas,,250,4,,`);
+
+      expect(report.rows[0].action).toBe('unchanged');
+      expect(existing.update).not.toHaveBeenCalled();
+    });
+
+    it('leaves the stock of existing products alone unless asked to set it', async () => {
+      const report = await productCsvService.importCsv(`${HEADER}\nCAF-M,,,229.90,1,,`);
+
+      expect(report.rows[0]).toMatchObject({ action: 'update', fields: ['price'] });
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+
+    it('refuses stock changes on products managed by variant', async () => {
+      existing.hasVariants = true;
+
+      const report = await productCsvService.importCsv(`${HEADER}\nCAF-M,,,,9,,`, { updateStock: true });
+
+      expect(report.rows[0].errors).toContain('Le stock de ce produit est géré par variante');
+    });
+
+    it('rejects unknown columns up front', async () => {
+      await expect(productCsvService.importCsv('sku,prix\nCAF-M,10'))
+        .rejects.toMatchObject({ status: 400, message: 'Colonnes inconnues : prix' });
+    });
+  });
+});
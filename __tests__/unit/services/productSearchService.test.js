@@ -0,0 +1,154 @@
+jest.mock('../../../config/database', () => ({
+  ...require('../../../__mocks__/sequelizeMock'),
+  escape: (value) => `'${String(value).replace(/'/g, "''")}'`,
+  literal: (sql) => ({ sql }),
+  col: (name) => ({ col: name }),
+  fn: (name, ...args) => ({ fn: name, args }),
+}));
+jest.mock('../../../models/Product', () => ({
+  findAndCountAll: jest.fn(),
+  findAll: jest.fn(),
+}));
+jest.mock('../../../models/Category', () => ({
+  findAll: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+const productSearchService = require('../../../services/productSearchService');
+
+const CATEGORY_ID = 'c1d2e3f4-a5b6-7890-abcd-ef1234567890';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ProductSearchService', () => {
+  describe('buildTsQuery()', () => {
+    it('prefix-matches every word and drops tsquery syntax', () => {
+      expect(productSearchService.buildTsQuery('Robe  brodée!')).toBe('Robe:* & brodée:*');
+      expect(productSearchService.buildTsQuery("caftan' | !(x")).toBe('caftan:* & x:*');
+      expect(productSearchService.buildTsQuery('قفطان مغربي')).toBe('قفطان:* & مغربي:*');
+      expect(productSearchService.buildTsQuery('  ')).toBe('');
+    });
+  });
+
+  describe('buildWhere()', () => {
+    it('combines full-text search with the catalog filters', () => {
+      const where = productSearchService.buildWhere({
+        search: 'caftan',
+        category: CATEGORY_ID,
+        minPrice: '100',
+        maxPrice: '500',
+        onSale: 'true',
+        minRating: '4',
+      });
+
+      expect(where).toMatchObject({
+        isActive: true,
+        categoryId: CATEGORY_ID,
+        price: { [Op.gte]: 100, [Op.lte]: 500 },
+        isOnSale: true,
+      });
+      expect(where[Op.and][0].sql).toContain(`"searchVector" @@ to_tsquery('french', f_unaccent('caftan:*'))`);
+      expect(where[Op.and][1].sql).toMatch(/AVG\(r\."rating"\).*>= 4$/);
+    });
+
+    it('leaves out the excluded filters', () => {
+      const where = productSearchService.buildWhere({ category: CATEGORY_ID, brand: 'Atlas' }, { exclude: ['category'] });
+
+      expect(where.categoryId).toBeUndefined();
+      expect(where.brand).toBe('Atlas');
+    });
+  });
+
+  describe('search()', () => {
+    it('ranks by relevance when searching and returns real ratings', async () => {
+      Product.findAndCountAll.mockResolvedValue({
+        count: 1,
+        rows: [{ toJSON: () => ({ id: 'p1', averageRating: '4.5', reviewCount: '2', relevance: '0.6' }) }],
+      });
+
+      const { count, products } = await productSearchService.search({ search: 'caftan' }, { page: 2, limit: 10 });
+
+      const options = Product.findAndCountAll.mock.calls[0][0];
+      expect(options.order[0][0].sql).toContain('ts_rank');
+      expect(options.offset).toBe(10);
+      expect(count).toBe(1);
+      expect(products[0]).toMatchObject({ averageRating: 4.5, reviewCount: 2, relevance: 0.6 });
+    });
+
+    it('sorts by the review average for sort=rating', async () => {
+      Product.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      await productSearchService.search({}, { sort: 'rating', order: 'desc' });
+
+      const [[expression, direction]] = Product.findAndCountAll.mock.calls[0][0].order;
+      expect(expression.sql).toContain('AVG(r."rating")');
+      expect(direction).toBe('DESC');
+    });
+  });
+
+  describe('getFacets()', () => {
+    it('shapes the facet counts', async () => {
+      Product.findAll
+        .mockResolvedValueOnce([{ categoryId: CATEGORY_ID, count: '3' }])
+        .mockResolvedValueOnce([{ brand: 'Atlas', count: '2' }, { brand: null, count: '1' }])
+        .mockResolvedValueOnce([{ bucket: 1, count: '2' }, { bucket: 4, count: '1' }])
+        .mockResolvedValueOnce([{ stars: '4', count: '1' }, { stars: '3', count: '1' }, { stars: '0', count: '1' }])
+        .mockResolvedValueOnce([{ isOnSale: true, count: '1' }, { isOnSale: false, count: '2' }]);
+      Category.findAll.mockResolvedValue([{ id: CATEGORY_ID, name: 'Caftans', slug: 'caftans' }]);
+
+      const facets = await productSearchService.getFacets({ search: 'caftan' });
+
+      expect(facets.categories).toEqual([{ id: CATEGORY_ID, name: 'Caftans', slug: 'caftans', count: 3 }]);
+      expect(facets.brands).toEqual([{ value: 'Atlas', count: 2 }]);
+      expect(facets.price.map(bucket => bucket.count)).toEqual([0, 2, 0, 0, 1]);
+      expect(facets.rating).toEqual([
+        { minRating: 4, count: 1 },
+        { minRating: 3, count: 2 },
+        { minRating: 2, count: 2 },
+        { minRating: 1, count: 2 },
+      ]);
+      expect(facets.onSale).toEqual({ true: 1, false: 2 });
+    });
+  });
+
+  describe('suggest()', () => {
+    it('matches substrings or similar words, accent and case insensitively', async () => {
+      Product.findAll
+        .mockResolvedValueOnce([{ id: 'p1', name: 'Samsung Galaxy S24', price: '8999.00', mainImage: null, stockQuantity: 3 }])
+        .mockResolvedValueOnce([{ brand: 'Samsung', count: '4' }]);
+      Category.findAll.mockResolvedValue([]);
+
+      const suggestions = await productSearchService.suggest(' samsng ', { limit: 3 });
+
+      const { where, order, limit } = Product.findAll.mock.calls[0][0];
+      expect(where[Op.and][0].sql).toBe(
+        `(f_unaccent(lower("Product"."name")) LIKE f_unaccent('%samsng%') OR f_unaccent(lower('samsng')) <% f_unaccent(lower("Product"."name")))`
+      );
+      expect(order[0][0].sql).toContain('word_similarity');
+      expect(limit).toBe(3);
+      expect(suggestions).toEqual({
+        products: [{ id: 'p1', name: 'Samsung Galaxy S24', price: '8999.00', mainImage: null }],
+        brands: [{ value: 'Samsung', count: 4 }],
+        categories: [],
+      });
+    });
+
+    it('escapes LIKE wildcards', async () => {
+      Product.findAll.mockResolvedValue([]);
+      Category.findAll.mockResolvedValue([]);
+
+      await productSearchService.suggest('100%');
+
+      expect(Product.findAll.mock.calls[0][0].where[Op.and][0].sql).toContain(`LIKE f_unaccent('%100\\%%')`);
+    });
+
+    it('returns nothing for blank input', async () => {
+      expect(await productSearchService.suggest('   ')).toEqual({ products: [], brands: [], categories: [] });
+      expect(Product.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Product', () => ({
+  findByPk: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../../models/ProductVariant', () => ({
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock('../../../models/OrderItem', () => ({
+  count: jest.fn(),
+}));
+jest.mock('../../../models/index', () => ({}));
+jest.mock('../../../services/inventoryService', () => ({
+  updateStock: jest.fn(),
+}));
+
+const Product = require('../../../models/Product');
+const ProductVariant = require('../../../models/ProductVariant');
+const OrderItem = require('../../../models/OrderItem');
+const inventoryService = require('../../../services/inventoryService');
+const productVariantService = require('../../../services/productVariantService');
+
+const PRODUCT_ID = 'a1b2c3d4-e5f6-7890-abcd-ef1234567890';
+const VARIANT_ID = 'b2c3d4e5-f6a7-8901-bcde-f12345678901';
+
+const buildVariant = (overrides = {}) => ({
+  id: VARIANT_ID,
+  productId: PRODUCT_ID,
+  sku: 'CAF-M-NOIR',
+  options: { taille: 'M', couleur: 'Noir' },
+  stockQuantity: 4,
+  isActive: true,
+  update: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  reload: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ProductVariantService', () => {
+  describe('resolveVariant()', () => {
+    it('returns null for a product without variants', async () => {
+      const variant = await productVariantService.resolveVariant({ id: PRODUCT_ID, name: 'Caftan', hasVariants: false });
+
+      expect(variant).toBeNull();
+      expect(ProductVariant.findOne).not.toHaveBeenCalled();
+    });
+
+    it('requires a variant when the product has variants', async () => {
+      await expect(productVariantService.resolveVariant({ id: PRODUCT_ID, name: 'Caftan', hasVariants: true }))
+        .rejects.toMatchObject({ status: 400, message: 'Veuillez choisir une variante pour Caftan' });
+    });
+
+    it('rejects an inactive variant', async () => {
+      ProductVariant.findOne.mockResolvedValue(buildVariant({ isActive: false }));
+
+      await expect(productVariantService.resolveVariant({ id: PRODUCT_ID, name: 'Caftan', hasVariants: true }, VARIANT_ID))
+        .rejects.toMatchObject({ status: 400, message: 'Variante non disponible pour Caftan' });
+      expect(ProductVariant.findOne).toHaveBeenCalledWith({ where: { id: VARIANT_ID, productId: PRODUCT_ID } });
+    });
+  });
+
+  describe('summarizeOptions()', () => {
+    it('lists the distinct values of each option', () => {
+      const summary = productVariantService.summarizeOptions([
+        buildVariant({ options: { taille: 'S', couleur: 'Noir' } }),
+        buildVariant({ options: { taille: 'M', couleur: 'Noir' } }),
+        buildVariant({ options: { taille: 'M', couleur: 'Bleu' } }),
+      ]);
+
+      expect(summary).toEqual({ taille: ['S', 'M'], couleur: ['Noir', 'Bleu'] });
+    });
+  });
+
+  describe('createVariant()', () => {
+    it('adds the initial stock through the inventory service', async () => {
+      Product.findByPk.mockResolvedValue({ id: PRODUCT_ID, hasVariants: true, stockQuantity: 6 });
+      ProductVariant.create.mockResolvedValue(buildVariant({ stockQuantity: 0 }));
+      ProductVariant.findAll.mockResolvedValue([{ stockQuantity: 0, isActive: true }, { stockQuantity: 6, isActive: true }]);
+
+      await productVariantService.createVariant({ id: PRODUCT_ID }, { sku: 'CAF-M-NOIR', options: { taille: 'M' }, stockQuantity: 4 }, 'admin-1');
+
+      expect(ProductVariant.create).toHaveBeenCalledWith(expect.objectContaining({ stockQuantity: 0 }), expect.anything());
+      expect(inventoryService.updateStock).toHaveBeenCalledTimes(1);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        PRODUCT_ID, 4, 'initial', 'Stock initial de la variante CAF-M-NOIR', null, 'manual', null, 'admin-1',
+        expect.objectContaining({ variantId: VARIANT_ID })
+      );
+    });
+
+    it('takes out the own stock of a product getting its first variant, with a trace', async () => {
+      Product.findByPk.mockResolvedValue({ id: PRODUCT_ID, hasVariants: false, stockQuantity: 50 });
+      ProductVariant.create.mockResolvedValue(buildVariant({ stockQuantity: 0 }));
+      ProductVariant.findAll.mockResolvedValue([{ stockQuantity: 0, isActive: true }]);
+
+      await productVariantService.createVariant({ id: PRODUCT_ID }, { sku: 'CAF-M-NOIR', options: { taille: 'M' } }, 'admin-1');
+
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        PRODUCT_ID, -50, 'adjustment', expect.any(String), null, 'manual', null, 'admin-1', expect.anything()
+      );
+    });
+  });
+
+  describe('syncProduct()', () => {
+    it('leaves inactive variants out of the product stock', async () => {
+      ProductVariant.findAll.mockResolvedValue([{ stockQuantity: 3, isActive: true }, { stockQuantity: 8, isActive: false }]);
+
+      await productVariantService.syncProduct(PRODUCT_ID);
+
+      expect(Product.update).toHaveBeenCalledWith(
+        { hasVariants: true, stockQuantity: 3 },
+        { where: { id: PRODUCT_ID }, transaction: null }
+      );
+    });
+
+    it('hands stock back to the product once its last variant is gone', async () => {
+      ProductVariant.findAll.mockResolvedValue([]);
+
+      await productVariantService.syncProduct(PRODUCT_ID);
+
+      expect(Product.update).toHaveBeenCalledWith({ hasVariants: false }, { where: { id: PRODUCT_ID }, transaction: null });
+    });
+  });
+
+  describe('deleteVariant()', () => {
+    it('deactivates a variant that appears in orders', async () => {
+      const variant = buildVariant();
+      OrderItem.count.mockResolvedValue(2);
+      ProductVariant.findAll.mockResolvedValue([]);
+
+      const result = await productVariantService.deleteVariant(variant);
+
+      expect(result).toEqual({ deactivated: true });
+      expect(variant.update).toHaveBeenCalledWith({ isActive: false }, expect.anything());
+      expect(variant.destroy).not.toHaveBeenCalled();
+    });
+  });
+});
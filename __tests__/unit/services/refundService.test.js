@@ -0,0 +1,215 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Order', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../models/OrderItem', () => ({
+  findAll: jest.fn(),
+  increment: jest.fn(),
+}));
+jest.mock('../../../models/OrderRefund', () => ({
+  create: jest.fn(),
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock('../../../models/index', () => ({}));
+jest.mock('../../../services/paymentProcessor', () => ({
+  refundPayment: jest.fn(),
+}));
+jest.mock('../../../services/inventoryService', () => ({
+  updateStock: jest.fn(),
+}));
+
+const Order = require('../../../models/Order');
+const OrderItem = require('../../../models/OrderItem');
+const OrderRefund = require('../../../models/OrderRefund');
+const paymentProcessor = require('../../../services/paymentProcessor');
+const inventoryService = require('../../../services/inventoryService');
+const refundService = require('../../../services/refundService');
+
+function buildOrder(overrides = {}) {
+  return {
+    id: 'order-1',
+    status: 'refund_requested',
+    paymentStatus: 'paid',
+    paymentTransactionId: 'pi_123',
+    subtotal: 400,
+    shippingAmount: 64.2,
+    totalAmount: 544.2, // 400 + 80 VAT + 64.20 shipping
+    refundedAmount: 0,
+    orderItems: [
+      { id: 'item-1', productId: 'prod-1', productName: 'Caftan', quantity: 2, refundedQuantity: 0, unitPrice: 150 },
+      { id: 'item-2', productId: 'prod-2', productName: 'Babouches', quantity: 1, refundedQuantity: 0, unitPrice: 100 },
+    ],
+    getRefundableAmount() {
+      return Math.round((Number(this.totalAmount) - Number(this.refundedAmount || 0)) * 100) / 100;
+    },
+    update: jest.fn().mockImplementation(function (data) {
+      Object.assign(this, data);
+      return Promise.resolve(this);
+    }),
+    reload: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+// The locked order is the caller's order, and the refund row reads back as created
+function mockRefundStore(order) {
+  let stored = null;
+  Order.findByPk.mockResolvedValue(order);
+  OrderItem.findAll.mockResolvedValue(order.orderItems);
+  OrderRefund.create.mockImplementation(async (data) => {
+    stored = {
+      id: 'refund-1',
+      ...data,
+      update: jest.fn().mockImplementation(async function (changes) {
+        Object.assign(this, changes);
+        return this;
+      }),
+    };
+    return stored;
+  });
+  OrderRefund.findByPk.mockImplementation(async () => stored);
+  return () => stored;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  paymentProcessor.refundPayment.mockResolvedValue({ id: 're_123' });
+  OrderRefund.create.mockImplementation(async (data) => ({ id: 'refund-1', ...data }));
+});
+
+describe('RefundService', () => {
+  describe('planRefund()', () => {
+    it('prices selected lines at their share of the goods paid', () => {
+      const plan = refundService.planRefund(buildOrder(), { items: [{ orderItemId: 'item-1', quantity: 1 }] });
+
+      // 150 / 400 of the 480 DH paid for goods
+      expect(plan.amount).toBe(180);
+      expect(plan.isFullRefund).toBe(false);
+    });
+
+    it('rejects quantities above what is left to refund', () => {
+      const order = buildOrder();
+      order.orderItems[0].refundedQuantity = 2;
+
+      expect(() => refundService.planRefund(order, { items: [{ orderItemId: 'item-1', quantity: 1 }] }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('rejects amounts above the remaining refundable total', () => {
+      expect(() => refundService.planRefund(buildOrder({ refundedAmount: 500 }), { amount: 100 }))
+        .toThrow('Le montant maximum remboursable est de 44.20 DH');
+    });
+  });
+
+  describe('refundOrder()', () => {
+    it('refunds the partial amount and restocks only the selected items', async () => {
+      const order = buildOrder();
+      const storedRefund = mockRefundStore(order);
+
+      const result = await refundService.refundOrder(order, {
+        items: [{ orderItemId: 'item-2', quantity: 1 }],
+        reason: 'Article abîmé',
+        processedBy: 'admin-1',
+      });
+
+      expect(OrderRefund.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 120, status: 'pending' }), expect.any(Object));
+      expect(paymentProcessor.refundPayment).toHaveBeenCalledWith('pi_123', 12000, { orderRefundId: 'refund-1' });
+      expect(inventoryService.updateStock).toHaveBeenCalledTimes(1);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        'prod-2', 1, 'in', expect.any(String), 'refund-1', 'refund', null, 'admin-1', expect.objectContaining({ variantId: null })
+      );
+      expect(OrderItem.increment).toHaveBeenCalledWith('refundedQuantity', expect.objectContaining({ by: 1, where: { id: 'item-2' } }));
+      expect(order.refundedAmount).toBe(120);
+      expect(order.update).toHaveBeenCalledWith({ paymentStatus: 'partially_refunded', status: 'delivered' }, expect.any(Object));
+      expect(storedRefund()).toMatchObject({ status: 'succeeded', stripeRefundId: 're_123' });
+      expect(result.isFullRefund).toBe(false);
+      expect(result.refundableAmount).toBe(424.2);
+    });
+
+    it('refunds the whole charge and every line when nothing is selected', async () => {
+      const order = buildOrder();
+      mockRefundStore(order);
+
+      const result = await refundService.refundOrder(order);
+
+      expect(paymentProcessor.refundPayment).toHaveBeenCalledWith('pi_123', undefined, { orderRefundId: 'refund-1' });
+      expect(inventoryService.updateStock).toHaveBeenCalledTimes(2);
+      expect(order.status).toBe('refunded');
+      expect(order.paymentStatus).toBe('refunded');
+      expect(result.isFullRefund).toBe(true);
+    });
+
+    it('settles the remainder after earlier partial refunds', async () => {
+      const order = buildOrder({ status: 'delivered', refundedAmount: 120, paymentStatus: 'partially_refunded' });
+      mockRefundStore(order);
+
+      await refundService.refundOrder(order, { amount: 424.2 });
+
+      expect(paymentProcessor.refundPayment).toHaveBeenCalledWith('pi_123', 42420, { orderRefundId: 'refund-1' });
+      expect(order.paymentStatus).toBe('refunded');
+      expect(order.refundedAmount).toBe(544.2);
+    });
+
+    it('plans against the locked order rather than the caller copy', async () => {
+      const locked = buildOrder({ refundedAmount: 544.2, paymentStatus: 'refunded' });
+      mockRefundStore(locked);
+
+      await expect(refundService.refundOrder(buildOrder())).rejects.toMatchObject({ status: 400 });
+      expect(paymentProcessor.refundPayment).not.toHaveBeenCalled();
+      expect(OrderRefund.create).not.toHaveBeenCalled();
+    });
+
+    it('releases the reservation and marks the refund failed when Stripe refuses it', async () => {
+      const order = buildOrder();
+      const storedRefund = mockRefundStore(order);
+      paymentProcessor.refundPayment.mockRejectedValue(new Error('charge_already_refunded'));
+
+      await expect(refundService.refundOrder(order, { items: [{ orderItemId: 'item-2', quantity: 1 }] }))
+        .rejects.toThrow('charge_already_refunded');
+
+      expect(storedRefund().status).toBe('failed');
+      expect(order.refundedAmount).toBe(0);
+      expect(OrderItem.increment).toHaveBeenLastCalledWith('refundedQuantity', expect.objectContaining({ by: -1, where: { id: 'item-2' } }));
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeRefund()', () => {
+    it('does nothing for a refund that already succeeded', async () => {
+      OrderRefund.findByPk.mockResolvedValue({ id: 'refund-1', status: 'succeeded', update: jest.fn() });
+
+      const result = await refundService.completeRefund('refund-1', 're_123');
+
+      expect(result).toBeNull();
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordStripeRefund()', () => {
+    it('records a dashboard refund without restocking', async () => {
+      OrderRefund.findOne.mockResolvedValue(null);
+      const order = buildOrder({ status: 'delivered' });
+
+      const result = await refundService.recordStripeRefund(order, { id: 're_dash', amount: 5000, currency: 'mad' });
+
+      expect(OrderRefund.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 50, items: [], stripeRefundId: 're_dash', currency: 'MAD' }),
+        expect.any(Object)
+      );
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+      expect(order.paymentStatus).toBe('partially_refunded');
+      expect(result.isFullRefund).toBe(false);
+    });
+
+    it('ignores refunds that are already recorded', async () => {
+      OrderRefund.findOne.mockResolvedValue({ id: 'refund-1' });
+
+      const result = await refundService.recordStripeRefund(buildOrder(), { id: 're_dash', amount: 5000 });
+
+      expect(result).toBeNull();
+      expect(OrderRefund.create).not.toHaveBeenCalled();
+    });
+  });
+});
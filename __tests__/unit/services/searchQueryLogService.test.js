@@ -0,0 +1,67 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/SearchQueryLog', () => ({
+  findOrCreate: jest.fn(),
+  findAll: jest.fn(),
+  findOne: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const SearchQueryLog = require('../../../models/SearchQueryLog');
+const searchQueryLogService = require('../../../services/searchQueryLogService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('SearchQueryLogService', () => {
+  describe('recordZeroResults()', () => {
+    it('creates the daily entry for a new query', async () => {
+      SearchQueryLog.findOrCreate.mockResolvedValue([{ increment: jest.fn() }, true]);
+
+      const recorded = await searchQueryLogService.recordZeroResults('  Caftan   SOIE ', 'search');
+
+      expect(recorded).toBe(true);
+      expect(SearchQueryLog.findOrCreate).toHaveBeenCalledWith({
+        where: { query: 'caftan soie', source: 'search', day: new Date().toISOString().slice(0, 10) },
+        defaults: { count: 1 },
+      });
+    });
+
+    it('increments the count when the query was already logged today', async () => {
+      const entry = { increment: jest.fn().mockResolvedValue() };
+      SearchQueryLog.findOrCreate.mockResolvedValue([entry, false]);
+
+      await searchQueryLogService.recordZeroResults('samsng', 'suggest');
+
+      expect(entry.increment).toHaveBeenCalledWith('count');
+    });
+
+    it('ignores queries that are too short to be meaningful', async () => {
+      const recorded = await searchQueryLogService.recordZeroResults(' a ', 'suggest');
+
+      expect(recorded).toBe(false);
+      expect(SearchQueryLog.findOrCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getZeroResultQueries()', () => {
+    it('aggregates counts over the period', async () => {
+      SearchQueryLog.findAll.mockResolvedValue([
+        { query: 'samsng', searches: '7', searchCount: '2', suggestCount: '5', lastSearchedAt: '2026-10-18T10:00:00.000Z' },
+      ]);
+      SearchQueryLog.findOne.mockResolvedValue({ totalSearches: '9', uniqueQueries: '2' });
+
+      const report = await searchQueryLogService.getZeroResultQueries({ period: 7, source: 'suggest', limit: 10 });
+
+      const options = SearchQueryLog.findAll.mock.calls[0][0];
+      expect(options.where.source).toBe('suggest');
+      expect(options.where.day[Op.gte]).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(options.limit).toBe(10);
+      expect(report).toEqual({
+        totalSearches: 9,
+        uniqueQueries: 2,
+        queries: [{ query: 'samsng', searches: 7, searchCount: 2, suggestCount: 5, lastSearchedAt: '2026-10-18T10:00:00.000Z' }],
+      });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../../../models/SeasonalCampaign', () => ({
+  findAll: jest.fn(),
+}));
+
+const SeasonalCampaign = require('../../../models/SeasonalCampaign');
+const seasonalService = require('../../../services/seasonalService');
+
+function buildCampaign(overrides = {}) {
+  return {
+    id: 'campaign-1',
+    slug: 'ramadan-2026',
+    name: 'Ramadan Kareem',
+    startDate: new Date('2026-02-18'),
+    endDate: new Date('2026-03-20'),
+    memberExtraDiscount: '0.0300',
+    specialPerks: [],
+    isActive: true,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('SeasonalService', () => {
+  describe('getCampaignDiscount()', () => {
+    it('applies the best running campaign to Prime members', async () => {
+      SeasonalCampaign.findAll.mockResolvedValue([
+        buildCampaign(),
+        buildCampaign({ id: 'campaign-2', slug: 'eid-al-fitr-2026', memberExtraDiscount: '0.0500' }),
+      ]);
+
+      const result = await seasonalService.getCampaignDiscount(400, true);
+
+      expect(result.campaign.id).toBe('campaign-2');
+      expect(result.discountAmount).toBe(20);
+    });
+
+    it('gives nothing to non-members', async () => {
+      const result = await seasonalService.getCampaignDiscount(400, false);
+
+      expect(result).toEqual({ campaign: null, discountAmount: 0 });
+      expect(SeasonalCampaign.findAll).not.toHaveBeenCalled();
+    });
+
+    it('gives nothing when no campaign is running', async () => {
+      SeasonalCampaign.findAll.mockResolvedValue([]);
+
+      const result = await seasonalService.getCampaignDiscount(400, true);
+
+      expect(result).toEqual({ campaign: null, discountAmount: 0 });
+    });
+  });
+
+  describe('getActiveOffers()', () => {
+    it('only queries active campaigns covering the given date', async () => {
+      SeasonalCampaign.findAll.mockResolvedValue([buildCampaign()]);
+      const at = new Date('2026-03-01');
+
+      const offers = await seasonalService.getActiveOffers(at);
+
+      const { where } = SeasonalCampaign.findAll.mock.calls[0][0];
+      expect(where.isActive).toBe(true);
+      expect(offers[0]).toMatchObject({ slug: 'ramadan-2026', memberExtraDiscount: 0.03 });
+    });
+  });
+});
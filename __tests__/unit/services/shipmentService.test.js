@@ -0,0 +1,242 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Order', () => ({
+  findAll: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock('../../../models/OrderItem', () => ({
+  findAll: jest.fn(),
+}));
+jest.mock('../../../models/OrderStatusLog', () => ({
+  create: jest.fn(),
+}));
+jest.mock('../../../models/Product', () => ({}));
+jest.mock('../../../models/User', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../services/emailService', () => ({
+  sendOrderStatusUpdateEmail: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const Order = require('../../../models/Order');
+const OrderItem = require('../../../models/OrderItem');
+const OrderStatusLog = require('../../../models/OrderStatusLog');
+const emailService = require('../../../services/emailService');
+const shipmentService = require('../../../services/shipmentService');
+const { getCarrier } = require('../../../services/carriers');
+const { AmanaCarrier } = require('../../../services/carriers/amanaCarrier');
+
+const fakeCarrier = getCarrier('fake');
+
+function buildOrder(overrides = {}) {
+  const order = {
+    id: 'order-1',
+    orderNumber: 'UMD-3001',
+    userId: 'user-1',
+    status: 'confirmed',
+    paymentMethod: 'card',
+    carrier: null,
+    trackingNumber: null,
+    trackingEvents: [],
+    shippedAt: null,
+    ...overrides,
+  };
+  order.update = jest.fn(async (values) => Object.assign(order, values));
+  order.reload = jest.fn(async () => order);
+  return order;
+}
+
+async function shippedWithFake(overrides = {}) {
+  const order = buildOrder(overrides);
+  await shipmentService.createShipment(order, { carrier: 'fake' });
+  jest.clearAllMocks();
+  return order;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fakeCarrier.reset();
+  OrderItem.findAll.mockResolvedValue([
+    { quantity: 2, product: { id: 'prod-1', weight: 800 } },
+  ]);
+});
+
+describe('ShipmentService', () => {
+  describe('createShipment()', () => {
+    it('stores the carrier, tracking number and first event', async () => {
+      const order = buildOrder();
+
+      await shipmentService.createShipment(order, { carrier: 'fake' });
+
+      expect(order.carrier).toBe('fake');
+      expect(order.trackingNumber).toMatch(/^FAKE/);
+      expect(order.trackingEvents).toHaveLength(1);
+      expect(order.trackingEvents[0].status).toBe('label_created');
+      // A label alone does not mean the parcel left
+      expect(order.status).toBe('confirmed');
+    });
+
+    it('refuses orders that are not ready to ship', async () => {
+      await expect(shipmentService.createShipment(buildOrder({ status: 'pending' }), { carrier: 'fake' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('refuses unknown carriers', async () => {
+      await expect(shipmentService.createShipment(buildOrder(), { carrier: 'pigeon' }))
+        .rejects.toThrow('Transporteur inconnu : pigeon');
+    });
+  });
+
+  describe('syncOrder()', () => {
+    it('marks the order shipped once the carrier picks the parcel up', async () => {
+      const order = await shippedWithFake();
+      fakeCarrier.advance(order.trackingNumber, 'picked_up', { occurredAt: '2026-03-02T09:00:00Z' });
+
+      const result = await shipmentService.syncOrder(order);
+
+      expect(result).toEqual({ added: 1, previousStatus: 'confirmed', newStatus: 'shipped' });
+      expect(order.status).toBe('shipped');
+      expect(order.shippedAt).toEqual(new Date('2026-03-02T09:00:00Z'));
+      expect(OrderStatusLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ previousStatus: 'confirmed', newStatus: 'shipped', changedByRole: 'system' }),
+        expect.any(Object)
+      );
+      expect(emailService.sendOrderStatusUpdateEmail).toHaveBeenCalledWith(order, undefined, 'confirmed', 'shipped');
+    });
+
+    it('marks the order delivered, even when scans were missed', async () => {
+      const order = await shippedWithFake();
+      fakeCarrier.advance(order.trackingNumber, 'delivered', { occurredAt: '2026-03-03T15:30:00Z' });
+
+      await shipmentService.syncOrder(order);
+
+      expect(order.status).toBe('delivered');
+      expect(order.deliveredAt).toEqual(new Date('2026-03-03T15:30:00Z'));
+      expect(order.shippedAt).toEqual(new Date('2026-03-03T15:30:00Z'));
+    });
+
+    it('ignores events it already has', async () => {
+      const order = await shippedWithFake();
+
+      const result = await shipmentService.syncOrder(order);
+
+      expect(result.added).toBe(0);
+      expect(order.trackingEvents).toHaveLength(1);
+      expect(OrderStatusLog.create).not.toHaveBeenCalled();
+    });
+
+    it('merges into the events stored under the lock', async () => {
+      const order = await shippedWithFake();
+      const concurrent = { id: 'webhook-1', status: 'in_transit', occurredAt: '2026-03-02T09:00:00Z' };
+      const stored = [...order.trackingEvents, concurrent];
+      order.reload.mockImplementation(async () => Object.assign(order, { trackingEvents: stored }));
+      fakeCarrier.advance(order.trackingNumber, 'out_for_delivery');
+
+      await shipmentService.syncOrder(order);
+
+      expect(order.reload).toHaveBeenCalledWith(expect.objectContaining({ lock: true }));
+      expect(order.trackingEvents.map(event => event.id)).toContain('webhook-1');
+      expect(order.trackingEvents).toHaveLength(3);
+    });
+
+    it('does not move cancelled orders', async () => {
+      const order = await shippedWithFake();
+      order.status = 'cancelled';
+      fakeCarrier.advance(order.trackingNumber, 'returned');
+
+      const result = await shipmentService.syncOrder(order);
+
+      expect(result.newStatus).toBe('cancelled');
+      expect(order.trackingEvents).toHaveLength(2);
+    });
+  });
+
+  describe('handleWebhook()', () => {
+    it('applies the events to the matching order', async () => {
+      const order = await shippedWithFake();
+      Order.findOne.mockResolvedValue(order);
+      const body = Buffer.from(JSON.stringify({
+        trackingNumber: order.trackingNumber,
+        events: [{ status: 'in_transit', location: 'Rabat', occurredAt: '2026-03-02T12:00:00Z' }],
+      }));
+
+      const result = await shipmentService.handleWebhook('fake', body, {});
+
+      expect(Order.findOne).toHaveBeenCalledWith({ where: { carrier: 'fake', trackingNumber: order.trackingNumber } });
+      expect(result).toEqual({ matched: true, added: 1, newStatus: 'shipped' });
+    });
+
+    it('reports unknown shipments', async () => {
+      Order.findOne.mockResolvedValue(null);
+      const body = Buffer.from(JSON.stringify({ trackingNumber: 'FAKE000', events: [] }));
+
+      await expect(shipmentService.handleWebhook('fake', body, {})).resolves.toEqual({ matched: false, added: 0 });
+    });
+  });
+
+  describe('getTimeline()', () => {
+    it('lists events newest first with their label', () => {
+      const timeline = shipmentService.getTimeline({
+        trackingEvents: [
+          { id: 'a', status: 'picked_up', occurredAt: '2026-03-02T09:00:00Z', location: 'Casablanca' },
+          { id: 'b', status: 'out_for_delivery', occurredAt: '2026-03-03T08:00:00Z', location: 'Rabat' },
+        ],
+      });
+
+      expect(timeline.map(event => event.label)).toEqual(['En cours de livraison', 'Colis pris en charge']);
+    });
+  });
+});
+
+describe('AmanaCarrier', () => {
+  const carrier = new AmanaCarrier();
+
+  beforeEach(() => {
+    process.env.AMANA_API_URL = 'https://api.amana.test';
+    process.env.AMANA_API_KEY = 'key';
+    process.env.AMANA_WEBHOOK_SECRET = 'secret';
+  });
+
+  it('maps carrier codes to tracking statuses', () => {
+    const event = carrier.normalizeEvent({ id: 42, status: 'en_cours_livraison', date: '2026-03-03T08:00:00Z', agence: 'Rabat Agdal' });
+
+    expect(event).toEqual({
+      id: '42',
+      status: 'out_for_delivery',
+      code: 'EN_COURS_LIVRAISON',
+      description: null,
+      location: 'Rabat Agdal',
+      occurredAt: '2026-03-03T08:00:00.000Z',
+    });
+  });
+
+  it('skips events without a usable date', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const events = carrier.normalizeEvents([
+      { id: 1, status: 'RAMASSE', date: '2026-03-02T10:00:00Z' },
+      { id: 2, status: 'EN_TRANSIT' },
+      { id: 3, status: 'LIVRE', date: 'pas une date' },
+    ]);
+
+    expect(events.map(event => event.id)).toEqual(['1']);
+    warn.mockRestore();
+  });
+
+  it('gives up on a carrier API that does not answer', async () => {
+    const timeout = Object.assign(new Error('aborted'), { name: 'TimeoutError' });
+    const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(timeout);
+
+    await expect(carrier.getTrackingEvents('AM123')).rejects.toThrow('Amana API did not answer within 15s');
+    expect(fetchSpy.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    fetchSpy.mockRestore();
+  });
+
+  it('accepts signed webhooks only', () => {
+    const body = Buffer.from(JSON.stringify({ trackingNumber: 'AM123', status: 'LIVRE', date: '2026-03-03T15:30:00Z' }));
+    const signature = crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+
+    expect(carrier.parseWebhook(body, { 'x-signature': signature }).events[0].status).toBe('delivered');
+    expect(() => carrier.parseWebhook(body, { 'x-signature': 'forged' })).toThrow('Invalid webhook signature');
+  });
+});
@@ -0,0 +1,82 @@
+const shippingService = require('../../../services/shippingService');
+
+// Tuesday 10:00 in Casablanca (UTC+1)
+const TUESDAY_MORNING = new Date('2026-10-20T09:00:00Z');
+const TUESDAY_AFTERNOON = new Date('2026-10-20T14:00:00Z');
+
+const line = (weight, quantity = 1) => ({ product: { weight }, quantity });
+
+describe('ShippingService', () => {
+  describe('resolveZone()', () => {
+    it('matches cities whatever the accents, case or spelling', () => {
+      expect(shippingService.resolveZone('casa').key).toBe('casablanca');
+      expect(shippingService.resolveZone(' FEZ ').key).toBe('major_cities');
+      expect(shippingService.resolveZone('Laayoune').key).toBe('south');
+    });
+
+    it('falls back to the default zone', () => {
+      expect(shippingService.resolveZone('Ifrane').key).toBe('rest');
+      expect(shippingService.resolveZone(null).key).toBe('rest');
+    });
+  });
+
+  describe('getRates()', () => {
+    it('charges each additional started kilogram', () => {
+      const rates = shippingService.getRates({ city: 'Rabat', lines: [line('1200', 2)], subtotal: 300, now: TUESDAY_MORNING });
+      const standard = rates.find(rate => rate.method === 'standard');
+
+      // 2.4 kg -> first kg + 2 extra kg
+      expect(standard.amount).toBe(84.2);
+      expect(rates.map(rate => rate.method)).toEqual(['standard', 'express', 'relay']);
+    });
+
+    it('uses a default weight for products without one', () => {
+      const [standard] = shippingService.getRates({ city: 'Ifrane', lines: [line(null, 3)], subtotal: 100 });
+
+      expect(standard.amount).toBe(76.2);
+    });
+
+    it('applies the zone free-shipping threshold to eligible methods only', () => {
+      const rates = shippingService.getRates({ city: 'Casablanca', lines: [line(500)], subtotal: 450, now: TUESDAY_MORNING });
+      const byMethod = Object.fromEntries(rates.map(rate => [rate.method, rate]));
+
+      expect(byMethod.standard).toMatchObject({ amount: 0, originalAmount: 35, isFree: true });
+      expect(byMethod.relay.isFree).toBe(true);
+      expect(byMethod.express.amount).toBe(60);
+      expect(byMethod.same_day.amount).toBe(90);
+    });
+
+    it('gives Prime members free express but not same-day delivery', () => {
+      const rates = shippingService.getRates({ city: 'Casablanca', lines: [line(500)], subtotal: 100, isMember: true, now: TUESDAY_MORNING });
+      const byMethod = Object.fromEntries(rates.map(rate => [rate.method, rate]));
+
+      expect(byMethod.express.amount).toBe(0);
+      expect(byMethod.same_day.amount).toBe(90);
+    });
+
+    it('moves same-day delivery to the next day after the cutoff', () => {
+      const sameDay = (now) => shippingService.getRates({ city: 'Casablanca', lines: [line(500)], now })
+        .find(rate => rate.method === 'same_day');
+
+      expect(sameDay(TUESDAY_MORNING).estimatedDeliveryDate.toISOString().slice(0, 10)).toBe('2026-10-20');
+      expect(sameDay(TUESDAY_AFTERNOON)).toMatchObject({ minDays: 1, maxDays: 1 });
+      expect(sameDay(TUESDAY_AFTERNOON).estimatedDeliveryDate.toISOString().slice(0, 10)).toBe('2026-10-21');
+    });
+  });
+
+  describe('getRate()', () => {
+    it('refuses methods the zone does not offer', () => {
+      expect(() => shippingService.getRate('same_day', { city: 'Marrakech', lines: [line(500)] }))
+        .toThrow('n\'est pas disponible pour cette ville');
+    });
+  });
+
+  describe('addDeliveryDays()', () => {
+    it('skips Sundays', () => {
+      const saturday = new Date('2026-10-24T10:00:00Z');
+
+      expect(shippingService.addDeliveryDays(saturday, 1).getDay()).toBe(1);
+      expect(shippingService.addDeliveryDays(new Date('2026-10-25T10:00:00Z'), 0).getDay()).toBe(1);
+    });
+  });
+});
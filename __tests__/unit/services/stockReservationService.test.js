@@ -0,0 +1,111 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Product', () => ({
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../models/StockReservation', () => ({
+  sum: jest.fn(),
+  update: jest.fn(),
+  bulkCreate: jest.fn(),
+}));
+jest.mock('../../../models/index', () => ({}));
+jest.mock('../../../services/inventoryService', () => ({
+  updateStock: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const Product = require('../../../models/Product');
+const StockReservation = require('../../../models/StockReservation');
+const inventoryService = require('../../../services/inventoryService');
+const stockReservationService = require('../../../services/stockReservationService');
+
+const PRODUCT_ID = 'a1b2c3d4-e5f6-7890-abcd-ef1234567890';
+const items = [{ productId: PRODUCT_ID, quantity: 2 }];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Product.findByPk.mockResolvedValue({ id: PRODUCT_ID, name: 'Caftan', stockQuantity: 5 });
+  StockReservation.sum.mockResolvedValue(null);
+  StockReservation.update.mockResolvedValue([0]);
+  StockReservation.bulkCreate.mockImplementation(async (rows) => rows);
+});
+
+describe('StockReservationService', () => {
+  describe('reserve()', () => {
+    it('locks the product and holds the units for the payment intent', async () => {
+      const reservations = await stockReservationService.reserve('pi_123', 'user-1', items);
+
+      expect(Product.findByPk).toHaveBeenCalledWith(PRODUCT_ID, expect.objectContaining({ lock: true }));
+      expect(reservations).toEqual([
+        expect.objectContaining({ productId: PRODUCT_ID, userId: 'user-1', paymentIntentId: 'pi_123', quantity: 2 }),
+      ]);
+      expect(reservations[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('releases the customer\'s earlier holds', async () => {
+      await stockReservationService.reserve('pi_123', 'user-1', items);
+
+      expect(StockReservation.update).toHaveBeenCalledWith(
+        { status: 'released' },
+        expect.objectContaining({
+          where: { userId: 'user-1', status: 'active', paymentIntentId: { [Op.ne]: 'pi_123' } },
+        })
+      );
+    });
+
+    it('rejects units already held by other checkouts', async () => {
+      StockReservation.sum.mockResolvedValue(4);
+
+      await expect(stockReservationService.reserve('pi_123', 'user-1', items))
+        .rejects.toMatchObject({ status: 400, message: 'Stock insuffisant pour Caftan' });
+      expect(StockReservation.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('allocateOrderStock()', () => {
+    const order = { id: 'order-1', orderNumber: 'ORD-1' };
+
+    it('records a sale and consumes the payment intent reservations', async () => {
+      const transaction = {};
+
+      await stockReservationService.allocateOrderStock(order, items, {
+        paymentIntentId: 'pi_123',
+        performedBy: 'user-1',
+        transaction,
+      });
+
+      // Only other checkouts' holds count against this order
+      expect(StockReservation.sum).toHaveBeenCalledWith('quantity', expect.objectContaining({
+        where: expect.objectContaining({ paymentIntentId: { [Op.ne]: 'pi_123' } }),
+      }));
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        PRODUCT_ID, -2, 'sale', 'Commande ORD-1', 'order-1', 'order', null, 'user-1', { transaction, variantId: null }
+      );
+      expect(StockReservation.update).toHaveBeenCalledWith(
+        { status: 'consumed', orderId: 'order-1' },
+        { where: { paymentIntentId: 'pi_123', status: 'active' }, transaction }
+      );
+    });
+
+    it('fails before touching stock when the product is sold out', async () => {
+      Product.findByPk.mockResolvedValue({ id: PRODUCT_ID, name: 'Caftan', stockQuantity: 1 });
+
+      await expect(stockReservationService.allocateOrderStock(order, items, { paymentIntentId: 'pi_123', transaction: {} }))
+        .rejects.toMatchObject({ status: 400 });
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireStale()', () => {
+    it('expires active holds past their deadline', async () => {
+      StockReservation.update.mockResolvedValue([3]);
+
+      const expired = await stockReservationService.expireStale();
+
+      expect(expired).toBe(3);
+      expect(StockReservation.update).toHaveBeenCalledWith(
+        { status: 'expired' },
+        { where: { status: 'active', expiresAt: { [Op.lte]: expect.any(Date) } } }
+      );
+    });
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('../../../config/database', () => require('../../../__mocks__/sequelizeMock'));
+jest.mock('../../../models/Order', () => ({
+  findOne: jest.fn(),
+}));
+jest.mock('../../../models/User', () => ({
+  findByPk: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock('../../../models/MembershipTransaction', () => ({
+  update: jest.fn(),
+}));
+jest.mock('../../../models/StripeWebhookEvent', () => ({}));
+jest.mock('../../../models/OrphanPayment', () => ({
+  findAll: jest.fn(),
+  findByPk: jest.fn(),
+}));
+jest.mock('../../../models/index', () => ({}));
+jest.mock('../../../services/paymentProcessor', () => ({
+  refundPayment: jest.fn(),
+}));
+jest.mock('../../../services/refundService', () => ({}));
+jest.mock('../../../services/loyaltyService', () => ({}));
+jest.mock('../../../services/membershipService', () => ({
+  expireMembership: jest.fn(),
+}));
+jest.mock('../../../services/stockReservationService', () => ({
+  release: jest.fn(),
+}));
+
+const Order = require('../../../models/Order');
+const User = require('../../../models/User');
+const MembershipTransaction = require('../../../models/MembershipTransaction');
+const OrphanPayment = require('../../../models/OrphanPayment');
+const paymentProcessor = require('../../../services/paymentProcessor');
+const membershipService = require('../../../services/membershipService');
+const stockReservationService = require('../../../services/stockReservationService');
+const stripeWebhookService = require('../../../services/stripeWebhookService');
+
+function buildOrphan(overrides = {}) {
+  return {
+    id: 'orphan-1',
+    paymentIntentId: 'pi_orphan',
+    userId: 'user-1',
+    amount: '544.20',
+    status: 'pending',
+    update: jest.fn().mockImplementation(function (data) {
+      Object.assign(this, data);
+      return Promise.resolve(this);
+    }),
+    reload: jest.fn().mockImplementation(function () {
+      return Promise.resolve(this);
+    }),
+    ...overrides,
+  };
+}
+
+const notificationService = { createNotification: jest.fn() };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.STRIPE_AUTO_REFUND_ORPHANS;
+  stripeWebhookService.setNotificationService(notificationService);
+  Order.findOne.mockResolvedValue(null);
+});
+
+describe('StripeWebhookService', () => {
+  describe('resolveOrphanPayments()', () => {
+    it('links payments whose order was placed during the grace period', async () => {
+      const orphan = buildOrphan();
+      OrphanPayment.findAll.mockResolvedValue([orphan]);
+      Order.findOne.mockResolvedValue({ id: 'order-1' });
+
+      const summary = await stripeWebhookService.resolveOrphanPayments();
+
+      expect(summary).toEqual({ resolved: 1, refunded: 0, flagged: 0 });
+      expect(orphan.status).toBe('resolved');
+      expect(orphan.orderId).toBe('order-1');
+    });
+
+    it('flags unmatched payments for an admin by default', async () => {
+      const orphan = buildOrphan();
+      OrphanPayment.findAll.mockResolvedValue([orphan]);
+
+      const summary = await stripeWebhookService.resolveOrphanPayments();
+
+      expect(summary.flagged).toBe(1);
+      expect(orphan.status).toBe('flagged');
+      expect(paymentProcessor.refundPayment).not.toHaveBeenCalled();
+      expect(notificationService.createNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'payment_failure', priority: 'high' })
+      );
+    });
+
+    it('refunds unmatched payments when auto-refund is enabled', async () => {
+      process.env.STRIPE_AUTO_REFUND_ORPHANS = 'true';
+      const orphan = buildOrphan();
+      OrphanPayment.findAll.mockResolvedValue([orphan]);
+      OrphanPayment.findByPk.mockResolvedValue(orphan);
+      paymentProcessor.refundPayment.mockResolvedValue({ id: 're_orphan' });
+
+      const summary = await stripeWebhookService.resolveOrphanPayments();
+
+      expect(summary.refunded).toBe(1);
+      expect(paymentProcessor.refundPayment).toHaveBeenCalledWith('pi_orphan');
+      expect(orphan.status).toBe('refunded');
+      expect(orphan.stripeRefundId).toBe('re_orphan');
+      expect(stockReservationService.release).toHaveBeenCalledWith('pi_orphan');
+    });
+  });
+
+  describe('refundOrphanPayment()', () => {
+    it('does not refund a payment whose order was created meanwhile', async () => {
+      const orphan = buildOrphan({ status: 'flagged' });
+      OrphanPayment.findByPk.mockResolvedValue(orphan);
+      Order.findOne.mockResolvedValue({ id: 'order-late' });
+
+      await stripeWebhookService.refundOrphanPayment(orphan, 'admin-1');
+
+      expect(paymentProcessor.refundPayment).not.toHaveBeenCalled();
+      expect(orphan).toMatchObject({ status: 'resolved', orderId: 'order-late', resolvedBy: 'admin-1' });
+      expect(stockReservationService.release).not.toHaveBeenCalled();
+    });
+
+    it('does not refund a payment settled by a concurrent run', async () => {
+      const orphan = buildOrphan();
+      OrphanPayment.findByPk.mockResolvedValue({ ...orphan, status: 'refunded' });
+
+      await stripeWebhookService.refundOrphanPayment(orphan);
+
+      expect(paymentProcessor.refundPayment).not.toHaveBeenCalled();
+      expect(notificationService.createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleInvoicePaymentFailed()', () => {
+    it('expires the membership paid by the failed payment', async () => {
+      const user = {
+        id: 'user-1',
+        membershipStatus: 'active',
+        membershipBenefitsSnapshot: { lastTransaction: { paymentIntentId: 'pi_renewal' } },
+      };
+      User.findOne.mockResolvedValue(user);
+
+      await stripeWebhookService.handleInvoicePaymentFailed({ id: 'in_1', customer: 'cus_1', payment_intent: 'pi_renewal' });
+
+      expect(MembershipTransaction.update).toHaveBeenCalledWith(
+        { status: 'failed' },
+        expect.objectContaining({ where: expect.objectContaining({ stripePaymentIntentId: 'pi_renewal' }) })
+      );
+      expect(membershipService.expireMembership).toHaveBeenCalledWith(user);
+    });
+
+    it('leaves a membership renewed by another payment alone', async () => {
+      User.findOne.mockResolvedValue({
+        id: 'user-1',
+        membershipStatus: 'active',
+        membershipBenefitsSnapshot: { lastTransaction: { paymentIntentId: 'pi_newer' } },
+      });
+
+      await stripeWebhookService.handleInvoicePaymentFailed({ id: 'in_1', customer: 'cus_1', payment_intent: 'pi_old' });
+
+      expect(membershipService.expireMembership).not.toHaveBeenCalled();
+    });
+  });
+});
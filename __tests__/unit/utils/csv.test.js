@@ -0,0 +1,31 @@
+const { escapeCsvValue, formatCsvLine, parseCsv } = require('../../../utils/csv');
+
+describe('csv utils', () => {
+  describe('escapeCsvValue()', () => {
+    it('quotes cells containing the delimiter, quotes or line breaks', () => {
+      expect(escapeCsvValue('Alaoui, Salma')).toBe('"Alaoui, Salma"');
+      expect(escapeCsvValue('Taille "M"')).toBe('"Taille ""M"""');
+      expect(escapeCsvValue('a;b', ',')).toBe('a;b');
+      expect(escapeCsvValue('a;b', ';')).toBe('"a;b"');
+    });
+
+    it('neutralises values that would run as spreadsheet formulas', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('+212600000000')).toBe('+212600000000');
+      expect(escapeCsvValue(-12.5)).toBe('-12.5');
+    });
+  });
+
+  describe('parseCsv()', () => {
+    it('reads back what formatCsvLine writes', () => {
+      const rows = [['sku', 'description'], ['CAF-M', 'Caftan "Atlas", brodé\nà la main']];
+      const text = '\uFEFF' + rows.map(row => formatCsvLine(row)).join('');
+
+      expect(parseCsv(text)).toEqual(rows);
+    });
+
+    it('detects semicolon-separated files and skips blank lines', () => {
+      expect(parseCsv('sku;price\r\nCAF-M;249,90\r\n\r\n')).toEqual([['sku', 'price'], ['CAF-M', '249,90']]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { compile, render } = require('../../../utils/templateEngine');
+
+describe('templateEngine', () => {
+  describe('values', () => {
+    it('escapes {{values}} and leaves {{{raw}}} ones as they are', () => {
+      const data = { name: '<b>Salma & co</b>' };
+
+      expect(render('Bonjour {{name}}', data)).toBe('Bonjour &lt;b&gt;Salma &amp; co&lt;/b&gt;');
+      expect(render('Bonjour {{{name}}}', data)).toBe('Bonjour <b>Salma & co</b>');
+    });
+
+    it('reads nested paths and renders missing values as empty', () => {
+      expect(render('{{order.number}}|{{order.missing}}|{{nothing.here}}', { order: { number: 'UMOD-1' } }))
+        .toBe('UMOD-1||');
+    });
+
+    it('ignores comments', () => {
+      expect(render('a{{! not shown }}b')).toBe('ab');
+    });
+  });
+
+  describe('blocks', () => {
+    it('renders the if or the else branch', () => {
+      const template = '{{#if paid}}payée{{else}}en attente{{/if}}';
+
+      expect(render(template, { paid: true })).toBe('payée');
+      expect(render(template, { paid: false })).toBe('en attente');
+      expect(render('{{#unless items}}vide{{/unless}}', { items: [] })).toBe('vide');
+    });
+
+    it('loops over arrays with the outer data still visible', () => {
+      const template = '{{#each items}}{{@number}}. {{name}} {{currency}}{{#unless @last}}, {{/unless}}{{else}}aucun{{/each}}';
+
+      expect(render(template, { currency: 'DH', items: [{ name: 'Caftan' }, { name: 'Babouches' }] }))
+        .toBe('1. Caftan DH, 2. Babouches DH');
+      expect(render(template, { items: [] })).toBe('aucun');
+      expect(render('{{#each tags}}[{{this}}]{{/each}}', { tags: ['a', 'b'] })).toBe('[a][b]');
+    });
+
+    it('rejects malformed templates', () => {
+      expect(() => compile('{{#if a}}x')).toThrow('Unclosed {{#if}}');
+      expect(() => compile('x{{/each}}')).toThrow('Unexpected {{/each}}');
+      expect(() => compile('{{#with a}}{{/with}}')).toThrow('Unknown block');
+      expect(() => compile('{{else}}')).toThrow('outside of a block');
+    });
+  });
+
+  describe('partials and helpers', () => {
+    it('renders partials with the same data', () => {
+      const options = { partials: { row: compile('<td>{{name}}</td>') } };
+
+      expect(render('<tr>{{> row}}</tr>', { name: 'Caftan' }, options)).toBe('<tr><td>Caftan</td></tr>');
+      expect(() => render('{{> missing}}', {}, options)).toThrow('Unknown partial');
+    });
+
+    it('calls helpers with quoted strings and looked-up values', () => {
+      const options = {
+        helpers: {
+          upper: ([text]) => text.toUpperCase(),
+          t: ([key], { render: renderString }) => renderString({ greeting: 'Bonjour <b>{{name}}</b>' }[key])
+        }
+      };
+
+      expect(render('{{upper "dh"}} {{upper name}}', { name: 'salma' }, options)).toBe('DH SALMA');
+      expect(render('{{t "greeting"}}', { name: '<i>' }, options)).toBe('Bonjour <b>&lt;i&gt;</b>');
+      expect(() => render('{{nope "x"}}', {}, options)).toThrow('Unknown helper');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// Back-office permissions. A user with role 'admin' is a staff account;
+// their adminRole decides which of these they hold.
+const permissions = {
+  'dashboard.view': 'Consulter le tableau de bord',
+  'products.manage': 'Gérer le catalogue (produits, variantes, catégories)',
+  'inventory.manage': 'Mettre à jour les stocks',
+  'orders.view': 'Consulter les commandes',
+  'orders.manage': 'Traiter les commandes (statuts, notes, exports, notifications)',
+  'orders.refund': 'Rembourser les commandes',
+  'payments.manage': 'Gérer les paiements orphelins',
+  'users.view': 'Consulter les clients',
+  'users.manage': 'Activer ou désactiver des comptes',
+  'roles.manage': 'Attribuer les rôles administrateur',
+  'loyalty.manage': 'Ajuster les points de fidélité',
+  'memberships.manage': 'Gérer les abonnements',
+  'promotions.manage': 'Gérer les coupons et campagnes',
+  'analytics.view': 'Consulter les statistiques',
+  'notifications.manage': 'Envoyer et gérer les notifications',
+  'reviews.moderate': 'Modérer les avis',
+  'audit.view': 'Consulter le journal d\'audit'
+};
+
+const roles = {
+  super_admin: {
+    label: 'Super administrateur',
+    permissions: Object.keys(permissions)
+  },
+  catalog_manager: {
+    label: 'Responsable catalogue',
+    permissions: ['dashboard.view', 'products.manage', 'inventory.manage', 'promotions.manage', 'reviews.moderate', 'analytics.view']
+  },
+  warehouse: {
+    label: 'Magasinier',
+    permissions: ['dashboard.view', 'inventory.manage', 'orders.view']
+  },
+  order_agent: {
+    label: 'Agent commandes',
+    permissions: ['dashboard.view', 'orders.view', 'orders.manage', 'users.view', 'notifications.manage']
+  },
+  support: {
+    label: 'Service client',
+    permissions: ['dashboard.view', 'orders.view', 'users.view', 'loyalty.manage', 'notifications.manage', 'reviews.moderate']
+  },
+  finance: {
+    label: 'Finance',
+    permissions: ['dashboard.view', 'orders.view', 'orders.refund', 'payments.manage', 'memberships.manage', 'analytics.view', 'audit.view']
+  }
+};
+
+const ADMIN_ROLES = Object.keys(roles);
+
+/**
+ * Permissions held by a user. Clients and staff without an adminRole hold none.
+ */
+const getPermissions = (user) => {
+  if (!user || user.role !== 'admin' || !roles[user.adminRole]) return [];
+  return roles[user.adminRole].permissions;
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = { permissions, roles, ADMIN_ROLES, getPermissions, hasPermission };
@@ -0,0 +1,22 @@
+// Account customers pay into. Shown with the order reference after a
+// bank-transfer checkout; set the BANK_TRANSFER_* variables in production.
+const account = {
+  beneficiary: process.env.BANK_TRANSFER_BENEFICIARY || 'UMOD SARL',
+  bankName: process.env.BANK_TRANSFER_BANK_NAME || 'Attijariwafa Bank',
+  rib: process.env.BANK_TRANSFER_RIB || '',
+  iban: process.env.BANK_TRANSFER_IBAN || '',
+  swift: process.env.BANK_TRANSFER_SWIFT || ''
+};
+
+// Hours the customer has to pay (and send the receipt) before the order is
+// cancelled and its stock released. Orders with a receipt awaiting review
+// are never cancelled automatically.
+const paymentDeadlineHours = parseInt(process.env.BANK_TRANSFER_DEADLINE_HOURS || '72', 10);
+
+// Receipts a customer can attach to one order
+const maxReceipts = 3;
+
+// Statuses of the transfer, alongside the order's paymentStatus
+const STATUSES = ['awaiting_transfer', 'receipt_submitted', 'confirmed', 'rejected', 'expired'];
+
+module.exports = { account, paymentDeadlineHours, maxReceipts, STATUSES };
@@ -0,0 +1,24 @@
+// Hours of cart inactivity after which each reminder is sent, in order.
+// "1,24,72" sends a first email an hour after the last change to the cart,
+// a second one a day later and a last one after three days.
+const reminderDelaysHours = (process.env.CART_RECOVERY_DELAYS_HOURS || '1,24,72')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => value > 0)
+  .sort((a, b) => a - b);
+
+// Carts untouched for longer are left alone (old carts when the job is first
+// enabled, customers who moved on)
+const maxCartAgeDays = parseInt(process.env.CART_RECOVERY_MAX_AGE_DAYS || '14', 10);
+
+// A checkout this many days after the last reminder still counts as recovered
+const attributionWindowDays = parseInt(process.env.CART_RECOVERY_ATTRIBUTION_DAYS || '7', 10);
+
+// Also drop an in-app notification with each email
+const sendNotification = process.env.CART_RECOVERY_NOTIFICATIONS !== 'false';
+
+// pending: reminders in progress; recovered: the customer checked out;
+// expired: the sequence ended without an order
+const STATUSES = ['pending', 'recovered', 'expired'];
+
+module.exports = { reminderDelaysHours, maxCartAgeDays, attributionWindowDays, sendNotification, STATUSES };
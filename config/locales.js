@@ -0,0 +1,12 @@
+// Languages customers can receive emails in. dateLocale formats dates
+// (Intl), dir sets the text direction of the email.
+const LANGUAGES = {
+  fr: { label: 'Français', dir: 'ltr', dateLocale: 'fr-FR' },
+  ar: { label: 'العربية', dir: 'rtl', dateLocale: 'ar-MA' },
+  en: { label: 'English', dir: 'ltr', dateLocale: 'en-GB' }
+};
+
+// Used when a customer has no preference and for missing translations
+const DEFAULT_LANGUAGE = 'fr';
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,15 @@
+// How the emails of a notification type reach a user: one per notification,
+// or grouped in an hourly or daily digest. Critical notifications are always
+// emailed straight away.
+const DELIVERY_MODES = ['instant', 'hourly', 'daily'];
+
+// Quiet hours and the digest hour are read in this timezone
+const timezone = process.env.NOTIFICATION_TIMEZONE || 'Africa/Casablanca';
+
+// Local hour the daily digest goes out
+const dailyDigestHour = parseInt(process.env.NOTIFICATION_DAILY_DIGEST_HOUR || '8', 10);
+
+// Notifications listed in one digest email; the rest are summed up
+const maxDigestItems = 50;
+
+module.exports = { DELIVERY_MODES, timezone, dailyDigestHour, maxDigestItems };
@@ -0,0 +1,57 @@
+const path = require('path');
+const { cashOnDelivery } = require('./shipping');
+
+const CHANNELS = ['email', 'sms'];
+
+// pending: waiting for its (next) attempt; sending: an attempt is in flight;
+// sent: accepted by the provider; dead: gave up, an admin can resend it
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// provider: SendGrid / Twilio; file: one JSON line per message in fileDir;
+// memory: kept in the process (tests)
+const TRANSPORTS = ['provider', 'file', 'memory'];
+
+// Messages carrying a code or a link that opens the customer's account:
+// admins see them without their content
+const SENSITIVE_CATEGORIES = [
+  'password_reset',
+  'email_verification',
+  'delete_verification',
+  'phone_verification',
+  'phone_change_verification',
+  'cod_confirmation'
+];
+
+// Unset: memory in tests, otherwise the provider of the channel when its
+// credentials are set (or in production), the file transport when they are not.
+// See services/transports/index.js
+const transport = process.env.OUTBOX_TRANSPORT || null;
+
+// Attempts before a message is dead-lettered
+const maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6', 10);
+
+// Minutes to wait before each retry; the last delay repeats
+const retryDelaysMinutes = (process.env.OUTBOX_RETRY_DELAYS_MINUTES || '1,5,30,120,720')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => value > 0);
+
+// Minutes the code or link of a category stays valid. Such messages are not
+// retried past it: they are dead-lettered, the customer asks for a new code.
+const expiryMinutes = {
+  password_reset: 60,
+  delete_verification: 10,
+  phone_verification: 10,
+  phone_change_verification: 10,
+  cod_confirmation: cashOnDelivery.confirmationCodeTtlHours * 60
+};
+
+// A message stuck in 'sending' this long (process killed mid-send) is retried
+const staleSendingMinutes = 10;
+
+// Sent messages are deleted after this many days; dead ones are kept for review
+const retentionDays = parseInt(process.env.OUTBOX_RETENTION_DAYS || '30', 10);
+
+const fileDir = process.env.OUTBOX_FILE_DIR || path.join(__dirname, '..', 'tmp', 'outbox');
+
+module.exports = { CHANNELS, STATUSES, TRANSPORTS, SENSITIVE_CATEGORIES, transport, maxAttempts, retryDelaysMinutes, expiryMinutes, staleSendingMinutes, retentionDays, fileDir };
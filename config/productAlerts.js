@@ -0,0 +1,19 @@
+// What a customer can be alerted about for a product
+const TYPES = ['back_in_stock', 'price_drop'];
+
+// manual: "notify me" on the product page; wishlist: added with the product
+// to the wishlist and removed with it
+const SOURCES = ['manual', 'wishlist'];
+
+// A product flapping in and out of stock alerts the same customer at most
+// once per cooldown
+const backInStockCooldownHours = parseInt(process.env.PRODUCT_ALERTS_STOCK_COOLDOWN_HOURS || '24', 10);
+
+// Smaller price changes are not worth an alert
+const minPriceDropPercent = parseFloat(process.env.PRODUCT_ALERTS_MIN_DROP_PERCENT || '5');
+
+// Alerts (email and in-app) one customer can receive per 24 hours, all
+// products together
+const maxAlertsPerUserPerDay = parseInt(process.env.PRODUCT_ALERTS_MAX_PER_DAY || '5', 10);
+
+module.exports = { TYPES, SOURCES, backInStockCooldownHours, minPriceDropPercent, maxAlertsPerUserPerDay };
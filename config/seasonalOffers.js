@@ -1,7 +1,8 @@
 /**
- * Seasonal offer campaigns.
- * Dates use month-day format so they repeat yearly.
- * To activate a one-time campaign, add the full year.
+ * Seasonal offer campaigns — seed data.
+ * Live campaigns are stored in the seasonal_campaigns table and managed from
+ * /api/admin/seasonal-campaigns. Import this list with
+ * `node scripts/seed-seasonal-campaigns.js`.
  */
 const campaigns = [
   {
@@ -0,0 +1,106 @@
+// Delivery methods offered at checkout. Free shipping (zone threshold or a
+// free-shipping coupon) only covers the methods marked freeShippingEligible;
+// UMOD Prime members ship for free with every method marked includedInPrime.
+const methods = {
+  standard: {
+    label: 'Livraison standard',
+    freeShippingEligible: true,
+    includedInPrime: true
+  },
+  express: {
+    label: 'Livraison express',
+    freeShippingEligible: false,
+    includedInPrime: true
+  },
+  same_day: {
+    label: 'Livraison le jour même',
+    freeShippingEligible: false,
+    includedInPrime: false,
+    // Orders placed after this hour (Casablanca time) are delivered the next day
+    cutoffHour: 12
+  },
+  relay: {
+    label: 'Point relais',
+    freeShippingEligible: true,
+    includedInPrime: true
+  }
+};
+
+// Zones group cities with the same carrier rates. Cities are matched with
+// normalizeCityKey() from utils/morocco.js; any city not listed falls in
+// DEFAULT_ZONE.
+//
+// Rates per method: base covers the first kilogram, perKg each additional
+// started kilogram (DH). minDays/maxDays is the delivery window in days,
+// Sundays excluded. A method missing from a zone is not offered there.
+//
+// cashOnDelivery says whether the courier can collect cash in the zone and
+// the fee (DH) added to the order for it.
+const zones = {
+  casablanca: {
+    label: 'Grand Casablanca',
+    cities: ['Casablanca', 'Mohammedia', 'Bouskoura', 'Dar Bouazza', 'Nouaceur', 'Médiouna', 'Tit Mellil'],
+    freeShippingThreshold: 400,
+    cashOnDelivery: { available: true, fee: 10 },
+    rates: {
+      standard: { base: 35, perKg: 5, minDays: 1, maxDays: 2 },
+      express: { base: 60, perKg: 8, minDays: 1, maxDays: 1 },
+      same_day: { base: 90, perKg: 10, minDays: 0, maxDays: 0 },
+      relay: { base: 25, perKg: 4, minDays: 1, maxDays: 3 }
+    }
+  },
+  major_cities: {
+    label: 'Grandes villes',
+    cities: [
+      'Rabat', 'Salé', 'Témara', 'Kénitra', 'Marrakech', 'Fès', 'Meknès', 'Tanger', 'Tétouan',
+      'Agadir', 'El Jadida', 'Settat', 'Berrechid', 'Béni Mellal', 'Oujda', 'Safi', 'Nador', 'Khouribga'
+    ],
+    freeShippingThreshold: 536,
+    cashOnDelivery: { available: true, fee: 15 },
+    rates: {
+      standard: { base: 64.2, perKg: 10, minDays: 2, maxDays: 4 },
+      express: { base: 110, perKg: 15, minDays: 1, maxDays: 2 },
+      relay: { base: 45, perKg: 8, minDays: 2, maxDays: 5 }
+    }
+  },
+  south: {
+    label: 'Provinces du Sud',
+    cities: ['Laâyoune', 'Dakhla', 'Guelmim', 'Tan-Tan', 'Smara', 'Boujdour', 'Tata', 'Assa'],
+    freeShippingThreshold: 1000,
+    cashOnDelivery: { available: false, fee: 0 },
+    rates: {
+      standard: { base: 95, perKg: 18, minDays: 5, maxDays: 8 },
+      relay: { base: 75, perKg: 15, minDays: 6, maxDays: 10 }
+    }
+  },
+  rest: {
+    label: 'Reste du Maroc',
+    cities: [],
+    freeShippingThreshold: 536,
+    cashOnDelivery: { available: true, fee: 20 },
+    rates: {
+      standard: { base: 64.2, perKg: 12, minDays: 3, maxDays: 6 },
+      express: { base: 140, perKg: 18, minDays: 2, maxDays: 3 },
+      relay: { base: 50, perKg: 10, minDays: 3, maxDays: 7 }
+    }
+  }
+};
+
+const DEFAULT_ZONE = 'rest';
+const DEFAULT_METHOD = 'standard';
+
+// Used for products without a weight
+const DEFAULT_ITEM_WEIGHT_GRAMS = 500;
+
+const SHIPPING_METHODS = Object.keys(methods);
+
+// Limits on cash-on-delivery orders, wherever they ship
+const cashOnDelivery = {
+  maxOrderAmount: 3000, // DH, total including the fee
+  confirmationCodeTtlHours: 48,
+  confirmationDeadlineHours: 72, // unconfirmed orders are then cancelled and release their stock
+  maxConfirmationAttempts: 5,
+  resendIntervalSeconds: 60
+};
+
+module.exports = { methods, zones, cashOnDelivery, DEFAULT_ZONE, DEFAULT_METHOD, DEFAULT_ITEM_WEIGHT_GRAMS, SHIPPING_METHODS };
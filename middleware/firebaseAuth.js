@@ -138,7 +138,18 @@ const requireEmailVerified = (req, res, next) => {
   next();
 };
 
+// Authenticate when a Bearer token is present, otherwise continue as a guest.
+// Used by endpoints that serve both signed-in users and anonymous sessions (cart).
+const optionalFirebaseAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+  return firebaseAuth(req, res, next);
+};
+
 // Export firebaseAuth as default for backwards compatibility with all existing route files
-// requireEmailVerified is available as a named property
+// requireEmailVerified and optionalFirebaseAuth are available as named properties
 module.exports = firebaseAuth;
-module.exports.requireEmailVerified = requireEmailVerified;
\ No newline at end of file
+module.exports.requireEmailVerified = requireEmailVerified;
+module.exports.optionalFirebaseAuth = optionalFirebaseAuth;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const { hasPermission } = require('../config/adminRoles');
+
+/**
+ * Middleware factory that restricts a route to admins holding at least one of
+ * the listed permissions. Must run after adminAuth, which loads req.user.
+ * @param {...string} permissions - Permission keys from config/adminRoles.js
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Accès refusé. Votre rôle ne permet pas cette action.',
+        requiredPermissions: permissions
+      });
+    }
+    next();
+  };
+};
+
+module.exports = requirePermission;
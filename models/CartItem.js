@@ -43,6 +43,14 @@ const CartItem = sequelize.define('CartItem', {
       model: 'products',
       key: 'id'
     }
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'cart_items',
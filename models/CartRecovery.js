@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { STATUSES } = require('../config/cartRecovery');
+
+// One abandonment of a cart: the reminders sent for it and whether the
+// customer came back to check out
+const CartRecovery = sequelize.define('CartRecovery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  cartId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'carts',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  emailsSent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastEmailAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cartTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Cart total when the last reminder was sent'
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  orderTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  recoveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'cart_recoveries',
+  timestamps: true,
+  indexes: [
+    { fields: ['cartId', 'status'] },
+    { fields: ['userId', 'status'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = CartRecovery;
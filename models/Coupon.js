@@ -0,0 +1,130 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    unique: true,
+    comment: 'Promo code entered at checkout, stored uppercase (e.g. RAMADAN20)',
+    set(value) {
+      this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+    }
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('percent', 'fixed', 'free_shipping'),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Percentage (0-100) for percent coupons, amount in DH for fixed coupons'
+  },
+  maxDiscountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Optional cap on the discount granted by a percent coupon'
+  },
+  minSubtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Maximum redemptions across all customers (null = unlimited)'
+  },
+  usageLimitPerUser: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Maximum redemptions per customer (null = unlimited)'
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  categoryIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Restrict the discount to products in these categories (empty = all)'
+  },
+  productIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Restrict the discount to these products (empty = all)'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'coupons',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['code'] },
+    { fields: ['isActive'] },
+    { fields: ['endsAt'] }
+  ]
+});
+
+// Instance methods
+Coupon.prototype.isScoped = function() {
+  return (this.categoryIds || []).length > 0 || (this.productIds || []).length > 0;
+};
+
+Coupon.prototype.appliesToProduct = function(product) {
+  if (!this.isScoped()) return true;
+  const productIds = (this.productIds || []).map(String);
+  const categoryIds = (this.categoryIds || []).map(String);
+  return productIds.includes(String(product.id)) || categoryIds.includes(String(product.categoryId));
+};
+
+module.exports = Coupon;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CouponRedemption = sequelize.define('CouponRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  couponId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    comment: 'Snapshot of the code at redemption time'
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'coupon_redemptions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['couponId'] },
+    { fields: ['userId'] },
+    { fields: ['orderId'] }
+  ]
+});
+
+module.exports = CouponRedemption;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const LoyaltyTransaction = sequelize.define('LoyaltyTransaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('earn', 'redeem', 'reversal', 'adjustment', 'expiry'),
+    allowNull: false
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Signed points movement: positive credits, negative debits'
+  },
+  balanceAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'User loyaltyPoints right after this movement'
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  voucherId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'loyalty_vouchers',
+      key: 'id'
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Admin who made a manual adjustment'
+  }
+}, {
+  tableName: 'loyalty_transactions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['orderId'] },
+    // One reversal per order, see loyaltyService.reverseOrderPoints()
+    { name: 'loyalty_transactions_order_reversal', unique: true, fields: ['orderId'], where: { type: 'reversal' } },
+    { fields: ['type'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = LoyaltyTransaction;
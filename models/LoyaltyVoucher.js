@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const LoyaltyVoucher = sequelize.define('LoyaltyVoucher', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Voucher code shown to the customer (e.g. FID-3F9A12BC)'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'Voucher value in DH'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'MAD'
+  },
+  pointsRedeemed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Loyalty points exchanged for this voucher'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'consumed', 'expired', 'cancelled'),
+    defaultValue: 'active',
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    comment: 'Order the voucher was spent on'
+  }
+}, {
+  tableName: 'loyalty_vouchers',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['code'] },
+    { fields: ['userId'] },
+    { fields: ['status'] }
+  ]
+});
+
+// Instance methods
+LoyaltyVoucher.prototype.isUsable = function() {
+  return this.status === 'active' && new Date(this.expiresAt) > new Date();
+};
+
+module.exports = LoyaltyVoucher;
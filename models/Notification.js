@@ -31,7 +31,10 @@ const Notification = sequelize.define('Notification', {
       'system_performance',
       'payment_failure',
       'refund_request',
-      'membership'
+      'membership',
+      'cart_recovery',
+      'product_back_in_stock',
+      'product_price_drop'
     ),
     allowNull: false
   },
@@ -63,6 +66,16 @@ const Notification = sequelize.define('Notification', {
   expiresAt: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  emailStatus: {
+    type: DataTypes.ENUM('none', 'queued', 'sent'),
+    allowNull: false,
+    defaultValue: 'none',
+    comment: 'queued: waiting for a digest or the end of quiet hours'
+  },
+  emailScheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'notifications',
@@ -82,6 +95,9 @@ const Notification = sequelize.define('Notification', {
     },
     {
       fields: ['createdAt']
+    },
+    {
+      fields: ['emailStatus', 'emailScheduledFor']
     }
   ]
 });
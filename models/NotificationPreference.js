@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { DELIVERY_MODES } = require('../config/notificationDelivery');
 
 const NotificationPreference = sequelize.define('NotificationPreference', {
   id: {
@@ -31,7 +32,10 @@ const NotificationPreference = sequelize.define('NotificationPreference', {
       'system_performance',
       'payment_failure',
       'refund_request',
-      'membership'
+      'membership',
+      'cart_recovery',
+      'product_back_in_stock',
+      'product_price_drop'
     ),
     allowNull: false
   },
@@ -50,6 +54,22 @@ const NotificationPreference = sequelize.define('NotificationPreference', {
   toastEnabled: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  deliveryMode: {
+    type: DataTypes.ENUM(...DELIVERY_MODES),
+    allowNull: false,
+    defaultValue: 'instant',
+    comment: 'Emails sent one by one or grouped in an hourly/daily digest'
+  },
+  quietHoursStart: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:MM, local time; emails wait until quietHoursEnd'
+  },
+  quietHoursEnd: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:MM, local time'
   }
 }, {
   tableName: 'notification_preferences',
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { STATUSES: BANK_TRANSFER_STATUSES } = require('../config/bankTransfer');
 
 const Order = sequelize.define('Order', {
   id: {
@@ -69,6 +70,53 @@ const Order = sequelize.define('Order', {
       defaultValue: 'MAD',
       allowNull: false
     },
+  // Promo code applied at checkout (discount is included in discountAmount)
+  couponId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  couponCode: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+  couponDiscountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  seasonalCampaignId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Seasonal campaign whose Prime extra discount was applied'
+  },
+  campaignDiscountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  loyaltyVoucherId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Loyalty voucher spent on this order'
+  },
+  voucherAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
   // Customer information
   customerFirstName: {
     type: DataTypes.STRING,
@@ -131,7 +179,7 @@ const Order = sequelize.define('Order', {
     allowNull: false
   },
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
+    type: DataTypes.ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded'),
     defaultValue: 'pending',
     allowNull: false
   },
@@ -148,6 +196,25 @@ const Order = sequelize.define('Order', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // Carrier shipment, see services/carriers. trackingEvents holds the
+  // normalized carrier events, oldest first.
+  carrier: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  carrierShipmentId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  trackingEvents: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  trackingSyncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   estimatedDeliveryDate: {
     type: DataTypes.DATE,
     allowNull: true
@@ -209,6 +276,129 @@ const Order = sequelize.define('Order', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Sum of all refunds issued on this order'
+  },
+  // Chargeback opened by the customer's bank (Stripe dispute)
+  disputeId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  disputeStatus: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Stripe dispute status (needs_response, under_review, won, lost, ...)'
+  },
+  disputeReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  disputeAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  disputedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Cash on delivery: the customer confirms the order by phone before it
+  // ships, and the payment is recorded when the courier brings the cash back
+  codFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Cash-on-delivery fee included in totalAmount'
+  },
+  codConfirmationCode: {
+    type: DataTypes.STRING(6),
+    allowNull: true,
+    comment: 'Code sent by SMS; never returned by the API'
+  },
+  codConfirmationExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  codConfirmationAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  codConfirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  codConfirmedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Agent who confirmed by phone call; null when the customer entered the SMS code'
+  },
+  codCollectedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  codCollectedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Bank transfer: the customer pays with the reference, uploads the receipt
+  // and an admin confirms the payment once it shows on the account
+  bankTransferStatus: {
+    type: DataTypes.ENUM(...BANK_TRANSFER_STATUSES),
+    allowNull: true
+  },
+  bankTransferReference: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    unique: true,
+    comment: 'Reference the customer writes on the transfer'
+  },
+  bankTransferDeadline: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  bankTransferReceipts: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'S3 keys of the uploaded receipts'
+  },
+  bankTransferSubmittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  bankTransferReviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  bankTransferReviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  bankTransferRejectionReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
   userId: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -236,6 +426,17 @@ const Order = sequelize.define('Order', {
     {
       fields: ['paymentStatus']
     },
+    {
+      fields: ['bankTransferStatus']
+    },
+    {
+      fields: ['carrier', 'trackingNumber']
+    },
+    {
+      // One PaymentIntent pays for one order
+      unique: true,
+      fields: ['paymentTransactionId']
+    },
     {
       fields: ['createdAt']
     }
@@ -251,12 +452,17 @@ Order.prototype.isPaid = function() {
   return this.paymentStatus === 'paid';
 };
 
+Order.prototype.getRefundableAmount = function() {
+  return Math.round((Number(this.totalAmount) - Number(this.refundedAmount || 0)) * 100) / 100;
+};
+
 Order.prototype.canBeCancelled = function() {
   return ['pending', 'confirmed', 'processing'].includes(this.status);
 };
 
 Order.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
+  delete values.codConfirmationCode;
   values.calculatedTotal = this.calculateTotal();
   values.isPaid = this.isPaid();
   values.canBeCancelled = this.canBeCancelled();
@@ -36,6 +36,15 @@ const OrderItem = sequelize.define('OrderItem', {
       min: 0
     }
   },
+  refundedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Units of this line already refunded'
+  },
   productName: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -51,6 +60,11 @@ const OrderItem = sequelize.define('OrderItem', {
     allowNull: true,
     comment: 'Snapshot of product image at time of order'
   },
+  variantOptions: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Snapshot of the variant options at time of order, e.g. { "taille": "M" }'
+  },
   orderId: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -66,6 +80,14 @@ const OrderItem = sequelize.define('OrderItem', {
       model: 'products',
       key: 'id'
     }
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'order_items',
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OrderRefund = sequelize.define('OrderRefund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Amount refunded to the customer in DH'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'MAD'
+  },
+  items: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Refunded lines: [{ orderItemId, productId, variantId, quantity }] (empty = amount-only refund)'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  stripeRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'succeeded',
+    comment: 'pending while Stripe is called, failed when Stripe refused the refund'
+  },
+  processedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'order_refunds',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['orderId'] },
+    { fields: ['stripeRefundId'] }
+  ]
+});
+
+module.exports = OrderRefund;
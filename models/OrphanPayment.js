@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OrphanPayment = sequelize.define('OrphanPayment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  paymentIntentId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Amount captured in DH'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'MAD'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'resolved', 'refunded', 'flagged'),
+    defaultValue: 'pending',
+    allowNull: false,
+    comment: 'pending (grace period), resolved (order placed late), refunded, flagged (left to an admin)'
+  },
+  stripeRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'orphan_payments',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'createdAt'] },
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = OrphanPayment;
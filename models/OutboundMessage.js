@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { CHANNELS, STATUSES } = require('../config/outbox');
+
+// An email or SMS waiting to be sent, sent, or given up on (see services/outboxService.js)
+const OutboundMessage = sequelize.define('OutboundMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  channel: {
+    type: DataTypes.ENUM(...CHANNELS),
+    allowNull: false
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'What the message is about (order_confirmation, password_reset...)'
+  },
+  recipient: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'What the transport sends: the SendGrid message or { to, body }'
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the code or link it carries stops working; not retried past it'
+  },
+  transport: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Transport of the last attempt'
+  },
+  providerMessageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'outbound_messages',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] },
+    { fields: ['recipient'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = OutboundMessage;
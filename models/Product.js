@@ -65,6 +65,11 @@ const Product = sequelize.define('Product', {
       min: 0
     }
   },
+  hasVariants: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'When true, stockQuantity is the sum of the active variants\' stock'
+  },
   minStockLevel: {
     type: DataTypes.INTEGER,
     defaultValue: 5,
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { TYPES, SOURCES } = require('../config/productAlerts');
+
+// A customer waiting for a product to be back in stock or cheaper
+const ProductAlert = sequelize.define('ProductAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...TYPES),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM(...SOURCES),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  lastNotifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notifiedPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Price announced by the last price-drop alert'
+  }
+}, {
+  tableName: 'product_alerts',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'productId', 'type'] },
+    { fields: ['productId', 'type'] }
+  ]
+});
+
+module.exports = ProductAlert;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING,
+    unique: true,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  options: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Option attributes, e.g. { "taille": "M", "couleur": "Noir" }'
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Overrides the product price when set; product sales still apply'
+  },
+  stockQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  images: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: [],
+    comment: 'Array of image URLs, falls back to the product images when empty'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['sku'] },
+    { fields: ['productId'] },
+    { fields: ['isActive'] }
+  ]
+});
+
+// Instance methods
+ProductVariant.prototype.getBasePrice = function(product) {
+  return this.price !== null && this.price !== undefined ? Number(this.price) : Number(product.price);
+};
+
+ProductVariant.prototype.getDiscountedPrice = function(product) {
+  const basePrice = this.getBasePrice(product);
+  if (product.isOnSale && product.salePercentage) {
+    return basePrice * (1 - product.salePercentage / 100);
+  }
+  return basePrice;
+};
+
+ProductVariant.prototype.getLabel = function() {
+  return Object.values(this.options || {}).join(' / ');
+};
+
+ProductVariant.prototype.getMainImage = function(product) {
+  return (this.images && this.images[0]) || (product && product.mainImage) || null;
+};
+
+ProductVariant.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  values.label = this.getLabel();
+  values.inStock = this.stockQuantity > 0;
+  return values;
+};
+
+module.exports = ProductVariant;
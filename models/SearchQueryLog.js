@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SearchQueryLog = sequelize.define('SearchQueryLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  query: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    comment: 'Lowercased, whitespace-collapsed search text'
+  },
+  source: {
+    type: DataTypes.ENUM('search', 'suggest'),
+    allowNull: false,
+    comment: 'search (GET /api/products) or suggest (autocomplete)'
+  },
+  day: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Searches that returned nothing for this query on this day'
+  }
+}, {
+  tableName: 'search_query_logs',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['query', 'source', 'day'] },
+    { fields: ['day'] }
+  ]
+});
+
+module.exports = SearchQueryLog;
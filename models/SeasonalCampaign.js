@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SeasonalCampaign = sequelize.define('SeasonalCampaign', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  slug: {
+    type: DataTypes.STRING(60),
+    allowNull: false,
+    unique: true,
+    comment: 'Stable campaign identifier (e.g. ramadan-2026)'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  memberExtraDiscount: {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 0.5
+    },
+    comment: 'Extra discount rate for Prime members on top of the 5% (0.03 = 3%)'
+  },
+  specialPerks: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  bannerMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  theme: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  icon: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'seasonal_campaigns',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['slug'] },
+    { fields: ['isActive'] },
+    { fields: ['startDate', 'endDate'] }
+  ]
+});
+
+// Instance methods
+SeasonalCampaign.prototype.isRunning = function(at = new Date()) {
+  return this.isActive && new Date(this.startDate) <= at && new Date(this.endDate) >= at;
+};
+
+module.exports = SeasonalCampaign;
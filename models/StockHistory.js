@@ -16,9 +16,9 @@ const StockHistory = sequelize.define('StockHistory', {
     }
   },
   changeType: {
-    type: DataTypes.ENUM('in', 'out', 'adjustment', 'initial'),
+    type: DataTypes.ENUM('in', 'out', 'adjustment', 'initial', 'sale'),
     allowNull: false,
-    comment: 'Type of stock change: in (received), out (sold), adjustment (manual), initial (setup)'
+    comment: 'Type of stock change: in (received), out (removed), adjustment (manual), initial (setup), sale (checkout)'
   },
   quantity: {
     type: DataTypes.INTEGER,
@@ -59,6 +59,15 @@ const StockHistory = sequelize.define('StockHistory', {
     type: DataTypes.UUID,
     allowNull: true,
     comment: 'User ID who performed the stock change'
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    comment: 'Variant whose stock changed; stock levels are the variant\'s when set'
   }
 }, {
   tableName: 'stock_history',
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const StockReservation = sequelize.define('StockReservation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  paymentIntentId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Stripe PaymentIntent the units are held for'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'consumed', 'released', 'expired'),
+    defaultValue: 'active',
+    allowNull: false,
+    comment: 'consumed (order placed), released (payment failed or cart changed), expired (never paid)'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    comment: 'Order that consumed the reservation'
+  }
+}, {
+  tableName: 'stock_reservations',
+  timestamps: true,
+  indexes: [
+    { fields: ['productId', 'status'] },
+    { fields: ['paymentIntentId'] },
+    { fields: ['status', 'expiresAt'] }
+  ]
+});
+
+// Instance methods
+StockReservation.prototype.isHolding = function() {
+  return this.status === 'active' && new Date(this.expiresAt) > new Date();
+};
+
+module.exports = StockReservation;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const StripeWebhookEvent = sequelize.define('StripeWebhookEvent', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    comment: 'Stripe event id (evt_xxx)'
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'processed'),
+    defaultValue: 'processing',
+    allowNull: false
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stripe_webhook_events',
+  timestamps: true,
+  indexes: [
+    { fields: ['type'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = StripeWebhookEvent;
@@ -1,6 +1,8 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const sequelize = require('../config/database');
+const { ADMIN_ROLES } = require('../config/adminRoles');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/locales');
 
 const User = sequelize.define('User', {
   id: {
@@ -57,12 +59,23 @@ const User = sequelize.define('User', {
     defaultValue: 'client',
     allowNull: false
   },
+  adminRole: {
+    type: DataTypes.ENUM(...ADMIN_ROLES),
+    allowNull: true,
+    comment: 'Back-office role of an admin account, see config/adminRoles.js'
+  },
   clientType: {
     type: DataTypes.ENUM('particulier', 'professionnel'),
     defaultValue: 'particulier',
     allowNull: false,
     comment: 'Type of client: particulier (individual) or professionnel (business)'
   },
+  language: {
+    type: DataTypes.ENUM(...Object.keys(LANGUAGES)),
+    defaultValue: DEFAULT_LANGUAGE,
+    allowNull: false,
+    comment: 'Language of the emails sent to the user, see config/locales.js'
+  },
   // Business fields (for professionnel clients)
   companyName: {
     type: DataTypes.STRING,
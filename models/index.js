@@ -18,6 +18,20 @@ const OrderNote = require('./OrderNote');
 const MembershipTransaction = require('./MembershipTransaction');
 const MembershipGift = require('./MembershipGift');
 const AdminAuditLog = require('./AdminAuditLog');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const LoyaltyVoucher = require('./LoyaltyVoucher');
+const LoyaltyTransaction = require('./LoyaltyTransaction');
+const SeasonalCampaign = require('./SeasonalCampaign');
+const OrderRefund = require('./OrderRefund');
+const StockReservation = require('./StockReservation');
+const ProductVariant = require('./ProductVariant');
+const StripeWebhookEvent = require('./StripeWebhookEvent');
+const OrphanPayment = require('./OrphanPayment');
+const SearchQueryLog = require('./SearchQueryLog');
+const CartRecovery = require('./CartRecovery');
+const ProductAlert = require('./ProductAlert');
+const OutboundMessage = require('./OutboundMessage');
 
 // Define associations
 User.hasMany(Order, { foreignKey: 'userId', as: 'orders' });
@@ -105,6 +119,65 @@ MembershipGift.belongsTo(User, { foreignKey: 'redeemedByUserId', as: 'redeemer'
 User.hasMany(AdminAuditLog, { foreignKey: 'adminId', as: 'auditLogs' });
 AdminAuditLog.belongsTo(User, { foreignKey: 'adminId', as: 'admin' });
 
+// Coupons and their redemptions
+Coupon.hasMany(CouponRedemption, { foreignKey: 'couponId', as: 'redemptions' });
+CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId', as: 'coupon' });
+User.hasMany(CouponRedemption, { foreignKey: 'userId', as: 'couponRedemptions' });
+CouponRedemption.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Order.hasMany(CouponRedemption, { foreignKey: 'orderId', as: 'couponRedemptions' });
+CouponRedemption.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+// Loyalty vouchers
+User.hasMany(LoyaltyVoucher, { foreignKey: 'userId', as: 'loyaltyVouchers' });
+LoyaltyVoucher.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Order.hasOne(LoyaltyVoucher, { foreignKey: 'orderId', as: 'loyaltyVoucher' });
+LoyaltyVoucher.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+// Loyalty points ledger
+User.hasMany(LoyaltyTransaction, { foreignKey: 'userId', as: 'loyaltyTransactions' });
+LoyaltyTransaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Order.hasMany(LoyaltyTransaction, { foreignKey: 'orderId', as: 'loyaltyTransactions' });
+LoyaltyTransaction.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+LoyaltyTransaction.belongsTo(LoyaltyVoucher, { foreignKey: 'voucherId', as: 'voucher' });
+
+// Seasonal campaigns applied to orders
+SeasonalCampaign.hasMany(Order, { foreignKey: 'seasonalCampaignId', as: 'orders' });
+Order.belongsTo(SeasonalCampaign, { foreignKey: 'seasonalCampaignId', as: 'seasonalCampaign' });
+
+// Refunds issued on an order
+Order.hasMany(OrderRefund, { foreignKey: 'orderId', as: 'refunds' });
+OrderRefund.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+OrderRefund.belongsTo(User, { foreignKey: 'processedBy', as: 'processor' });
+
+// Product variants (size, colour, ...) with their own SKU, price and stock
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variants' });
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+CartItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+StockHistory.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+
+// Stock held for a checkout between payment intent and order creation
+Product.hasMany(StockReservation, { foreignKey: 'productId', as: 'reservations' });
+StockReservation.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+StockReservation.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+StockReservation.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+// Captured payments that never turned into an order
+OrphanPayment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+OrphanPayment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+// Reminders sent for abandoned carts and the orders they brought back
+Cart.hasMany(CartRecovery, { foreignKey: 'cartId', as: 'recoveries' });
+CartRecovery.belongsTo(Cart, { foreignKey: 'cartId', as: 'cart' });
+CartRecovery.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+CartRecovery.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+// Back-in-stock and price-drop alerts customers subscribed to
+User.hasMany(ProductAlert, { foreignKey: 'userId', as: 'productAlerts' });
+ProductAlert.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Product.hasMany(ProductAlert, { foreignKey: 'productId', as: 'alerts' });
+ProductAlert.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
 // Self-referential association for categories
 Category.hasMany(Category, { 
   as: 'children', 
@@ -133,5 +206,19 @@ module.exports = {
   OrderNote,
   MembershipTransaction,
   MembershipGift,
-  AdminAuditLog
+  AdminAuditLog,
+  Coupon,
+  CouponRedemption,
+  LoyaltyVoucher,
+  LoyaltyTransaction,
+  SeasonalCampaign,
+  OrderRefund,
+  StockReservation,
+  StripeWebhookEvent,
+  OrphanPayment,
+  ProductVariant,
+  SearchQueryLog,
+  CartRecovery,
+  ProductAlert,
+  OutboundMessage
 }; 
\ No newline at end of file
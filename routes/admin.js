@@ -24,10 +24,18 @@ require('../models/index');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
 const auditLog = require('../middleware/auditLog');
+const requirePermission = require('../middleware/requirePermission');
+const adminRoles = require('../config/adminRoles');
+const { STATUSES: BANK_TRANSFER_STATUSES } = require('../config/bankTransfer');
+const { STATUSES: OUTBOX_STATUSES, CHANNELS: OUTBOX_CHANNELS } = require('../config/outbox');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/locales');
 const { adminActionLimiter, globalLimiter } = require('../middleware/rateLimiter');
 const { validateId, validateParamId, validatePagination, validateDateRange, validateSearch, validateAmountRange, validateStatus, handleValidationErrors } = require('../middleware/validateInput');
 const { param, query } = require('express-validator');
 
+// Status filters accept every status the Order model allows
+const ORDER_STATUSES = Order.getAttributes().status.values;
+
 // Apply Firebase auth + admin auth to all admin routes
 router.use(firebaseAuth, adminAuth);
 
@@ -44,7 +52,7 @@ router.use((req, res, next) => {
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics with real analytics
 // @access  Admin
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard.view'), async (req, res) => {
   try {
     // Basic statistics
     const totalUsers = await User.count({ where: { role: 'client' } });
@@ -378,7 +386,7 @@ router.get('/dashboard', async (req, res) => {
 // @route   GET /api/admin/products
 // @desc    Get all products with pagination
 // @access  Admin
-router.get('/products', async (req, res) => {
+router.get('/products', requirePermission('products.manage', 'inventory.manage'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -416,7 +424,7 @@ router.get('/products', async (req, res) => {
 // @route   POST /api/admin/products
 // @desc    Create a new product
 // @access  Admin
-router.post('/products', auditLog('CREATE', 'product', null, (req) => ({ name: req.body.name })), [
+router.post('/products', requirePermission('products.manage'), auditLog('CREATE', 'product', null, (req) => ({ name: req.body.name })), [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Le nom doit contenir entre 2 et 100 caractères'),
   body('description').trim().isLength({ min: 10 }).withMessage('La description doit contenir au moins 10 caractères'),
   body('price').isFloat({ min: 0 }).withMessage('Le prix doit être un nombre positif'),
@@ -479,10 +487,70 @@ router.post('/products', auditLog('CREATE', 'product', null, (req) => ({ name: r
   }
 });
 
+// @route   GET /api/admin/products/export
+// @desc    Download the full catalog as CSV, in the format the import accepts
+// @access  Admin
+router.get('/products/export', requirePermission('products.manage'), [
+  query('delimiter').optional().isIn([',', ';']).withMessage('Séparateur invalide')
+], handleValidationErrors, async (req, res) => {
+  const productCsvService = require('../services/productCsvService');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="catalogue-${new Date().toISOString().split('T')[0]}.csv"`);
+
+  try {
+    await productCsvService.writeCatalogCsv(res, { delimiter: req.query.delimiter || ',' });
+  } catch (error) {
+    console.error('❌ Export products error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ success: false, error: 'Erreur lors de l\'export du catalogue' });
+  }
+});
+
+// @route   POST /api/admin/products/import
+// @desc    Create or update products by SKU from CSV. { csv, dryRun, updateStock } —
+//          with dryRun the per-row report is returned without writing anything;
+//          the stock of existing products is only set with updateStock
+// @access  Admin
+router.post('/products/import', requirePermission('products.manage'), [
+  body('csv').isString().notEmpty().withMessage('Contenu CSV requis'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun doit être un booléen'),
+  body('updateStock').optional().isBoolean().withMessage('updateStock doit être un booléen')
+], handleValidationErrors, auditLog('IMPORT', 'product', () => null, (req, body) => ({
+  dryRun: Boolean(req.body.dryRun),
+  updateStock: req.body.updateStock === true || req.body.updateStock === 'true',
+  created: body?.data?.created,
+  updated: body?.data?.updated,
+  failed: body?.data?.failed
+})), async (req, res) => {
+  try {
+    const productCsvService = require('../services/productCsvService');
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const updateStock = req.body.updateStock === true || req.body.updateStock === 'true';
+    const report = await productCsvService.importCsv(req.body.csv, { dryRun, updateStock, performedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Simulation : ${report.created} création(s), ${report.updated} mise(s) à jour, ${report.failed} erreur(s)`
+        : `Import terminé : ${report.created} création(s), ${report.updated} mise(s) à jour, ${report.failed} erreur(s)`,
+      data: report
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Import products error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de l\'import des produits' });
+  }
+});
+
 // @route   PUT /api/admin/products/:id
 // @desc    Update a product
 // @access  Admin
-router.put('/products/:id', validateId, auditLog('UPDATE', 'product', req => req.params.id), [
+router.put('/products/:id', requirePermission('products.manage'), validateId, auditLog('UPDATE', 'product', req => req.params.id), [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Le nom doit contenir entre 2 et 100 caractères'),
   body('description').optional().trim().isLength({ min: 10 }).withMessage('La description doit contenir au moins 10 caractères'),
   body('price').optional().isFloat({ min: 0 }).withMessage('Le prix doit être un nombre positif'),
@@ -513,6 +581,13 @@ router.put('/products/:id', validateId, auditLog('UPDATE', 'product', req => req
       });
     }
 
+    if (product.hasVariants && req.body.stockQuantity !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le stock de ce produit est géré par variante'
+      });
+    }
+
     // Map imageUrl to mainImage for backward compatibility
     if (req.body.imageUrl && !req.body.mainImage) {
       req.body.mainImage = req.body.imageUrl;
@@ -553,11 +628,27 @@ router.put('/products/:id', validateId, auditLog('UPDATE', 'product', req => req
       for (const ref of product.images) if (ref && !next.has(ref)) orphans.push(ref);
     }
 
-    await product.update(updateData);
+    const productAlertService = require('../services/productAlertService');
+    const previous = { price: productAlertService.getPrice(product) };
+
+    const { stockQuantity, ...fields } = updateData;
+    await sequelize.transaction(async (transaction) => {
+      await product.update(fields, { transaction });
+      // A new stock level is recorded in the stock history, and the
+      // back-in-stock alerts go out from there
+      if (stockQuantity !== undefined) {
+        await inventoryService.updateStock(product.id, Number(stockQuantity), 'adjustment', 'Modification du produit', null, null, null, req.user.id, { transaction, absolute: true });
+      }
+    });
+    await product.reload();
     console.log('✅ Product updated successfully');
 
     for (const ref of orphans) deleteImageByURL(ref).catch(() => {});
 
+    // Price-drop alerts for the customers following it
+    productAlertService.handleProductChange(product, previous)
+      .catch(error => console.error('❌ Product alerts error:', error));
+
     // Get updated product with category
     const updatedProduct = await Product.findByPk(product.id, {
       include: [{ model: Category, as: 'category' }]
@@ -588,7 +679,7 @@ router.put('/products/:id', validateId, auditLog('UPDATE', 'product', req => req
 // @route   DELETE /api/admin/products/:id
 // @desc    Delete a product
 // @access  Admin
-router.delete('/products/:id', validateId, auditLog('DELETE', 'product', req => req.params.id), async (req, res) => {
+router.delete('/products/:id', requirePermission('products.manage'), validateId, auditLog('DELETE', 'product', req => req.params.id), async (req, res) => {
   try {
     const product = await Product.findByPk(req.params.id);
     if (!product) {
@@ -617,12 +708,123 @@ router.delete('/products/:id', validateId, auditLog('DELETE', 'product', req =>
   }
 });
 
+// ==================== PRODUCT VARIANTS ====================
+
+const variantRules = [
+  body('options').optional().isObject().withMessage('Les options doivent être un objet (ex: { "taille": "M" })'),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Le prix doit être un nombre positif'),
+  body('images').optional().isArray(),
+  body('images.*').optional().isString(),
+  body('isActive').optional().isBoolean().withMessage('Statut invalide'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Ordre invalide')
+];
+
+// @route   GET /api/admin/products/:id/variants
+// @desc    List the variants of a product, including inactive ones
+// @access  Admin
+router.get('/products/:id/variants', requirePermission('products.manage', 'inventory.manage'), validateId, async (req, res) => {
+  try {
+    const productVariantService = require('../services/productVariantService');
+    const variants = await productVariantService.getProductVariants(req.params.id, { includeInactive: true });
+    res.json({ success: true, data: { variants } });
+  } catch (error) {
+    console.error('❌ Get product variants error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des variantes' });
+  }
+});
+
+// @route   POST /api/admin/products/:id/variants
+// @desc    Add a variant (size, colour...) to a product
+// @access  Admin
+router.post('/products/:id/variants', requirePermission('products.manage'), validateId, auditLog('CREATE', 'product_variant', () => null, (req, body) => ({ productId: req.params.id, variantId: body?.data?.id, sku: req.body.sku })), [
+  body('sku').trim().isLength({ min: 1, max: 100 }).withMessage('SKU requis'),
+  body('options').isObject().withMessage('Les options doivent être un objet (ex: { "taille": "M" })'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Le stock doit être un nombre entier positif'),
+  ...variantRules
+], handleValidationErrors, async (req, res) => {
+  try {
+    const productVariantService = require('../services/productVariantService');
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Produit non trouvé' });
+    }
+
+    const variant = await productVariantService.createVariant(product, req.body, req.user?.id || null);
+
+    res.status(201).json({ success: true, message: 'Variante créée avec succès', data: variant });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ success: false, error: 'Ce SKU est déjà utilisé' });
+    }
+    console.error('❌ Create product variant error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la création de la variante' });
+  }
+});
+
+// @route   PUT /api/admin/products/:productId/variants/:variantId
+// @desc    Update a variant. Stock goes through /inventory/update-stock
+// @access  Admin
+router.put('/products/:productId/variants/:variantId', requirePermission('products.manage'), [...validateParamId('productId'), ...validateParamId('variantId')], auditLog('UPDATE', 'product_variant', req => req.params.variantId), [
+  body('sku').optional().trim().isLength({ min: 1, max: 100 }).withMessage('SKU invalide'),
+  body('stockQuantity').not().exists().withMessage('Le stock se modifie depuis la gestion des stocks'),
+  ...variantRules
+], handleValidationErrors, async (req, res) => {
+  try {
+    const ProductVariant = require('../models/ProductVariant');
+    const productVariantService = require('../services/productVariantService');
+    const variant = await ProductVariant.findOne({
+      where: { id: req.params.variantId, productId: req.params.productId }
+    });
+    if (!variant) {
+      return res.status(404).json({ success: false, error: 'Variante non trouvée' });
+    }
+
+    await productVariantService.updateVariant(variant, req.body);
+
+    res.json({ success: true, message: 'Variante mise à jour avec succès', data: variant });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ success: false, error: 'Ce SKU est déjà utilisé' });
+    }
+    console.error('❌ Update product variant error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la mise à jour de la variante' });
+  }
+});
+
+// @route   DELETE /api/admin/products/:productId/variants/:variantId
+// @desc    Delete a variant, or deactivate it if it has been ordered
+// @access  Admin
+router.delete('/products/:productId/variants/:variantId', requirePermission('products.manage'), [...validateParamId('productId'), ...validateParamId('variantId')], auditLog('DELETE', 'product_variant', req => req.params.variantId), async (req, res) => {
+  try {
+    const ProductVariant = require('../models/ProductVariant');
+    const productVariantService = require('../services/productVariantService');
+    const variant = await ProductVariant.findOne({
+      where: { id: req.params.variantId, productId: req.params.productId }
+    });
+    if (!variant) {
+      return res.status(404).json({ success: false, error: 'Variante non trouvée' });
+    }
+
+    const { deactivated } = await productVariantService.deleteVariant(variant);
+
+    res.json({
+      success: true,
+      message: deactivated
+        ? 'Variante désactivée : elle figure dans des commandes existantes'
+        : 'Variante supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Delete product variant error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la suppression de la variante' });
+  }
+});
+
 // ==================== CATEGORY MANAGEMENT ====================
 
 // @route   GET /api/admin/categories
 // @desc    Get all categories
 // @access  Admin
-router.get('/categories', async (req, res) => {
+router.get('/categories', requirePermission('products.manage'), async (req, res) => {
   try {
     const categories = await Category.findAll({
       include: [{ model: Product, as: 'products' }],
@@ -643,10 +845,75 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/categories/tree
+// @desc    Get all categories, inactive included, nested under their parents
+// @access  Admin
+router.get('/categories/tree', requirePermission('products.manage'), async (req, res) => {
+  try {
+    const categoryTreeService = require('../services/categoryTreeService');
+    const categories = await categoryTreeService.getTree({ activeOnly: false });
+
+    res.json({
+      success: true,
+      data: categories
+    });
+
+  } catch (error) {
+    console.error('❌ Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des catégories'
+    });
+  }
+});
+
+// @route   PUT /api/admin/categories/reorder
+// @desc    Move and/or reorder categories; levels are recomputed
+// @access  Admin
+router.put('/categories/reorder', requirePermission('products.manage'), [
+  body('moves').isArray({ min: 1, max: 500 }).withMessage('Déplacements invalides'),
+  body('moves.*.id').isUUID().withMessage('ID de catégorie invalide'),
+  body('moves.*.parentId').optional({ nullable: true }).isUUID().withMessage('Parent ID invalide'),
+  body('moves.*.sortOrder').optional().isInt({ min: 0 }).withMessage('Ordre de tri invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const categoryTreeService = require('../services/categoryTreeService');
+    const changed = await categoryTreeService.moveCategories(req.body.moves);
+
+    res.json({
+      success: true,
+      message: 'Catégories réorganisées avec succès',
+      data: {
+        updated: changed.length,
+        categories: changed
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Reorder categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la réorganisation des catégories'
+    });
+  }
+});
+
 // @route   POST /api/admin/categories
 // @desc    Create a new category
 // @access  Admin
-router.post('/categories', [
+router.post('/categories', requirePermission('products.manage'), [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Le nom doit contenir entre 2 et 50 caractères'),
   body('description').optional().trim().custom((value) => {
     if (value && value.length > 0 && value.length < 5) {
@@ -703,7 +970,8 @@ router.post('/categories', [
 // @route   PUT /api/admin/categories/:id
 // @desc    Update a category
 // @access  Admin
-router.put('/categories/:id', validateId, [
+router.put('/categories/:id', requirePermission('products.manage'), validateId, [
+  body('parentId').optional({ nullable: true }).isUUID().withMessage('Parent ID invalide'),
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Le nom doit contenir entre 2 et 50 caractères'),
   body('description').optional().trim().custom((value) => {
     if (value && value.length > 0 && value.length < 5) {
@@ -751,7 +1019,15 @@ router.put('/categories/:id', validateId, [
       }
     }
 
-    await category.update(req.body);
+    const { parentId, level, ...fields } = req.body;
+    await sequelize.transaction(async (transaction) => {
+      if (parentId !== undefined) {
+        const categoryTreeService = require('../services/categoryTreeService');
+        await categoryTreeService.moveCategories([{ id: category.id, parentId }], { transaction });
+      }
+      await category.update(fields, { transaction });
+    });
+    await category.reload();
 
     for (const ref of orphans) deleteImageByURL(ref).catch(() => {});
 
@@ -762,6 +1038,9 @@ router.put('/categories/:id', validateId, [
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('❌ Update category error:', error);
     res.status(500).json({
       success: false,
@@ -773,7 +1052,7 @@ router.put('/categories/:id', validateId, [
 // @route   DELETE /api/admin/categories/:id
 // @desc    Delete a category
 // @access  Admin
-router.delete('/categories/:id', validateId, async (req, res) => {
+router.delete('/categories/:id', requirePermission('products.manage'), validateId, async (req, res) => {
   try {
     const category = await Category.findByPk(req.params.id);
     if (!category) {
@@ -816,47 +1095,17 @@ router.delete('/categories/:id', validateId, async (req, res) => {
 // @route   GET /api/admin/orders
 // @desc    Get all orders with pagination and filtering
 // @access  Admin
-router.get('/orders', [...validatePagination, ...validateDateRange, ...validateSearch, ...validateAmountRange, ...validateStatus(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])], async (req, res) => {
+router.get('/orders', requirePermission('orders.view'), [...validatePagination, ...validateDateRange, ...validateSearch, ...validateAmountRange, ...validateStatus(ORDER_STATUSES)], async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
     
-    // Filter parameters
-    const { status, search, startDate, endDate, minAmount, maxAmount } = req.query;
-    
-    // Build where clause
-    const whereClause = {};
-    if (status && status !== 'all') {
-      whereClause.status = status;
-    }
-    if (startDate) {
-      whereClause.createdAt = { [Op.gte]: new Date(startDate) };
-    }
-    if (endDate) {
-      if (whereClause.createdAt) {
-        whereClause.createdAt[Op.lte] = new Date(endDate);
-      } else {
-        whereClause.createdAt = { [Op.lte]: new Date(endDate) };
-      }
-    }
-    if (minAmount) {
-      whereClause.totalAmount = { [Op.gte]: parseFloat(minAmount) };
-    }
-    if (maxAmount) {
-      if (whereClause.totalAmount) {
-        whereClause.totalAmount[Op.lte] = parseFloat(maxAmount);
-      } else {
-        whereClause.totalAmount = { [Op.lte]: parseFloat(maxAmount) };
-      }
-    }
+    const orderExportService = require('../services/orderExportService');
+    const { where: whereClause, userInclude } = orderExportService.buildOrderQuery(req.query);
 
     const includeOptions = [
-      { 
-        model: User, 
-        as: 'user', 
-        attributes: ['firstName', 'lastName', 'email']
-      },
+      userInclude,
       { 
         model: OrderItem, 
         as: 'orderItems', 
@@ -864,17 +1113,6 @@ router.get('/orders', [...validatePagination, ...validateDateRange, ...validateS
       }
     ];
 
-    // Add search filter to user include if search is provided
-    if (search) {
-      includeOptions[0].where = {
-        [Op.or]: [
-          { firstName: { [Op.like]: `%${search}%` } },
-          { lastName: { [Op.like]: `%${search}%` } },
-          { email: { [Op.like]: `%${search}%` } }
-        ]
-      };
-    }
-
     const orders = await Order.findAndCountAll({
       where: whereClause,
       include: includeOptions,
@@ -908,10 +1146,66 @@ router.get('/orders', [...validatePagination, ...validateDateRange, ...validateS
   }
 });
 
+// @route   GET /api/admin/orders/export/columns
+// @desc    Columns available for the order export
+// @access  Admin
+router.get('/orders/export/columns', requirePermission('orders.view'), (req, res) => {
+  const orderExportService = require('../services/orderExportService');
+  res.json({ success: true, data: { columns: orderExportService.getAvailableColumns() } });
+});
+
+// @route   GET /api/admin/orders/export
+// @desc    Download orders as CSV or XLSX, filtered like GET /orders.
+//          ?columns=a,b picks columns, ?mode=items writes one row per line item
+// @access  Admin
+router.get('/orders/export', requirePermission('orders.view'), [
+  ...validateDateRange,
+  ...validateSearch,
+  ...validateAmountRange,
+  ...validateStatus(ORDER_STATUSES),
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format invalide (csv ou xlsx)'),
+  query('mode').optional().isIn(['orders', 'items']).withMessage('Mode invalide (orders ou items)'),
+  query('delimiter').optional().isIn([',', ';']).withMessage('Séparateur invalide'),
+  query('columns').optional().isString()
+], handleValidationErrors, auditLog('EXPORT', 'order', () => null, (req) => ({ format: req.query.format || 'csv', mode: req.query.mode || 'orders', filters: req.query })), async (req, res) => {
+  const orderExportService = require('../services/orderExportService');
+  const format = req.query.format || 'csv';
+  const perItem = req.query.mode === 'items';
+
+  let columns;
+  try {
+    const keys = req.query.columns ? req.query.columns.split(',').map(key => key.trim()).filter(Boolean) : null;
+    columns = orderExportService.resolveColumns(keys, perItem);
+  } catch (error) {
+    return res.status(error.status || 400).json({ success: false, error: error.message });
+  }
+
+  const filename = `commandes-${perItem ? 'articles-' : ''}${new Date().toISOString().split('T')[0]}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await orderExportService.writeXlsx(res, req.query, { columns, perItem });
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await orderExportService.writeCsv(res, req.query, { columns, perItem, delimiter: req.query.delimiter || ',' });
+    }
+  } catch (error) {
+    console.error('❌ Export orders error:', error);
+    // Once streaming has started the status line is gone; just cut the download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ success: false, error: 'Erreur lors de l\'export des commandes' });
+  }
+});
+
 // @route   GET /api/admin/orders/:id
 // @desc    Get detailed order information
 // @access  Admin
-router.get('/orders/:id', validateId, async (req, res) => {
+router.get('/orders/:id', requirePermission('orders.view'), validateId, async (req, res) => {
   try {
     const order = await Order.findByPk(req.params.id, {
       include: [
@@ -961,7 +1255,7 @@ router.get('/orders/:id', validateId, async (req, res) => {
 // @desc    Update status for multiple orders
 // @access  Admin
 // NOTE: must be registered BEFORE /orders/:id/status to avoid :id catching "bulk"
-router.put('/orders/bulk/status', [
+router.put('/orders/bulk/status', requirePermission('orders.manage'), [
   body('orderIds').isArray({ min: 1 }).withMessage('Au moins une commande doit être sélectionnée'),
   body('orderIds.*').isUUID().withMessage('ID de commande invalide'),
   body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']).withMessage('Statut invalide'),
@@ -979,6 +1273,32 @@ router.put('/orders/bulk/status', [
 
     const { orderIds, status, comment } = req.body;
 
+    // Cash-on-delivery orders only leave once the customer has confirmed them
+    if (status === 'shipped') {
+      const cashOnDeliveryService = require('../services/cashOnDeliveryService');
+      const unconfirmed = (await Order.findAll({ where: { id: orderIds } }))
+        .filter(order => cashOnDeliveryService.awaitsConfirmation(order));
+      if (unconfirmed.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Commandes en paiement à la livraison non confirmées : ${unconfirmed.map(order => order.orderNumber).join(', ')}`
+        });
+      }
+    }
+
+    // Unpaid bank transfers are neither prepared nor shipped
+    if (['processing', 'shipped'].includes(status)) {
+      const bankTransferService = require('../services/bankTransferService');
+      const unpaid = (await Order.findAll({ where: { id: orderIds } }))
+        .filter(order => bankTransferService.isBankTransfer(order) && order.paymentStatus !== 'paid');
+      if (unpaid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Commandes payables par virement non payées : ${unpaid.map(order => order.orderNumber).join(', ')}`
+        });
+      }
+    }
+
     // Update all orders
     const updateResult = await Order.update(
       { 
@@ -1019,7 +1339,7 @@ router.put('/orders/bulk/status', [
 // @route   PUT /api/admin/orders/:id/status
 // @desc    Update order status with comments
 // @access  Admin
-router.put('/orders/:id/status', validateId, auditLog('UPDATE_STATUS', 'order', req => req.params.id, (req) => ({ newStatus: req.body.status })), [
+router.put('/orders/:id/status', requirePermission('orders.manage'), validateId, auditLog('UPDATE_STATUS', 'order', req => req.params.id, (req) => ({ newStatus: req.body.status })), [
   body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']).withMessage('Statut invalide'),
   body('comment').optional().trim().isLength({ max: 500 }).withMessage('Le commentaire ne doit pas dépasser 500 caractères')
 ], async (req, res) => {
@@ -1041,6 +1361,16 @@ router.put('/orders/:id/status', validateId, auditLog('UPDATE_STATUS', 'order',
       });
     }
 
+    if (req.body.status === 'shipped') {
+      const cashOnDeliveryService = require('../services/cashOnDeliveryService');
+      cashOnDeliveryService.assertCanShip(order);
+    }
+    // Unpaid bank transfers are neither prepared nor shipped
+    if (['processing', 'shipped'].includes(req.body.status)) {
+      const bankTransferService = require('../services/bankTransferService');
+      bankTransferService.assertCanShip(order);
+    }
+
     const oldStatus = order.status;
     await order.update({
       status: req.body.status,
@@ -1058,6 +1388,9 @@ router.put('/orders/:id/status', validateId, auditLog('UPDATE_STATUS', 'order',
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('❌ Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -1066,11 +1399,157 @@ router.put('/orders/:id/status', validateId, auditLog('UPDATE_STATUS', 'order',
   }
 });
 
+// ==================== CASH ON DELIVERY ====================
+
+// @route   POST /api/admin/orders/:id/cod/confirm
+// @desc    Confirm a cash-on-delivery order after reaching the customer by phone
+// @access  Admin
+router.post('/orders/:id/cod/confirm', requirePermission('orders.manage'), validateId, auditLog('CONFIRM_COD', 'order', req => req.params.id), async (req, res) => {
+  try {
+    const cashOnDeliveryService = require('../services/cashOnDeliveryService');
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    await cashOnDeliveryService.confirmByAgent(order, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Commande confirmée',
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Confirm COD order error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la confirmation de la commande' });
+  }
+});
+
+// @route   POST /api/admin/orders/:id/cod/collect
+// @desc    Record the cash collected by the courier. Marks the order paid
+//          (and delivered if it was shipped) and awards the loyalty points.
+// @access  Admin
+router.post('/orders/:id/cod/collect', requirePermission('orders.manage', 'payments.manage'), validateId, auditLog('COLLECT_CASH', 'order', req => req.params.id), async (req, res) => {
+  try {
+    const cashOnDeliveryService = require('../services/cashOnDeliveryService');
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    await cashOnDeliveryService.markCollected(order, req.user.id);
+
+    try {
+      const loyaltyService = require('../services/loyaltyService');
+      const pricingService = require('../services/pricingService');
+      const customer = await User.findByPk(order.userId);
+      if (customer) {
+        await loyaltyService.awardPoints(customer, Number(order.subtotal), pricingService.isPrimeMember(customer), order.id);
+      }
+    } catch (loyaltyError) {
+      console.error('❌ Error awarding loyalty points:', loyaltyError);
+    }
+
+    res.json({
+      success: true,
+      message: `Encaissement de ${order.totalAmount} DH enregistré`,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Collect COD payment error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de l\'enregistrement de l\'encaissement' });
+  }
+});
+
+// ==================== CARRIER SHIPMENTS ====================
+
+// @route   GET /api/admin/carriers
+// @desc    Carriers orders can be shipped with
+// @access  Admin
+router.get('/carriers', requirePermission('orders.view'), (req, res) => {
+  const { listCarriers, getDefaultCarrierName } = require('../services/carriers');
+  res.json({ success: true, data: { carriers: listCarriers(), defaultCarrier: getDefaultCarrierName() } });
+});
+
+// @route   POST /api/admin/orders/:id/shipment
+// @desc    Book the carrier pickup; the order then follows the carrier's
+//          tracking events (shipped, delivered) on its own
+// @access  Admin
+router.post('/orders/:id/shipment', requirePermission('orders.manage'), validateId, auditLog('CREATE_SHIPMENT', 'order', req => req.params.id, (req) => ({ carrier: req.body.carrier })), [
+  body('carrier').optional().isString().trim().isLength({ min: 1, max: 30 }).withMessage('Transporteur invalide')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const shipmentService = require('../services/shipmentService');
+    const cashOnDeliveryService = require('../services/cashOnDeliveryService');
+    const bankTransferService = require('../services/bankTransferService');
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    cashOnDeliveryService.assertCanShip(order);
+    bankTransferService.assertCanShip(order);
+    await shipmentService.createShipment(order, { carrier: req.body.carrier, adminId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: `Envoi créé (${order.trackingNumber})`,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Create shipment error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la création de l\'envoi' });
+  }
+});
+
+// @route   POST /api/admin/orders/:id/shipment/sync
+// @desc    Fetch the latest tracking events from the carrier now
+// @access  Admin
+router.post('/orders/:id/shipment/sync', requirePermission('orders.manage'), validateId, async (req, res) => {
+  try {
+    const shipmentService = require('../services/shipmentService');
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    const result = await shipmentService.syncOrder(order);
+
+    res.json({
+      success: true,
+      data: { ...result, timeline: shipmentService.getTimeline(order) }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Sync shipment error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la synchronisation du suivi' });
+  }
+});
+
+const refundItemValidators = [
+  body('items').optional().isArray({ max: 50 }).withMessage('Les articles doivent être un tableau (max 50)'),
+  body('items.*.orderItemId').isUUID().withMessage('Article de commande invalide'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantité invalide').toInt(),
+  body('amount').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Montant invalide').toFloat()
+];
+
 // @route   POST /api/admin/orders/:id/refund
-// @desc    Process full or partial refund for an order
+// @desc    Refund selected items/quantities, a custom amount, or the whole remaining order.
+//          Can be called several times until the order is fully refunded.
 // @access  Admin
-router.post('/orders/:id/refund', validateId, auditLog('REFUND', 'order', req => req.params.id, (req) => ({ amount: req.body.amount, reason: req.body.reason })), [
-  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Montant invalide'),
+router.post('/orders/:id/refund', requirePermission('orders.refund'), validateId, auditLog('REFUND', 'order', req => req.params.id, (req) => ({ amount: req.body.amount, items: req.body.items, reason: req.body.reason })), [
+  ...refundItemValidators,
   body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('La raison est requise (max 500 caractères)')
 ], async (req, res) => {
   try {
@@ -1079,9 +1558,8 @@ router.post('/orders/:id/refund', validateId, auditLog('REFUND', 'order', req =>
       return res.status(400).json({ success: false, error: 'Données invalides', details: errors.array() });
     }
 
-    const order = await Order.findByPk(req.params.id, {
-      include: [{ model: OrderItem, as: 'orderItems', include: [{ model: Product, as: 'product' }] }]
-    });
+    const refundService = require('../services/refundService');
+    const order = await refundService.findRefundableOrder(req.params.id);
 
     if (!order) {
       return res.status(404).json({ success: false, error: 'Commande non trouvée' });
@@ -1091,31 +1569,33 @@ router.post('/orders/:id/refund', validateId, auditLog('REFUND', 'order', req =>
       return res.status(400).json({ success: false, error: 'Cette commande est déjà annulée ou remboursée' });
     }
 
-    const refundAmount = req.body.amount || parseFloat(order.totalAmount);
-    const isPartial = req.body.amount && req.body.amount < parseFloat(order.totalAmount);
-
-    // Attempt Stripe refund if payment exists
-    if (order.paymentTransactionId) {
-      try {
-        const paymentProcessor = require('../services/paymentProcessor');
-        await paymentProcessor.refundPayment(order.paymentTransactionId, isPartial ? Math.round(refundAmount * 100) : undefined);
-      } catch (stripeErr) {
-        console.error('Stripe refund error:', stripeErr);
-        return res.status(500).json({ success: false, error: 'Erreur lors du remboursement Stripe: ' + stripeErr.message });
+    const oldStatus = order.status;
+    let result;
+    try {
+      result = await refundService.refundOrder(order, {
+        items: req.body.items,
+        amount: req.body.amount,
+        reason: req.body.reason,
+        processedBy: req.user.id
+      });
+    } catch (refundError) {
+      if (refundError.status) {
+        return res.status(refundError.status).json({ success: false, error: refundError.message });
       }
+      console.error('Stripe refund error:', refundError);
+      return res.status(500).json({ success: false, error: 'Erreur lors du remboursement Stripe: ' + refundError.message });
     }
 
-    const oldStatus = order.status;
-    await order.update({
-      status: 'refunded',
-      paymentStatus: isPartial ? 'partially_refunded' : 'refunded',
-      statusComment: `Remboursement ${isPartial ? 'partiel' : 'total'} de ${refundAmount} DH — ${req.body.reason}`
-    });
+    const { refund, isFullRefund, refundableAmount } = result;
+    const refundAmount = Number(refund.amount);
 
-    // Restore stock
-    for (const item of order.orderItems || []) {
-      if (item.product) {
-        await item.product.increment('stockQuantity', { by: item.quantity });
+    // Take back the loyalty points earned on a fully refunded order
+    if (isFullRefund) {
+      try {
+        const loyaltyService = require('../services/loyaltyService');
+        await loyaltyService.reverseOrderPoints(order, `Remboursement de la commande ${order.orderNumber}`);
+      } catch (loyaltyError) {
+        console.error('Error reversing loyalty points:', loyaltyError);
       }
     }
 
@@ -1124,17 +1604,17 @@ router.post('/orders/:id/refund', validateId, auditLog('REFUND', 'order', req =>
     await OrderStatusLog.create({
       orderId: order.id,
       previousStatus: oldStatus,
-      newStatus: 'refunded',
+      newStatus: order.status,
       changedBy: req.user.id,
       changedByRole: 'admin',
-      reason: `${isPartial ? 'Remboursement partiel' : 'Remboursement total'}: ${req.body.reason}`,
-      metadata: { refundAmount, isPartial }
+      reason: `${isFullRefund ? 'Remboursement total' : 'Remboursement partiel'}: ${req.body.reason}`,
+      metadata: { refundId: refund.id, refundAmount, items: refund.items }
     });
 
     res.json({
       success: true,
-      message: `Remboursement ${isPartial ? 'partiel' : 'total'} de ${refundAmount} DH effectué`,
-      data: { refundAmount, isPartial }
+      message: `Remboursement ${isFullRefund ? 'total' : 'partiel'} de ${refundAmount} DH effectué`,
+      data: { refund, refundAmount, isPartial: !isFullRefund, refundableAmount, paymentStatus: order.paymentStatus }
     });
   } catch (error) {
     console.error('Admin refund error:', error);
@@ -1142,13 +1622,41 @@ router.post('/orders/:id/refund', validateId, auditLog('REFUND', 'order', req =>
   }
 });
 
-// @route   POST /api/admin/orders/bulk/export
-// @desc    Export selected orders to CSV
+// @route   GET /api/admin/orders/:id/refunds
+// @desc    List the refunds issued on an order
 // @access  Admin
-router.post('/orders/bulk/export', [
-  body('orderIds').isArray({ min: 1 }).withMessage('Au moins une commande doit être sélectionnée'),
-  body('orderIds.*').isUUID().withMessage('ID de commande invalide')
-], async (req, res) => {
+router.get('/orders/:id/refunds', requirePermission('orders.view'), validateId, async (req, res) => {
+  try {
+    const refundService = require('../services/refundService');
+    const order = await Order.findByPk(req.params.id, { attributes: ['id', 'totalAmount', 'refundedAmount', 'paymentStatus'] });
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    const refunds = await refundService.getOrderRefunds(order.id);
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        refundedAmount: Number(order.refundedAmount || 0),
+        refundableAmount: order.getRefundableAmount(),
+        paymentStatus: order.paymentStatus
+      }
+    });
+  } catch (error) {
+    console.error('Get order refunds error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des remboursements' });
+  }
+});
+
+// @route   POST /api/admin/orders/bulk/export
+// @desc    Export selected orders to CSV
+// @access  Admin
+router.post('/orders/bulk/export', requirePermission('orders.manage'), [
+  body('orderIds').isArray({ min: 1 }).withMessage('Au moins une commande doit être sélectionnée'),
+  body('orderIds.*').isUUID().withMessage('ID de commande invalide')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -1205,7 +1713,7 @@ router.post('/orders/bulk/export', [
 // @route   POST /api/admin/orders/bulk/notify
 // @desc    Send bulk email notifications to customers
 // @access  Admin
-router.post('/orders/bulk/notify', [
+router.post('/orders/bulk/notify', requirePermission('orders.manage'), [
   body('orderIds').isArray({ min: 1 }).withMessage('Au moins une commande doit être sélectionnée'),
   body('orderIds.*').isUUID().withMessage('ID de commande invalide'),
   body('notificationType').isIn(['status_update', 'shipping_update', 'custom']).withMessage('Type de notification invalide'),
@@ -1260,7 +1768,7 @@ router.post('/orders/bulk/notify', [
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination
 // @access  Admin
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -1299,7 +1807,7 @@ router.get('/users', async (req, res) => {
 // @route   PUT /api/admin/users/:id/status
 // @desc    Toggle user active status
 // @access  Admin
-router.put('/users/:id/status', validateId, auditLog('UPDATE_STATUS', 'user', req => req.params.id, (req) => ({ isActive: req.body.isActive })), async (req, res) => {
+router.put('/users/:id/status', requirePermission('users.manage'), validateId, auditLog('UPDATE_STATUS', 'user', req => req.params.id, (req) => ({ isActive: req.body.isActive })), async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id);
     if (!user) {
@@ -1334,11 +1842,76 @@ router.put('/users/:id/status', validateId, auditLog('UPDATE_STATUS', 'user', re
   }
 });
 
+// @route   POST /api/admin/users/:id/loyalty/adjust
+// @desc    Manually credit or debit a user's loyalty points (written to the ledger)
+// @access  Admin
+router.post('/users/:id/loyalty/adjust', requirePermission('loyalty.manage'), validateId, auditLog('ADJUST_LOYALTY', 'user', req => req.params.id, (req) => ({ points: req.body.points, reason: req.body.reason })), [
+  body('points').isInt({ min: -1000000, max: 1000000 }).withMessage('Nombre de points invalide').toInt()
+    .custom(value => value !== 0).withMessage('Le nombre de points ne peut pas être nul'),
+  body('reason').trim().isLength({ min: 3, max: 255 }).withMessage('La raison est requise (3-255 caractères)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Données invalides', details: errors.array() });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Utilisateur non trouvé' });
+    }
+
+    const loyaltyService = require('../services/loyaltyService');
+    const entry = await loyaltyService.adjustPoints(user.id, req.body.points, req.body.reason, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Points de fidélité ajustés avec succès',
+      data: loyaltyService.formatTransaction(entry)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Adjust loyalty points error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de l\'ajustement des points' });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Admin roles and the permissions each one grants
+// @access  Admin
+router.get('/roles', requirePermission('roles.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: Object.entries(adminRoles.roles).map(([key, role]) => ({ key, ...role })),
+      permissions: adminRoles.permissions
+    }
+  });
+});
+
+// @route   GET /api/admin/me/permissions
+// @desc    Role and permissions of the signed-in admin, to shape the back-office UI
+// @access  Admin
+router.get('/me/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      adminRole: req.user.adminRole || null,
+      permissions: adminRoles.getPermissions(req.user)
+    }
+  });
+});
+
 // @route   PUT /api/admin/users/:id/role
-// @desc    Change user role (client/admin)
+// @desc    Change user role (client/admin) and, for admins, their back-office role
 // @access  Admin
-router.put('/users/:id/role', validateId, auditLog('UPDATE_ROLE', 'user', req => req.params.id, (req) => ({ newRole: req.body.role })), [
-  body('role').isIn(['client', 'admin']).withMessage('Rôle invalide')
+router.put('/users/:id/role', requirePermission('roles.manage'), validateId, auditLog('UPDATE_ROLE', 'user', req => req.params.id, (req) => ({ newRole: req.body.role, adminRole: req.body.adminRole || null })), [
+  body('role').isIn(['client', 'admin']).withMessage('Rôle invalide'),
+  body('adminRole')
+    .if(body('role').equals('admin'))
+    .isIn(adminRoles.ADMIN_ROLES).withMessage('Rôle administrateur invalide')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1366,13 +1939,15 @@ router.put('/users/:id/role', validateId, auditLog('UPDATE_ROLE', 'user', req =>
       });
     }
 
-    const oldRole = user.role;
-    await user.update({ role: req.body.role });
+    const oldRole = user.adminRole || user.role;
+    const adminRole = req.body.role === 'admin' ? req.body.adminRole : null;
+    await user.update({ role: req.body.role, adminRole });
 
+    const newRole = adminRole || req.body.role;
     res.json({
       success: true,
-      message: `Rôle utilisateur changé de ${oldRole} à ${req.body.role} avec succès`,
-      data: { role: req.body.role }
+      message: `Rôle utilisateur changé de ${oldRole} à ${newRole} avec succès`,
+      data: { role: req.body.role, adminRole, permissions: adminRoles.getPermissions(user) }
     });
 
   } catch (error) {
@@ -1389,7 +1964,7 @@ router.put('/users/:id/role', validateId, auditLog('UPDATE_ROLE', 'user', req =>
 // @route   GET /api/admin/inventory/alerts
 // @desc    Get low stock alerts
 // @access  Admin
-router.get('/inventory/alerts', async (req, res) => {
+router.get('/inventory/alerts', requirePermission('inventory.manage'), async (req, res) => {
   try {
     const lowStockProducts = await inventoryService.getLowStockProducts();
     const stats = await inventoryService.getInventoryStats();
@@ -1414,7 +1989,7 @@ router.get('/inventory/alerts', async (req, res) => {
 // @route   GET /api/admin/inventory/history/:productId
 // @desc    Get stock history for a product
 // @access  Admin
-router.get('/inventory/history/:productId', validateParamId('productId'), async (req, res) => {
+router.get('/inventory/history/:productId', requirePermission('inventory.manage'), validateParamId('productId'), async (req, res) => {
   try {
     const { productId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -1438,8 +2013,9 @@ router.get('/inventory/history/:productId', validateParamId('productId'), async
 // @route   POST /api/admin/inventory/update-stock
 // @desc    Update product stock
 // @access  Admin
-router.post('/inventory/update-stock', [
+router.post('/inventory/update-stock', requirePermission('inventory.manage'), [
   body('productId').isUUID().withMessage('ID de produit invalide'),
+  body('variantId').optional().isUUID().withMessage('ID de variante invalide'),
   body('quantity').isInt().withMessage('Quantité invalide'),
   body('changeType').isIn(['in', 'out', 'adjustment']).withMessage('Type de changement invalide'),
   body('reason').trim().isLength({ min: 1 }).withMessage('Raison requise'),
@@ -1455,7 +2031,7 @@ router.post('/inventory/update-stock', [
       });
     }
 
-    const { productId, quantity, changeType, reason, notes } = req.body;
+    const { productId, variantId, quantity, changeType, reason, notes } = req.body;
     const performedBy = req.user.id;
 
     const result = await inventoryService.updateStock(
@@ -1466,7 +2042,8 @@ router.post('/inventory/update-stock', [
       null,
       'manual',
       notes,
-      performedBy
+      performedBy,
+      { variantId: variantId || null }
     );
 
     res.json({
@@ -1487,9 +2064,10 @@ router.post('/inventory/update-stock', [
 // @route   POST /api/admin/inventory/bulk-update
 // @desc    Bulk update stock levels
 // @access  Admin
-router.post('/inventory/bulk-update', [
+router.post('/inventory/bulk-update', requirePermission('inventory.manage'), [
   body('updates').isArray().withMessage('Mises à jour invalides'),
   body('updates.*.productId').isUUID().withMessage('ID de produit invalide'),
+  body('updates.*.variantId').optional().isUUID().withMessage('ID de variante invalide'),
   body('updates.*.quantity').isInt().withMessage('Quantité invalide'),
   body('updates.*.changeType').isIn(['in', 'out', 'adjustment']).withMessage('Type de changement invalide'),
   body('updates.*.reason').trim().isLength({ min: 1 }).withMessage('Raison requise')
@@ -1527,7 +2105,7 @@ router.post('/inventory/bulk-update', [
 // @route   PUT /api/admin/inventory/reorder-point/:productId
 // @desc    Set reorder point for a product
 // @access  Admin
-router.put('/inventory/reorder-point/:productId', validateParamId('productId'), [
+router.put('/inventory/reorder-point/:productId', requirePermission('inventory.manage'), validateParamId('productId'), [
   body('reorderPoint').isInt({ min: 0 }).withMessage('Point de réapprovisionnement invalide')
 ], async (req, res) => {
   try {
@@ -1567,7 +2145,7 @@ const OrderNote = require('../models/OrderNote');
 // @route   GET /api/admin/orders/:id/notes
 // @desc    Get all notes for an order
 // @access  Admin
-router.get('/orders/:id/notes', validateId, async (req, res) => {
+router.get('/orders/:id/notes', requirePermission('orders.view'), validateId, async (req, res) => {
   try {
     const notes = await OrderNote.findAll({
       where: { orderId: req.params.id },
@@ -1584,7 +2162,7 @@ router.get('/orders/:id/notes', validateId, async (req, res) => {
 // @route   POST /api/admin/orders/:id/notes
 // @desc    Add a note to an order
 // @access  Admin
-router.post('/orders/:id/notes', validateId, [
+router.post('/orders/:id/notes', requirePermission('orders.manage'), validateId, [
   body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Contenu requis (max 2000 caractères)'),
   body('isInternal').optional().isBoolean()
 ], async (req, res) => {
@@ -1620,7 +2198,7 @@ router.post('/orders/:id/notes', validateId, [
 // @route   DELETE /api/admin/orders/:orderId/notes/:noteId
 // @desc    Delete an order note
 // @access  Admin
-router.delete('/orders/:orderId/notes/:noteId', [...validateParamId('orderId'), ...validateParamId('noteId')], async (req, res) => {
+router.delete('/orders/:orderId/notes/:noteId', requirePermission('orders.manage'), [...validateParamId('orderId'), ...validateParamId('noteId')], async (req, res) => {
   try {
     const note = await OrderNote.findOne({
       where: { id: req.params.noteId, orderId: req.params.orderId }
@@ -1642,7 +2220,7 @@ const MembershipTransaction = require('../models/MembershipTransaction');
 const membershipService = require('../services/membershipService');
 
 // GET /admin/memberships/stats — Dashboard stats
-router.get('/memberships/stats', async (req, res) => {
+router.get('/memberships/stats', requirePermission('memberships.manage'), async (req, res) => {
   try {
     const now = new Date();
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
@@ -1687,7 +2265,7 @@ router.get('/memberships/stats', async (req, res) => {
 });
 
 // GET /admin/memberships/users — Paginated member list
-router.get('/memberships/users', async (req, res) => {
+router.get('/memberships/users', requirePermission('memberships.manage'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -1736,7 +2314,7 @@ router.get('/memberships/users', async (req, res) => {
 });
 
 // PUT /admin/memberships/users/:userId — Manually manage a user's membership
-router.put('/memberships/users/:userId', validateParamId('userId'), async (req, res) => {
+router.put('/memberships/users/:userId', requirePermission('memberships.manage'), validateParamId('userId'), async (req, res) => {
   try {
     const user = await User.findByPk(req.params.userId);
     if (!user) {
@@ -1823,7 +2401,7 @@ router.put('/memberships/users/:userId', validateParamId('userId'), async (req,
 });
 
 // GET /admin/memberships/transactions — Paginated transaction log
-router.get('/memberships/transactions', async (req, res) => {
+router.get('/memberships/transactions', requirePermission('memberships.manage'), async (req, res) => {
   try {
     const { page = 1, limit = 30, type, userId } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -1863,7 +2441,7 @@ router.get('/memberships/transactions', async (req, res) => {
 // AUDIT LOG ENDPOINTS
 // ============================================
 
-router.get('/audit-logs', async (req, res) => {
+router.get('/audit-logs', requirePermission('audit.view'), async (req, res) => {
   try {
     const { limit = 50, offset = 0, action, resource, adminId } = req.query;
     const AdminAuditLog = require('../models/AdminAuditLog');
@@ -1896,14 +2474,28 @@ router.get('/audit-logs', async (req, res) => {
 // REFUND REQUEST MANAGEMENT
 // ==========================================
 
+// Lines the customer flagged in their request: stored either as order item
+// ids or as { orderItemId, quantity } objects.
+const parseAffectedItems = (affectedItems) => (Array.isArray(affectedItems) ? affectedItems : [])
+  .map(item => (typeof item === 'string' ? { orderItemId: item } : item))
+  .filter(item => item && typeof item.orderItemId === 'string');
+
 // @route   POST /api/admin/orders/:id/approve-refund
-// @desc    Approve a customer refund request — triggers Stripe refund
+// @desc    Approve a customer refund request — triggers Stripe refund.
+//          Refunds the given items/amount, else the items the customer flagged, else the whole order.
 // @access  Admin
-router.post('/orders/:id/approve-refund', validateId, auditLog('APPROVE_REFUND', 'order', req => req.params.id), async (req, res) => {
+router.post('/orders/:id/approve-refund', requirePermission('orders.refund'), validateId, auditLog('APPROVE_REFUND', 'order', req => req.params.id, (req) => ({ amount: req.body.amount, items: req.body.items })), [
+  ...refundItemValidators,
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note trop longue (max 500 caractères)')
+], async (req, res) => {
   try {
-    const order = await Order.findByPk(req.params.id, {
-      include: [{ model: OrderItem, as: 'orderItems', include: [{ model: Product, as: 'product' }] }]
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Données invalides', details: errors.array() });
+    }
+
+    const refundService = require('../services/refundService');
+    const order = await refundService.findRefundableOrder(req.params.id);
 
     if (!order) {
       return res.status(404).json({ success: false, error: 'Commande non trouvée' });
@@ -1913,29 +2505,35 @@ router.post('/orders/:id/approve-refund', validateId, auditLog('APPROVE_REFUND',
       return res.status(400).json({ success: false, error: 'Cette commande n\'a pas de demande de remboursement en attente' });
     }
 
-    // Process Stripe refund
-    let refundId = null;
-    if (order.paymentTransactionId) {
-      try {
-        const paymentProcessor = require('../services/paymentProcessor');
-        const refund = await paymentProcessor.refundPayment(order.paymentTransactionId);
-        refundId = refund.id;
-      } catch (stripeErr) {
-        console.error('Stripe refund error:', stripeErr);
-        return res.status(500).json({ success: false, error: 'Erreur lors du remboursement Stripe: ' + stripeErr.message });
+    const hasSelection = (req.body.items && req.body.items.length > 0) || req.body.amount;
+    const items = hasSelection ? (req.body.items || []) : parseAffectedItems(order.refundAffectedItems);
+
+    const oldStatus = order.status;
+    let result;
+    try {
+      result = await refundService.refundOrder(order, {
+        items,
+        amount: req.body.amount,
+        reason: req.body.note || `Demande de remboursement approuvée — Catégorie: ${order.refundReason}`,
+        processedBy: req.user.id
+      });
+    } catch (refundError) {
+      if (refundError.status) {
+        return res.status(refundError.status).json({ success: false, error: refundError.message });
       }
+      console.error('Stripe refund error:', refundError);
+      return res.status(500).json({ success: false, error: 'Erreur lors du remboursement Stripe: ' + refundError.message });
     }
 
-    const oldStatus = order.status;
-    await order.update({
-      status: 'refunded',
-      paymentStatus: 'refunded'
-    });
+    const { refund, isFullRefund, refundableAmount } = result;
 
-    // Restore stock
-    for (const item of order.orderItems || []) {
-      if (item.product) {
-        await Product.increment('stockQuantity', { by: item.quantity, where: { id: item.productId } });
+    // Take back the loyalty points earned on a fully refunded order
+    if (isFullRefund) {
+      try {
+        const loyaltyService = require('../services/loyaltyService');
+        await loyaltyService.reverseOrderPoints(order, `Remboursement de la commande ${order.orderNumber}`);
+      } catch (loyaltyError) {
+        console.error('Error reversing loyalty points:', loyaltyError);
       }
     }
 
@@ -1944,11 +2542,11 @@ router.post('/orders/:id/approve-refund', validateId, auditLog('APPROVE_REFUND',
     await OrderStatusLog.create({
       orderId: order.id,
       previousStatus: oldStatus,
-      newStatus: 'refunded',
+      newStatus: order.status,
       changedBy: req.user.id,
       changedByRole: 'admin',
-      reason: `Demande de remboursement approuvée — Catégorie: ${order.refundReason}`,
-      metadata: { refundId, refundReason: order.refundReason }
+      reason: `Demande de remboursement approuvée${isFullRefund ? '' : ' partiellement'} — Catégorie: ${order.refundReason}`,
+      metadata: { refundId: refund.stripeRefundId, refundAmount: Number(refund.amount), items: refund.items, refundReason: order.refundReason }
     });
 
     // Send notification to customer
@@ -1956,7 +2554,7 @@ router.post('/orders/:id/approve-refund', validateId, auditLog('APPROVE_REFUND',
     if (customer) {
       try {
         const emailService = require('../services/emailService');
-        await emailService.sendOrderStatusUpdateEmail(order, customer, oldStatus, 'refunded');
+        await emailService.sendOrderStatusUpdateEmail(order, customer, oldStatus, order.status);
       } catch (emailError) {
         console.error('Error sending refund approval email:', emailError);
       }
@@ -1964,9 +2562,13 @@ router.post('/orders/:id/approve-refund', validateId, auditLog('APPROVE_REFUND',
 
     res.json({
       success: true,
-      message: 'Remboursement approuvé et traité avec succès',
+      message: isFullRefund
+        ? 'Remboursement approuvé et traité avec succès'
+        : `Remboursement partiel de ${Number(refund.amount)} DH approuvé et traité`,
       order: order.toJSON(),
-      refundId
+      refund,
+      refundId: refund.stripeRefundId,
+      refundableAmount
     });
   } catch (error) {
     console.error('Error approving refund:', error);
@@ -1977,7 +2579,7 @@ router.post('/orders/:id/approve-refund', validateId, auditLog('APPROVE_REFUND',
 // @route   POST /api/admin/orders/:id/reject-refund
 // @desc    Reject a customer refund request — sets order back to delivered
 // @access  Admin
-router.post('/orders/:id/reject-refund', validateId, auditLog('REJECT_REFUND', 'order', req => req.params.id, (req) => ({ reason: req.body.reason })), [
+router.post('/orders/:id/reject-refund', requirePermission('orders.refund'), validateId, auditLog('REJECT_REFUND', 'order', req => req.params.id, (req) => ({ reason: req.body.reason })), [
   body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('La raison du rejet est requise (5-500 caractères)')
 ], async (req, res) => {
   try {
@@ -2036,4 +2638,751 @@ router.post('/orders/:id/reject-refund', validateId, auditLog('REJECT_REFUND', '
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ==========================================
+// COUPON MANAGEMENT
+// ==========================================
+
+const couponValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,40}$/).withMessage('Le code doit contenir 3 à 40 caractères (lettres, chiffres, - ou _)'),
+    field('type').isIn(['percent', 'fixed', 'free_shipping']).withMessage('Type de coupon invalide'),
+    body('value').optional().isFloat({ min: 0 }).withMessage('La valeur doit être un nombre positif'),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('maxDiscountAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Plafond de remise invalide'),
+    body('minSubtotal').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Montant minimum invalide'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Limite d\'utilisation invalide'),
+    body('usageLimitPerUser').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Limite par client invalide'),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Date de début invalide'),
+    body('endsAt').optional({ nullable: true }).isISO8601().withMessage('Date de fin invalide'),
+    body('categoryIds').optional().isArray(),
+    body('categoryIds.*').isUUID().withMessage('Catégorie invalide'),
+    body('productIds').optional().isArray(),
+    body('productIds.*').isUUID().withMessage('Produit invalide'),
+    body('isActive').optional().isBoolean(),
+    handleValidationErrors
+  ];
+};
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscountAmount', 'minSubtotal',
+  'usageLimit', 'usageLimitPerUser', 'startsAt', 'endsAt', 'categoryIds', 'productIds', 'isActive'
+];
+
+// Check the cross-field rules express-validator cannot express on its own
+const validateCouponRules = (data) => {
+  if (data.type === 'percent' && (data.value === undefined || Number(data.value) <= 0 || Number(data.value) > 100)) {
+    return 'Un coupon en pourcentage doit avoir une valeur entre 0 et 100';
+  }
+  if (data.type === 'fixed' && (data.value === undefined || Number(data.value) <= 0)) {
+    return 'Un coupon à montant fixe doit avoir une valeur positive';
+  }
+  if (data.startsAt && data.endsAt && new Date(data.startsAt) >= new Date(data.endsAt)) {
+    return 'La date de fin doit être postérieure à la date de début';
+  }
+  return null;
+};
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons with optional search and status filter
+// @access  Admin
+router.get('/coupons', requirePermission('promotions.manage'), [...validatePagination, ...validateSearch], async (req, res) => {
+  try {
+    const Coupon = require('../models/Coupon');
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const { search, status } = req.query;
+
+    const whereClause = {};
+    if (search) {
+      whereClause[Op.or] = [
+        { code: { [Op.iLike]: `%${search}%` } },
+        { description: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+    if (status === 'active') {
+      whereClause.isActive = true;
+    } else if (status === 'inactive') {
+      whereClause.isActive = false;
+    } else if (status === 'expired') {
+      whereClause.endsAt = { [Op.lt]: new Date() };
+    }
+
+    const { count, rows } = await Coupon.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        coupons: rows,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get coupons error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des coupons' });
+  }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get a coupon with its usage statistics and latest redemptions
+// @access  Admin
+router.get('/coupons/:id', requirePermission('promotions.manage'), validateId, async (req, res) => {
+  try {
+    const Coupon = require('../models/Coupon');
+    const CouponRedemption = require('../models/CouponRedemption');
+    const couponService = require('../services/couponService');
+
+    const coupon = await Coupon.findByPk(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon non trouvé' });
+    }
+
+    const [stats, recentRedemptions] = await Promise.all([
+      couponService.getCouponStats(coupon.id),
+      CouponRedemption.findAll({
+        where: { couponId: coupon.id },
+        include: [
+          { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] },
+          { model: Order, as: 'order', attributes: ['id', 'orderNumber', 'totalAmount', 'status'] }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: 20
+      })
+    ]);
+
+    res.json({ success: true, data: { coupon, stats, recentRedemptions } });
+  } catch (error) {
+    console.error('❌ Get coupon error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération du coupon' });
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon
+// @access  Admin
+router.post('/coupons', requirePermission('promotions.manage'), auditLog('CREATE', 'coupon', null, (req) => ({ code: req.body.code, type: req.body.type })), couponValidators(false), async (req, res) => {
+  try {
+    const Coupon = require('../models/Coupon');
+
+    const data = {};
+    for (const field of COUPON_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    const ruleError = validateCouponRules(data);
+    if (ruleError) {
+      return res.status(400).json({ success: false, error: ruleError });
+    }
+
+    const coupon = await Coupon.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon créé avec succès',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ success: false, error: 'Ce code promo existe déjà' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, error: error.errors?.[0]?.message || error.message });
+    }
+    console.error('❌ Create coupon error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la création du coupon' });
+  }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update a coupon
+// @access  Admin
+router.put('/coupons/:id', requirePermission('promotions.manage'), validateId, auditLog('UPDATE', 'coupon', req => req.params.id), couponValidators(true), async (req, res) => {
+  try {
+    const Coupon = require('../models/Coupon');
+
+    const coupon = await Coupon.findByPk(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon non trouvé' });
+    }
+
+    const updateData = {};
+    for (const field of COUPON_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    const ruleError = validateCouponRules({ ...coupon.get(), ...updateData });
+    if (ruleError) {
+      return res.status(400).json({ success: false, error: ruleError });
+    }
+
+    await coupon.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Coupon mis à jour avec succès',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ success: false, error: 'Ce code promo existe déjà' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, error: error.errors?.[0]?.message || error.message });
+    }
+    console.error('❌ Update coupon error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la mise à jour du coupon' });
+  }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete an unused coupon, or deactivate it if it was already redeemed
+// @access  Admin
+router.delete('/coupons/:id', requirePermission('promotions.manage'), validateId, auditLog('DELETE', 'coupon', req => req.params.id), async (req, res) => {
+  try {
+    const Coupon = require('../models/Coupon');
+    const CouponRedemption = require('../models/CouponRedemption');
+
+    const coupon = await Coupon.findByPk(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon non trouvé' });
+    }
+
+    // Keep redeemed coupons so past orders still reference them
+    const redemptions = await CouponRedemption.count({ where: { couponId: coupon.id } });
+    if (redemptions > 0) {
+      await coupon.update({ isActive: false });
+      return res.json({
+        success: true,
+        message: 'Coupon déjà utilisé : il a été désactivé au lieu d\'être supprimé',
+        data: coupon
+      });
+    }
+
+    await coupon.destroy();
+
+    res.json({ success: true, message: 'Coupon supprimé avec succès' });
+  } catch (error) {
+    console.error('❌ Delete coupon error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la suppression du coupon' });
+  }
+});
+
+// ==========================================
+// SEASONAL CAMPAIGN MANAGEMENT
+// ==========================================
+
+const campaignValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('slug').isString().trim().matches(/^[a-z0-9-]{3,60}$/).withMessage('L\'identifiant doit contenir 3 à 60 caractères (minuscules, chiffres ou -)'),
+    field('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Le nom doit contenir entre 2 et 100 caractères'),
+    field('startDate').isISO8601().withMessage('Date de début invalide'),
+    field('endDate').isISO8601().withMessage('Date de fin invalide'),
+    body('memberExtraDiscount').optional().isFloat({ min: 0, max: 0.5 }).withMessage('La remise Prime supplémentaire doit être comprise entre 0 et 0.5'),
+    body('specialPerks').optional().isArray({ max: 10 }),
+    body('specialPerks.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Avantage invalide'),
+    body('bannerMessage').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('theme').optional({ nullable: true }).isString().isLength({ max: 30 }),
+    body('icon').optional({ nullable: true }).isString().isLength({ max: 10 }),
+    body('isActive').optional().isBoolean(),
+    handleValidationErrors
+  ];
+};
+
+const CAMPAIGN_FIELDS = [
+  'slug', 'name', 'startDate', 'endDate', 'memberExtraDiscount', 'specialPerks',
+  'bannerMessage', 'theme', 'icon', 'isActive'
+];
+
+// @route   GET /api/admin/seasonal-campaigns
+// @desc    List seasonal campaigns (?status=running|upcoming|ended|inactive)
+// @access  Admin
+router.get('/seasonal-campaigns', requirePermission('promotions.manage'), validatePagination, async (req, res) => {
+  try {
+    const SeasonalCampaign = require('../models/SeasonalCampaign');
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const now = new Date();
+
+    const whereClause = {};
+    switch (req.query.status) {
+      case 'running':
+        Object.assign(whereClause, { isActive: true, startDate: { [Op.lte]: now }, endDate: { [Op.gte]: now } });
+        break;
+      case 'upcoming':
+        Object.assign(whereClause, { isActive: true, startDate: { [Op.gt]: now } });
+        break;
+      case 'ended':
+        whereClause.endDate = { [Op.lt]: now };
+        break;
+      case 'inactive':
+        whereClause.isActive = false;
+        break;
+    }
+
+    const { count, rows } = await SeasonalCampaign.findAndCountAll({
+      where: whereClause,
+      order: [['startDate', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        campaigns: rows,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get seasonal campaigns error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des campagnes' });
+  }
+});
+
+// @route   GET /api/admin/seasonal-campaigns/:id
+// @desc    Get a campaign with the orders it discounted
+// @access  Admin
+router.get('/seasonal-campaigns/:id', requirePermission('promotions.manage'), validateId, async (req, res) => {
+  try {
+    const SeasonalCampaign = require('../models/SeasonalCampaign');
+
+    const campaign = await SeasonalCampaign.findByPk(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campagne non trouvée' });
+    }
+
+    const [orderCount, totalDiscount] = await Promise.all([
+      Order.count({ where: { seasonalCampaignId: campaign.id } }),
+      Order.sum('campaignDiscountAmount', { where: { seasonalCampaignId: campaign.id } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaign,
+        stats: {
+          orderCount,
+          totalDiscount: Math.round((totalDiscount || 0) * 100) / 100
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get seasonal campaign error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération de la campagne' });
+  }
+});
+
+// @route   POST /api/admin/seasonal-campaigns
+// @desc    Create a seasonal campaign
+// @access  Admin
+router.post('/seasonal-campaigns', requirePermission('promotions.manage'), auditLog('CREATE', 'seasonal_campaign', null, (req) => ({ slug: req.body.slug, name: req.body.name })), campaignValidators(false), async (req, res) => {
+  try {
+    const SeasonalCampaign = require('../models/SeasonalCampaign');
+
+    const data = {};
+    for (const field of CAMPAIGN_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    if (new Date(data.startDate) >= new Date(data.endDate)) {
+      return res.status(400).json({ success: false, error: 'La date de fin doit être postérieure à la date de début' });
+    }
+
+    const campaign = await SeasonalCampaign.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campagne créée avec succès',
+      data: campaign
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ success: false, error: 'Une campagne avec cet identifiant existe déjà' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, error: error.errors?.[0]?.message || error.message });
+    }
+    console.error('❌ Create seasonal campaign error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la création de la campagne' });
+  }
+});
+
+// @route   PUT /api/admin/seasonal-campaigns/:id
+// @desc    Update a seasonal campaign
+// @access  Admin
+router.put('/seasonal-campaigns/:id', requirePermission('promotions.manage'), validateId, auditLog('UPDATE', 'seasonal_campaign', req => req.params.id), campaignValidators(true), async (req, res) => {
+  try {
+    const SeasonalCampaign = require('../models/SeasonalCampaign');
+
+    const campaign = await SeasonalCampaign.findByPk(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campagne non trouvée' });
+    }
+
+    const updateData = {};
+    for (const field of CAMPAIGN_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    const startDate = updateData.startDate || campaign.startDate;
+    const endDate = updateData.endDate || campaign.endDate;
+    if (new Date(startDate) >= new Date(endDate)) {
+      return res.status(400).json({ success: false, error: 'La date de fin doit être postérieure à la date de début' });
+    }
+
+    await campaign.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Campagne mise à jour avec succès',
+      data: campaign
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ success: false, error: 'Une campagne avec cet identifiant existe déjà' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, error: error.errors?.[0]?.message || error.message });
+    }
+    console.error('❌ Update seasonal campaign error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la mise à jour de la campagne' });
+  }
+});
+
+// @route   DELETE /api/admin/seasonal-campaigns/:id
+// @desc    Delete a campaign, or deactivate it if orders already used it
+// @access  Admin
+router.delete('/seasonal-campaigns/:id', requirePermission('promotions.manage'), validateId, auditLog('DELETE', 'seasonal_campaign', req => req.params.id), async (req, res) => {
+  try {
+    const SeasonalCampaign = require('../models/SeasonalCampaign');
+
+    const campaign = await SeasonalCampaign.findByPk(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campagne non trouvée' });
+    }
+
+    // Keep campaigns referenced by orders so the discount stays explainable
+    const orders = await Order.count({ where: { seasonalCampaignId: campaign.id } });
+    if (orders > 0) {
+      await campaign.update({ isActive: false });
+      return res.json({
+        success: true,
+        message: 'Campagne déjà appliquée à des commandes : elle a été désactivée au lieu d\'être supprimée',
+        data: campaign
+      });
+    }
+
+    await campaign.destroy();
+
+    res.json({ success: true, message: 'Campagne supprimée avec succès' });
+  } catch (error) {
+    console.error('❌ Delete seasonal campaign error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la suppression de la campagne' });
+  }
+});
+
+// @route   GET /api/admin/payments/orphans
+// @desc    Captured payments that never turned into an order
+// @access  Admin
+router.get('/payments/orphans', requirePermission('payments.manage'), validatePagination, [
+  query('status').optional().isIn(['pending', 'resolved', 'refunded', 'flagged']).withMessage('Statut invalide')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const OrphanPayment = require('../models/OrphanPayment');
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (req.query.status) {
+      whereClause.status = req.query.status;
+    }
+
+    const { count, rows } = await OrphanPayment.findAndCountAll({
+      where: whereClause,
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payments: rows,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get orphan payments error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des paiements orphelins' });
+  }
+});
+
+// @route   POST /api/admin/payments/orphans/:id/refund
+// @desc    Refund a flagged orphan payment in full
+// @access  Admin
+router.post('/payments/orphans/:id/refund', requirePermission('payments.manage'), validateId, auditLog('REFUND', 'orphan_payment', req => req.params.id), async (req, res) => {
+  try {
+    const OrphanPayment = require('../models/OrphanPayment');
+    const stripeWebhookService = require('../services/stripeWebhookService');
+
+    const orphan = await OrphanPayment.findByPk(req.params.id);
+    if (!orphan) {
+      return res.status(404).json({ success: false, error: 'Paiement non trouvé' });
+    }
+    if (!['pending', 'flagged'].includes(orphan.status)) {
+      return res.status(400).json({ success: false, error: 'Ce paiement a déjà été traité' });
+    }
+
+    // The customer may have placed the order since the payment was flagged
+    const order = await Order.findOne({ where: { paymentTransactionId: orphan.paymentIntentId } });
+    if (order) {
+      await orphan.update({ status: 'resolved', orderId: order.id, resolvedAt: new Date(), resolvedBy: req.user?.id || null });
+      return res.status(400).json({ success: false, error: `Ce paiement correspond à la commande ${order.orderNumber}` });
+    }
+
+    await stripeWebhookService.refundOrphanPayment(orphan, req.user?.id || null);
+    if (orphan.status !== 'refunded') {
+      return res.status(409).json({ success: false, error: 'Ce paiement a été traité entre-temps' });
+    }
+
+    res.json({ success: true, message: 'Paiement remboursé avec succès', data: orphan });
+  } catch (error) {
+    console.error('❌ Refund orphan payment error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors du remboursement du paiement' });
+  }
+});
+
+// @route   GET /api/admin/payments/bank-transfers
+// @desc    Bank-transfer orders to reconcile, oldest receipt first.
+//          Receipts are read with POST /api/uploads/sign-get.
+// @access  Admin
+router.get('/payments/bank-transfers', requirePermission('payments.manage'), validatePagination, [
+  query('status').optional().isIn(BANK_TRANSFER_STATUSES).withMessage('Statut invalide')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const bankTransferService = require('../services/bankTransferService');
+    const data = await bankTransferService.listQueue({
+      status: req.query.status || 'receipt_submitted',
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Get bank transfers error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des virements' });
+  }
+});
+
+// @route   POST /api/admin/payments/bank-transfers/:id/confirm
+// @desc    Confirm the transfer was received: the order is paid and confirmed
+// @access  Admin
+router.post('/payments/bank-transfers/:id/confirm', requirePermission('payments.manage'), validateId, auditLog('CONFIRM_TRANSFER', 'order', req => req.params.id), async (req, res) => {
+  try {
+    const bankTransferService = require('../services/bankTransferService');
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    await bankTransferService.confirm(order, req.user.id);
+
+    const customer = await User.findByPk(order.userId);
+    try {
+      if (customer) {
+        const loyaltyService = require('../services/loyaltyService');
+        const pricingService = require('../services/pricingService');
+        await loyaltyService.awardPoints(customer, Number(order.subtotal), pricingService.isPrimeMember(customer), order.id);
+      }
+    } catch (loyaltyError) {
+      console.error('❌ Error awarding loyalty points:', loyaltyError);
+    }
+    try {
+      const emailService = require('../services/emailService');
+      await emailService.sendOrderStatusUpdateEmail(order, customer, 'pending', 'confirmed');
+    } catch (emailError) {
+      console.error('❌ Error sending transfer confirmation email:', emailError);
+    }
+
+    res.json({ success: true, message: 'Virement confirmé, commande validée', data: order });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Confirm bank transfer error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la confirmation du virement' });
+  }
+});
+
+// @route   POST /api/admin/payments/bank-transfers/:id/reject
+// @desc    Reject a transfer receipt; the customer can send another one until the deadline
+// @access  Admin
+router.post('/payments/bank-transfers/:id/reject', requirePermission('payments.manage'), validateId, auditLog('REJECT_TRANSFER', 'order', req => req.params.id, (req) => ({ reason: req.body.reason })), [
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Motif requis (entre 5 et 500 caractères)')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const bankTransferService = require('../services/bankTransferService');
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Commande non trouvée' });
+    }
+
+    await bankTransferService.reject(order, req.user.id, req.body.reason);
+
+    res.json({ success: true, message: 'Reçu refusé', data: order });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Reject bank transfer error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors du refus du virement' });
+  }
+});
+
+// ==================== OUTBOUND MESSAGES ====================
+
+// @route   GET /api/admin/outbox
+// @desc    Emails and SMS in the outbox: failed ones waiting for a retry,
+//          dead-lettered ones, sent ones
+// @access  Admin
+router.get('/outbox', requirePermission('notifications.manage'), validatePagination, [
+  query('status').optional().isIn(OUTBOX_STATUSES).withMessage('Statut invalide'),
+  query('channel').optional().isIn(OUTBOX_CHANNELS).withMessage('Canal invalide'),
+  query('category').optional().isString().trim().isLength({ max: 50 }),
+  query('recipient').optional().isString().trim().isLength({ max: 255 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const outboxService = require('../services/outboxService');
+    const data = await outboxService.list({
+      status: req.query.status,
+      channel: req.query.channel,
+      category: req.query.category,
+      recipient: req.query.recipient,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Get outbox error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des messages' });
+  }
+});
+
+// @route   GET /api/admin/outbox/:id
+// @desc    One message with what was sent and its last error; the content of
+//          messages carrying a code or an account link is not shown
+// @access  Admin
+router.get('/outbox/:id', requirePermission('notifications.manage'), validateId, async (req, res) => {
+  try {
+    const outboxService = require('../services/outboxService');
+    const message = await outboxService.get(req.params.id);
+
+    res.json({ success: true, data: message });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Get outbound message error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération du message' });
+  }
+});
+
+// @route   POST /api/admin/outbox/:id/resend
+// @desc    Send a failed or dead-lettered message again now
+// @access  Admin
+router.post('/outbox/:id/resend', requirePermission('notifications.manage'), validateId, auditLog('RESEND', 'outbound_message', req => req.params.id), async (req, res) => {
+  try {
+    const outboxService = require('../services/outboxService');
+    const { message, error } = await outboxService.resend(req.params.id);
+
+    res.json({
+      success: !error,
+      message: error ? `Nouvel échec de l'envoi : ${error.message}` : 'Message renvoyé',
+      data: outboxService.toAdminJSON(message)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Resend outbound message error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors du renvoi du message' });
+  }
+});
+
+// ==================== EMAIL TEMPLATES ====================
+
+// @route   GET /api/admin/email-templates
+// @desc    Email templates and the languages they can be rendered in
+// @access  Admin
+router.get('/email-templates', requirePermission('notifications.manage'), async (req, res) => {
+  try {
+    const emailTemplateService = require('../services/emailTemplateService');
+    const templates = await emailTemplateService.listTemplates();
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        languages: Object.entries(LANGUAGES).map(([code, { label, dir }]) => ({ code, label, dir })),
+        defaultLanguage: DEFAULT_LANGUAGE
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get email templates error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des modèles d\'email' });
+  }
+});
+
+// @route   GET /api/admin/email-templates/:name/preview
+// @desc    Render a template with its sample data; format=html returns the
+//          email itself so it can be opened in a browser tab
+// @access  Admin
+router.get('/email-templates/:name/preview', requirePermission('notifications.manage'), [
+  param('name').matches(/^[A-Za-z]+$/).withMessage('Nom de modèle invalide'),
+  query('lang').optional().isIn(Object.keys(LANGUAGES)).withMessage('Langue invalide'),
+  query('format').optional().isIn(['json', 'html']).withMessage('Format invalide')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const emailTemplateService = require('../services/emailTemplateService');
+    const email = await emailTemplateService.preview(req.params.name, req.query.lang || DEFAULT_LANGUAGE);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    res.json({ success: true, data: email });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Preview email template error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors du rendu du modèle d\'email' });
+  }
+});
+
+module.exports = router;
@@ -9,17 +9,20 @@ const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
+const searchQueryLogService = require('../services/searchQueryLogService');
+const cartRecoveryService = require('../services/cartRecoveryService');
 
 // Import middleware
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { adminActionLimiter } = require('../middleware/rateLimiter');
 
 // Apply rate limiting to all analytics routes
 router.use(adminActionLimiter);
 
 // Apply Firebase auth and admin auth to all analytics routes
-router.use(firebaseAuth, adminAuth);
+router.use(firebaseAuth, adminAuth, requirePermission('analytics.view'));
 
 // Helper: build a complete date range (YYYY-MM-DD) between two dates, inclusive
 function buildDateRange(startDate, endDate) {
@@ -510,6 +513,74 @@ router.get('/products', async (req, res) => {
   }
 });
 
+// ==================== SEARCH ANALYTICS ====================
+
+// @route   GET /api/admin/analytics/search/zero-results
+// @desc    Most frequent searches and suggestions that returned nothing
+// @access  Admin
+router.get('/search/zero-results', async (req, res) => {
+  try {
+    const { period = '30', source, limit = '50' } = req.query;
+
+    if (source && !['search', 'suggest'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source invalide (search ou suggest)'
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(period) || 30, 1), 365);
+    const report = await searchQueryLogService.getZeroResultQueries({
+      period: days,
+      source,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        period: days,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Search analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du chargement des analytics de recherche'
+    });
+  }
+});
+
+// ==================== CART RECOVERY ANALYTICS ====================
+
+// @route   GET /api/admin/analytics/cart-recovery
+// @desc    Abandoned cart reminders sent and the orders they brought back
+// @access  Admin
+router.get('/cart-recovery', async (req, res) => {
+  try {
+    const { period = '30' } = req.query;
+    const days = Math.min(Math.max(parseInt(period) || 30, 1), 365);
+    const report = await cartRecoveryService.getReport({ period: days });
+
+    res.json({
+      success: true,
+      data: {
+        period: days,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Cart recovery analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du chargement des analytics de relance panier'
+    });
+  }
+});
+
 // ==================== EXPORT REPORTS ====================
 
 // @route   POST /api/admin/analytics/export
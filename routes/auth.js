@@ -11,6 +11,7 @@ const s3Service = require('../services/s3Service');
 const logger = require('../services/logger');
 const { Op } = require('sequelize');
 const crypto = require('crypto');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/locales');
 
 const router = express.Router();
 const { authLimiter, writeLimiter, loginLimiter, accountCreationLimiter } = require('../middleware/rateLimiter');
@@ -39,6 +40,12 @@ const verificationLimiter = rateLimit({
   message: { error: 'Trop de tentatives. Veuillez réessayer dans 1 heure.' }
 });
 
+// Fields PUT /profile writes
+const PROFILE_FIELDS = [
+  'displayName', 'photoURL', 'firstName', 'lastName', 'phone', 'clientType', 'companyName', 'siret',
+  'vatNumber', 'billingAddress', 'billingCity', 'billingPostalCode', 'billingCountry', 'language'
+];
+
 // @route   GET /api/auth/user
 // @desc    Get user by Firebase UID
 // @access  Private
@@ -78,7 +85,9 @@ router.post('/register-firebase', accountCreationLimiter, firebaseAuth, [
   body('billingAddress').optional({ nullable: true }).trim(),
   body('billingCity').optional({ nullable: true }).trim(),
   body('billingPostalCode').optional({ nullable: true }).trim(),
-  body('billingCountry').optional({ nullable: true }).trim()
+  body('billingCountry').optional({ nullable: true }).trim(),
+  body('cartSessionId').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('language').optional({ nullable: true }).isIn(Object.keys(LANGUAGES)).withMessage('Langue invalide')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -105,7 +114,9 @@ router.post('/register-firebase', accountCreationLimiter, firebaseAuth, [
       billingAddress,
       billingCity,
       billingPostalCode,
-      billingCountry
+      billingCountry,
+      cartSessionId,
+      language
     } = req.body;
 
     // Validate professional fields if clientType is professionnel
@@ -163,6 +174,7 @@ router.post('/register-firebase', accountCreationLimiter, firebaseAuth, [
         phone: phone || null,
         role: 'client',
         clientType: clientType || 'particulier',
+        language: language || DEFAULT_LANGUAGE,
         isActive: true
       };
 
@@ -181,7 +193,7 @@ router.post('/register-firebase', accountCreationLimiter, firebaseAuth, [
 
       // Send welcome email to new user
       try {
-        await emailService.sendWelcomeEmail(user.email, user.firstName || user.displayName || 'Client');
+        await emailService.sendWelcomeEmail(user.email, user.firstName || user.displayName || 'Client', user.language);
       } catch (emailError) {
         console.error('❌ Error sending welcome email:', emailError);
       }
@@ -197,6 +209,16 @@ router.post('/register-firebase', accountCreationLimiter, firebaseAuth, [
       }
     }
 
+    // Carry over the cart built while browsing as a guest
+    if (cartSessionId) {
+      try {
+        const cartService = require('../services/cartService');
+        await cartService.mergeGuestCart(user.id, cartSessionId);
+      } catch (cartError) {
+        console.error('❌ Error merging guest cart:', cartError);
+      }
+    }
+
     res.json({
       success: true,
       user: user.toJSON()
@@ -259,7 +281,8 @@ router.put('/profile', firebaseAuth, [
   body('billingAddress').optional().trim(),
   body('billingCity').optional().trim(),
   body('billingPostalCode').optional().trim(),
-  body('billingCountry').optional().trim()
+  body('billingCountry').optional().trim(),
+  body('language').optional().isIn(Object.keys(LANGUAGES)).withMessage('Langue invalide')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -281,8 +304,14 @@ router.put('/profile', firebaseAuth, [
       });
     }
 
-    // Prepare update data
-    const updateData = { ...req.body };
+    // Prepare update data: only the profile fields validated above, never
+    // points, role or security fields
+    const updateData = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
 
     // Handle phone number updates - REMOVED: Phone numbers now require SMS verification
     // Phone numbers should be added/changed through dedicated verification routes
@@ -496,7 +525,8 @@ router.post('/forgot-password', passwordResetLimiter, [
       user.email,
       `${user.firstName} ${user.lastName}`,
       resetToken,
-      resetUrl
+      resetUrl,
+      user.language
     );
 
     if (!emailResult.success) {
@@ -0,0 +1,166 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, param } = require('express-validator');
+const firebaseAuth = require('../middleware/firebaseAuth');
+const { optionalFirebaseAuth } = require('../middleware/firebaseAuth');
+const { writeLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/validateInput');
+const cartService = require('../services/cartService');
+
+const router = express.Router();
+
+// Guest carts are identified by an opaque session id the frontend keeps in
+// local storage and sends back in the X-Cart-Session header.
+const SESSION_HEADER = 'x-cart-session';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,100}$/;
+
+const getSessionId = (req) => {
+  const sessionId = req.headers[SESSION_HEADER];
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+};
+
+// Resolve who owns the cart: the signed-in user, or the guest session.
+const getCartOwner = (req) => {
+  if (req.user) return { userId: req.user.id };
+  return { sessionId: getSessionId(req) };
+};
+
+const sendCartError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+const quantityRule = (field, min) => body(field)
+  .isInt({ min, max: 99 })
+  .withMessage(`La quantité doit être comprise entre ${min} et 99`)
+  .toInt();
+
+router.use(writeLimiter);
+
+// @route   GET /api/cart
+// @desc    Get the current cart (user or guest session) with recomputed totals
+// @access  Public (optional auth)
+router.get('/', optionalFirebaseAuth, async (req, res) => {
+  try {
+    const cart = await cartService.findActiveCart(getCartOwner(req));
+    if (!cart) {
+      return res.json({ success: true, cart: cartService.serialize() });
+    }
+
+    const result = await cartService.recalculate(cart);
+    res.json({ success: true, cart: cartService.serialize(result) });
+  } catch (error) {
+    sendCartError(res, error, 'Erreur lors de la récupération du panier');
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product or variant to the cart (creates a guest session when needed)
+// @access  Public (optional auth)
+router.post('/items', optionalFirebaseAuth, [
+  body('productId').isUUID().withMessage('ID de produit invalide'),
+  body('variantId').optional({ nullable: true }).isUUID().withMessage('ID de variante invalide'),
+  quantityRule('quantity', 1),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const owner = getCartOwner(req);
+    if (!owner.userId && !owner.sessionId) {
+      owner.sessionId = crypto.randomUUID();
+    }
+
+    const result = await cartService.addItem(owner, req.body.productId, req.body.quantity, req.body.variantId || null);
+    res.status(201).json({
+      success: true,
+      message: 'Produit ajouté au panier',
+      cart: cartService.serialize(result)
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Erreur lors de l\'ajout au panier');
+  }
+});
+
+// @route   PUT /api/cart/items/:itemId
+// @desc    Update the quantity of a cart line (0 removes it)
+// @access  Public (optional auth)
+router.put('/items/:itemId', optionalFirebaseAuth, [
+  param('itemId').isUUID().withMessage('Identifiant d\'article invalide'),
+  quantityRule('quantity', 0),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await cartService.updateItem(getCartOwner(req), req.params.itemId, req.body.quantity);
+    res.json({
+      success: true,
+      message: 'Panier mis à jour',
+      cart: cartService.serialize(result)
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Erreur lors de la mise à jour du panier');
+  }
+});
+
+// @route   DELETE /api/cart/items/:itemId
+// @desc    Remove a line from the cart
+// @access  Public (optional auth)
+router.delete('/items/:itemId', optionalFirebaseAuth, [
+  param('itemId').isUUID().withMessage('Identifiant d\'article invalide'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await cartService.removeItem(getCartOwner(req), req.params.itemId);
+    res.json({
+      success: true,
+      message: 'Article retiré du panier',
+      cart: cartService.serialize(result)
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Erreur lors de la suppression de l\'article');
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Remove every line from the cart
+// @access  Public (optional auth)
+router.delete('/', optionalFirebaseAuth, async (req, res) => {
+  try {
+    const result = await cartService.clearCart(getCartOwner(req));
+    res.json({
+      success: true,
+      message: 'Panier vidé',
+      cart: cartService.serialize(result || undefined)
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Erreur lors du vidage du panier');
+  }
+});
+
+// @route   POST /api/cart/merge
+// @desc    Merge a guest session cart into the signed-in user's cart (call after login)
+// @access  Private
+router.post('/merge', firebaseAuth, [
+  body('sessionId').matches(SESSION_ID_PATTERN).withMessage('Session de panier invalide'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(404).json({ success: false, error: 'Utilisateur non trouvé' });
+    }
+
+    const merged = await cartService.mergeGuestCart(req.user.id, req.body.sessionId);
+    if (merged) {
+      return res.json({ success: true, merged: true, cart: cartService.serialize(merged) });
+    }
+
+    const cart = await cartService.findActiveCart({ userId: req.user.id });
+    const result = cart ? await cartService.recalculate(cart) : undefined;
+    res.json({ success: true, merged: false, cart: cartService.serialize(result) });
+  } catch (error) {
+    sendCartError(res, error, 'Erreur lors de la fusion du panier');
+  }
+});
+
+module.exports = router;
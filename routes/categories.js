@@ -1,9 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const sequelize = require('../config/database');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const categoryTreeService = require('../services/categoryTreeService');
 const { publicLimiter, adminActionLimiter } = require('../middleware/rateLimiter');
 const { validateId } = require('../middleware/validateInput');
 
@@ -32,6 +35,46 @@ router.get('/', publicLimiter, async (req, res) => {
   }
 });
 
+// @route   GET /api/categories/tree
+// @desc    Get active categories nested under their parents
+// @access  Public
+router.get('/tree', publicLimiter, async (req, res) => {
+  try {
+    const categories = await categoryTreeService.getTree();
+
+    res.json({ categories });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'arborescence des catégories:', error);
+    res.status(500).json({ 
+      error: 'Erreur lors de la récupération des catégories' 
+    });
+  }
+});
+
+// @route   GET /api/categories/:id/breadcrumb
+// @desc    Get the path from the root category down to this one (ID or slug)
+// @access  Public
+router.get('/:id/breadcrumb', publicLimiter, async (req, res) => {
+  try {
+    const breadcrumb = await categoryTreeService.getBreadcrumb(req.params.id);
+
+    if (!breadcrumb) {
+      return res.status(404).json({ 
+        error: 'Catégorie non trouvée' 
+      });
+    }
+
+    res.json({ breadcrumb });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du fil d\'Ariane:', error);
+    res.status(500).json({ 
+      error: 'Erreur lors de la récupération de la catégorie' 
+    });
+  }
+});
+
 // @route   GET /api/categories/:id
 // @desc    Get single category by ID
 // @access  Public
@@ -82,7 +125,7 @@ router.get('/:id', publicLimiter, async (req, res) => {
 // @route   POST /api/categories
 // @desc    Create a new category
 // @access  Private (Admin)
-router.post('/', adminActionLimiter, firebaseAuth, adminAuth, [
+router.post('/', adminActionLimiter, firebaseAuth, adminAuth, requirePermission('products.manage'), [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Le nom doit contenir entre 2 et 100 caractères'),
   body('slug').trim().isLength({ min: 2, max: 100 }).withMessage('Le slug doit contenir entre 2 et 100 caractères'),
   body('parentId').optional().isUUID().withMessage('Parent ID invalide'),
@@ -153,10 +196,10 @@ router.post('/', adminActionLimiter, firebaseAuth, adminAuth, [
 // @route   PUT /api/categories/:id
 // @desc    Update a category
 // @access  Private (Admin)
-router.put('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, [
+router.put('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, requirePermission('products.manage'), [
   body('name').optional().trim().isLength({ min: 2, max: 100 }),
   body('slug').optional().trim().isLength({ min: 2, max: 100 }),
-  body('parentId').optional().isUUID(),
+  body('parentId').optional({ nullable: true }).isUUID(),
   body('sortOrder').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
@@ -192,22 +235,16 @@ router.put('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, [
       }
     }
 
-    // Calculate new level if parentId is being changed
-    if (req.body.parentId !== undefined) {
-      let level = 0;
-      if (req.body.parentId) {
-        const parent = await Category.findByPk(req.body.parentId);
-        if (!parent) {
-          return res.status(400).json({ 
-            error: 'Catégorie parente non trouvée' 
-          });
-        }
-        level = parent.level + 1;
+    // Moving recomputes level for the category and its whole subtree, and
+    // refuses to put it under one of its own descendants
+    const { parentId, level, ...fields } = req.body;
+    await sequelize.transaction(async (transaction) => {
+      if (parentId !== undefined) {
+        await categoryTreeService.moveCategories([{ id, parentId }], { transaction });
       }
-      req.body.level = level;
-    }
-
-    await category.update(req.body);
+      await category.update(fields, { transaction });
+    });
+    await category.reload();
 
     res.json({
       message: 'Catégorie mise à jour avec succès',
@@ -215,6 +252,9 @@ router.put('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, [
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Erreur lors de la mise à jour de la catégorie:', error);
     res.status(500).json({ 
       error: 'Erreur lors de la mise à jour de la catégorie' 
@@ -225,7 +265,7 @@ router.put('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, [
 // @route   DELETE /api/categories/:id
 // @desc    Delete a category
 // @access  Private (Admin)
-router.delete('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, async (req, res) => {
+router.delete('/:id', validateId, adminActionLimiter, firebaseAuth, adminAuth, requirePermission('products.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const category = await Category.findByPk(id);
@@ -4,6 +4,7 @@ const OrderItem = require('../models/OrderItem');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const firebaseAuth = require('../middleware/firebaseAuth');
+const { hasPermission } = require('../config/adminRoles');
 const invoiceService = require('../services/invoiceService');
 const { validateId } = require('../middleware/validateInput');
 
@@ -22,9 +23,9 @@ router.get('/:id/invoice', validateId, firebaseAuth, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Utilisateur non trouvé' });
     }
 
-    // Build query — restrict to user's own orders (unless admin)
+    // Build query — restrict to user's own orders (unless staff who can view orders)
     const whereClause = { id };
-    if (user.role !== 'admin') {
+    if (!hasPermission(user, 'orders.view')) {
       whereClause.userId = user.id;
     }
 
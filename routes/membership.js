@@ -260,9 +260,14 @@ router.post('/refund', firebaseAuth, async (req, res) => {
 const seasonalService = require('../services/seasonalService');
 
 // GET /membership/seasonal-offers — Public
-router.get('/seasonal-offers', (req, res) => {
-  const activeOffers = seasonalService.getActiveOffers();
-  res.json({ success: true, data: activeOffers });
+router.get('/seasonal-offers', async (req, res) => {
+  try {
+    const activeOffers = await seasonalService.getActiveOffers();
+    res.json({ success: true, data: activeOffers });
+  } catch (error) {
+    console.error('❌ Seasonal offers error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des offres saisonnières' });
+  }
 });
 
 // ─── Loyalty Points ────────────────────────────────────────────
@@ -302,7 +307,7 @@ router.post('/loyalty/redeem', firebaseAuth, async (req, res) => {
     res.json({
       success: true,
       message: `Bon de ${result.voucherAmount} DH généré !`,
-      data: result
+      data: { ...result, voucher: loyaltyService.formatVoucher(result.voucher) }
     });
   } catch (error) {
     console.error('❌ Loyalty redeem error:', error);
@@ -310,6 +315,53 @@ router.post('/loyalty/redeem', firebaseAuth, async (req, res) => {
   }
 });
 
+// GET /membership/loyalty/history — Paginated points ledger (?page=&limit=)
+router.get('/loyalty/history', firebaseAuth, async (req, res) => {
+  try {
+    const user = await getUserFromRequest(req);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Utilisateur introuvable' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const { count, rows } = await loyaltyService.getHistory(user.id, { page, limit });
+    res.json({
+      success: true,
+      data: rows.map(entry => loyaltyService.formatTransaction(entry)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Loyalty history error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération de l\'historique des points' });
+  }
+});
+
+// GET /membership/loyalty/vouchers — List the user's vouchers (?status=active|consumed|expired|cancelled)
+router.get('/loyalty/vouchers', firebaseAuth, async (req, res) => {
+  try {
+    const user = await getUserFromRequest(req);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Utilisateur introuvable' });
+    }
+
+    const allowedStatuses = ['active', 'consumed', 'expired', 'cancelled'];
+    const status = allowedStatuses.includes(req.query.status) ? req.query.status : null;
+
+    const vouchers = await loyaltyService.getUserVouchers(user.id, status);
+    res.json({ success: true, data: vouchers.map(v => loyaltyService.formatVoucher(v)) });
+  } catch (error) {
+    console.error('❌ Loyalty vouchers error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors de la récupération des bons' });
+  }
+});
+
 // ─── Gift Membership ───────────────────────────────────────────
 
 const MembershipGift = require('../models/MembershipGift');
@@ -3,8 +3,10 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { adminActionLimiter } = require('../middleware/rateLimiter');
 const { validateId, validatePagination } = require('../middleware/validateInput');
+const { DELIVERY_MODES } = require('../config/notificationDelivery');
 
 // Initialize notification service (will be set by server.js)
 let notificationService;
@@ -206,7 +208,10 @@ router.get('/preferences', firebaseAuth, checkNotificationService, async (req, r
 
 // Update notification preferences
 router.put('/preferences', firebaseAuth, checkNotificationService, [
-  body('preferences').isObject().withMessage('Les préférences doivent être un objet')
+  body('preferences').isObject().withMessage('Les préférences doivent être un objet'),
+  body('preferences.*.deliveryMode').optional().isIn(DELIVERY_MODES).withMessage('Mode d\'envoi invalide (instant, hourly ou daily)'),
+  body(['preferences.*.quietHoursStart', 'preferences.*.quietHoursEnd']).optional({ nullable: true, checkFalsy: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Heure invalide (format HH:MM)')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -243,7 +248,7 @@ router.put('/preferences', firebaseAuth, checkNotificationService, [
 });
 
 // Admin routes
-router.get('/admin/all', firebaseAuth, adminAuth, checkNotificationService, async (req, res) => {
+router.get('/admin/all', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, async (req, res) => {
   try {
     const { limit = 50, offset = 0, type, priority, isRead, dateFrom, dateTo } = req.query;
     const { Notification } = require('../models');
@@ -279,7 +284,7 @@ router.get('/admin/all', firebaseAuth, adminAuth, checkNotificationService, asyn
 });
 
 // Create test notification (admin only)
-router.post('/admin/test', firebaseAuth, adminAuth, checkNotificationService, [
+router.post('/admin/test', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, [
   body('type').isIn([
     'order_new',
     'order_status_change',
@@ -295,7 +300,10 @@ router.post('/admin/test', firebaseAuth, adminAuth, checkNotificationService, [
     'system_performance',
     'payment_failure',
     'refund_request',
-    'membership'
+    'membership',
+    'cart_recovery',
+    'product_back_in_stock',
+    'product_price_drop'
   ]).withMessage('Type de notification invalide'),
   body('title').notEmpty().withMessage('Le titre est requis'),
   body('message').notEmpty().withMessage('Le message est requis'),
@@ -334,7 +342,7 @@ router.post('/admin/test', firebaseAuth, adminAuth, checkNotificationService, [
 });
 
 // Test all notification types (admin only)
-router.post('/admin/test-all', firebaseAuth, adminAuth, checkNotificationService, async (req, res) => {
+router.post('/admin/test-all', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, async (req, res) => {
   try {
     const testNotifications = [
       {
@@ -426,7 +434,7 @@ router.post('/admin/test-all', firebaseAuth, adminAuth, checkNotificationService
 });
 
 // Test notification with sound (admin only)
-router.post('/admin/test-sound', firebaseAuth, adminAuth, checkNotificationService, [
+router.post('/admin/test-sound', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, [
   body('soundType').isIn(['critical-alert', 'high-alert', 'medium-alert', 'low-alert']).withMessage('Type de son invalide')
 ], async (req, res) => {
   try {
@@ -453,7 +461,7 @@ router.post('/admin/test-sound', firebaseAuth, adminAuth, checkNotificationServi
 });
 
 // Get notification statistics (admin only)
-router.get('/admin/stats', firebaseAuth, adminAuth, checkNotificationService, async (req, res) => {
+router.get('/admin/stats', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, async (req, res) => {
   try {
     const { Notification } = require('../models');
     const { Op } = require('sequelize');
@@ -513,7 +521,7 @@ router.get('/admin/stats', firebaseAuth, adminAuth, checkNotificationService, as
 });
 
 // Admin delete notification
-router.delete('/admin/:id', firebaseAuth, adminAuth, checkNotificationService, async (req, res) => {
+router.delete('/admin/:id', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, async (req, res) => {
   try {
     const { Notification } = require('../models');
     const deleted = await Notification.destroy({ where: { id: req.params.id } });
@@ -530,7 +538,7 @@ router.delete('/admin/:id', firebaseAuth, adminAuth, checkNotificationService, a
 });
 
 // Admin bulk delete
-router.post('/admin/bulk-delete', adminActionLimiter, firebaseAuth, adminAuth, checkNotificationService, [
+router.post('/admin/bulk-delete', adminActionLimiter, firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, [
   body('ids').isArray({ min: 1 }).withMessage('Liste d\'IDs requise')
 ], async (req, res) => {
   try {
@@ -551,7 +559,7 @@ router.post('/admin/bulk-delete', adminActionLimiter, firebaseAuth, adminAuth, c
 });
 
 // Admin send notification to specific user
-router.post('/admin/send-to-user', firebaseAuth, adminAuth, checkNotificationService, [
+router.post('/admin/send-to-user', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, [
   body('userId').notEmpty().withMessage('ID utilisateur requis'),
   body('type').notEmpty().withMessage('Type requis'),
   body('title').notEmpty().withMessage('Titre requis'),
@@ -579,7 +587,7 @@ router.post('/admin/send-to-user', firebaseAuth, adminAuth, checkNotificationSer
 });
 
 // Admin broadcast notification to all users
-router.post('/admin/broadcast', adminActionLimiter, firebaseAuth, adminAuth, checkNotificationService, [
+router.post('/admin/broadcast', adminActionLimiter, firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, [
   body('type').notEmpty().withMessage('Type requis'),
   body('title').notEmpty().withMessage('Titre requis'),
   body('message').notEmpty().withMessage('Message requis'),
@@ -612,7 +620,7 @@ router.post('/admin/broadcast', adminActionLimiter, firebaseAuth, adminAuth, che
 });
 
 // Admin manual cleanup
-router.post('/admin/cleanup', firebaseAuth, adminAuth, checkNotificationService, async (req, res) => {
+router.post('/admin/cleanup', firebaseAuth, adminAuth, requirePermission('notifications.manage'), checkNotificationService, async (req, res) => {
   try {
     const { Notification } = require('../models');
     const { Op } = require('sequelize');
@@ -1,4 +1,5 @@
 const express = require('express');
+const sequelize = require('../config/database');
 const { body, validationResult, query } = require('express-validator');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
@@ -6,12 +7,26 @@ const Product = require('../models/Product');
 const User = require('../models/User');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../config/adminRoles');
 const OrderStatusLog = require('../models/OrderStatusLog');
+const OrphanPayment = require('../models/OrphanPayment');
 const paymentProcessor = require('../services/paymentProcessor');
 const emailService = require('../services/emailService');
 const reorderService = require('../services/reorderService');
 const loyaltyService = require('../services/loyaltyService');
+const couponService = require('../services/couponService');
+const pricingService = require('../services/pricingService');
+const stockReservationService = require('../services/stockReservationService');
+const shippingService = require('../services/shippingService');
+const cashOnDeliveryService = require('../services/cashOnDeliveryService');
+const bankTransferService = require('../services/bankTransferService');
+const shipmentService = require('../services/shipmentService');
+const cartRecoveryService = require('../services/cartRecoveryService');
 const { isValidS3Reference } = require('../utils/validateS3Url');
+const { createHttpError } = require('../utils/httpError');
+const { SHIPPING_METHODS, DEFAULT_METHOD } = require('../config/shipping');
+const bankTransferConfig = require('../config/bankTransfer');
 const {
   CANONICAL_COUNTRY,
   isMoroccanCountry,
@@ -96,7 +111,7 @@ router.get('/', firebaseAuth, async (req, res, next) => {
     const whereClause = {};
     
     // If not admin, only show user's orders
-    if (req.user && req.user.role !== 'admin') {
+    if (req.user && !hasPermission(req.user, 'orders.view')) {
       whereClause.userId = req.user.id;
     } else if (req.firebaseUser) {
       // Use Firebase UID to find user in database
@@ -183,7 +198,7 @@ router.get('/track/:orderNumber', publicLimiter, [
       }],
       attributes: [
         'id', 'orderNumber', 'status', 'totalAmount', 'shippingAmount',
-        'trackingNumber', 'estimatedDeliveryDate', 'shippingMethod',
+        'trackingNumber', 'carrier', 'trackingEvents', 'estimatedDeliveryDate', 'shippingMethod',
         'shippingCity', 'shippingCountry',
         'createdAt', 'confirmedAt', 'shippedAt', 'deliveredAt', 'cancelledAt'
       ]
@@ -196,9 +211,12 @@ router.get('/track/:orderNumber', publicLimiter, [
       });
     }
 
+    const { trackingEvents, ...publicOrder } = order.toJSON();
     res.json({
       success: true,
-      order: order.toJSON()
+      order: publicOrder,
+      timeline: shipmentService.getTimeline({ trackingEvents }),
+      trackingUrl: shipmentService.getTrackingUrl(order)
     });
   } catch (error) {
     console.error('Error tracking order:', error);
@@ -241,7 +259,7 @@ router.get('/:id', validateId, firebaseAuth, async (req, res) => {
     const whereClause = { id };
     
     // If not admin, only show user's orders
-    if (req.user && req.user.role !== 'admin') {
+    if (req.user && !hasPermission(req.user, 'orders.view')) {
       whereClause.userId = req.user.id;
     } else if (req.firebaseUser) {
       // Use Firebase UID to find user in database
@@ -287,20 +305,69 @@ router.get('/:id', validateId, firebaseAuth, async (req, res) => {
   }
 });
 
+const PAYMENT_METHODS = ['card', 'paypal', 'bank_transfer', 'cash_on_delivery'];
+// Paid to the courier or on our bank account, not through Stripe
+const OFFLINE_PAYMENT_METHODS = ['cash_on_delivery', 'bank_transfer'];
+
+const checkoutItemRules = [
+  body('items').isArray({ min: 1 }).withMessage('Au moins un produit est requis'),
+  body('items.*.productId').isUUID().withMessage('ID de produit invalide'),
+  body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('ID de variante invalide'),
+  body('items.*.quantity').isInt({ min: 1, max: 99 }).withMessage('Quantité invalide').toInt(),
+  body('couponCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 40 }).withMessage('Code promo invalide'),
+  body('voucherCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Bon de réduction invalide'),
+  body('shippingCity').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }).withMessage('Ville de livraison invalide'),
+  body('shippingMethod').optional({ checkFalsy: true }).isIn(SHIPPING_METHODS).withMessage('Mode de livraison invalide'),
+  body('paymentMethod').optional({ checkFalsy: true }).isIn(PAYMENT_METHODS).withMessage('Méthode de paiement invalide')
+];
+
+// The amount charged depends on where and how the order ships, so both are
+// fixed when the PaymentIntent is created
+const paymentIntentShippingRules = [
+  body('shippingCity').trim().notEmpty().withMessage('Ville de livraison requise'),
+  body('shippingMethod').trim().notEmpty().withMessage('Mode de livraison requis')
+];
+
+// @route   POST /api/orders/quote
+// @desc    Price a checkout (VAT, shipping, discounts, voucher) from the cart items
+// @access  Private
+router.post('/quote', firebaseAuth, checkoutItemRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Données invalides', details: errors.array() });
+    }
+
+    const user = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    const { items, couponCode, voucherCode, shippingCity, shippingMethod, paymentMethod } = req.body;
+    const quote = await pricingService.quote({ user, items, couponCode, voucherCode, shippingCity, shippingMethod, paymentMethod });
+
+    res.json({ success: true, quote: pricingService.formatQuote(quote) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error computing quote:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul du total' });
+  }
+});
+
 // @route   POST /api/orders/create-payment-intent
-// @desc    Create a Stripe PaymentIntent for checkout
+// @desc    Create a Stripe PaymentIntent for checkout. The amount is computed
+//          server-side from the items; any client-sent amount is ignored.
 // @access  Private
-router.post('/create-payment-intent', firebaseAuth, [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Montant invalide'),
-  body('currency').optional().isString()
-], async (req, res) => {
+router.post('/create-payment-intent', firebaseAuth, checkoutItemRules, paymentIntentShippingRules, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ error: 'Données invalides', details: errors.array() });
     }
 
-    const { amount, currency = 'mad' } = req.body;
+    const { items, couponCode, voucherCode, shippingCity, shippingMethod } = req.body;
 
     // Find the user
     const user = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
@@ -308,25 +375,48 @@ router.post('/create-payment-intent', firebaseAuth, [
       return res.status(404).json({ error: 'Utilisateur non trouvé' });
     }
 
+    // Coupon, voucher and stock problems are reported before the customer pays
+    const quote = await pricingService.quote({ user, items, couponCode, voucherCode, shippingCity, shippingMethod });
+
     // Get or create Stripe customer
     const customer = await paymentProcessor.getOrCreateCustomer(user);
 
-    // Amount should be in centimes (smallest currency unit)
-    const amountInCentimes = Math.round(amount * 100);
-
     const { clientSecret, paymentIntentId } = await paymentProcessor.createPaymentIntent(
-      amountInCentimes,
-      currency,
-      { userId: user.id },
+      quote.amountInCentimes,
+      'mad',
+      {
+        userId: user.id,
+        shippingCity,
+        shippingMethod,
+        ...(quote.coupon && { couponCode: quote.coupon.coupon.code }),
+        ...(quote.voucher && { voucherCode: quote.voucher.code })
+      },
       customer.id
     );
 
+    // Hold the units while the customer pays; if another checkout got them
+    // first, void the PaymentIntent so it can never be charged.
+    try {
+      await stockReservationService.reserve(paymentIntentId, user.id, items);
+    } catch (reservationError) {
+      try {
+        await paymentProcessor.cancelPaymentIntent(paymentIntentId);
+      } catch (cancelError) {
+        console.error('❌ Error cancelling payment intent after failed reservation:', cancelError);
+      }
+      throw reservationError;
+    }
+
     res.json({
       success: true,
       clientSecret,
-      paymentIntentId
+      paymentIntentId,
+      quote: pricingService.formatQuote(quote)
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating payment intent:', error);
     res.status(500).json({
       error: error.message || 'Erreur lors de la création du paiement'
@@ -340,6 +430,7 @@ router.post('/create-payment-intent', firebaseAuth, [
 router.post('/', writeLimiter, firebaseAuth, [
   body('items').isArray({ min: 1 }).withMessage('Au moins un produit est requis'),
   body('items.*.productId').isUUID().withMessage('ID de produit invalide'),
+  body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('ID de variante invalide'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantité invalide'),
   body('customerFirstName').trim().notEmpty().withMessage('Prénom requis'),
   body('customerLastName').trim().notEmpty().withMessage('Nom requis'),
@@ -376,8 +467,15 @@ router.post('/', writeLimiter, firebaseAuth, [
       }
       return true;
     }),
-  body('paymentMethod').trim().notEmpty().withMessage('Méthode de paiement requise'),
-  body('paymentIntentId').trim().notEmpty().withMessage('ID de paiement Stripe requis'),
+  body('shippingMethod').optional({ checkFalsy: true }).isIn(SHIPPING_METHODS).withMessage('Mode de livraison invalide'),
+  body('paymentMethod').trim().notEmpty().withMessage('Méthode de paiement requise')
+    .bail()
+    .isIn(PAYMENT_METHODS).withMessage('Méthode de paiement invalide'),
+  body('paymentIntentId')
+    .if(body('paymentMethod').not().isIn(OFFLINE_PAYMENT_METHODS))
+    .trim().notEmpty().withMessage('ID de paiement Stripe requis'),
+  body('couponCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 40 }).withMessage('Code promo invalide'),
+  body('voucherCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Bon de réduction invalide'),
   body('customerNotes').optional().trim()
 ], async (req, res) => {
   try {
@@ -401,8 +499,11 @@ router.post('/', writeLimiter, firebaseAuth, [
       shippingAddress,
       shippingCity,
       shippingPostalCode,
+      shippingMethod,
       paymentMethod,
       paymentIntentId,
+      couponCode,
+      voucherCode,
       customerNotes
     } = req.body;
 
@@ -412,47 +513,6 @@ router.post('/', writeLimiter, firebaseAuth, [
     const billingCountry = CANONICAL_COUNTRY;
     const shippingCountry = CANONICAL_COUNTRY;
 
-    // Verify Stripe payment succeeded
-    const paymentIntent = await paymentProcessor.retrievePaymentIntent(paymentIntentId);
-    if (paymentIntent.status !== 'succeeded') {
-      return res.status(400).json({
-        error: `Le paiement n'a pas été confirmé (statut: ${paymentIntent.status})`
-      });
-    }
-
-    // Validate products and calculate totals
-    let subtotal = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      const product = await Product.findByPk(item.productId);
-      if (!product) {
-        return res.status(400).json({
-          error: `Produit ${item.productId} non trouvé`
-        });
-      }
-
-      if (product.stockQuantity < item.quantity) {
-        return res.status(400).json({
-          error: `Stock insuffisant pour ${product.name}`
-        });
-      }
-
-      const unitPrice = product.getDiscountedPrice();
-      const totalPrice = unitPrice * item.quantity;
-      subtotal += totalPrice;
-
-      orderItems.push({
-        productId: product.id,
-        quantity: item.quantity,
-        unitPrice,
-        totalPrice,
-        productName: product.name,
-        productSku: product.sku,
-        productImage: product.mainImage
-      });
-    }
-
     // Get user from Firebase UID if not already set
     let userId = req.user?.id;
     let orderUser = req.user;
@@ -471,63 +531,187 @@ router.post('/', writeLimiter, firebaseAuth, [
       });
     }
 
-    // Check if user is an active UMOD Prime member
-    const isMember = orderUser &&
-      orderUser.membershipStatus === 'active' &&
-      orderUser.membershipExpiresAt &&
-      new Date(orderUser.membershipExpiresAt) > new Date();
+    const isCashOnDelivery = paymentMethod === 'cash_on_delivery';
+    const isBankTransfer = paymentMethod === 'bank_transfer';
+    const isPaidOffline = OFFLINE_PAYMENT_METHODS.includes(paymentMethod);
 
-    // Calculate taxes and shipping
-    const taxAmount = subtotal * 0.20; // 20% VAT
-    const shippingAmount = isMember ? 0 : (subtotal > 536 ? 0 : 64.2);
-    const discountAmount = isMember ? Math.round(subtotal * 0.05 * 100) / 100 : 0; // 5% Prime discount
-    const totalAmount = subtotal + taxAmount + shippingAmount - discountAmount;
+    // Verify Stripe payment succeeded
+    let paymentIntent = null;
+    if (!isPaidOffline) {
+      paymentIntent = await paymentProcessor.retrievePaymentIntent(paymentIntentId);
+      if (paymentIntent.status !== 'succeeded') {
+        return res.status(400).json({
+          error: `Le paiement n'a pas été confirmé (statut: ${paymentIntent.status})`
+        });
+      }
 
-    // Create order with verified payment
-    const order = await Order.create({
-      orderNumber: generateOrderNumber(),
-      userId: userId,
-      totalAmount,
+      // A PaymentIntent pays for a single order of the customer it was created for
+      if (paymentIntent.metadata?.userId !== userId) {
+        return res.status(403).json({
+          error: 'Ce paiement ne correspond pas à votre compte'
+        });
+      }
+      const paidOrder = await Order.findOne({ where: { paymentTransactionId: paymentIntentId }, attributes: ['id'] });
+      if (paidOrder) {
+        return res.status(409).json({
+          error: 'Ce paiement a déjà été utilisé pour une commande'
+        });
+      }
+      // Still 'succeeded' once refunded, e.g. as an orphan payment
+      if (paymentIntent.latest_charge?.amount_refunded > 0) {
+        return res.status(409).json({
+          error: 'Ce paiement a été remboursé et ne peut plus servir à une commande'
+        });
+      }
+      // The payment was priced for this delivery
+      const paidCity = paymentIntent.metadata.shippingCity || '';
+      if (paidCity.toLowerCase() !== shippingCity.toLowerCase() ||
+          paymentIntent.metadata.shippingMethod !== (shippingMethod || DEFAULT_METHOD)) {
+        return res.status(400).json({
+          error: 'La livraison ne correspond pas à celle du paiement, veuillez recommencer le paiement'
+        });
+      }
+    }
+
+    // Re-price the order server-side (products, stock, discounts, voucher, COD fee)
+    const quote = await pricingService.quote({
+      user: orderUser,
+      items,
+      couponCode,
+      voucherCode,
+      shippingCity,
+      shippingMethod,
+      paymentMethod
+    });
+
+    // The captured amount must match what the order costs
+    if (paymentIntent && paymentIntent.amount !== quote.amountInCentimes) {
+      console.error(`❌ Payment amount mismatch for ${paymentIntentId}: paid ${paymentIntent.amount}, expected ${quote.amountInCentimes}`);
+      return res.status(400).json({
+        error: 'Le montant payé ne correspond pas au total de la commande'
+      });
+    }
+
+    const {
       subtotal,
       taxAmount,
+      shipping,
       shippingAmount,
       discountAmount,
-      customerFirstName,
-      customerLastName,
-      customerEmail,
-      customerPhone: normalizedPhone,
-      billingAddress,
-      billingCity,
-      billingPostalCode,
-      billingCountry,
-      shippingAddress,
-      shippingCity,
-      shippingPostalCode,
-      shippingCountry,
-      paymentMethod,
-      paymentStatus: 'paid',
-      paymentTransactionId: paymentIntentId,
-      customerNotes,
-      // Morocco-only delivery: ~5 days across the kingdom.
-      estimatedDeliveryDate: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000)
-    });
-
-    // Create order items
-    await OrderItem.bulkCreate(
-      orderItems.map(item => ({
-        ...item,
-        orderId: order.id
-      }))
-    );
+      campaign,
+      campaignDiscountAmount,
+      coupon: couponResult,
+      couponDiscountAmount,
+      voucher,
+      voucherAmount,
+      codFee,
+      totalAmount,
+      isMember
+    } = quote;
+
+    const orderItems = quote.lines.map(line => ({
+      productId: line.product.id,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      totalPrice: line.totalPrice,
+      productName: line.product.name,
+      productSku: line.variant ? line.variant.sku : line.product.sku,
+      productImage: line.variant ? line.variant.getMainImage(line.product) : line.product.mainImage,
+      ...(line.variant && {
+        variantId: line.variant.id,
+        variantOptions: line.variant.options
+      })
+    }));
+
+    // Create the order, its items, redeem the coupon, consume the voucher and
+    // take the stock in one transaction so a coupon use, a voucher or the last
+    // units can never be sold twice.
+    const order = await sequelize.transaction(async (transaction) => {
+      const createdOrder = await Order.create({
+        orderNumber: generateOrderNumber(),
+        userId: userId,
+        totalAmount,
+        subtotal,
+        taxAmount,
+        shippingAmount,
+        discountAmount,
+        couponId: couponResult ? couponResult.coupon.id : null,
+        couponCode: couponResult ? couponResult.coupon.code : null,
+        couponDiscountAmount,
+        seasonalCampaignId: campaign ? campaign.id : null,
+        campaignDiscountAmount,
+        loyaltyVoucherId: voucher ? voucher.id : null,
+        voucherAmount,
+        codFee,
+        customerFirstName,
+        customerLastName,
+        customerEmail,
+        customerPhone: normalizedPhone,
+        billingAddress,
+        billingCity,
+        billingPostalCode,
+        billingCountry,
+        shippingAddress,
+        shippingCity,
+        shippingPostalCode,
+        shippingCountry,
+        paymentMethod,
+        paymentStatus: isPaidOffline ? 'pending' : 'paid',
+        paymentTransactionId: isPaidOffline ? null : paymentIntentId,
+        ...(isBankTransfer && bankTransferService.getInitialFields()),
+        customerNotes,
+        shippingMethod: shipping.method,
+        estimatedDeliveryDate: shipping.estimatedDeliveryDate
+      }, { transaction });
+
+      await OrderItem.bulkCreate(
+        orderItems.map(item => ({
+          ...item,
+          orderId: createdOrder.id
+        })),
+        { transaction }
+      );
+
+      // A limit reached by a concurrent checkout fails the order; a captured
+      // payment left without its order is refunded by the orphan payment cron
+      if (couponResult) {
+        await couponService.recordRedemption(couponResult.coupon, {
+          userId,
+          orderId: createdOrder.id,
+          discountAmount: couponDiscountAmount
+        }, { transaction });
+      }
 
-    // Update product stock and check for low/out-of-stock
-    for (const item of orderItems) {
-      await Product.decrement('stockQuantity', {
-        by: item.quantity,
-        where: { id: item.productId }
+      if (voucher) {
+        await loyaltyService.consumeVoucher(voucher, createdOrder.id, { transaction });
+      }
+
+      // A payment the webhook already tracked as orphaned now has its order.
+      // The row lock orders this against the orphan cron: a refund in
+      // progress makes this order fail, otherwise the cron finds it resolved.
+      if (!isPaidOffline) {
+        const orphan = await OrphanPayment.findOne({ where: { paymentIntentId }, transaction, lock: true });
+        if (orphan?.status === 'refunded') {
+          throw createHttpError('Ce paiement a été remboursé et ne peut plus servir à une commande', 409);
+        }
+        if (orphan && orphan.status !== 'resolved') {
+          await orphan.update({ status: 'resolved', orderId: createdOrder.id, resolvedAt: new Date() }, { transaction });
+        }
+      }
+
+      // Lock the product rows and take the units out of stock; the
+      // reservation made at payment-intent time is consumed here.
+      await stockReservationService.allocateOrderStock(createdOrder, items, {
+        paymentIntentId: isPaidOffline ? null : paymentIntentId,
+        performedBy: userId,
+        transaction
       });
 
-      // Check stock levels after decrement for notifications
+      return createdOrder;
+    });
+
+    // Check stock levels after the sale for low/out-of-stock notifications
+    for (const item of orderItems) {
       if (notificationService) {
         const updatedProduct = await Product.findByPk(item.productId);
         if (updatedProduct) {
@@ -565,11 +749,50 @@ router.post('/', writeLimiter, firebaseAuth, [
       console.error('❌ Error sending order confirmation email:', emailError);
     }
 
-    // Award loyalty points
+    // Cash-on-delivery orders wait for the customer to confirm by SMS
+    let codConfirmation = null;
+    if (isCashOnDelivery) {
+      try {
+        const { sent, expiresAt } = await cashOnDeliveryService.sendConfirmationCode(order);
+        codConfirmation = { required: true, smsSent: sent, expiresAt };
+      } catch (smsError) {
+        console.error('❌ Error sending COD confirmation code:', smsError);
+        codConfirmation = { required: true, smsSent: false };
+      }
+    }
+
+    // Bank-transfer orders wait for the money, with instructions sent by email
+    let bankTransfer = null;
+    if (isBankTransfer) {
+      bankTransfer = bankTransferService.getInstructions(order);
+      try {
+        await emailService.sendBankTransferInstructionsEmail(order, bankTransfer, orderUser?.language);
+      } catch (emailError) {
+        console.error('❌ Error sending bank transfer instructions email:', emailError);
+      }
+    }
+
+    // Stop abandoned-cart reminders and credit the ones that brought the customer back
+    try {
+      await cartRecoveryService.recordCheckout(order.userId, order);
+    } catch (recoveryError) {
+      console.error('❌ Error recording cart recovery:', recoveryError);
+    }
+
+    // The bought items leave the server-side cart, on every device
+    try {
+      // Loaded here: cartService pulls in every model association
+      const cartService = require('../services/cartService');
+      await cartService.clearCart({ userId: order.userId });
+    } catch (cartError) {
+      console.error('❌ Error clearing cart after order:', cartError);
+    }
+
+    // Award loyalty points (offline payments earn them once the money is received)
     try {
-      const loyaltyUser = await User.findByPk(order.userId);
+      const loyaltyUser = isPaidOffline ? null : await User.findByPk(order.userId);
       if (loyaltyUser) {
-        const loyaltyResult = await loyaltyService.awardPoints(loyaltyUser, subtotal, isMember);
+        const loyaltyResult = await loyaltyService.awardPoints(loyaltyUser, subtotal, isMember, order.id);
         console.log(`🎯 Loyalty: awarded ${loyaltyResult.pointsEarned} points to user ${order.userId} (${isMember ? '2x Prime' : '1x'})`);
       }
     } catch (loyaltyError) {
@@ -579,10 +802,20 @@ router.post('/', writeLimiter, firebaseAuth, [
     res.status(201).json({
       success: true,
       message: 'Commande créée avec succès',
-      order: orderWithItems
+      order: orderWithItems,
+      ...(codConfirmation && { codConfirmation }),
+      ...(bankTransfer && { bankTransfer })
     });
 
   } catch (error) {
+    // e.g. a voucher consumed by a concurrent checkout rolled the order back
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // A concurrent checkout created an order with the same PaymentIntent first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'Ce paiement a déjà été utilisé pour une commande' });
+    }
     console.error('Erreur lors de la création de la commande:', error);
     res.status(500).json({ 
       error: 'Erreur lors de la création de la commande' 
@@ -590,10 +823,145 @@ router.post('/', writeLimiter, firebaseAuth, [
   }
 });
 
+// Find one of the signed-in customer's orders
+const findCustomerOrder = async (req, id) => {
+  const user = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
+  return user ? Order.findOne({ where: { id, userId: user.id } }) : null;
+};
+
+// @route   POST /api/orders/:id/cod/confirm
+// @desc    Confirm a cash-on-delivery order with the code received by SMS
+// @access  Private
+router.post('/:id/cod/confirm', writeLimiter, validateId, firebaseAuth, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Le code doit contenir 6 chiffres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Données invalides', details: errors.array() });
+    }
+
+    const order = await findCustomerOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Commande non trouvée' });
+    }
+
+    await cashOnDeliveryService.confirmWithCode(order, req.body.code);
+
+    if (notificationService) {
+      await safeNotify(notificationService.notifyOrderStatusChange, order.id, 'pending', 'confirmed');
+    }
+
+    res.json({
+      success: true,
+      message: 'Commande confirmée. Vous paierez en espèces à la livraison.',
+      order: order.toJSON()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error confirming cash-on-delivery order:', error);
+    res.status(500).json({ error: 'Erreur lors de la confirmation de la commande' });
+  }
+});
+
+// @route   POST /api/orders/:id/cod/resend
+// @desc    Send a new cash-on-delivery confirmation code
+// @access  Private
+router.post('/:id/cod/resend', writeLimiter, validateId, firebaseAuth, async (req, res) => {
+  try {
+    const order = await findCustomerOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Commande non trouvée' });
+    }
+
+    const { sent, expiresAt } = await cashOnDeliveryService.sendConfirmationCode(order);
+    if (!sent) {
+      return res.status(502).json({ error: 'Le SMS n\'a pas pu être envoyé. Réessayez plus tard.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Un nouveau code vous a été envoyé par SMS',
+      expiresAt
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error resending cash-on-delivery code:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'envoi du code' });
+  }
+});
+
+// @route   GET /api/orders/:id/bank-transfer
+// @desc    Transfer instructions (account, reference, amount, deadline) and status
+// @access  Private
+router.get('/:id/bank-transfer', validateId, firebaseAuth, async (req, res) => {
+  try {
+    const order = await findCustomerOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Commande non trouvée' });
+    }
+    if (!bankTransferService.isBankTransfer(order)) {
+      return res.status(400).json({ error: 'Cette commande n\'est pas payable par virement' });
+    }
+
+    res.json({
+      success: true,
+      bankTransfer: bankTransferService.getInstructions(order)
+    });
+  } catch (error) {
+    console.error('Error fetching bank transfer instructions:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des instructions de virement' });
+  }
+});
+
+// @route   POST /api/orders/:id/bank-transfer/receipts
+// @desc    Attach transfer receipts uploaded via POST /api/uploads/presign
+//          (category "bank-transfer-receipts", entityId = order id)
+// @access  Private
+router.post('/:id/bank-transfer/receipts', writeLimiter, validateId, firebaseAuth, [
+  body('receipts')
+    .isArray({ min: 1, max: bankTransferConfig.maxReceipts })
+    .withMessage(`Entre 1 et ${bankTransferConfig.maxReceipts} reçus sont requis`),
+  body('receipts.*')
+    .isString()
+    .isLength({ min: 1, max: 512 })
+    .withMessage('Référence de reçu invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Données invalides', details: errors.array() });
+    }
+
+    const order = await findCustomerOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Commande non trouvée' });
+    }
+
+    await bankTransferService.submitReceipts(order, req.body.receipts);
+
+    res.json({
+      success: true,
+      message: 'Reçu envoyé. Votre commande sera confirmée dès réception du virement.',
+      bankTransfer: bankTransferService.getInstructions(order)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error submitting bank transfer receipt:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'envoi du reçu' });
+  }
+});
+
 // @route   PUT /api/orders/:id/status
 // @desc    Update order status (admin only)
 // @access  Private (Admin)
-router.put('/:id/status', validateId, firebaseAuth, adminAuth, [
+router.put('/:id/status', validateId, firebaseAuth, adminAuth, requirePermission('orders.manage'), [
   body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refund_requested', 'refunded']).withMessage('Statut invalide'),
   body('trackingNumber').optional().trim(),
   body('internalNotes').optional().trim()
@@ -617,6 +985,11 @@ router.put('/:id/status', validateId, firebaseAuth, adminAuth, [
       });
     }
 
+    // Unpaid bank transfers are neither prepared nor shipped
+    if (['processing', 'shipped'].includes(status)) {
+      bankTransferService.assertCanShip(order);
+    }
+
     const oldStatus = order.status;
     const updateData = { status };
     
@@ -626,11 +999,15 @@ router.put('/:id/status', validateId, firebaseAuth, adminAuth, [
         updateData.confirmedAt = new Date();
         break;
       case 'shipped':
+        cashOnDeliveryService.assertCanShip(order);
         updateData.shippedAt = new Date();
         updateData.trackingNumber = trackingNumber;
         if (!order.estimatedDeliveryDate) {
-          // Morocco-only delivery: ~5 days across the kingdom.
-          updateData.estimatedDeliveryDate = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
+          // Delivery window of the order's zone and method, from today
+          const rates = shippingService.getRates({ city: order.shippingCity });
+          const rate = rates.find(candidate => candidate.method === order.shippingMethod) ||
+            rates.find(candidate => candidate.method === DEFAULT_METHOD);
+          updateData.estimatedDeliveryDate = rate.estimatedDeliveryDate;
         }
         break;
       case 'delivered':
@@ -677,6 +1054,9 @@ router.put('/:id/status', validateId, firebaseAuth, adminAuth, [
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Erreur lors de la mise à jour du statut:', error);
     res.status(500).json({ 
       error: 'Erreur lors de la mise à jour du statut' 
@@ -692,7 +1072,7 @@ router.post('/:id/cancel', validateId, firebaseAuth, async (req, res) => {
     const { id } = req.params;
 
     const whereClause = { id };
-    if (req.user && req.user.role !== 'admin') {
+    if (req.user && !hasPermission(req.user, 'orders.manage')) {
       whereClause.userId = req.user.id;
     } else if (req.firebaseUser) {
       // Use Firebase UID to find user in database
@@ -717,46 +1097,66 @@ router.post('/:id/cancel', validateId, firebaseAuth, async (req, res) => {
 
     const oldStatus = order.status;
 
-    // Auto-refund via Stripe if payment was captured
-    let refundId = null;
-    if (order.paymentTransactionId && order.paymentStatus === 'paid') {
+    // Auto-refund via Stripe whatever is left of a captured payment
+    let refund = null;
+    if (order.paymentTransactionId && ['paid', 'partially_refunded'].includes(order.paymentStatus)) {
       try {
-        const refund = await paymentProcessor.refundPayment(order.paymentTransactionId);
-        refundId = refund.id;
+        const refundService = require('../services/refundService');
+        ({ refund } = await refundService.refundOrder(order, {
+          amount: order.getRefundableAmount(),
+          reason: 'Annulation par le client'
+        }));
       } catch (refundError) {
+        if (refundError.status) {
+          return res.status(refundError.status).json({ error: refundError.message });
+        }
         console.error('❌ Stripe refund failed on cancel:', refundError);
         return res.status(500).json({
           error: 'Le remboursement a échoué. Veuillez réessayer ou contacter le support.'
         });
       }
     }
+    const refundId = refund?.stripeRefundId || null;
+
+    // Loaded here: inventoryService pulls in every model association
+    const inventoryService = require('../services/inventoryService');
+    const restocked = await sequelize.transaction(async (transaction) => {
+      // A second cancel request may have gone through since the order was loaded
+      const locked = await Order.findByPk(order.id, { attributes: ['id', 'status'], transaction, lock: true });
+      if (locked.status === 'cancelled') {
+        return null;
+      }
 
-    await order.update({
-      status: 'cancelled',
-      cancelledAt: new Date(),
-      ...(refundId && { paymentStatus: 'refunded' })
-    });
+      await order.update({
+        status: 'cancelled',
+        cancelledAt: new Date()
+      }, { transaction });
+      await loyaltyService.releaseVoucher(order, { transaction });
+      await couponService.releaseRedemption(order, { transaction });
 
-    // Restore product stock
-    const orderItems = await OrderItem.findAll({
-      where: { orderId: order.id }
+      return inventoryService.restockOrder(order, `Annulation ${order.orderNumber}`, { transaction });
     });
-
-    for (const item of orderItems) {
-      await Product.increment('stockQuantity', {
-        by: item.quantity,
-        where: { id: item.productId }
+    if (!restocked) {
+      return res.status(409).json({
+        error: 'Cette commande a déjà été annulée'
       });
+    }
 
-      // Check if stock was restored from 0
-      if (notificationService) {
-        const updatedProduct = await Product.findByPk(item.productId);
-        if (updatedProduct && updatedProduct.stockQuantity > 0 && updatedProduct.stockQuantity <= item.quantity) {
-          await safeNotify(notificationService.notifyStockRestored, item.productId);
-        }
+    // Let admins know when a product was restored from 0
+    for (const line of restocked) {
+      const updatedProduct = await Product.findByPk(line.productId);
+      if (notificationService && updatedProduct && updatedProduct.stockQuantity > 0 && updatedProduct.stockQuantity <= line.quantity) {
+        await safeNotify(notificationService.notifyStockRestored, line.productId);
       }
     }
 
+    // Take back the loyalty points earned on this order
+    try {
+      await loyaltyService.reverseOrderPoints(order, `Annulation de la commande ${order.orderNumber}`);
+    } catch (loyaltyError) {
+      console.error('❌ Error reversing loyalty points:', loyaltyError);
+    }
+
     // Log status change
     const cancelUser = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
     await logStatusChange(order.id, oldStatus, 'cancelled', cancelUser?.id, 'customer', 'Annulation par le client');
@@ -832,8 +1232,9 @@ router.post('/:id/refund', writeLimiter, validateId, firebaseAuth, [
     // Find order and verify ownership
     const whereClause = { id };
     const user = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
-    if (user && user.role !== 'admin') {
-      whereClause.userId = user.id;
+    if (!hasPermission(user, 'orders.manage')) {
+      // No account matches no order
+      whereClause.userId = user ? user.id : null;
     }
 
     const order = await Order.findOne({ where: whereClause });
@@ -944,8 +1345,9 @@ router.get('/:id/history', validateId, firebaseAuth, async (req, res) => {
     // Find user and verify ownership
     const user = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
     const whereClause = { id };
-    if (user && user.role !== 'admin') {
-      whereClause.userId = user.id;
+    if (!hasPermission(user, 'orders.view')) {
+      // No account matches no order
+      whereClause.userId = user ? user.id : null;
     }
 
     const order = await Order.findOne({ where: whereClause });
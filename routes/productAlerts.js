@@ -0,0 +1,117 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const firebaseAuth = require('../middleware/firebaseAuth');
+const { writeLimiter } = require('../middleware/rateLimiter');
+const { validateId, handleValidationErrors } = require('../middleware/validateInput');
+const productAlertService = require('../services/productAlertService');
+const { TYPES } = require('../config/productAlerts');
+
+const router = express.Router();
+
+// Apply rate limiting to all product alert routes
+router.use(writeLimiter);
+
+const findUser = (req) => User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
+
+// @route   GET /api/product-alerts
+// @desc    Products the user is waiting for (back in stock, price drop)
+// @access  Private
+router.get('/', firebaseAuth, async (req, res) => {
+  try {
+    const user = await findUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const alerts = await productAlertService.listForUser(user.id);
+
+    res.json({
+      success: true,
+      alerts: alerts.map(alert => alert.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Error fetching product alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des alertes produit'
+    });
+  }
+});
+
+// @route   POST /api/product-alerts
+// @desc    "Notify me" when a product is back in stock or cheaper
+// @access  Private
+router.post('/', firebaseAuth, [
+  body('productId').isUUID().withMessage('ID de produit invalide'),
+  body('type').isIn(TYPES).withMessage('Type d\'alerte invalide'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await findUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const alert = await productAlertService.subscribe(user.id, req.body.productId, req.body.type);
+
+    res.status(201).json({
+      success: true,
+      message: req.body.type === 'back_in_stock'
+        ? 'Vous serez prévenu dès que le produit sera disponible'
+        : 'Vous serez prévenu si le prix baisse',
+      alert: alert.toJSON()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error creating product alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création de l\'alerte produit'
+    });
+  }
+});
+
+// @route   DELETE /api/product-alerts/:id
+// @desc    Stop an alert
+// @access  Private
+router.delete('/:id', validateId, firebaseAuth, async (req, res) => {
+  try {
+    const user = await findUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    await productAlertService.unsubscribe(user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Alerte supprimée'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error deleting product alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la suppression de l\'alerte produit'
+    });
+  }
+});
+
+module.exports = router;
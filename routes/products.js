@@ -5,26 +5,35 @@ const sequelize = require('../config/database');
 const { Product, Category, Review, User } = require('../models');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const productVariantService = require('../services/productVariantService');
+const productSearchService = require('../services/productSearchService');
+const searchQueryLogService = require('../services/searchQueryLogService');
+const categoryTreeService = require('../services/categoryTreeService');
+const inventoryService = require('../services/inventoryService');
+const productAlertService = require('../services/productAlertService');
 
 const router = express.Router();
 const { writeLimiter } = require('../middleware/rateLimiter');
 const { validateId, validateParamId } = require('../middleware/validateInput');
 
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Get all products with full-text search, filtering, pagination and facets
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page doit être un nombre positif'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit doit être entre 1 et 100'),
   query('category').optional().isUUID().withMessage('Category ID invalide'),
-  query('search').optional().trim(),
+  query('search').optional().trim().isLength({ max: 200 }).withMessage('Recherche trop longue'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Prix minimum invalide'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Prix maximum invalide'),
-  query('sort').optional().isIn(['name', 'price', 'createdAt', 'rating']).withMessage('Tri invalide'),
+  query('minRating').optional().isFloat({ min: 1, max: 5 }).withMessage('Note minimum invalide'),
+  query('sort').optional().isIn(['relevance', 'name', 'price', 'createdAt', 'rating']).withMessage('Tri invalide'),
   query('order').optional().isIn(['asc', 'desc']).withMessage('Ordre invalide'),
   query('featured').optional().isBoolean().withMessage('Featured doit être un booléen'),
   query('onSale').optional().isBoolean().withMessage('OnSale doit être un booléen'),
-  query('brand').optional().trim()
+  query('brand').optional().trim(),
+  query('facets').optional().isBoolean().withMessage('Facets doit être un booléen')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -38,97 +47,41 @@ router.get('/', [
     const {
       page = 1,
       limit = 12,
-      category,
-      search,
-      minPrice,
-      maxPrice,
-      sort = 'createdAt',
+      sort,
       order = 'desc',
-      featured,
-      onSale,
-      brand
+      facets = 'true'
     } = req.query;
-
-    // Build where clause
-    const whereClause = {
-      isActive: true
+    const filters = {
+      search: req.query.search,
+      // A parent category also matches the products of its subcategories
+      category: req.query.category ? await categoryTreeService.getDescendantIds(req.query.category) : undefined,
+      brand: req.query.brand,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      minRating: req.query.minRating,
+      featured: req.query.featured,
+      onSale: req.query.onSale
     };
 
-    // Debug logging
-    console.log('🔍 Products API - Query parameters:', req.query);
-
-    if (category) {
-      whereClause.categoryId = category;
-    }
-
-    if (search) {
-      whereClause[Op.or] = [
-        { name: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } }
-      ];
-    }
-
-    if (minPrice !== undefined) {
-      whereClause.price = { [Op.gte]: minPrice };
-    }
-
-    if (maxPrice !== undefined) {
-      whereClause.price = {
-        ...whereClause.price,
-        [Op.lte]: maxPrice
-      };
-    }
-
-    if (featured !== undefined) {
-      whereClause.isFeatured = featured;
-    }
+    const [{ count, products }, facetCounts] = await Promise.all([
+      productSearchService.search(filters, { page: parseInt(page), limit: parseInt(limit), sort, order }),
+      String(facets) === 'true' ? productSearchService.getFacets(filters) : null
+    ]);
 
-    if (onSale !== undefined) {
-      whereClause.isOnSale = onSale;
+    if (filters.search && count === 0 && parseInt(page) === 1) {
+      searchQueryLogService.recordZeroResults(filters.search, 'search')
+        .catch(error => console.error('Error logging zero-result search:', error.message));
     }
 
-    if (brand) {
-      whereClause.brand = brand;
-    }
-
-    // Debug logging
-    console.log('🔍 Products API - Final where clause:', whereClause);
-
-    // Calculate offset
-    const offset = (page - 1) * limit;
-
-    // Get products with category
-    const { count, rows: products } = await Product.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: Category,
-          as: 'category',
-          attributes: ['id', 'name', 'slug']
-        }
-      ],
-      order: [[sort, order]],
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      distinct: true
-    });
-
-    // Add default rating values for now
-    const productsWithRating = products.map(product => {
-      const productData = product.toJSON();
-      productData.averageRating = 0;
-      productData.reviewCount = 0;
-      return productData;
-    });
-
     res.json({
-      products: productsWithRating,
+      products,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(count / limit),
         totalItems: count,
         itemsPerPage: parseInt(limit)
-      }
+      },
+      ...(facetCounts && { facets: facetCounts })
     });
 
   } catch (error) {
@@ -142,6 +95,41 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/products/suggest
+// @desc    Autocomplete suggestions (products, brands, categories), typo tolerant
+// @access  Public
+router.get('/suggest', [
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Le texte de recherche doit contenir entre 1 et 100 caractères'),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit doit être entre 1 et 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { q, limit = 5 } = req.query;
+    const suggestions = await productSearchService.suggest(q, { limit: parseInt(limit) });
+
+    if (!suggestions.products.length && !suggestions.brands.length && !suggestions.categories.length) {
+      searchQueryLogService.recordZeroResults(q, 'suggest')
+        .catch(error => console.error('Error logging zero-result search:', error.message));
+    }
+
+    res.json({
+      success: true,
+      query: q,
+      suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des suggestions' });
+  }
+});
+
 // @route   GET /api/products/brands
 // @desc    Get list of distinct brands
 // @access  Public
@@ -207,6 +195,15 @@ router.get('/:id', validateId, async (req, res) => {
 
     const productData = product.toJSON();
     const reviews = productData.reviews || [];
+
+    if (product.hasVariants) {
+      const variants = await productVariantService.getProductVariants(product.id);
+      productData.variants = variants.map(variant => ({
+        ...variant.toJSON(),
+        discountedPrice: variant.getDiscountedPrice(product)
+      }));
+      productData.variantOptions = productVariantService.summarizeOptions(variants);
+    }
     
     if (reviews.length > 0) {
       const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
@@ -230,7 +227,7 @@ router.get('/:id', validateId, async (req, res) => {
 // @route   POST /api/products
 // @desc    Create a new product
 // @access  Private (Admin)
-router.post('/', firebaseAuth, adminAuth, [
+router.post('/', firebaseAuth, adminAuth, requirePermission('products.manage'), [
   body('name').trim().isLength({ min: 2, max: 200 }).withMessage('Le nom doit contenir entre 2 et 200 caractères'),
   body('description').trim().isLength({ min: 10, max: 2000 }).withMessage('La description doit contenir entre 10 et 2000 caractères'),
   body('price').isFloat({ min: 0 }).withMessage('Prix invalide'),
@@ -272,7 +269,7 @@ router.post('/', firebaseAuth, adminAuth, [
 // @route   PUT /api/products/:id
 // @desc    Update a product
 // @access  Private (Admin)
-router.put('/:id', validateId, firebaseAuth, adminAuth, [
+router.put('/:id', validateId, firebaseAuth, adminAuth, requirePermission('products.manage'), [
   body('name').optional().trim().isLength({ min: 2, max: 200 }),
   body('description').optional().trim().isLength({ min: 10, max: 2000 }),
   body('price').optional().isFloat({ min: 0 }),
@@ -297,7 +294,26 @@ router.put('/:id', validateId, firebaseAuth, adminAuth, [
       });
     }
 
-    await product.update(req.body);
+    if (product.hasVariants && req.body.stockQuantity !== undefined) {
+      return res.status(400).json({
+        error: 'Le stock de ce produit est géré par variante'
+      });
+    }
+
+    const previous = { price: productAlertService.getPrice(product) };
+    const { stockQuantity, ...fields } = req.body;
+    await sequelize.transaction(async (transaction) => {
+      await product.update(fields, { transaction });
+      // A new stock level is recorded in the stock history like any other
+      if (stockQuantity !== undefined) {
+        await inventoryService.updateStock(product.id, Number(stockQuantity), 'adjustment', 'Modification du produit', null, null, null, req.user.id, { transaction, absolute: true });
+      }
+    });
+    await product.reload();
+
+    // Price-drop alerts for the customers following it
+    productAlertService.handleProductChange(product, previous)
+      .catch(error => console.error('❌ Product alerts error:', error));
 
     res.json({
       message: 'Produit mis à jour avec succès',
@@ -315,7 +331,7 @@ router.put('/:id', validateId, firebaseAuth, adminAuth, [
 // @route   DELETE /api/products/:id
 // @desc    Delete a product
 // @access  Private (Admin)
-router.delete('/:id', validateId, firebaseAuth, adminAuth, async (req, res) => {
+router.delete('/:id', validateId, firebaseAuth, adminAuth, requirePermission('products.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const product = await Product.findByPk(id);
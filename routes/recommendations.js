@@ -3,6 +3,7 @@ const router = express.Router();
 const RecommendationService = require('../services/recommendationService');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { scrapingLimiter } = require('../middleware/rateLimiter');
 const { validateParamId } = require('../middleware/validateInput');
 
@@ -151,7 +152,7 @@ router.get('/trending', async (req, res) => {
  * @desc    Get recommendations based on similar users (admin only)
  * @access  Private (Admin)
  */
-router.get('/similar-users/:userId', validateParamId('userId'), firebaseAuth, adminAuth, async (req, res) => {
+router.get('/similar-users/:userId', validateParamId('userId'), firebaseAuth, adminAuth, requirePermission('users.view'), async (req, res) => {
   try {
     const { userId } = req.params;
     const limit = parseInt(req.query.limit) || 5;
@@ -9,6 +9,7 @@ const { Review, User, Product, Order, OrderItem } = require('../models');
 // Import middleware
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { publicLimiter, writeLimiter } = require('../middleware/rateLimiter');
 const { validateParamId, validatePagination, validateRating, handleValidationErrors } = require('../middleware/validateInput');
 const { body } = require('express-validator');
@@ -635,7 +636,7 @@ router.post('/:reviewId/not-helpful', validateParamId('reviewId'), firebaseAuth,
 // @route   GET /api/admin/reviews
 // @desc    Get all reviews for admin moderation
 // @access  Admin
-router.get('/admin', firebaseAuth, adminAuth, async (req, res) => {
+router.get('/admin', firebaseAuth, adminAuth, requirePermission('reviews.moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, rating, productId } = req.query;
     const offset = (page - 1) * limit;
@@ -728,7 +729,7 @@ router.get('/admin', firebaseAuth, adminAuth, async (req, res) => {
 // @route   PUT /api/admin/reviews/:reviewId/status
 // @desc    Update review status (approve/reject/flag)
 // @access  Admin
-router.put('/admin/:reviewId/status', validateParamId('reviewId'), firebaseAuth, adminAuth, async (req, res) => {
+router.put('/admin/:reviewId/status', validateParamId('reviewId'), firebaseAuth, adminAuth, requirePermission('reviews.moderate'), async (req, res) => {
   try {
     const { reviewId } = req.params;
     const { status, moderationNotes } = req.body;
@@ -805,7 +806,7 @@ router.put('/admin/:reviewId/status', validateParamId('reviewId'), firebaseAuth,
 // @route   POST /api/admin/reviews/sync-trustpilot
 // @desc    Manually sync pending reviews to Trustpilot
 // @access  Admin
-router.post('/admin/sync-trustpilot', firebaseAuth, adminAuth, async (req, res) => {
+router.post('/admin/sync-trustpilot', firebaseAuth, adminAuth, requirePermission('reviews.moderate'), async (req, res) => {
   try {
     if (!trustpilotService.isConfigured()) {
       return res.status(400).json({
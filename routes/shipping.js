@@ -0,0 +1,54 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { optionalFirebaseAuth } = require('../middleware/firebaseAuth');
+const { publicLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/validateInput');
+const pricingService = require('../services/pricingService');
+const shippingService = require('../services/shippingService');
+
+const router = express.Router();
+
+router.use(publicLimiter);
+
+// @route   GET /api/shipping/zones
+// @desc    Shipping zones, their cities and the methods and rates they offer
+// @access  Public
+router.get('/zones', (req, res) => {
+  res.json({
+    success: true,
+    zones: shippingService.listZones()
+  });
+});
+
+// @route   POST /api/shipping/rates
+// @desc    Shipping options (price and delivery window) for cart items delivered to a city
+// @access  Public (optional auth: Prime members see their free shipping)
+router.post('/rates', optionalFirebaseAuth, [
+  body('city').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Ville de livraison requise'),
+  body('items').isArray({ min: 1, max: 100 }).withMessage('Au moins un produit est requis'),
+  body('items.*.productId').isUUID().withMessage('ID de produit invalide'),
+  body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('ID de variante invalide'),
+  body('items.*.quantity').isInt({ min: 1, max: 99 }).withMessage('Quantité invalide').toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { city, items } = req.body;
+    const { subtotal, weight, rates } = await pricingService.getShippingRates({ user: req.user || null, items, city });
+
+    res.json({
+      success: true,
+      city,
+      subtotal,
+      weight,
+      rates
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Shipping rates error:', error);
+    res.status(500).json({ success: false, error: 'Erreur lors du calcul des frais de livraison' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const { hasPermission } = require('../config/adminRoles');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
@@ -25,7 +26,7 @@ async function authorizeCategory({ category, entityId, req }) {
   }
 
   if (category === 'products') {
-    if (user.role !== 'admin') return { ok: false, status: 403, error: 'Réservé aux administrateurs' };
+    if (!hasPermission(user, 'products.manage')) return { ok: false, status: 403, error: 'Réservé aux administrateurs' };
     if (entityId !== 'new') {
       const product = await Product.findByPk(entityId);
       if (!product) return { ok: false, status: 404, error: 'Produit non trouvé' };
@@ -34,7 +35,7 @@ async function authorizeCategory({ category, entityId, req }) {
   }
 
   if (category === 'categories') {
-    if (user.role !== 'admin') return { ok: false, status: 403, error: 'Réservé aux administrateurs' };
+    if (!hasPermission(user, 'products.manage')) return { ok: false, status: 403, error: 'Réservé aux administrateurs' };
     if (entityId !== 'new') {
       const cat = await Category.findByPk(entityId);
       if (!cat) return { ok: false, status: 404, error: 'Catégorie non trouvée' };
@@ -45,12 +46,22 @@ async function authorizeCategory({ category, entityId, req }) {
   if (category === 'refund-proofs') {
     const order = await Order.findByPk(entityId);
     if (!order) return { ok: false, status: 404, error: 'Commande non trouvée' };
-    if (user.role !== 'admin' && order.userId !== user.id) {
+    if (!hasPermission(user, 'orders.manage') && order.userId !== user.id) {
       return { ok: false, status: 403, error: 'Accès refusé' };
     }
     return { ok: true, user, order };
   }
 
+  if (category === 'bank-transfer-receipts') {
+    const order = await Order.findByPk(entityId);
+    if (!order) return { ok: false, status: 404, error: 'Commande non trouvée' };
+    if (order.userId !== user.id) return { ok: false, status: 403, error: 'Accès refusé' };
+    if (order.paymentMethod !== 'bank_transfer') {
+      return { ok: false, status: 400, error: 'Cette commande n\'est pas payable par virement' };
+    }
+    return { ok: true, user, order };
+  }
+
   if (category === 'reviews') {
     // Review media: any authenticated buyer may upload; entityId = productId so the
     // object is namespaced per product. The review submission endpoint applies the
@@ -101,7 +112,8 @@ router.post(
 );
 
 // POST /api/uploads/sign-get
-// Body: { key } — returns short-lived GET URL. Used for refund-proofs (admin) and public media delivery.
+// Body: { key } — returns short-lived GET URL. Used for refund-proofs and bank-transfer-receipts
+// (owner or admin) and public media delivery.
 router.post(
   '/sign-get',
   firebaseAuth,
@@ -116,11 +128,11 @@ router.post(
     const user = await User.findOne({ where: { firebaseUid: req.firebaseUser.uid } });
     if (!user) return res.status(404).json({ success: false, error: 'Utilisateur non trouvé' });
 
-    if (key.startsWith('refund-proofs/')) {
+    if (key.startsWith('refund-proofs/') || key.startsWith('bank-transfer-receipts/')) {
       const orderId = key.split('/')[1];
       const order = await Order.findByPk(orderId);
       if (!order) return res.status(404).json({ success: false, error: 'Commande non trouvée' });
-      if (user.role !== 'admin' && order.userId !== user.id) {
+      if (!hasPermission(user, 'orders.view') && order.userId !== user.id) {
         return res.status(403).json({ success: false, error: 'Accès refusé' });
       }
     } else if (!['profile-photos/', 'products/', 'categories/', 'reviews/'].some((p) => key.startsWith(p))) {
@@ -2,20 +2,27 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Order = require('../models/Order');
+const productAlertService = require('../services/productAlertService');
 const firebaseAuth = require('../middleware/firebaseAuth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission, ADMIN_ROLES } = require('../config/adminRoles');
 const { adminActionLimiter } = require('../middleware/rateLimiter');
 const { validateId, validateParamId } = require('../middleware/validateInput');
 
 const router = express.Router();
 
+// Fields PUT /:id writes. Points, membership and security fields only change
+// through their own services, which keep the loyalty ledger in step.
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'address', 'city', 'postalCode'];
+
 // Apply rate limiting to all user management routes
 router.use(adminActionLimiter);
 
 // @route   GET /api/users
 // @desc    Get all users (admin only)
 // @access  Private (Admin)
-router.get('/', firebaseAuth, adminAuth, [
+router.get('/', firebaseAuth, adminAuth, requirePermission('users.view'), [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('search').optional().trim(),
@@ -93,7 +100,7 @@ router.get('/:id', validateId, firebaseAuth, async (req, res) => {
     const { id } = req.params;
 
     // Users can only access their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    if (!hasPermission(req.user, 'users.view') && req.user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
@@ -130,7 +137,11 @@ router.put('/:id', validateId, firebaseAuth, [
   body('city').optional().trim(),
   body('postalCode').optional().trim(),
   body('isActive').optional().isBoolean(),
-  body('role').optional().isIn(['client', 'admin'])
+  body('role').optional().isIn(['client', 'admin']),
+  // Without a back-office role an admin account holds no permission
+  body('adminRole')
+    .if(body('role').equals('admin'))
+    .isIn(ADMIN_ROLES).withMessage('Rôle administrateur invalide')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,16 +155,26 @@ router.put('/:id', validateId, firebaseAuth, [
     const { id } = req.params;
 
     // Users can only update their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    if (!hasPermission(req.user, 'users.manage') && req.user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
     }
 
-    // Only admins can change role and isActive
-    if (req.user.role !== 'admin') {
-      delete req.body.role;
-      delete req.body.isActive;
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    // Role and account status changes need the matching admin permission
+    if (req.body.isActive !== undefined && hasPermission(req.user, 'users.manage')) {
+      updates.isActive = req.body.isActive;
+    }
+    if (req.body.role !== undefined && hasPermission(req.user, 'roles.manage')) {
+      updates.role = req.body.role;
+      updates.adminRole = req.body.role === 'admin' ? req.body.adminRole : null;
     }
 
     const user = await User.findByPk(id);
@@ -163,7 +184,7 @@ router.put('/:id', validateId, firebaseAuth, [
       });
     }
 
-    await user.update(req.body);
+    await user.update(updates);
 
     res.json({
       message: 'Utilisateur mis à jour avec succès',
@@ -181,7 +202,7 @@ router.put('/:id', validateId, firebaseAuth, [
 // @route   DELETE /api/users/:id
 // @desc    Delete user (admin only)
 // @access  Private (Admin)
-router.delete('/:id', validateId, firebaseAuth, adminAuth, async (req, res) => {
+router.delete('/:id', validateId, firebaseAuth, adminAuth, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -240,7 +261,7 @@ router.get('/:id/orders', validateId, firebaseAuth, [
     } = req.query;
 
     // Users can only access their own orders unless they're admin
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    if (!hasPermission(req.user, 'orders.view') && req.user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
@@ -355,7 +376,7 @@ router.get('/:id/wishlist', validateId, firebaseAuth, async (req, res) => {
     }
 
     // Users can only access their own wishlist unless they're admin
-    if (user.role !== 'admin' && user.id !== id) {
+    if (!hasPermission(user, 'users.view') && user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
@@ -427,7 +448,7 @@ router.post('/:id/wishlist', validateId, firebaseAuth, [
     }
 
     // Users can only modify their own wishlist unless they're admin
-    if (user.role !== 'admin' && user.id !== id) {
+    if (!hasPermission(user, 'users.manage') && user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
@@ -461,6 +482,13 @@ router.post('/:id/wishlist', validateId, firebaseAuth, [
     const updatedWishlist = [...wishlist, productId];
     await user.update({ wishlist: updatedWishlist });
 
+    // Wishlisted products come with back-in-stock and price-drop alerts
+    try {
+      await productAlertService.addWishlistAlerts(user.id, productId);
+    } catch (alertError) {
+      console.error('❌ Error creating wishlist alerts:', alertError);
+    }
+
     res.json({
       message: 'Produit ajouté à la wishlist',
       wishlist: updatedWishlist
@@ -490,7 +518,7 @@ router.delete('/:id/wishlist/:productId', [...validateId, ...validateParamId('pr
     }
 
     // Users can only modify their own wishlist unless they're admin
-    if (user.role !== 'admin' && user.id !== id) {
+    if (!hasPermission(user, 'users.manage') && user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
@@ -509,6 +537,12 @@ router.delete('/:id/wishlist/:productId', [...validateId, ...validateParamId('pr
     const updatedWishlist = wishlist.filter(id => String(id) !== String(productId));
     await user.update({ wishlist: updatedWishlist });
 
+    try {
+      await productAlertService.removeWishlistAlerts(user.id, productId);
+    } catch (alertError) {
+      console.error('❌ Error removing wishlist alerts:', alertError);
+    }
+
     res.json({
       message: 'Produit retiré de la wishlist',
       wishlist: updatedWishlist
@@ -538,7 +572,7 @@ router.delete('/:id/wishlist', validateId, firebaseAuth, async (req, res) => {
     }
 
     // Users can only modify their own wishlist unless they're admin
-    if (user.role !== 'admin' && user.id !== id) {
+    if (!hasPermission(user, 'users.manage') && user.id !== id) {
       return res.status(403).json({ 
         error: 'Accès refusé' 
       });
@@ -0,0 +1,63 @@
+const express = require('express');
+const paymentProcessor = require('../services/paymentProcessor');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const shipmentService = require('../services/shipmentService');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// @route   POST /api/webhooks/stripe
+// @desc    Stripe event receiver. Needs the raw body for signature checks,
+//          so this router must be mounted before express.json().
+// @access  Public (Stripe signature)
+router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+  try {
+    event = paymentProcessor.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+  } catch (err) {
+    logger.error('Stripe webhook error', { error: err.message });
+    return res.status(400).json({ error: `Webhook Error: ${err.message}` });
+  }
+
+  try {
+    const { duplicate } = await stripeWebhookService.processEvent(event);
+    if (duplicate) {
+      logger.debug('Stripe webhook event already processed', { id: event.id, type: event.type });
+    } else {
+      logger.info('Stripe webhook event processed', { id: event.id, type: event.type });
+    }
+    res.json({ received: true, duplicate });
+  } catch (err) {
+    // A 5xx makes Stripe retry the delivery later
+    logger.error('Stripe webhook handling failed', { id: event.id, type: event.type, error: err.message });
+    res.status(500).json({ error: 'Erreur lors du traitement du webhook' });
+  }
+});
+
+// @route   POST /api/webhooks/carriers/:carrier
+// @desc    Tracking events pushed by a carrier (see services/carriers).
+//          Raw body for the signature check, like the Stripe receiver.
+// @access  Public (carrier signature)
+router.post('/carriers/:carrier', express.raw({ type: 'application/json' }), async (req, res) => {
+  const { carrier } = req.params;
+  try {
+    const { matched, added, newStatus } = await shipmentService.handleWebhook(carrier, req.body, req.headers);
+    if (!matched) {
+      // Acknowledge anyway: retrying will not make an unknown parcel ours
+      logger.warn('Carrier webhook for unknown shipment', { carrier });
+    } else {
+      logger.info('Carrier webhook processed', { carrier, added, status: newStatus });
+    }
+    res.json({ received: true, matched });
+  } catch (err) {
+    // Bad signature, unknown carrier or a body that is not JSON
+    if (err.status || err instanceof SyntaxError) {
+      logger.error('Carrier webhook rejected', { carrier, error: err.message });
+      return res.status(err.status || 400).json({ error: `Webhook Error: ${err.message}` });
+    }
+    logger.error('Carrier webhook handling failed', { carrier, error: err.message });
+    res.status(500).json({ error: 'Erreur lors du traitement du webhook' });
+  }
+});
+
+module.exports = router;
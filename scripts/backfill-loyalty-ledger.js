@@ -0,0 +1,61 @@
+/**
+ * One-shot backfill: write an opening balance into the loyalty ledger.
+ *
+ * Points earned before the loyalty_transactions table existed only live in
+ * users.loyaltyPoints. For every user whose ledger sum differs from that
+ * column, an 'adjustment' entry is written for the difference so that
+ * loyaltyPoints can always be rebuilt as SUM(loyalty_transactions.points).
+ * The balance itself is not touched.
+ *
+ * Safe to re-run: users already in sync are skipped.
+ *
+ * Run:
+ *   node scripts/backfill-loyalty-ledger.js              # dry-run (default)
+ *   node scripts/backfill-loyalty-ledger.js --apply      # persist changes
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const sequelize = require('../config/database');
+const { User, LoyaltyTransaction } = require('../models');
+
+const APPLY = process.argv.includes('--apply');
+const MODE = APPLY ? 'APPLY' : 'DRY-RUN';
+
+async function backfill() {
+  console.log(`Loyalty ledger backfill (${MODE})`);
+
+  await sequelize.sync({ force: false });
+
+  const users = await User.findAll({ attributes: ['id', 'email', 'loyaltyPoints'] });
+  let mismatched = 0;
+
+  for (const user of users) {
+    const ledgerBalance = (await LoyaltyTransaction.sum('points', { where: { userId: user.id } })) || 0;
+    const difference = (user.loyaltyPoints || 0) - ledgerBalance;
+    if (difference === 0) continue;
+
+    mismatched++;
+    console.log(`  ${user.email}: balance ${user.loyaltyPoints}, ledger ${ledgerBalance} → opening entry ${difference > 0 ? '+' : ''}${difference}`);
+
+    if (APPLY) {
+      await LoyaltyTransaction.create({
+        userId: user.id,
+        type: 'adjustment',
+        points: difference,
+        balanceAfter: user.loyaltyPoints,
+        description: 'Solde d\'ouverture (reprise de l\'historique)'
+      });
+    }
+  }
+
+  console.log(`${users.length} users scanned, ${mismatched} ${APPLY ? 'backfilled' : 'to backfill'}.`);
+}
+
+backfill()
+  .catch((error) => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -20,7 +20,7 @@ async function createAdminUser() {
       console.log(`✅ Found existing user: ${adminUser.email}`);
       
       // Update to admin role
-      await adminUser.update({ role: 'admin' });
+      await adminUser.update({ role: 'admin', adminRole: 'super_admin' });
       console.log(`✅ Updated user ${adminUser.email} to admin role`);
       
     } else {
@@ -33,6 +33,7 @@ async function createAdminUser() {
         firstName: adminFirstName,
         lastName: adminLastName,
         role: 'admin',
+        adminRole: 'super_admin',
         isActive: true,
         firebaseUid: `admin-${Date.now()}` // Temporary Firebase UID
       });
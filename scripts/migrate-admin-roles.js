@@ -0,0 +1,48 @@
+/**
+ * Migration: Admin roles
+ *
+ * Adds: users.adminRole. Existing admins become super_admin so nobody loses
+ * access; narrower roles are then assigned from PUT /api/admin/users/:id/role.
+ *
+ * Run: node scripts/migrate-admin-roles.js
+ */
+
+const sequelize = require('../config/database');
+const { ADMIN_ROLES } = require('../config/adminRoles');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting admin roles migration...');
+
+    console.log('Creating adminRole enum...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_users_adminRole" AS ENUM (${ADMIN_ROLES.map(role => `'${role}'`).join(', ')});
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `, { transaction: t });
+
+    console.log('Adding adminRole column...');
+    await sequelize.query(`
+      ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "adminRole" "enum_users_adminRole";
+    `, { transaction: t });
+
+    console.log('Granting super_admin to existing admins...');
+    await sequelize.query(`
+      UPDATE "users" SET "adminRole" = 'super_admin' WHERE "role" = 'admin' AND "adminRole" IS NULL;
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,57 @@
+/**
+ * Migration: Bank transfer payments
+ *
+ * Adds: orders.bankTransferStatus, bankTransferReference, bankTransferDeadline,
+ * bankTransferReceipts, bankTransferSubmittedAt, bankTransferReviewedAt,
+ * bankTransferReviewedBy and bankTransferRejectionReason.
+ *
+ * Run: node scripts/migrate-bank-transfer.js
+ */
+
+const sequelize = require('../config/database');
+const { STATUSES } = require('../config/bankTransfer');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting bank transfer migration...');
+
+    console.log('Creating bankTransferStatus enum...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_orders_bankTransferStatus" AS ENUM (${STATUSES.map(status => `'${status}'`).join(', ')});
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `, { transaction: t });
+
+    console.log('Adding bank transfer columns...');
+    await sequelize.query(`
+      ALTER TABLE "orders"
+        ADD COLUMN IF NOT EXISTS "bankTransferStatus" "enum_orders_bankTransferStatus",
+        ADD COLUMN IF NOT EXISTS "bankTransferReference" VARCHAR(20) UNIQUE,
+        ADD COLUMN IF NOT EXISTS "bankTransferDeadline" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "bankTransferReceipts" JSON NOT NULL DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS "bankTransferSubmittedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "bankTransferReviewedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "bankTransferReviewedBy" UUID REFERENCES "users" ("id"),
+        ADD COLUMN IF NOT EXISTS "bankTransferRejectionReason" VARCHAR(500);
+    `, { transaction: t });
+
+    console.log('Adding bankTransferStatus index...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "orders_bank_transfer_status" ON "orders" ("bankTransferStatus");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
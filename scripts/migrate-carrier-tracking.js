@@ -0,0 +1,44 @@
+/**
+ * Migration: Carrier tracking
+ *
+ * Adds: orders.carrier, carrierShipmentId, trackingEvents and
+ * trackingSyncedAt, plus an index to find an order from a carrier's
+ * tracking number.
+ *
+ * Run: node scripts/migrate-carrier-tracking.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting carrier tracking migration...');
+
+    console.log('Adding carrier columns...');
+    await sequelize.query(`
+      ALTER TABLE "orders"
+        ADD COLUMN IF NOT EXISTS "carrier" VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS "carrierShipmentId" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "trackingEvents" JSON NOT NULL DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS "trackingSyncedAt" TIMESTAMP WITH TIME ZONE;
+    `, { transaction: t });
+
+    console.log('Adding carrier tracking index...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "orders_carrier_tracking_number" ON "orders" ("carrier", "trackingNumber");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,50 @@
+/**
+ * Migration: Abandoned cart recovery
+ *
+ * Adds: 'cart_recovery' to the notification and notification preference
+ * type ENUMs. The cart_recoveries table is created by the model sync.
+ *
+ * Run: node scripts/migrate-cart-recovery.js
+ */
+
+const sequelize = require('../config/database');
+
+const ENUM_TYPES = ['enum_notifications_type', 'enum_notification_preferences_type'];
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting cart recovery migration...');
+
+    for (const typeName of ENUM_TYPES) {
+      console.log(`Adding cart_recovery to ${typeName}...`);
+      await sequelize.query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM pg_enum
+            WHERE enumlabel = 'cart_recovery'
+            AND enumtypid = (
+              SELECT oid FROM pg_type WHERE typname = '${typeName}'
+            )
+          ) THEN
+            ALTER TYPE "${typeName}" ADD VALUE 'cart_recovery';
+          END IF;
+        END
+        $$;
+      `, { transaction: t });
+    }
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
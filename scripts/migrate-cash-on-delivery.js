@@ -0,0 +1,53 @@
+/**
+ * Migration: Cash on delivery
+ *
+ * Adds: orders.codFee, the phone confirmation fields (codConfirmationCode,
+ * codConfirmationExpiresAt, codConfirmationAttempts, codConfirmedAt,
+ * codConfirmedBy) and the cash collection fields (codCollectedAt,
+ * codCollectedBy).
+ *
+ * Run: node scripts/migrate-cash-on-delivery.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting cash on delivery migration...');
+
+    console.log('Adding codFee column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "codFee" DECIMAL(10, 2) NOT NULL DEFAULT 0;
+    `, { transaction: t });
+
+    console.log('Adding confirmation columns...');
+    await sequelize.query(`
+      ALTER TABLE "orders"
+        ADD COLUMN IF NOT EXISTS "codConfirmationCode" VARCHAR(6),
+        ADD COLUMN IF NOT EXISTS "codConfirmationExpiresAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "codConfirmationAttempts" INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "codConfirmedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "codConfirmedBy" UUID REFERENCES "users" ("id");
+    `, { transaction: t });
+
+    console.log('Adding collection columns...');
+    await sequelize.query(`
+      ALTER TABLE "orders"
+        ADD COLUMN IF NOT EXISTS "codCollectedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "codCollectedBy" UUID REFERENCES "users" ("id");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
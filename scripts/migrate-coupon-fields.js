@@ -0,0 +1,44 @@
+/**
+ * Migration: Add coupon fields to Orders table
+ *
+ * Adds: couponId, couponCode, couponDiscountAmount. The coupons and
+ * coupon_redemptions tables are created by sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-coupon-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting coupon fields migration...');
+
+    console.log('Adding couponId column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "couponId" UUID;
+    `, { transaction: t });
+
+    console.log('Adding couponCode column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "couponCode" VARCHAR(40);
+    `, { transaction: t });
+
+    console.log('Adding couponDiscountAmount column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "couponDiscountAmount" DECIMAL(10, 2) NOT NULL DEFAULT 0;
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
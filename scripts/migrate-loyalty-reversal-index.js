@@ -0,0 +1,36 @@
+/**
+ * Migration: Allow one points reversal per order
+ *
+ * Adds a partial unique index on loyalty_transactions ("orderId") for the
+ * 'reversal' rows. Fails if an order already has two reversals: credit the
+ * extra debit back with an adjustment and delete the duplicate first.
+ *
+ * Run: node scripts/migrate-loyalty-reversal-index.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting loyalty reversal index migration...');
+
+    console.log('Adding loyalty_transactions_order_reversal index...');
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "loyalty_transactions_order_reversal"
+      ON "loyalty_transactions" ("orderId") WHERE "type" = 'reversal';
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add loyalty voucher fields to Orders table
+ *
+ * Adds: loyaltyVoucherId, voucherAmount. The loyalty_vouchers table is
+ * created by sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-loyalty-voucher-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting loyalty voucher fields migration...');
+
+    console.log('Adding loyaltyVoucherId column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "loyaltyVoucherId" UUID;
+    `, { transaction: t });
+
+    console.log('Adding voucherAmount column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "voucherAmount" DECIMAL(10, 2) NOT NULL DEFAULT 0;
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
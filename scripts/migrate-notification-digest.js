@@ -0,0 +1,65 @@
+/**
+ * Migration: Notification digests and quiet hours
+ *
+ * Adds: notification_preferences.deliveryMode, quietHoursStart and
+ * quietHoursEnd, plus notifications.emailStatus and emailScheduledFor, the
+ * queue of emails waiting for a digest or the end of quiet hours.
+ *
+ * Run: node scripts/migrate-notification-digest.js
+ */
+
+const sequelize = require('../config/database');
+const { DELIVERY_MODES } = require('../config/notificationDelivery');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting notification digest migration...');
+
+    console.log('Creating deliveryMode and emailStatus enums...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_notification_preferences_deliveryMode" AS ENUM (${DELIVERY_MODES.map(mode => `'${mode}'`).join(', ')});
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `, { transaction: t });
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_notifications_emailStatus" AS ENUM ('none', 'queued', 'sent');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `, { transaction: t });
+
+    console.log('Adding delivery preference columns...');
+    await sequelize.query(`
+      ALTER TABLE "notification_preferences"
+        ADD COLUMN IF NOT EXISTS "deliveryMode" "enum_notification_preferences_deliveryMode" NOT NULL DEFAULT 'instant',
+        ADD COLUMN IF NOT EXISTS "quietHoursStart" VARCHAR(5),
+        ADD COLUMN IF NOT EXISTS "quietHoursEnd" VARCHAR(5);
+    `, { transaction: t });
+
+    console.log('Adding notification email queue columns...');
+    await sequelize.query(`
+      ALTER TABLE "notifications"
+        ADD COLUMN IF NOT EXISTS "emailStatus" "enum_notifications_emailStatus" NOT NULL DEFAULT 'none',
+        ADD COLUMN IF NOT EXISTS "emailScheduledFor" TIMESTAMP WITH TIME ZONE;
+    `, { transaction: t });
+
+    console.log('Adding email queue index...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "notifications_email_status_email_scheduled_for" ON "notifications" ("emailStatus", "emailScheduledFor");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
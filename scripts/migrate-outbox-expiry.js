@@ -0,0 +1,34 @@
+/**
+ * Migration: Outbox expiry
+ *
+ * Adds: outbound_messages.expiresAt. Verification codes and password-reset
+ * links are no longer retried once they have expired.
+ *
+ * Run: node scripts/migrate-outbox-expiry.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting outbox expiry migration...');
+
+    console.log('Adding expiresAt column...');
+    await sequelize.query(`
+      ALTER TABLE "outbound_messages" ADD COLUMN IF NOT EXISTS "expiresAt" TIMESTAMP WITH TIME ZONE;
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,57 @@
+/**
+ * Migration: Partial refund support
+ *
+ * Adds: partially_refunded to the paymentStatus ENUM, orders.refundedAmount
+ * and order_items.refundedQuantity. The order_refunds table is created by
+ * sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-partial-refund-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('Starting partial refund migration...');
+
+    // PostgreSQL cannot add an enum value inside a transaction block
+    console.log('Adding partially_refunded to paymentStatus enum...');
+    await sequelize.query(`
+      ALTER TYPE "enum_orders_paymentStatus" ADD VALUE IF NOT EXISTS 'partially_refunded';
+    `);
+
+    const t = await sequelize.transaction();
+    try {
+      console.log('Adding refundedAmount column...');
+      await sequelize.query(`
+        ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "refundedAmount" DECIMAL(10, 2) NOT NULL DEFAULT 0;
+      `, { transaction: t });
+
+      // Orders refunded before this migration were always refunded in full
+      console.log('Backfilling refundedAmount for refunded orders...');
+      await sequelize.query(`
+        UPDATE "orders" SET "refundedAmount" = "totalAmount"
+        WHERE "paymentStatus" = 'refunded' AND "refundedAmount" = 0;
+      `, { transaction: t });
+
+      console.log('Adding refundedQuantity column...');
+      await sequelize.query(`
+        ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "refundedQuantity" INTEGER NOT NULL DEFAULT 0;
+      `, { transaction: t });
+
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
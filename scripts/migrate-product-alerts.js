@@ -0,0 +1,67 @@
+/**
+ * Migration: Back-in-stock and price-drop alerts
+ *
+ * Adds: 'product_back_in_stock' and 'product_price_drop' to the notification
+ * and notification preference type ENUMs, then subscribes the products
+ * already in customers' wishlists to both alerts.
+ *
+ * Run after the model sync has created the product_alerts table:
+ * node scripts/migrate-product-alerts.js
+ */
+
+const sequelize = require('../config/database');
+
+const ENUM_TYPES = ['enum_notifications_type', 'enum_notification_preferences_type'];
+const NOTIFICATION_TYPES = ['product_back_in_stock', 'product_price_drop'];
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting product alerts migration...');
+
+    for (const typeName of ENUM_TYPES) {
+      for (const value of NOTIFICATION_TYPES) {
+        console.log(`Adding ${value} to ${typeName}...`);
+        await sequelize.query(`
+          DO $$
+          BEGIN
+            IF NOT EXISTS (
+              SELECT 1 FROM pg_enum
+              WHERE enumlabel = '${value}'
+              AND enumtypid = (
+                SELECT oid FROM pg_type WHERE typname = '${typeName}'
+              )
+            ) THEN
+              ALTER TYPE "${typeName}" ADD VALUE '${value}';
+            END IF;
+          END
+          $$;
+        `, { transaction: t });
+      }
+    }
+
+    console.log('Subscribing wishlist items to alerts...');
+    const [, result] = await sequelize.query(`
+      INSERT INTO "product_alerts" ("id", "userId", "productId", "type", "source", "createdAt", "updatedAt")
+      SELECT gen_random_uuid(), u."id", p."id", alert_type::"enum_product_alerts_type", 'wishlist', NOW(), NOW()
+      FROM "users" u
+      CROSS JOIN LATERAL json_array_elements_text(COALESCE(u."wishlist", '[]'::json)) AS w(product_id)
+      JOIN "products" p ON p."id"::text = w.product_id
+      CROSS JOIN (VALUES ('back_in_stock'), ('price_drop')) AS types(alert_type)
+      ON CONFLICT ("userId", "productId", "type") DO NOTHING;
+    `, { transaction: t });
+    console.log(`Wishlist alerts created: ${result?.rowCount || 0}`);
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
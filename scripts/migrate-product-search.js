@@ -0,0 +1,62 @@
+/**
+ * Migration: Product full-text search
+ *
+ * Adds: the unaccent extension, an immutable f_unaccent() wrapper usable in
+ * generated columns, products.searchVector (name and brand weighted A, tags B,
+ * description C) and its GIN index.
+ *
+ * The text search configuration must match SEARCH_CONFIG in
+ * services/productSearchService.js.
+ *
+ * Run: node scripts/migrate-product-search.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting product search migration...');
+
+    console.log('Enabling unaccent extension...');
+    await sequelize.query(`
+      CREATE EXTENSION IF NOT EXISTS unaccent;
+    `, { transaction: t });
+
+    // unaccent() is only STABLE, which generated columns and indexes refuse
+    console.log('Creating f_unaccent function...');
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text AS $$
+        SELECT public.unaccent('public.unaccent', $1)
+      $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+    `, { transaction: t });
+
+    console.log('Adding searchVector column...');
+    await sequelize.query(`
+      ALTER TABLE "products" ADD COLUMN IF NOT EXISTS "searchVector" tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('french', f_unaccent(coalesce("name", ''))), 'A') ||
+        setweight(to_tsvector('french', f_unaccent(coalesce("brand", ''))), 'A') ||
+        setweight(to_tsvector('french', f_unaccent(coalesce("tags"::text, ''))), 'B') ||
+        setweight(to_tsvector('french', f_unaccent(coalesce("description", ''))), 'C')
+      ) STORED;
+    `, { transaction: t });
+
+    console.log('Creating search index...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "products_search_vector_idx" ON "products" USING GIN ("searchVector");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,49 @@
+/**
+ * Migration: Search suggestions
+ *
+ * Adds: the pg_trgm extension and trigram indexes on the accent- and
+ * case-insensitive product name, brand and category name used by
+ * GET /api/products/suggest.
+ *
+ * Requires f_unaccent() from scripts/migrate-product-search.js. The
+ * search_query_logs table is created by the model sync.
+ *
+ * Run: node scripts/migrate-product-suggest.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting search suggestions migration...');
+
+    console.log('Enabling pg_trgm extension...');
+    await sequelize.query(`
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    `, { transaction: t });
+
+    console.log('Creating trigram indexes...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "products_name_trgm_idx" ON "products" USING GIN (f_unaccent(lower("name")) gin_trgm_ops);
+    `, { transaction: t });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "products_brand_trgm_idx" ON "products" USING GIN (f_unaccent(lower("brand")) gin_trgm_ops);
+    `, { transaction: t });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "categories_name_trgm_idx" ON "categories" USING GIN (f_unaccent(lower("name")) gin_trgm_ops);
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,47 @@
+/**
+ * Migration: Product variants
+ *
+ * Adds: products.hasVariants, and variantId on cart_items, order_items,
+ * stock_history and stock_reservations (plus order_items.variantOptions).
+ * The product_variants table is created by sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-product-variant-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting product variant migration...');
+
+    console.log('Adding hasVariants column...');
+    await sequelize.query(`
+      ALTER TABLE "products" ADD COLUMN IF NOT EXISTS "hasVariants" BOOLEAN NOT NULL DEFAULT false;
+    `, { transaction: t });
+
+    for (const table of ['cart_items', 'order_items', 'stock_history', 'stock_reservations']) {
+      console.log(`Adding variantId column to ${table}...`);
+      await sequelize.query(`
+        ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "variantId" UUID;
+      `, { transaction: t });
+    }
+
+    console.log('Adding variantOptions column...');
+    await sequelize.query(`
+      ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "variantOptions" JSON;
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,44 @@
+/**
+ * Migration: Refund status
+ *
+ * Adds: order_refunds.status. Refunds are recorded as pending before Stripe
+ * is called, then marked succeeded or failed. Existing refunds all went
+ * through, so they default to succeeded.
+ *
+ * Run: node scripts/migrate-refund-status.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting refund status migration...');
+
+    console.log('Creating status enum...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_order_refunds_status" AS ENUM ('pending', 'succeeded', 'failed');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction: t });
+
+    console.log('Adding status column...');
+    await sequelize.query(`
+      ALTER TABLE "order_refunds" ADD COLUMN IF NOT EXISTS "status" "enum_order_refunds_status" NOT NULL DEFAULT 'succeeded';
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add seasonal campaign fields to Orders table
+ *
+ * Adds: seasonalCampaignId, campaignDiscountAmount. The seasonal_campaigns table is
+ * created by sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-seasonal-campaign-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting seasonal campaign fields migration...');
+
+    console.log('Adding seasonalCampaignId column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "seasonalCampaignId" UUID;
+    `, { transaction: t });
+
+    console.log('Adding campaignDiscountAmount column...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "campaignDiscountAmount" DECIMAL(10, 2) NOT NULL DEFAULT 0;
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,31 @@
+/**
+ * Migration: Checkout stock reservations
+ *
+ * Adds: sale to the stock_history changeType ENUM. The stock_reservations
+ * table is created by sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-stock-reservation-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('Starting stock reservation migration...');
+
+    // PostgreSQL cannot add an enum value inside a transaction block
+    console.log('Adding sale to stock_history changeType enum...');
+    await sequelize.query(`
+      ALTER TYPE "enum_stock_history_changeType" ADD VALUE IF NOT EXISTS 'sale';
+    `);
+
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
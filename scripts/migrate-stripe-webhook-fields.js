@@ -0,0 +1,44 @@
+/**
+ * Migration: Stripe webhook handling
+ *
+ * Adds: dispute columns on orders and an index on orders.paymentTransactionId
+ * (webhooks look orders up by PaymentIntent). The stripe_webhook_events and
+ * orphan_payments tables are created by sequelize.sync() on startup.
+ *
+ * Run: node scripts/migrate-stripe-webhook-fields.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting Stripe webhook migration...');
+
+    console.log('Adding dispute columns...');
+    await sequelize.query(`
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "disputeId" VARCHAR(255);
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "disputeStatus" VARCHAR(255);
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "disputeReason" VARCHAR(255);
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "disputeAmount" DECIMAL(10, 2);
+      ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "disputedAt" TIMESTAMP WITH TIME ZONE;
+    `, { transaction: t });
+
+    console.log('Indexing paymentTransactionId...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "orders_payment_transaction_id" ON "orders" ("paymentTransactionId");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,49 @@
+/**
+ * Migration: Unique PaymentIntent per order
+ *
+ * Replaces the plain index on orders.paymentTransactionId with a unique one,
+ * so two checkouts can never create orders for the same Stripe payment.
+ * Existing duplicates must be sorted out by hand first: they are listed and
+ * the migration stops.
+ *
+ * Run: node scripts/migrate-unique-payment-transaction.js
+ */
+
+const sequelize = require('../config/database');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting unique payment transaction migration...');
+
+    const [duplicates] = await sequelize.query(`
+      SELECT "paymentTransactionId", array_agg("orderNumber") AS "orderNumbers"
+      FROM "orders"
+      WHERE "paymentTransactionId" IS NOT NULL
+      GROUP BY "paymentTransactionId"
+      HAVING COUNT(*) > 1;
+    `, { transaction: t });
+    if (duplicates.length) {
+      duplicates.forEach(row => console.error(`Payment ${row.paymentTransactionId} used by ${row.orderNumbers.join(', ')}`));
+      throw new Error(`${duplicates.length} payment(s) used by several orders`);
+    }
+
+    console.log('Making paymentTransactionId unique...');
+    await sequelize.query(`
+      DROP INDEX IF EXISTS "orders_payment_transaction_id";
+      CREATE UNIQUE INDEX "orders_payment_transaction_id" ON "orders" ("paymentTransactionId");
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,43 @@
+/**
+ * Migration: User language
+ *
+ * Adds: users.language, the language emails are sent in. Existing users keep
+ * receiving French emails until they pick another language in their profile.
+ *
+ * Run: node scripts/migrate-user-language.js
+ */
+
+const sequelize = require('../config/database');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/locales');
+
+async function migrate() {
+  const t = await sequelize.transaction();
+
+  try {
+    console.log('Starting user language migration...');
+
+    console.log('Creating language enum...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_users_language" AS ENUM (${Object.keys(LANGUAGES).map(language => `'${language}'`).join(', ')});
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `, { transaction: t });
+
+    console.log('Adding language column...');
+    await sequelize.query(`
+      ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "language" "enum_users_language" NOT NULL DEFAULT '${DEFAULT_LANGUAGE}';
+    `, { transaction: t });
+
+    await t.commit();
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    await t.rollback();
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,49 @@
+/**
+ * Seed: import the campaigns from config/seasonalOffers.js into the
+ * seasonal_campaigns table.
+ *
+ * Campaigns whose slug already exists are left untouched, so edits made from
+ * the admin API are never overwritten. Safe to re-run.
+ *
+ * Run: node scripts/seed-seasonal-campaigns.js
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const sequelize = require('../config/database');
+const SeasonalCampaign = require('../models/SeasonalCampaign');
+const campaigns = require('../config/seasonalOffers');
+
+async function seed() {
+  await SeasonalCampaign.sync();
+
+  let created = 0;
+  for (const campaign of campaigns) {
+    const [, wasCreated] = await SeasonalCampaign.findOrCreate({
+      where: { slug: campaign.id },
+      defaults: {
+        slug: campaign.id,
+        name: campaign.name,
+        startDate: campaign.startDate,
+        endDate: campaign.endDate,
+        memberExtraDiscount: campaign.memberExtraDiscount || 0,
+        specialPerks: campaign.specialPerks || [],
+        bannerMessage: campaign.bannerMessage,
+        theme: campaign.theme,
+        icon: campaign.icon
+      }
+    });
+    if (wasCreated) created++;
+    console.log(`  ${wasCreated ? 'created' : 'exists '} ${campaign.id}`);
+  }
+
+  console.log(`${created} campaign(s) created, ${campaigns.length - created} already present.`);
+}
+
+seed()
+  .catch((error) => {
+    console.error('Seed failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
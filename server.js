@@ -133,44 +133,7 @@ app.use(progressivePenalty);
 app.use(globalLimiter);
 
 // Stripe webhook needs raw body — must be before express.json()
-app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-  const paymentProcessor = require('./services/paymentProcessor');
-  const Order = require('./models/Order');
-  const sig = req.headers['stripe-signature'];
-
-  try {
-    const event = paymentProcessor.constructWebhookEvent(req.body, sig);
-
-    switch (event.type) {
-      case 'payment_intent.succeeded': {
-        const pi = event.data.object;
-        logger.info('Stripe payment succeeded', { paymentId: pi.id });
-        // Update order payment status if order already exists
-        const order = await Order.findOne({ where: { paymentTransactionId: pi.id } });
-        if (order && order.paymentStatus !== 'paid') {
-          await order.update({ paymentStatus: 'paid' });
-        }
-        break;
-      }
-      case 'payment_intent.payment_failed': {
-        const pi = event.data.object;
-        logger.warn('Stripe payment failed', { paymentId: pi.id });
-        const order = await Order.findOne({ where: { paymentTransactionId: pi.id } });
-        if (order) {
-          await order.update({ paymentStatus: 'failed' });
-        }
-        break;
-      }
-      default:
-        logger.debug('Stripe webhook event', { type: event.type });
-    }
-
-    res.json({ received: true });
-  } catch (err) {
-    logger.error('Stripe webhook error', { error: err.message });
-    res.status(400).json({ error: `Webhook Error: ${err.message}` });
-  }
-});
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -222,8 +185,26 @@ const notificationService = new NotificationService(io);
 // Start membership cron job
 const { startMembershipCron } = require('./services/membershipCron');
 startMembershipCron(notificationService);
+const { startCartRecovery } = require('./services/cartRecoveryCron');
+startCartRecovery(notificationService);
 const { startNotificationCleanup } = require('./services/notificationCleanupCron');
 startNotificationCleanup();
+const { startNotificationDigest } = require('./services/notificationDigestCron');
+startNotificationDigest();
+const { startStockReservationExpiry } = require('./services/stockReservationCron');
+startStockReservationExpiry();
+const { startOrphanPaymentCheck } = require('./services/orphanPaymentCron');
+startOrphanPaymentCheck();
+const { startBankTransferExpiry } = require('./services/bankTransferCron');
+startBankTransferExpiry();
+const { startCashOnDeliveryExpiry } = require('./services/cashOnDeliveryCron');
+startCashOnDeliveryExpiry();
+const { startLoyaltyVoucherExpiry } = require('./services/loyaltyVoucherCron');
+startLoyaltyVoucherExpiry();
+const { startShipmentSync } = require('./services/shipmentSyncCron');
+startShipmentSync();
+const { startOutbox } = require('./services/outboxCron');
+startOutbox();
 
 // Import routes
 const { router: authRoutes, setNotificationService: setAuthNotificationService } = require('./routes/auth');
@@ -245,17 +226,22 @@ setNotificationService(notificationService);
 setOrderNotificationService(notificationService);
 setMembershipNotificationService(notificationService);
 setAuthNotificationService(notificationService);
+require('./services/stripeWebhookService').setNotificationService(notificationService);
+require('./services/productAlertService').setNotificationService(notificationService);
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/cart', require('./routes/cart'));
 app.use('/api/orders', require('./routes/invoices'));
 app.use('/api/orders', require('./routes/orderShare'));
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/payment-methods', paymentMethodRoutes);
 app.use('/api/shipping-addresses', shippingAddressRoutes);
+app.use('/api/product-alerts', require('./routes/productAlerts'));
+app.use('/api/shipping', require('./routes/shipping'));
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/analytics', analyticsRoutes);
 app.use('/api/reviews', reviewRoutes);
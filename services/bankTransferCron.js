@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const bankTransferService = require('./bankTransferService');
+
+function startBankTransferExpiry() {
+  // Run every 30 minutes
+  cron.schedule('*/30 * * * *', async () => {
+    try {
+      const cancelled = await bankTransferService.cancelExpired();
+      if (cancelled > 0) {
+        console.log(`🏦 Unpaid bank transfer orders cancelled: ${cancelled}`);
+      }
+    } catch (error) {
+      console.error('❌ Bank transfer expiry error:', error);
+    }
+  });
+
+  console.log('🏦 Bank transfer expiry cron scheduled (every 30 minutes)');
+}
+
+module.exports = { startBankTransferExpiry };
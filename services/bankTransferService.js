@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Order = require('../models/Order');
+const OrderStatusLog = require('../models/OrderStatusLog');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const loyaltyService = require('./loyaltyService');
+const couponService = require('./couponService');
+const bankTransferConfig = require('../config/bankTransfer');
+const { isValidS3Reference } = require('../utils/validateS3Url');
+const { createHttpError } = require('../utils/httpError');
+
+const BANK_TRANSFER_METHOD = 'bank_transfer';
+const RECEIPT_CATEGORY = 'bank-transfer-receipts';
+const HOUR_MS = 60 * 60 * 1000;
+
+// No 0/O or 1/I, so the reference survives being copied by hand into a banking app
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 8;
+
+// Transfers that can still arrive; the others are settled one way or another
+const OPEN_STATUSES = ['awaiting_transfer', 'receipt_submitted', 'rejected'];
+
+class BankTransferService {
+  isBankTransfer(order) {
+    return order.paymentMethod === BANK_TRANSFER_METHOD;
+  }
+
+  /**
+   * Refuse to prepare or ship a bank-transfer order before its transfer is
+   * confirmed, so no parcel leaves unpaid.
+   */
+  assertCanShip(order) {
+    if (this.isBankTransfer(order) && order.paymentStatus !== 'paid') {
+      throw createHttpError(`Le virement de la commande ${order.orderNumber} n'a pas encore été reçu`);
+    }
+  }
+
+  generateReference() {
+    let reference = '';
+    for (let i = 0; i < REFERENCE_LENGTH; i++) {
+      reference += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+    }
+    return `VIR-${reference}`;
+  }
+
+  /**
+   * Fields of a new bank-transfer order: its reference and payment deadline.
+   * @param {Date} now
+   * @returns {object} - { bankTransferStatus, bankTransferReference, bankTransferDeadline }
+   */
+  getInitialFields(now = new Date()) {
+    return {
+      bankTransferStatus: 'awaiting_transfer',
+      bankTransferReference: this.generateReference(),
+      bankTransferDeadline: new Date(now.getTime() + bankTransferConfig.paymentDeadlineHours * HOUR_MS)
+    };
+  }
+
+  /**
+   * What the customer needs to make the transfer, and where it stands.
+   * @param {object} order - Order instance
+   * @returns {object} - { beneficiary, bankName, rib, iban, swift, reference, amount, currency,
+   *   deadline, status, receiptCount, rejectionReason }
+   */
+  getInstructions(order) {
+    return {
+      ...bankTransferConfig.account,
+      reference: order.bankTransferReference,
+      amount: Number(order.totalAmount),
+      currency: 'MAD',
+      deadline: order.bankTransferDeadline,
+      status: order.bankTransferStatus,
+      receiptCount: (order.bankTransferReceipts || []).length,
+      rejectionReason: order.bankTransferRejectionReason
+    };
+  }
+
+  /**
+   * Attach the transfer receipts the customer uploaded through
+   * POST /api/uploads/presign. A rejected transfer can be resubmitted until
+   * the deadline.
+   * @param {object} order - Order instance
+   * @param {Array<string>} receipts - S3 keys or URLs under bank-transfer-receipts/{orderId}/
+   * @returns {object} - Updated order
+   */
+  async submitReceipts(order, receipts) {
+    if (!this.isBankTransfer(order)) {
+      throw createHttpError('Cette commande n\'est pas payable par virement');
+    }
+    if (order.status !== 'pending' || !['awaiting_transfer', 'rejected'].includes(order.bankTransferStatus)) {
+      throw createHttpError('Cette commande n\'attend pas de reçu de virement');
+    }
+    if (new Date(order.bankTransferDeadline) <= new Date()) {
+      throw createHttpError('Le délai de paiement de cette commande est dépassé');
+    }
+
+    const expectedPrefix = `${RECEIPT_CATEGORY}/${order.id}/`;
+    const allValid = receipts.every((ref) => isValidS3Reference(ref, {
+      expectedPrefix,
+      expectedBucket: process.env.AWS_S3_BUCKET,
+      expectedRegion: process.env.AWS_REGION
+    }));
+    if (!allValid) {
+      throw createHttpError('Référence de reçu invalide : les fichiers doivent être uploadés sur cette commande');
+    }
+
+    await order.update({
+      bankTransferStatus: 'receipt_submitted',
+      bankTransferReceipts: receipts,
+      bankTransferSubmittedAt: new Date(),
+      bankTransferRejectionReason: null
+    });
+    return order;
+  }
+
+  /**
+   * Bank-transfer orders for the admin queue, oldest submission first.
+   * @param {object} options - { status, page, limit }
+   * @returns {object} - { orders, pagination }
+   */
+  async listQueue({ status = 'receipt_submitted', page = 1, limit = 20 } = {}) {
+    const { count, rows } = await Order.findAndCountAll({
+      where: {
+        paymentMethod: BANK_TRANSFER_METHOD,
+        bankTransferStatus: status,
+        // Orders the customer cancelled are no longer waiting for money
+        ...(OPEN_STATUSES.includes(status) && { status: 'pending' })
+      },
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'language'] }],
+      order: [['bankTransferSubmittedAt', 'ASC'], ['createdAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      orders: rows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Confirm the money is on the account: the order is paid and confirmed.
+   * An admin may confirm a transfer that arrived without a receipt.
+   * @param {object} order - Order instance
+   * @param {string} adminId
+   * @returns {object} - Updated order
+   */
+  async confirm(order, adminId) {
+    if (!this.isBankTransfer(order)) {
+      throw createHttpError('Cette commande n\'est pas payable par virement');
+    }
+    if (order.status !== 'pending' || !OPEN_STATUSES.includes(order.bankTransferStatus)) {
+      throw createHttpError('Ce virement ne peut plus être confirmé');
+    }
+
+    const now = new Date();
+    const updates = {
+      status: 'confirmed',
+      confirmedAt: now,
+      paymentStatus: 'paid',
+      bankTransferStatus: 'confirmed',
+      bankTransferReviewedAt: now,
+      bankTransferReviewedBy: adminId,
+      bankTransferRejectionReason: null
+    };
+    await sequelize.transaction(async (transaction) => {
+      // The expiry job may have cancelled and restocked it since it was loaded
+      const [updated] = await Order.update(updates, {
+        where: { id: order.id, status: 'pending', bankTransferStatus: { [Op.in]: OPEN_STATUSES } },
+        transaction
+      });
+      if (!updated) {
+        throw createHttpError('Ce virement ne peut plus être confirmé', 409);
+      }
+
+      await OrderStatusLog.create({
+        orderId: order.id,
+        previousStatus: 'pending',
+        newStatus: 'confirmed',
+        changedBy: adminId,
+        changedByRole: 'admin',
+        reason: 'Virement reçu',
+        metadata: { paymentMethod: BANK_TRANSFER_METHOD, reference: order.bankTransferReference }
+      }, { transaction });
+    });
+    order.set(updates);
+    return order;
+  }
+
+  /**
+   * Refuse a receipt (wrong amount, unreadable, not on the account...). The
+   * customer can send a new one until the deadline.
+   * @param {object} order - Order instance
+   * @param {string} adminId
+   * @param {string} reason - Shown to the customer
+   * @returns {object} - Updated order
+   */
+  async reject(order, adminId, reason) {
+    if (!this.isBankTransfer(order) || order.bankTransferStatus !== 'receipt_submitted') {
+      throw createHttpError('Aucun reçu de virement en attente de vérification');
+    }
+
+    const updates = {
+      bankTransferStatus: 'rejected',
+      bankTransferReviewedAt: new Date(),
+      bankTransferReviewedBy: adminId,
+      bankTransferRejectionReason: reason
+    };
+    // Another admin may have confirmed it since it was loaded
+    const [updated] = await Order.update(updates, {
+      where: { id: order.id, bankTransferStatus: 'receipt_submitted' }
+    });
+    if (!updated) {
+      throw createHttpError('Ce reçu a déjà été traité', 409);
+    }
+    order.set(updates);
+    return order;
+  }
+
+  /**
+   * Cancel the unpaid bank-transfer orders past their deadline, put their
+   * units back in stock and give back their voucher and coupon use. Orders
+   * with a receipt under review are left to the admins.
+   * @returns {number} - Number of orders cancelled
+   */
+  async cancelExpired() {
+    const expired = await Order.findAll({
+      where: {
+        paymentMethod: BANK_TRANSFER_METHOD,
+        paymentStatus: 'pending',
+        status: 'pending',
+        bankTransferStatus: { [Op.in]: ['awaiting_transfer', 'rejected'] },
+        bankTransferDeadline: { [Op.lte]: new Date() }
+      }
+    });
+
+    let cancelled = 0;
+    for (const order of expired) {
+      try {
+        if (await this.cancelOrder(order)) {
+          cancelled++;
+        }
+      } catch (error) {
+        console.error(`❌ Bank transfer expiry failed for ${order.orderNumber}:`, error);
+      }
+    }
+    return cancelled;
+  }
+
+  async cancelOrder(order) {
+    // Loaded here: inventoryService pulls in every model association
+    const inventoryService = require('./inventoryService');
+    const now = new Date();
+    const done = await sequelize.transaction(async (transaction) => {
+      // An admin may have confirmed the transfer since the order was loaded
+      const [updated] = await Order.update(
+        { status: 'cancelled', cancelledAt: now, bankTransferStatus: 'expired' },
+        {
+          where: { id: order.id, status: 'pending', bankTransferStatus: { [Op.in]: ['awaiting_transfer', 'rejected'] } },
+          transaction
+        }
+      );
+      if (!updated) {
+        return false;
+      }
+
+      await inventoryService.restockOrder(order, `Annulation ${order.orderNumber} (virement non reçu)`, { transaction });
+      await loyaltyService.releaseVoucher(order, { transaction });
+      await couponService.releaseRedemption(order, { transaction });
+
+      await OrderStatusLog.create({
+        orderId: order.id,
+        previousStatus: 'pending',
+        newStatus: 'cancelled',
+        changedByRole: 'system',
+        reason: 'Virement non reçu dans le délai',
+        metadata: { paymentMethod: BANK_TRANSFER_METHOD, deadline: order.bankTransferDeadline }
+      }, { transaction });
+      return true;
+    });
+
+    if (done) {
+      try {
+        const user = order.userId ? await User.findByPk(order.userId) : null;
+        await emailService.sendOrderStatusUpdateEmail(order, user, 'pending', 'cancelled');
+      } catch (emailError) {
+        console.error('❌ Error sending bank transfer cancellation email:', emailError);
+      }
+    }
+    return done;
+  }
+}
+
+module.exports = new BankTransferService();
@@ -0,0 +1,145 @@
+const { BaseCarrier } = require('./baseCarrier');
+
+// Carrier status codes -> normalized statuses. Unknown codes are kept as
+// 'in_transit' so a new intermediate scan never blocks the timeline.
+const STATUS_MAP = {
+  CREE: 'label_created',
+  DEPOSE: 'picked_up',
+  RAMASSE: 'picked_up',
+  EN_TRANSIT: 'in_transit',
+  ARRIVE_AGENCE: 'in_transit',
+  EN_COURS_LIVRAISON: 'out_for_delivery',
+  LIVRE: 'delivered',
+  ECHEC_LIVRAISON: 'failed_attempt',
+  ABSENT: 'failed_attempt',
+  RETOURNE: 'returned',
+  ANOMALIE: 'exception'
+};
+
+// A hung carrier API must not hold the admin request or the sync job forever
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Adapter for Amana-style REST APIs (Amana, CTM Messagerie and most Moroccan
+ * couriers expose the same shape): bearer key, POST /shipments, GET
+ * /shipments/:trackingNumber/events, HMAC-signed webhooks.
+ */
+class AmanaCarrier extends BaseCarrier {
+  constructor({ name = 'amana', label = 'Amana', envPrefix = 'AMANA' } = {}) {
+    super(name, label);
+    this.envPrefix = envPrefix;
+  }
+
+  getConfig() {
+    const apiUrl = process.env[`${this.envPrefix}_API_URL`];
+    const apiKey = process.env[`${this.envPrefix}_API_KEY`];
+    if (!apiUrl || !apiKey) {
+      throw new Error(`${this.envPrefix}_API_URL and ${this.envPrefix}_API_KEY must be set`);
+    }
+    return {
+      apiUrl: apiUrl.replace(/\/$/, ''),
+      apiKey,
+      accountId: process.env[`${this.envPrefix}_ACCOUNT_ID`] || '',
+      webhookSecret: process.env[`${this.envPrefix}_WEBHOOK_SECRET`] || ''
+    };
+  }
+
+  async request(method, path, body = null) {
+    const { apiUrl, apiKey } = this.getConfig();
+    let res;
+    try {
+      res = await fetch(`${apiUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        ...(body && { body: JSON.stringify(body) })
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`${this.label} API did not answer within ${REQUEST_TIMEOUT_MS / 1000}s`);
+      }
+      throw error;
+    }
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`${this.label} API ${res.status}: ${text.slice(0, 200)}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * @returns {object|null} - Normalized event, null when the carrier sent no usable date
+   */
+  normalizeEvent(raw) {
+    const code = String(raw.status || raw.code || '').toUpperCase();
+    const date = new Date(raw.date || raw.timestamp || NaN);
+    if (Number.isNaN(date.getTime())) {
+      console.warn(`⚠️ ${this.label} event ${raw.id || code} skipped: no valid date`);
+      return null;
+    }
+    const occurredAt = date.toISOString();
+    return {
+      id: String(raw.id || `${code}-${occurredAt}`),
+      status: STATUS_MAP[code] || 'in_transit',
+      code,
+      description: raw.label || raw.description || null,
+      location: raw.location || raw.agence || null,
+      occurredAt
+    };
+  }
+
+  normalizeEvents(events) {
+    return (events || []).map(event => this.normalizeEvent(event)).filter(Boolean);
+  }
+
+  async createShipment(order, parcel) {
+    const { accountId } = this.getConfig();
+    const data = await this.request('POST', '/shipments', {
+      accountId,
+      reference: order.orderNumber,
+      recipient: {
+        name: `${order.customerFirstName} ${order.customerLastName}`,
+        phone: order.customerPhone,
+        address: order.shippingAddress,
+        city: order.shippingCity,
+        postalCode: order.shippingPostalCode
+      },
+      weightGrams: parcel.weightGrams,
+      pieces: parcel.itemCount,
+      // Cash the courier collects for cash-on-delivery orders
+      codAmount: order.paymentMethod === 'cash_on_delivery' ? Number(order.totalAmount) : 0
+    });
+
+    return {
+      trackingNumber: data.trackingNumber,
+      shipmentId: String(data.id || data.trackingNumber),
+      events: this.normalizeEvents(data.events)
+    };
+  }
+
+  async getTrackingEvents(trackingNumber) {
+    const data = await this.request('GET', `/shipments/${encodeURIComponent(trackingNumber)}/events`);
+    return this.normalizeEvents(data.events);
+  }
+
+  parseWebhook(rawBody, headers) {
+    const { webhookSecret } = this.getConfig();
+    this.verifyHmacSignature(rawBody, headers['x-signature'], webhookSecret);
+
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return {
+      trackingNumber: payload.trackingNumber,
+      events: this.normalizeEvents(payload.events || [payload])
+    };
+  }
+
+  getTrackingUrl(trackingNumber) {
+    const template = process.env[`${this.envPrefix}_TRACKING_URL`];
+    return template ? template.replace('{trackingNumber}', encodeURIComponent(trackingNumber)) : null;
+  }
+}
+
+module.exports = { AmanaCarrier, STATUS_MAP };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { createHttpError } = require('../../utils/httpError');
+
+// Normalized tracking statuses every adapter maps its carrier codes to
+const EVENT_STATUSES = {
+  label_created: 'Étiquette créée',
+  picked_up: 'Colis pris en charge',
+  in_transit: 'En transit',
+  out_for_delivery: 'En cours de livraison',
+  delivered: 'Livré',
+  failed_attempt: 'Échec de livraison',
+  returned: 'Retourné à l\'expéditeur',
+  exception: 'Incident de livraison'
+};
+
+/**
+ * Interface of a carrier adapter. Adapters speak their carrier's API and
+ * return normalized events:
+ *   { id, status, code, description, location, occurredAt }
+ * where status is a key of EVENT_STATUSES and id is stable across polls.
+ */
+class BaseCarrier {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Book a pickup for an order.
+   * @param {object} order - Order instance
+   * @param {object} parcel - { weightGrams, itemCount }
+   * @returns {object} - { trackingNumber, shipmentId, events }
+   */
+  async createShipment(order, parcel) {
+    throw new Error(`${this.name}: createShipment not implemented`);
+  }
+
+  /**
+   * All events of a shipment so far.
+   * @param {string} trackingNumber
+   * @returns {Array<object>} - Normalized events
+   */
+  async getTrackingEvents(trackingNumber) {
+    throw new Error(`${this.name}: getTrackingEvents not implemented`);
+  }
+
+  /**
+   * Check and decode a webhook delivery.
+   * @param {Buffer} rawBody
+   * @param {object} headers
+   * @returns {object} - { trackingNumber, events }; throws when the signature is wrong
+   */
+  parseWebhook(rawBody, headers) {
+    throw new Error(`${this.name}: webhooks not supported`);
+  }
+
+  /**
+   * Public tracking page of a shipment on the carrier's site, if any.
+   */
+  getTrackingUrl(trackingNumber) {
+    return null;
+  }
+
+  // Shared by adapters whose carrier signs deliveries with an HMAC-SHA256 of the body
+  verifyHmacSignature(rawBody, signature, secret) {
+    if (!secret) {
+      throw new Error(`${this.name}: webhook secret is not set`);
+    }
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+    const received = Buffer.from(String(signature || ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw createHttpError('Invalid webhook signature', 401);
+    }
+  }
+}
+
+module.exports = { BaseCarrier, EVENT_STATUSES };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { BaseCarrier, EVENT_STATUSES } = require('./baseCarrier');
+
+/**
+ * In-memory carrier for development and tests. Shipments live in the process
+ * and move forward with advance(), or by posting to the webhook (unsigned).
+ */
+class FakeCarrier extends BaseCarrier {
+  constructor() {
+    super('fake', 'Transporteur de test');
+    this.shipments = new Map();
+  }
+
+  buildEvent(status, { description = null, location = null, occurredAt = new Date() } = {}) {
+    const at = new Date(occurredAt).toISOString();
+    return {
+      id: `${status}-${at}`,
+      status,
+      code: status.toUpperCase(),
+      description: description || EVENT_STATUSES[status],
+      location,
+      occurredAt: at
+    };
+  }
+
+  async createShipment(order) {
+    const trackingNumber = `FAKE${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+    const events = [this.buildEvent('label_created', { location: 'Casablanca' })];
+    this.shipments.set(trackingNumber, { orderNumber: order.orderNumber, events });
+    return { trackingNumber, shipmentId: trackingNumber, events: [...events] };
+  }
+
+  /**
+   * Add a scan to a shipment, as the carrier would.
+   * @param {string} trackingNumber
+   * @param {string} status - Key of EVENT_STATUSES
+   * @param {object} details - { description, location, occurredAt }
+   * @returns {object} - The new event
+   */
+  advance(trackingNumber, status, details = {}) {
+    const shipment = this.shipments.get(trackingNumber);
+    if (!shipment) {
+      throw new Error(`Unknown shipment ${trackingNumber}`);
+    }
+    const event = this.buildEvent(status, details);
+    shipment.events.push(event);
+    return event;
+  }
+
+  async getTrackingEvents(trackingNumber) {
+    const shipment = this.shipments.get(trackingNumber);
+    return shipment ? [...shipment.events] : [];
+  }
+
+  parseWebhook(rawBody) {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return {
+      trackingNumber: payload.trackingNumber,
+      events: (payload.events || []).map(event => this.buildEvent(event.status, event))
+    };
+  }
+
+  reset() {
+    this.shipments.clear();
+  }
+}
+
+module.exports = { FakeCarrier };
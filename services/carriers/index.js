@@ -0,0 +1,35 @@
+const { AmanaCarrier } = require('./amanaCarrier');
+const { FakeCarrier } = require('./fakeCarrier');
+const { EVENT_STATUSES } = require('./baseCarrier');
+const { createHttpError } = require('../../utils/httpError');
+
+// Carriers orders can ship with. Add an adapter here to support a new one.
+const carriers = new Map([
+  ['amana', new AmanaCarrier()],
+  ['ctm', new AmanaCarrier({ name: 'ctm', label: 'CTM Messagerie', envPrefix: 'CTM' })]
+]);
+
+// The fake carrier accepts unsigned webhooks, so it never runs in production
+if (process.env.NODE_ENV !== 'production') {
+  carriers.set('fake', new FakeCarrier());
+}
+
+const getDefaultCarrierName = () => process.env.DEFAULT_CARRIER || 'amana';
+
+/**
+ * @param {string} name - Carrier key; the default carrier when omitted
+ * @returns {object} - Carrier adapter
+ */
+function getCarrier(name = getDefaultCarrierName()) {
+  const carrier = carriers.get(name);
+  if (!carrier) {
+    throw createHttpError(`Transporteur inconnu : ${name}`);
+  }
+  return carrier;
+}
+
+function listCarriers() {
+  return [...carriers.values()].map(carrier => ({ name: carrier.name, label: carrier.label }));
+}
+
+module.exports = { getCarrier, listCarriers, getDefaultCarrierName, EVENT_STATUSES };
@@ -0,0 +1,22 @@
+const cron = require('node-cron');
+const cartRecoveryService = require('./cartRecoveryService');
+
+function startCartRecovery(notificationService) {
+  cartRecoveryService.setNotificationService(notificationService);
+
+  // Run every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { sent, failed } = await cartRecoveryService.sendDueReminders();
+      if (sent > 0 || failed > 0) {
+        console.log(`🛒 Abandoned cart reminders: ${sent} sent, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Cart recovery cron error:', error);
+    }
+  });
+
+  console.log('🛒 Cart recovery cron scheduled (every 15 minutes)');
+}
+
+module.exports = { startCartRecovery };
@@ -0,0 +1,279 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Cart = require('../models/Cart');
+const CartItem = require('../models/CartItem');
+const CartRecovery = require('../models/CartRecovery');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const {
+  reminderDelaysHours,
+  maxCartAgeDays,
+  attributionWindowDays,
+  sendNotification
+} = require('../config/cartRecovery');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const BATCH_SIZE = 200;
+
+class CartRecoveryService {
+  constructor() {
+    this.notificationService = null;
+  }
+
+  setNotificationService(ns) {
+    this.notificationService = ns;
+  }
+
+  getCartUrl(step) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${frontendUrl}/cart?utm_source=cart_recovery&utm_medium=email&utm_campaign=abandoned_cart&utm_content=step-${step}`;
+  }
+
+  /**
+   * Reminder due for a cart, if any. Delays count from the last change to the
+   * cart, and consecutive reminders stay spaced out even when the job was
+   * stopped for a while.
+   * @param {object} cart - Cart instance
+   * @param {object|null} recovery - Pending CartRecovery of the cart
+   * @param {Date} now
+   * @returns {number|null} - Index of the reminder to send
+   */
+  getDueStep(cart, recovery, now = new Date()) {
+    const step = recovery ? recovery.emailsSent : 0;
+    if (step >= reminderDelaysHours.length) {
+      return null;
+    }
+
+    const idleMs = now - new Date(cart.updatedAt);
+    if (idleMs < reminderDelaysHours[step] * HOUR_MS) {
+      return null;
+    }
+    if (recovery && recovery.lastEmailAt) {
+      const gapMs = (reminderDelaysHours[step] - reminderDelaysHours[step - 1]) * HOUR_MS;
+      if (now - new Date(recovery.lastEmailAt) < gapMs) {
+        return null;
+      }
+    }
+    return step;
+  }
+
+  /**
+   * Send the next reminder for a cart when one is due.
+   * @param {object} cart - Active cart with its user
+   * @param {Date} now
+   * @returns {boolean} - Whether a reminder was sent
+   */
+  async processCart(cart, now = new Date()) {
+    let recovery = await CartRecovery.findOne({ where: { cartId: cart.id, status: 'pending' } });
+
+    // All reminders went out and the customer came back to the cart since:
+    // that abandonment is over, a new one starts from this change
+    if (recovery && recovery.emailsSent >= reminderDelaysHours.length && new Date(cart.updatedAt) > new Date(recovery.lastEmailAt)) {
+      await recovery.update({ status: 'expired' });
+      recovery = null;
+    }
+
+    const step = this.getDueStep(cart, recovery, now);
+    if (step === null) {
+      return false;
+    }
+
+    // Checkout empties the cart, but the clear may have failed: an order
+    // placed after the last change still means it was bought
+    const ordered = await Order.count({ where: { userId: cart.userId, createdAt: { [Op.gte]: cart.updatedAt } } });
+    if (ordered > 0) {
+      return false;
+    }
+
+    if (this.notificationService) {
+      const preferences = await this.notificationService.getUserPreferences(cart.userId);
+      if (preferences.cart_recovery && !preferences.cart_recovery.enabled) {
+        return false;
+      }
+    }
+
+    const items = await CartItem.findAll({
+      where: { cartId: cart.id },
+      include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'isActive'] }]
+    });
+    const available = items.filter(item => item.product && item.product.isActive);
+    if (available.length === 0) {
+      return false;
+    }
+
+    const totalAmount = available.reduce((total, item) => total + Number(item.totalPrice), 0);
+    const cartUrl = this.getCartUrl(step + 1);
+    const result = await emailService.sendAbandonedCartEmail(cart.user, {
+      items: available.map(item => ({ productName: item.product.name, quantity: item.quantity, totalPrice: item.totalPrice })),
+      totalAmount,
+      step: step + 1,
+      isLastStep: step === reminderDelaysHours.length - 1,
+      cartUrl
+    });
+    if (!result.success) {
+      // Retried on the next run
+      return false;
+    }
+
+    if (recovery) {
+      await recovery.update({ emailsSent: step + 1, lastEmailAt: now, cartTotal: totalAmount });
+    } else {
+      await CartRecovery.create({ cartId: cart.id, userId: cart.userId, emailsSent: 1, lastEmailAt: now, cartTotal: totalAmount });
+    }
+
+    if (sendNotification && this.notificationService) {
+      const itemCount = available.reduce((total, item) => total + item.quantity, 0);
+      await this.notificationService.createNotification({
+        userId: cart.userId,
+        type: 'cart_recovery',
+        title: 'Votre panier vous attend',
+        message: `${itemCount} article${itemCount > 1 ? 's' : ''} (${totalAmount.toFixed(2)} DH) vous attend${itemCount > 1 ? 'ent' : ''} dans votre panier.`,
+        priority: 'low',
+        data: { cartId: cart.id, step: step + 1, url: '/cart' }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Send every reminder due now. Run by services/cartRecoveryCron.js.
+   * @param {Date} now
+   * @returns {object} - { checked, sent, failed }
+   */
+  async sendDueReminders(now = new Date()) {
+    if (reminderDelaysHours.length === 0) {
+      return { checked: 0, sent: 0, failed: 0 };
+    }
+
+    const carts = await Cart.findAll({
+      where: {
+        isActive: true,
+        userId: { [Op.ne]: null },
+        itemCount: { [Op.gt]: 0 },
+        updatedAt: {
+          [Op.lte]: new Date(now - reminderDelaysHours[0] * HOUR_MS),
+          [Op.gte]: new Date(now - maxCartAgeDays * DAY_MS)
+        },
+        // Carts whose reminders all went out since their last change are
+        // left out here rather than in processCart(), or they would fill
+        // every batch and newer carts would never get their reminder
+        [Op.and]: [
+          sequelize.literal(`NOT EXISTS (SELECT 1 FROM cart_recoveries WHERE cart_recoveries."cartId" = "Cart"."id" AND cart_recoveries.status = 'pending' AND cart_recoveries."emailsSent" >= ${reminderDelaysHours.length} AND cart_recoveries."lastEmailAt" >= "Cart"."updatedAt")`)
+        ]
+      },
+      include: [{
+        model: User,
+        as: 'user',
+        where: { isActive: true },
+        attributes: ['id', 'email', 'firstName', 'language']
+      }],
+      order: [['updatedAt', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    const result = { checked: carts.length, sent: 0, failed: 0 };
+    for (const cart of carts) {
+      try {
+        if (await this.processCart(cart, now)) {
+          result.sent++;
+        }
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Cart recovery failed for cart ${cart.id}:`, error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Stop the reminders of a customer who just ordered, and credit the order
+   * to them when it came soon enough after the last one.
+   * @param {string} userId
+   * @param {object} order - The new order
+   * @returns {object|null} - The closed CartRecovery
+   */
+  async recordCheckout(userId, order) {
+    const recovery = await CartRecovery.findOne({
+      where: { userId, status: 'pending' },
+      order: [['lastEmailAt', 'DESC']]
+    });
+    if (!recovery) {
+      return null;
+    }
+
+    const now = new Date();
+    if (now - new Date(recovery.lastEmailAt) > attributionWindowDays * DAY_MS) {
+      await recovery.update({ status: 'expired' });
+      return recovery;
+    }
+
+    await recovery.update({
+      status: 'recovered',
+      orderId: order.id,
+      orderTotal: order.totalAmount,
+      recoveredAt: now
+    });
+    return recovery;
+  }
+
+  /**
+   * Reminder performance over a period.
+   * @param {object} options - { period (days) }
+   * @returns {object} - { abandonedCarts, recoveredCarts, conversionRate, recoveredRevenue, steps: [{ step, delayHours, emailsSent, recovered }] }
+   */
+  async getReport({ period = 30 } = {}) {
+    const since = new Date();
+    since.setDate(since.getDate() - period);
+
+    const rows = await CartRecovery.findAll({
+      where: { createdAt: { [Op.gte]: since } },
+      attributes: [
+        'emailsSent',
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('orderTotal')), 0), 'revenue']
+      ],
+      group: ['emailsSent', 'status'],
+      raw: true
+    });
+
+    const steps = reminderDelaysHours.map((delayHours, index) => ({
+      step: index + 1,
+      delayHours,
+      emailsSent: 0,
+      recovered: 0
+    }));
+    let abandonedCarts = 0;
+    let recoveredCarts = 0;
+    let recoveredRevenue = 0;
+
+    for (const row of rows) {
+      const count = parseInt(row.count);
+      const sent = Math.min(row.emailsSent, steps.length);
+      abandonedCarts += count;
+      // A cart that got its third reminder also got the first two
+      steps.slice(0, sent).forEach(step => { step.emailsSent += count; });
+
+      if (row.status === 'recovered') {
+        recoveredCarts += count;
+        recoveredRevenue += parseFloat(row.revenue);
+        // Credited to the last reminder before the order
+        if (sent > 0) steps[sent - 1].recovered += count;
+      }
+    }
+
+    return {
+      abandonedCarts,
+      recoveredCarts,
+      conversionRate: abandonedCarts > 0 ? parseFloat(((recoveredCarts / abandonedCarts) * 100).toFixed(2)) : 0,
+      recoveredRevenue: parseFloat(recoveredRevenue.toFixed(2)),
+      steps
+    };
+  }
+}
+
+module.exports = new CartRecoveryService();
@@ -0,0 +1,338 @@
+const Cart = require('../models/Cart');
+const CartItem = require('../models/CartItem');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const productVariantService = require('./productVariantService');
+const { createHttpError } = require('../utils/httpError');
+
+// Import models index to ensure associations are loaded
+require('../models/index');
+
+const GUEST_CART_TTL_DAYS = 30;
+const MAX_QUANTITY_PER_ITEM = 99;
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+class CartService {
+  /**
+   * Find the active cart for a user or a guest session.
+   * @param {object} owner - { userId, sessionId }
+   * @returns {object|null} - Cart instance or null
+   */
+  async findActiveCart({ userId = null, sessionId = null }) {
+    if (userId) {
+      return Cart.findOne({
+        where: { userId, isActive: true },
+        order: [['updatedAt', 'DESC']]
+      });
+    }
+
+    if (sessionId) {
+      const cart = await Cart.findOne({
+        where: { sessionId, userId: null, isActive: true },
+        order: [['updatedAt', 'DESC']]
+      });
+
+      // Guest carts silently expire after GUEST_CART_TTL_DAYS
+      if (cart && cart.expiresAt && new Date(cart.expiresAt) < new Date()) {
+        await cart.update({ isActive: false });
+        return null;
+      }
+      return cart;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the active cart for the owner, creating an empty one if needed.
+   */
+  async getOrCreateCart({ userId = null, sessionId = null }) {
+    if (!userId && !sessionId) {
+      throw createHttpError('Session de panier requise');
+    }
+
+    const existing = await this.findActiveCart({ userId, sessionId });
+    if (existing) return existing;
+
+    return Cart.create({
+      userId,
+      sessionId: userId ? null : sessionId,
+      totalAmount: 0,
+      itemCount: 0,
+      isActive: true,
+      expiresAt: userId ? null : this.guestExpiryDate()
+    });
+  }
+
+  guestExpiryDate() {
+    return new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Load an active product (and variant) and make sure the requested quantity
+   * is available.
+   * @returns {object} - { product, variant }
+   */
+  async getPurchasableProduct(productId, quantity, variantId = null) {
+    const product = await Product.findByPk(productId);
+    if (!product || !product.isActive) {
+      throw createHttpError('Produit non trouvé ou inactif', 404);
+    }
+
+    if (quantity > MAX_QUANTITY_PER_ITEM) {
+      throw createHttpError(`Quantité maximale par article : ${MAX_QUANTITY_PER_ITEM}`);
+    }
+
+    const variant = await productVariantService.resolveVariant(product, variantId);
+    const available = productVariantService.getAvailableStock(product, variant);
+    if (available < quantity) {
+      throw createHttpError(`Stock insuffisant pour ${productVariantService.getDisplayName(product, variant)} (${available} disponible(s))`);
+    }
+
+    return { product, variant };
+  }
+
+  /**
+   * Add a product (or one of its variants) to the cart, or increase its
+   * quantity if already present.
+   */
+  async addItem(owner, productId, quantity, variantId = null) {
+    const cart = await this.getOrCreateCart(owner);
+    const existing = await CartItem.findOne({ where: { cartId: cart.id, productId, variantId } });
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    const { product, variant } = await this.getPurchasableProduct(productId, newQuantity, variantId);
+    const unitPrice = roundMoney(productVariantService.getUnitPrice(product, variant));
+
+    if (existing) {
+      await existing.update({
+        quantity: newQuantity,
+        unitPrice,
+        totalPrice: roundMoney(unitPrice * newQuantity)
+      });
+    } else {
+      await CartItem.create({
+        cartId: cart.id,
+        productId,
+        ...(variant && { variantId: variant.id }),
+        quantity: newQuantity,
+        unitPrice,
+        totalPrice: roundMoney(unitPrice * newQuantity)
+      });
+    }
+
+    return this.recalculate(cart);
+  }
+
+  /**
+   * Set the quantity of a cart line. A quantity of 0 removes the line.
+   */
+  async updateItem(owner, itemId, quantity) {
+    const cart = await this.findActiveCart(owner);
+    if (!cart) {
+      throw createHttpError('Panier non trouvé', 404);
+    }
+
+    const item = await CartItem.findOne({ where: { id: itemId, cartId: cart.id } });
+    if (!item) {
+      throw createHttpError('Article non trouvé dans le panier', 404);
+    }
+
+    if (quantity === 0) {
+      await item.destroy();
+      return this.recalculate(cart);
+    }
+
+    const { product, variant } = await this.getPurchasableProduct(item.productId, quantity, item.variantId);
+    const unitPrice = roundMoney(productVariantService.getUnitPrice(product, variant));
+
+    await item.update({
+      quantity,
+      unitPrice,
+      totalPrice: roundMoney(unitPrice * quantity)
+    });
+
+    return this.recalculate(cart);
+  }
+
+  /**
+   * Remove a single line from the cart.
+   */
+  async removeItem(owner, itemId) {
+    const cart = await this.findActiveCart(owner);
+    if (!cart) {
+      throw createHttpError('Panier non trouvé', 404);
+    }
+
+    const deleted = await CartItem.destroy({ where: { id: itemId, cartId: cart.id } });
+    if (!deleted) {
+      throw createHttpError('Article non trouvé dans le panier', 404);
+    }
+
+    return this.recalculate(cart);
+  }
+
+  /**
+   * Remove every line from the cart but keep the cart itself.
+   */
+  async clearCart(owner) {
+    const cart = await this.findActiveCart(owner);
+    if (!cart) return null;
+
+    await CartItem.destroy({ where: { cartId: cart.id } });
+    return this.recalculate(cart);
+  }
+
+  /**
+   * Re-price every line from the current product data and persist
+   * totalAmount/itemCount. Lines whose product or variant was deactivated
+   * are dropped.
+   * @returns {object} - { cart, items, removedItems }
+   */
+  async recalculate(cart) {
+    const items = await CartItem.findAll({
+      where: { cartId: cart.id },
+      include: [
+        { model: Product, as: 'product' },
+        { model: ProductVariant, as: 'variant' }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const kept = [];
+    const removedItems = [];
+    let totalAmount = 0;
+    let itemCount = 0;
+
+    for (const item of items) {
+      const product = item.product;
+      const variant = item.variantId ? item.variant : null;
+      if (!product || !product.isActive || (item.variantId && (!variant || !variant.isActive))) {
+        removedItems.push({
+          productId: item.productId,
+          ...(item.variantId && { variantId: item.variantId }),
+          reason: 'unavailable'
+        });
+        await item.destroy();
+        continue;
+      }
+
+      const unitPrice = roundMoney(productVariantService.getUnitPrice(product, variant));
+      const totalPrice = roundMoney(unitPrice * item.quantity);
+      if (Number(item.unitPrice) !== unitPrice || Number(item.totalPrice) !== totalPrice) {
+        await item.update({ unitPrice, totalPrice });
+      }
+
+      totalAmount += totalPrice;
+      itemCount += item.quantity;
+      kept.push(item);
+    }
+
+    await cart.update({
+      totalAmount: roundMoney(totalAmount),
+      itemCount,
+      ...(cart.userId ? {} : { expiresAt: this.guestExpiryDate() })
+    });
+
+    return { cart, items: kept, removedItems };
+  }
+
+  /**
+   * Merge a guest session cart into the user's cart after sign-in.
+   * Quantities of products present in both carts are added together and
+   * capped at the available stock. The guest cart is deactivated.
+   * @returns {object|null} - Recalculated user cart, or null if nothing to merge
+   */
+  async mergeGuestCart(userId, sessionId) {
+    if (!userId || !sessionId) return null;
+
+    const guestCart = await this.findActiveCart({ sessionId });
+    if (!guestCart) return null;
+
+    const userCart = await this.getOrCreateCart({ userId });
+    const guestItems = await CartItem.findAll({
+      where: { cartId: guestCart.id },
+      include: [
+        { model: Product, as: 'product' },
+        { model: ProductVariant, as: 'variant' }
+      ]
+    });
+
+    for (const guestItem of guestItems) {
+      const product = guestItem.product;
+      const variant = guestItem.variantId ? guestItem.variant : null;
+      const available = product && productVariantService.getAvailableStock(product, variant);
+      if (!product || !product.isActive || (guestItem.variantId && !variant) || available <= 0) {
+        await guestItem.destroy();
+        continue;
+      }
+
+      const existing = await CartItem.findOne({
+        where: { cartId: userCart.id, productId: guestItem.productId, variantId: guestItem.variantId || null }
+      });
+
+      if (existing) {
+        const quantity = Math.min(
+          existing.quantity + guestItem.quantity,
+          available,
+          MAX_QUANTITY_PER_ITEM
+        );
+        await existing.update({ quantity });
+        await guestItem.destroy();
+      } else {
+        const quantity = Math.min(guestItem.quantity, available, MAX_QUANTITY_PER_ITEM);
+        await guestItem.update({ cartId: userCart.id, quantity });
+      }
+    }
+
+    await guestCart.update({ isActive: false, itemCount: 0, totalAmount: 0 });
+
+    return this.recalculate(userCart);
+  }
+
+  /**
+   * Shape a recalculated cart for API responses.
+   */
+  serialize({ cart, items = [], removedItems = [] } = {}) {
+    if (!cart) {
+      return { id: null, items: [], itemCount: 0, totalAmount: 0, currency: 'MAD' };
+    }
+
+    return {
+      id: cart.id,
+      sessionId: cart.userId ? null : cart.sessionId,
+      itemCount: cart.itemCount,
+      totalAmount: Number(cart.totalAmount),
+      currency: 'MAD',
+      expiresAt: cart.expiresAt,
+      items: items.map(item => ({
+        id: item.id,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        unitPrice: Number(item.unitPrice),
+        totalPrice: Number(item.totalPrice),
+        product: item.product ? {
+          id: item.product.id,
+          name: item.product.name,
+          mainImage: item.product.mainImage,
+          price: Number(item.product.price),
+          discountedPrice: roundMoney(item.product.getDiscountedPrice()),
+          stockQuantity: item.product.stockQuantity
+        } : null,
+        variant: item.variantId && item.variant ? {
+          id: item.variant.id,
+          sku: item.variant.sku,
+          options: item.variant.options,
+          label: item.variant.getLabel(),
+          image: item.variant.getMainImage(item.product),
+          stockQuantity: item.variant.stockQuantity
+        } : null
+      })),
+      ...(removedItems.length > 0 && { removedItems })
+    };
+  }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const cashOnDeliveryService = require('./cashOnDeliveryService');
+
+function startCashOnDeliveryExpiry() {
+  // Run every 30 minutes
+  cron.schedule('*/30 * * * *', async () => {
+    try {
+      const cancelled = await cashOnDeliveryService.cancelUnconfirmed();
+      if (cancelled > 0) {
+        console.log(`💵 Unconfirmed cash on delivery orders cancelled: ${cancelled}`);
+      }
+    } catch (error) {
+      console.error('❌ Cash on delivery expiry error:', error);
+    }
+  });
+
+  console.log('💵 Cash on delivery expiry cron scheduled (every 30 minutes)');
+}
+
+module.exports = { startCashOnDeliveryExpiry };
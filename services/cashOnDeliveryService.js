@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Order = require('../models/Order');
+const OrderStatusLog = require('../models/OrderStatusLog');
+const User = require('../models/User');
+const shippingService = require('./shippingService');
+const smsService = require('./smsService');
+const emailService = require('./emailService');
+const loyaltyService = require('./loyaltyService');
+const couponService = require('./couponService');
+const { cashOnDelivery: COD_LIMITS } = require('../config/shipping');
+const { createHttpError } = require('../utils/httpError');
+
+const COD_METHOD = 'cash_on_delivery';
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+class CashOnDeliveryService {
+  /**
+   * Whether the courier collects cash in a city, and the fee for it.
+   * @param {string} city
+   * @returns {object} - { available, fee, maxOrderAmount, zone }
+   */
+  getTerms(city) {
+    const zone = shippingService.resolveZone(city);
+    return {
+      available: zone.cashOnDelivery.available,
+      fee: zone.cashOnDelivery.available ? zone.cashOnDelivery.fee : 0,
+      maxOrderAmount: COD_LIMITS.maxOrderAmount,
+      zone: zone.key
+    };
+  }
+
+  /**
+   * Fee for paying an order of this amount in cash, refused when the city
+   * is not served or the total goes over the cap.
+   * @param {string} city
+   * @param {number} orderAmount - Order total before the fee
+   * @returns {number} - Fee in DH
+   */
+  getFee(city, orderAmount) {
+    const terms = this.getTerms(city);
+    if (!terms.available) {
+      throw createHttpError('Le paiement à la livraison n\'est pas disponible pour cette ville');
+    }
+    if (roundMoney(orderAmount + terms.fee) > terms.maxOrderAmount) {
+      throw createHttpError(`Le paiement à la livraison est limité aux commandes de ${terms.maxOrderAmount} DH maximum`);
+    }
+    return terms.fee;
+  }
+
+  isCashOnDelivery(order) {
+    return order.paymentMethod === COD_METHOD;
+  }
+
+  awaitsConfirmation(order) {
+    return this.isCashOnDelivery(order) && !order.codConfirmedAt;
+  }
+
+  /**
+   * Refuse to ship a cash-on-delivery order the customer has not confirmed.
+   */
+  assertCanShip(order) {
+    if (this.awaitsConfirmation(order)) {
+      throw createHttpError(`La commande ${order.orderNumber} en paiement à la livraison n'a pas encore été confirmée par le client`);
+    }
+  }
+
+  /**
+   * Text the customer a code to confirm the order. A new code replaces the
+   * previous one and resets the attempts.
+   * @param {object} order - Order instance
+   * @returns {object} - { sent, expiresAt }
+   */
+  async sendConfirmationCode(order) {
+    if (!this.isCashOnDelivery(order) || order.codConfirmedAt) {
+      throw createHttpError('Cette commande n\'attend pas de confirmation');
+    }
+
+    // A code is sent confirmationCodeTtlHours before it expires
+    const lastSentAt = order.codConfirmationExpiresAt
+      ? new Date(order.codConfirmationExpiresAt).getTime() - COD_LIMITS.confirmationCodeTtlHours * HOUR_MS
+      : 0;
+    if (Date.now() - lastSentAt < COD_LIMITS.resendIntervalSeconds * 1000) {
+      throw createHttpError('Veuillez patienter avant de demander un nouveau code', 429);
+    }
+
+    const code = crypto.randomInt(100000, 999999).toString();
+    const expiresAt = new Date(Date.now() + COD_LIMITS.confirmationCodeTtlHours * HOUR_MS);
+    await order.update({
+      codConfirmationCode: code,
+      codConfirmationExpiresAt: expiresAt,
+      codConfirmationAttempts: 0
+    });
+
+    const smsResult = await smsService.sendOrderConfirmationSMS(order.customerPhone, {
+      orderNumber: order.orderNumber,
+      totalAmount: order.totalAmount,
+      code
+    });
+    if (!smsResult.success) {
+      console.error(`❌ COD confirmation SMS failed for ${order.orderNumber}:`, smsResult.error);
+    }
+
+    return { sent: smsResult.success, expiresAt };
+  }
+
+  /**
+   * Confirm an order with the code the customer received by SMS.
+   * @param {object} order - Order instance
+   * @param {string} code
+   * @returns {object} - Updated order
+   */
+  async confirmWithCode(order, code) {
+    if (!this.isCashOnDelivery(order) || order.codConfirmedAt) {
+      throw createHttpError('Cette commande n\'attend pas de confirmation');
+    }
+    if (order.status !== 'pending') {
+      throw createHttpError('Cette commande ne peut plus être confirmée');
+    }
+    if (!order.codConfirmationCode || new Date(order.codConfirmationExpiresAt) < new Date()) {
+      throw createHttpError('Code expiré. Demandez un nouveau code.');
+    }
+    if (order.codConfirmationAttempts >= COD_LIMITS.maxConfirmationAttempts) {
+      throw createHttpError('Trop de tentatives. Demandez un nouveau code.', 429);
+    }
+
+    const expected = Buffer.from(order.codConfirmationCode);
+    const received = Buffer.from(String(code || ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      await order.increment('codConfirmationAttempts');
+      throw createHttpError('Code de confirmation incorrect');
+    }
+
+    return this.markConfirmed(order, { changedBy: order.userId, role: 'customer', reason: 'Confirmée par SMS' });
+  }
+
+  /**
+   * Confirm an order after an agent reached the customer by phone.
+   * @param {object} order - Order instance
+   * @param {string} adminId
+   * @returns {object} - Updated order
+   */
+  async confirmByAgent(order, adminId) {
+    if (!this.isCashOnDelivery(order) || order.codConfirmedAt) {
+      throw createHttpError('Cette commande n\'attend pas de confirmation');
+    }
+    if (order.status !== 'pending') {
+      throw createHttpError('Cette commande ne peut plus être confirmée');
+    }
+
+    return this.markConfirmed(order, { changedBy: adminId, role: 'admin', reason: 'Confirmée par téléphone', confirmedBy: adminId });
+  }
+
+  async markConfirmed(order, { changedBy, role, reason, confirmedBy = null }) {
+    const now = new Date();
+    const updates = {
+      status: 'confirmed',
+      confirmedAt: now,
+      codConfirmedAt: now,
+      codConfirmedBy: confirmedBy,
+      codConfirmationCode: null
+    };
+    await sequelize.transaction(async (transaction) => {
+      // The expiry job may have cancelled it since it was loaded
+      const [updated] = await Order.update(updates, {
+        where: { id: order.id, status: 'pending', codConfirmedAt: null },
+        transaction
+      });
+      if (!updated) {
+        throw createHttpError('Cette commande ne peut plus être confirmée', 409);
+      }
+
+      await OrderStatusLog.create({
+        orderId: order.id,
+        previousStatus: 'pending',
+        newStatus: 'confirmed',
+        changedBy,
+        changedByRole: role,
+        reason,
+        metadata: { paymentMethod: COD_METHOD }
+      }, { transaction });
+    });
+    order.set(updates);
+    return order;
+  }
+
+  /**
+   * Record the cash brought back by the courier: the order is paid and,
+   * if it was still on its way, delivered.
+   * @param {object} order - Order instance
+   * @param {string} adminId
+   * @returns {object} - Updated order
+   */
+  async markCollected(order, adminId) {
+    if (!this.isCashOnDelivery(order)) {
+      throw createHttpError('Cette commande n\'est pas payable à la livraison');
+    }
+    if (order.codCollectedAt) {
+      throw createHttpError('Le paiement de cette commande a déjà été encaissé');
+    }
+    if (!['shipped', 'delivered'].includes(order.status)) {
+      throw createHttpError('Seule une commande expédiée ou livrée peut être encaissée');
+    }
+
+    const now = new Date();
+    const previousStatus = order.status;
+    const updates = {
+      paymentStatus: 'paid',
+      codCollectedAt: now,
+      codCollectedBy: adminId,
+      ...(previousStatus === 'shipped' && { status: 'delivered', deliveredAt: now })
+    };
+    await sequelize.transaction(async (transaction) => {
+      // Only one of two simultaneous collect requests records the cash
+      const [updated] = await Order.update(updates, {
+        where: { id: order.id, status: previousStatus, codCollectedAt: null },
+        transaction
+      });
+      if (!updated) {
+        throw createHttpError('Le paiement de cette commande a déjà été encaissé', 409);
+      }
+
+      if (previousStatus === 'shipped') {
+        await OrderStatusLog.create({
+          orderId: order.id,
+          previousStatus,
+          newStatus: 'delivered',
+          changedBy: adminId,
+          changedByRole: 'admin',
+          reason: 'Paiement à la livraison encaissé',
+          metadata: { amount: Number(order.totalAmount) }
+        }, { transaction });
+      }
+    });
+    order.set(updates);
+    return order;
+  }
+
+  /**
+   * Cancel the cash-on-delivery orders left unconfirmed past the deadline,
+   * put their units back in stock and give back their voucher and coupon use.
+   * @returns {number} - Number of orders cancelled
+   */
+  async cancelUnconfirmed() {
+    const expired = await Order.findAll({
+      where: {
+        paymentMethod: COD_METHOD,
+        status: 'pending',
+        codConfirmedAt: null,
+        createdAt: { [Op.lte]: new Date(Date.now() - COD_LIMITS.confirmationDeadlineHours * HOUR_MS) }
+      }
+    });
+
+    let cancelled = 0;
+    for (const order of expired) {
+      try {
+        if (await this.cancelOrder(order)) {
+          cancelled++;
+        }
+      } catch (error) {
+        console.error(`❌ Cash on delivery expiry failed for ${order.orderNumber}:`, error);
+      }
+    }
+    return cancelled;
+  }
+
+  async cancelOrder(order) {
+    // Loaded here: inventoryService pulls in every model association
+    const inventoryService = require('./inventoryService');
+    const now = new Date();
+    const done = await sequelize.transaction(async (transaction) => {
+      // The customer or an agent may have confirmed it since it was loaded
+      const [updated] = await Order.update(
+        { status: 'cancelled', cancelledAt: now, codConfirmationCode: null },
+        { where: { id: order.id, status: 'pending', codConfirmedAt: null }, transaction }
+      );
+      if (!updated) {
+        return false;
+      }
+
+      await inventoryService.restockOrder(order, `Annulation ${order.orderNumber} (paiement à la livraison non confirmé)`, { transaction });
+      await loyaltyService.releaseVoucher(order, { transaction });
+      await couponService.releaseRedemption(order, { transaction });
+
+      await OrderStatusLog.create({
+        orderId: order.id,
+        previousStatus: 'pending',
+        newStatus: 'cancelled',
+        changedByRole: 'system',
+        reason: 'Commande non confirmée dans le délai',
+        metadata: { paymentMethod: COD_METHOD }
+      }, { transaction });
+      return true;
+    });
+
+    if (done) {
+      try {
+        const user = order.userId ? await User.findByPk(order.userId) : null;
+        await emailService.sendOrderStatusUpdateEmail(order, user, 'pending', 'cancelled');
+      } catch (emailError) {
+        console.error('❌ Error sending cash on delivery cancellation email:', emailError);
+      }
+    }
+    return done;
+  }
+}
+
+module.exports = new CashOnDeliveryService();
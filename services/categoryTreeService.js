@@ -0,0 +1,177 @@
+const sequelize = require('../config/database');
+const Category = require('../models/Category');
+const { createHttpError } = require('../utils/httpError');
+
+const TREE_ATTRIBUTES = ['id', 'name', 'slug', 'description', 'image', 'icon', 'parentId', 'level', 'sortOrder', 'isActive', 'isFeatured'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+class CategoryTreeService {
+  /**
+   * All categories as plain objects. The catalog is small enough to build
+   * trees and paths in memory rather than with recursive queries.
+   * @param {object} options - { activeOnly, transaction, lock }
+   * @returns {Array<object>}
+   */
+  async loadAll({ activeOnly = false, transaction = null, lock = false } = {}) {
+    return Category.findAll({
+      where: activeOnly ? { isActive: true } : {},
+      attributes: TREE_ATTRIBUTES,
+      order: [['sortOrder', 'ASC'], ['name', 'ASC']],
+      raw: true,
+      ...(transaction && { transaction, lock })
+    });
+  }
+
+  /**
+   * Nest categories under their parents. Categories whose parent is not in
+   * the list (e.g. an inactive parent) are left out with their subtree.
+   * @param {Array<object>} categories - Flat list
+   * @returns {Array<object>} - Root nodes, each with a sorted children array
+   */
+  buildTree(categories) {
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      if (!node.parentId) {
+        roots.push(node);
+      } else if (nodes.has(node.parentId)) {
+        nodes.get(node.parentId).children.push(node);
+      }
+    }
+
+    const sort = (list) => {
+      list.sort(bySortOrder);
+      list.forEach(node => sort(node.children));
+      return list;
+    };
+    return sort(roots);
+  }
+
+  /**
+   * @param {object} options - { activeOnly }
+   * @returns {Array<object>} - Nested tree
+   */
+  async getTree({ activeOnly = true } = {}) {
+    return this.buildTree(await this.loadAll({ activeOnly }));
+  }
+
+  /**
+   * Path from the root down to a category, the category included.
+   * @param {string} idOrSlug - Category UUID or slug
+   * @returns {Array<object>|null} - [{ id, name, slug, level }], null when not found
+   */
+  async getBreadcrumb(idOrSlug) {
+    const categories = await this.loadAll({ activeOnly: true });
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const target = UUID_PATTERN.test(idOrSlug)
+      ? byId.get(idOrSlug)
+      : categories.find(category => category.slug === idOrSlug);
+    if (!target) {
+      return null;
+    }
+
+    const path = [];
+    const visited = new Set();
+    for (let node = target; node && !visited.has(node.id); node = byId.get(node.parentId)) {
+      visited.add(node.id);
+      path.unshift({ id: node.id, name: node.name, slug: node.slug, level: node.level });
+    }
+    return path;
+  }
+
+  /**
+   * A category and every category below it.
+   * @param {string} categoryId
+   * @param {Array<object>} categories - Preloaded list, loaded when omitted
+   * @returns {Array<string>} - Ids, the category itself first
+   */
+  async getDescendantIds(categoryId, categories = null) {
+    const all = categories || await this.loadAll();
+    const childrenOf = new Map();
+    for (const category of all) {
+      if (!category.parentId) continue;
+      if (!childrenOf.has(category.parentId)) childrenOf.set(category.parentId, []);
+      childrenOf.get(category.parentId).push(category.id);
+    }
+
+    const ids = [categoryId];
+    const seen = new Set(ids);
+    for (let i = 0; i < ids.length; i++) {
+      for (const childId of childrenOf.get(ids[i]) || []) {
+        if (!seen.has(childId)) {
+          seen.add(childId);
+          ids.push(childId);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Move and/or reorder categories in one go, e.g. after a drag and drop in
+   * the admin tree. Rejects moves that would put a category under itself or
+   * one of its descendants, then recomputes level for the whole tree.
+   * @param {Array<object>} moves - [{ id, parentId?, sortOrder? }]; parentId null moves to the root
+   * @param {object} options - { transaction } to move along with other writes
+   * @returns {Array<object>} - Categories whose parentId, level or sortOrder changed
+   */
+  async moveCategories(moves, options = {}) {
+    const apply = async (transaction) => {
+      // Locked so two moves at once cannot each pass the cycle check and
+      // together build a loop
+      const categories = await this.loadAll({ transaction, lock: true });
+      const byId = new Map(categories.map(category => [category.id, { ...category }]));
+
+      for (const move of moves) {
+        const category = byId.get(move.id);
+        if (!category) {
+          throw createHttpError('Catégorie non trouvée', 404);
+        }
+        if (move.parentId !== undefined) {
+          if (move.parentId && !byId.has(move.parentId)) {
+            throw createHttpError('Catégorie parente non trouvée');
+          }
+          category.parentId = move.parentId || null;
+        }
+        if (move.sortOrder !== undefined) {
+          category.sortOrder = move.sortOrder;
+        }
+      }
+
+      // Every category must reach a root by following parentId. A parent
+      // that no longer exists ends the path like a root does.
+      for (const category of byId.values()) {
+        const visited = new Set();
+        for (let node = category; node && node.parentId; node = byId.get(node.parentId)) {
+          if (visited.has(node.id)) {
+            throw createHttpError('Une catégorie ne peut pas être placée sous elle-même ou une de ses sous-catégories');
+          }
+          visited.add(node.id);
+        }
+      }
+
+      const levelOf = (category) => (byId.has(category.parentId) ? levelOf(byId.get(category.parentId)) + 1 : 0);
+      const changed = [];
+      for (const original of categories) {
+        const category = byId.get(original.id);
+        category.level = levelOf(category);
+        if (['parentId', 'level', 'sortOrder'].some(field => category[field] !== original[field])) {
+          await Category.update(
+            { parentId: category.parentId, level: category.level, sortOrder: category.sortOrder },
+            { where: { id: category.id }, transaction }
+          );
+          changed.push(category);
+        }
+      }
+
+      return changed;
+    };
+
+    return options.transaction ? apply(options.transaction) : sequelize.transaction(apply);
+  }
+}
+
+module.exports = new CategoryTreeService();
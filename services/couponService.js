@@ -0,0 +1,184 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { createHttpError } = require('../utils/httpError');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+class CouponService {
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Validate a promo code against a checkout and compute the discount.
+   * @param {string} code - Code entered by the customer
+   * @param {object} context - { userId, items: [{ product, totalPrice }], subtotal }
+   * @returns {object} - { coupon, discountAmount, freeShipping, eligibleSubtotal }
+   */
+  async validateCoupon(code, { userId, items = [], subtotal = 0 }) {
+    const normalized = this.normalizeCode(code);
+    if (!normalized) {
+      throw createHttpError('Code promo requis');
+    }
+
+    const coupon = await Coupon.findOne({ where: { code: normalized } });
+    if (!coupon || !coupon.isActive) {
+      throw createHttpError('Code promo invalide', 404);
+    }
+
+    const now = new Date();
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      throw createHttpError('Ce code promo n\'est pas encore actif');
+    }
+    if (coupon.endsAt && new Date(coupon.endsAt) < now) {
+      throw createHttpError('Ce code promo a expiré');
+    }
+
+    if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+      throw createHttpError('Ce code promo a atteint sa limite d\'utilisation');
+    }
+
+    if (coupon.usageLimitPerUser && userId) {
+      const userRedemptions = await CouponRedemption.count({
+        where: { couponId: coupon.id, userId }
+      });
+      if (userRedemptions >= coupon.usageLimitPerUser) {
+        throw createHttpError('Vous avez déjà utilisé ce code promo');
+      }
+    }
+
+    if (subtotal < Number(coupon.minSubtotal || 0)) {
+      throw createHttpError(`Montant minimum de ${Number(coupon.minSubtotal).toFixed(2)} DH requis pour ce code promo`);
+    }
+
+    // Scoped coupons only discount the matching lines
+    const eligibleSubtotal = roundMoney(items
+      .filter(item => item.product && coupon.appliesToProduct(item.product))
+      .reduce((sum, item) => sum + Number(item.totalPrice), 0));
+
+    if (eligibleSubtotal <= 0) {
+      throw createHttpError('Ce code promo ne s\'applique à aucun article de votre panier');
+    }
+
+    return {
+      coupon,
+      discountAmount: this.computeDiscount(coupon, eligibleSubtotal),
+      freeShipping: coupon.type === 'free_shipping',
+      eligibleSubtotal
+    };
+  }
+
+  /**
+   * Discount granted by a coupon on the eligible part of the basket.
+   */
+  computeDiscount(coupon, eligibleSubtotal) {
+    const value = Number(coupon.value || 0);
+
+    switch (coupon.type) {
+      case 'percent': {
+        let discount = eligibleSubtotal * Math.min(value, 100) / 100;
+        if (coupon.maxDiscountAmount) {
+          discount = Math.min(discount, Number(coupon.maxDiscountAmount));
+        }
+        return roundMoney(discount);
+      }
+      case 'fixed':
+        return roundMoney(Math.min(value, eligibleSubtotal));
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Record a redemption once the order exists. The usage counter is bumped
+   * with a guarded UPDATE so concurrent checkouts cannot exceed usageLimit;
+   * that UPDATE also locks the coupon row, so the customer's own redemptions
+   * are counted again after any concurrent checkout of theirs committed.
+   */
+  async recordRedemption(coupon, { userId, orderId, discountAmount }, options = {}) {
+    const apply = async (transaction) => {
+      const [updated] = await Coupon.update(
+        { usageCount: sequelize.literal('"usageCount" + 1') },
+        {
+          where: {
+            id: coupon.id,
+            [Op.or]: [
+              { usageLimit: null },
+              { usageCount: { [Op.lt]: sequelize.col('usageLimit') } }
+            ]
+          },
+          transaction
+        }
+      );
+
+      if (!updated) {
+        throw createHttpError('Ce code promo a atteint sa limite d\'utilisation');
+      }
+
+      if (coupon.usageLimitPerUser && userId) {
+        const userRedemptions = await CouponRedemption.count({
+          where: { couponId: coupon.id, userId },
+          transaction
+        });
+        if (userRedemptions >= coupon.usageLimitPerUser) {
+          throw createHttpError('Vous avez déjà utilisé ce code promo', 409);
+        }
+      }
+
+      return CouponRedemption.create({
+        couponId: coupon.id,
+        userId,
+        orderId,
+        code: coupon.code,
+        discountAmount
+      }, { transaction });
+    };
+
+    return options.transaction ? apply(options.transaction) : sequelize.transaction(apply);
+  }
+
+  /**
+   * Free the coupon use of a cancelled order, so it no longer counts towards
+   * the customer's limit nor the coupon's usage counter.
+   * @param {object} order - Order instance
+   * @param {object} options - { transaction }
+   * @returns {boolean} - Whether a redemption was released
+   */
+  async releaseRedemption(order, options = {}) {
+    const { transaction } = options;
+    const redemption = await CouponRedemption.findOne({
+      where: { orderId: order.id },
+      transaction,
+      lock: Boolean(transaction)
+    });
+    if (!redemption) return false;
+
+    await redemption.destroy({ transaction });
+    await Coupon.update(
+      { usageCount: sequelize.literal('GREATEST("usageCount" - 1, 0)') },
+      { where: { id: redemption.couponId }, transaction }
+    );
+    return true;
+  }
+
+  /**
+   * Usage statistics for the admin coupon detail view.
+   */
+  async getCouponStats(couponId) {
+    const [redemptionCount, totalDiscount, uniqueCustomers] = await Promise.all([
+      CouponRedemption.count({ where: { couponId } }),
+      CouponRedemption.sum('discountAmount', { where: { couponId } }),
+      CouponRedemption.count({ where: { couponId }, distinct: true, col: 'userId' })
+    ]);
+
+    return {
+      redemptionCount,
+      totalDiscount: roundMoney(totalDiscount || 0),
+      uniqueCustomers
+    };
+  }
+}
+
+module.exports = new CouponService();
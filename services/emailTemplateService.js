@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { compile, render } = require('../utils/templateEngine');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/locales');
+const { createHttpError } = require('../utils/httpError');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const PARTIALS = ['itemsTable', 'linkFallback'];
+const TIMEZONE = 'Africa/Casablanca';
+
+const STATUS_ICONS = {
+  confirmed: '✅',
+  processing: '⚙️',
+  shipped: '🚚',
+  delivered: '📦',
+  cancelled: '❌',
+  refunded: '💰'
+};
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'', '&nbsp;': ' ', '&rarr;': '→' };
+
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|#39|nbsp|rarr);/g, entity => HTML_ENTITIES[entity]);
+
+/**
+ * Data of some templates depends on the language (labels, dates): these turn
+ * what callers pass into what the template shows.
+ */
+const PREPARERS = {
+  orderStatusUpdate: (data, { translate }) => {
+    const newStatusLabel = translate(`orderStatus.labels.${data.status}`, data.status);
+    return {
+      statusIcon: STATUS_ICONS[data.status] || '📋',
+      oldStatusLabel: translate(`orderStatus.labels.${data.previousStatus}`, data.previousStatus),
+      newStatusLabel,
+      statusMessage: translate(`orderStatus.messages.${data.status}`, translate('orderStatus.messages.default')),
+      // Only worth showing once the parcel left
+      trackingNumber: data.status === 'shipped' ? data.trackingNumber : null
+    };
+  },
+  bankTransferInstructions: (data, { formatDate }) => ({
+    deadline: formatDate(data.deadline, { dateStyle: 'long', timeStyle: 'short' })
+  }),
+  notificationDigest: (data, { formatDate }) => ({
+    notifications: data.notifications.map(notification => ({
+      ...notification,
+      time: formatDate(notification.time, { dateStyle: 'short', timeStyle: 'short' })
+    }))
+  })
+};
+
+class EmailTemplateService {
+  constructor() {
+    // Compiled templates and parsed catalogs; reloaded on each render in
+    // development so template edits show up in the preview
+    this.cache = new Map();
+  }
+
+  getLanguage(language) {
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  }
+
+  async cached(key, load) {
+    if (process.env.NODE_ENV !== 'development' && this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+    const value = await load();
+    this.cache.set(key, value);
+    return value;
+  }
+
+  loadTemplate(relativePath) {
+    return this.cached(`template:${relativePath}`, async () => {
+      const source = await fs.readFile(path.join(TEMPLATES_DIR, `${relativePath}.html`), 'utf8');
+      return compile(source);
+    });
+  }
+
+  loadCatalog(language) {
+    return this.cached(`catalog:${language}`, async () => {
+      const source = await fs.readFile(path.join(TEMPLATES_DIR, 'locales', `${language}.json`), 'utf8');
+      return JSON.parse(source);
+    });
+  }
+
+  /**
+   * Names of the email templates (files in templates/, without extension).
+   */
+  listTemplates() {
+    return this.cached('templates', async () => {
+      const files = await fs.readdir(TEMPLATES_DIR);
+      return files
+        .filter(file => file.endsWith('.html'))
+        .map(file => file.replace(/\.html$/, ''))
+        .sort();
+    });
+  }
+
+  /**
+   * Render an email in the given language inside the shared layout.
+   * Translation strings are templates too: {{name}} placeholders in them are
+   * filled from the email's data (and escaped).
+   * @param {string} name - Template name, e.g. 'orderConfirmation'
+   * @param {object} data - Template data
+   * @param {string} language - fr, ar or en; the default language otherwise
+   * @returns {object} - { subject, html, text, language }
+   */
+  async render(name, data = {}, language = DEFAULT_LANGUAGE) {
+    const lang = this.getLanguage(language);
+    const templates = await this.listTemplates();
+    if (!templates.includes(name)) {
+      throw createHttpError(`Modèle d'email inconnu : ${name}`, 404);
+    }
+
+    const [body, layout, catalog, fallback, ...partials] = await Promise.all([
+      this.loadTemplate(name),
+      this.loadTemplate('layouts/main'),
+      this.loadCatalog(lang),
+      this.loadCatalog(DEFAULT_LANGUAGE),
+      ...PARTIALS.map(partial => this.loadTemplate(`partials/${partial}`))
+    ]);
+
+    const find = (messages, key) => key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), messages);
+    const options = {
+      partials: Object.fromEntries(PARTIALS.map((partial, index) => [partial, partials[index]])),
+      helpers: {
+        t: ([key], { render: renderString }) => {
+          const message = find(catalog, key) ?? find(fallback, key);
+          if (typeof message !== 'string') {
+            console.warn(`⚠️ Missing email translation "${key}" (${lang})`);
+            return key;
+          }
+          return renderString(message);
+        }
+      }
+    };
+
+    const context = { ...data, lang, dir: LANGUAGES[lang].dir, year: new Date().getFullYear() };
+    const translate = (key, defaultValue = key) => {
+      const message = find(catalog, key) ?? find(fallback, key);
+      return typeof message === 'string' ? decodeEntities(render(message, context, options)) : defaultValue;
+    };
+    const formatDate = (value, format) => (value
+      ? new Date(value).toLocaleString(LANGUAGES[lang].dateLocale, { ...format, timeZone: TIMEZONE })
+      : '');
+    if (PREPARERS[name]) {
+      Object.assign(context, PREPARERS[name](data, { translate, formatDate }));
+    }
+
+    const t = (key) => render(`{{t "${key}"}}`, context, options);
+    const hasFooter = typeof (find(catalog, `${name}.footer`) ?? find(fallback, `${name}.footer`)) === 'string';
+    const subject = decodeEntities(t(`${name}.subject`));
+    const html = render(layout, {
+      ...context,
+      subject,
+      heading: t(`${name}.heading`),
+      footer: t(hasFooter ? `${name}.footer` : 'common.support'),
+      body: render(body, context, options)
+    }, options);
+
+    return {
+      subject,
+      html,
+      text: this.toText(html),
+      language: lang
+    };
+  }
+
+  /**
+   * Render a template with its sample data from templates/samples.json.
+   */
+  async preview(name, language) {
+    const samples = await this.cached('samples', async () => JSON.parse(
+      await fs.readFile(path.join(TEMPLATES_DIR, 'samples.json'), 'utf8')
+    ));
+    if (!samples[name]) {
+      throw createHttpError(`Pas de données d'exemple pour le modèle ${name}`, 404);
+    }
+    return this.render(name, samples[name], language);
+  }
+
+  /**
+   * Plain-text version of a rendered email, sent alongside the HTML.
+   * @param {string} html
+   * @returns {string}
+   */
+  toText(html) {
+    const text = html
+      .replace(/<head[\s\S]*?<\/head>/i, '')
+      .replace(/\s+/g, ' ')
+      .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label.trim()} : ${href}`)
+      .replace(/<li[^>]*>/gi, '- ')
+      .replace(/<\/(p|div|h[1-6]|li|tr|table)>|<br\s*\/?>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, ' ')
+      .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = new EmailTemplateService();
@@ -1,6 +1,8 @@
 const { Op } = require('sequelize');
 const Product = require('../models/Product');
 const StockHistory = require('../models/StockHistory');
+const ProductVariant = require('../models/ProductVariant');
+const OrderItem = require('../models/OrderItem');
 const User = require('../models/User');
 
 // Import models index to ensure associations are loaded
@@ -8,30 +10,59 @@ require('../models/index');
 
 class InventoryService {
   /**
-   * Update product stock and create history record
+   * Update product stock and create history record.
+   * When a transaction is passed the product row is locked until it commits,
+   * so concurrent checkouts cannot both take the last units. With a variantId
+   * the variant's stock moves and the product total follows. With absolute,
+   * quantity is the new stock level (a count) and the change is worked out
+   * from the locked row.
    */
-  async updateStock(productId, quantity, changeType, reason, referenceId = null, referenceType = null, notes = null, performedBy = null) {
+  async updateStock(productId, quantity, changeType, reason, referenceId = null, referenceType = null, notes = null, performedBy = null, { transaction = null, variantId = null, absolute = false } = {}) {
     try {
-      const product = await Product.findByPk(productId);
+      // Only forward query options when running inside a caller's transaction
+      const queryOptions = transaction ? [{ transaction }] : [];
+      const lockOptions = transaction ? [{ transaction, lock: true }] : [];
+      const product = await Product.findByPk(productId, ...lockOptions);
       if (!product) {
         throw new Error('Product not found');
       }
 
-      const previousStock = product.stockQuantity;
-      const newStock = previousStock + quantity;
+      let variant = null;
+      if (variantId) {
+        variant = await ProductVariant.findOne({ where: { id: variantId, productId }, ...lockOptions[0] });
+        if (!variant) {
+          throw new Error('Variant not found');
+        }
+      } else if (product.hasVariants) {
+        throw new Error('Variant required for this product');
+      }
+
+      const stockOwner = variant || product;
+      const previousStock = stockOwner.stockQuantity;
+      const previousProductStock = product.stockQuantity;
+      const newStock = absolute ? quantity : previousStock + quantity;
+      const change = newStock - previousStock;
 
       if (newStock < 0) {
         throw new Error('Stock cannot be negative');
       }
+      if (absolute && change === 0) {
+        return { success: true, previousStock, newStock, change };
+      }
 
       // Update product stock
-      await product.update({ stockQuantity: newStock });
+      await stockOwner.update({ stockQuantity: newStock }, ...queryOptions);
+      if (variant && variant.isActive) {
+        // The product stock is the sum of its active variants
+        await product.update({ stockQuantity: Math.max(0, product.stockQuantity + change) }, ...queryOptions);
+      }
 
       // Create stock history record
       await StockHistory.create({
         productId,
+        ...(variant && { variantId: variant.id }),
         changeType,
-        quantity,
+        quantity: change,
         previousStock,
         newStock,
         reason,
@@ -39,16 +70,27 @@ class InventoryService {
         referenceType,
         notes,
         performedBy
-      });
+      }, ...queryOptions);
 
       // Check for low stock alerts
-      await this.checkLowStockAlert(product);
+      await this.checkLowStockAlert(product, { transaction });
+
+      // Customers waiting for the product hear about it once the stock is saved
+      if (previousProductStock <= 0 && product.stockQuantity > 0) {
+        const notifyBackInStock = () => require('./productAlertService').notifyBackInStock(productId)
+          .catch(error => console.error('❌ Back-in-stock alerts error:', error));
+        if (transaction) {
+          transaction.afterCommit(notifyBackInStock);
+        } else {
+          notifyBackInStock();
+        }
+      }
 
       return {
         success: true,
         previousStock,
         newStock,
-        change: quantity
+        change
       };
     } catch (error) {
       console.error('❌ Inventory update error:', error);
@@ -56,10 +98,43 @@ class InventoryService {
     }
   }
 
+  /**
+   * Put the units of a cancelled order back in stock. Units already refunded
+   * line by line went back with their refund.
+   * @param {object} order - Order instance
+   * @param {string} reason - Stock history reason
+   * @param {object} options - { transaction, performedBy }
+   * @returns {Array} - Restocked lines: [{ productId, variantId, quantity }]
+   */
+  async restockOrder(order, reason, { transaction = null, performedBy = null } = {}) {
+    const items = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+    const restocked = [];
+
+    for (const item of items) {
+      const quantity = item.quantity - (item.refundedQuantity || 0);
+      if (quantity <= 0) continue;
+
+      await this.updateStock(
+        item.productId,
+        quantity,
+        'in',
+        reason,
+        order.id,
+        'order',
+        null,
+        performedBy,
+        { transaction, variantId: item.variantId || null }
+      );
+      restocked.push({ productId: item.productId, variantId: item.variantId || null, quantity });
+    }
+
+    return restocked;
+  }
+
   /**
    * Check if product needs low stock alert
    */
-  async checkLowStockAlert(product) {
+  async checkLowStockAlert(product, { transaction = null } = {}) {
     try {
       const now = new Date();
       const lastAlert = product.lastStockAlert;
@@ -67,7 +142,7 @@ class InventoryService {
 
       // Only send alert if stock is below minimum and we haven't alerted in the last 24 hours
       if (product.stockQuantity <= product.minStockLevel && daysSinceLastAlert >= 1) {
-        await product.update({ lastStockAlert: now });
+        await product.update({ lastStockAlert: now }, ...(transaction ? [{ transaction }] : []));
         
         // TODO: Send email notification to admin
         console.log(`🚨 Low stock alert for product: ${product.name} (Stock: ${product.stockQuantity}, Min: ${product.minStockLevel})`);
@@ -117,6 +192,11 @@ class InventoryService {
             model: Product, 
             as: 'product',
             attributes: ['id', 'name', 'sku']
+          },
+          {
+            model: ProductVariant,
+            as: 'variant',
+            attributes: ['id', 'sku', 'options']
           }
         ],
         order: [['createdAt', 'DESC']],
@@ -168,7 +248,7 @@ class InventoryService {
       const results = [];
       
       for (const update of updates) {
-        const { productId, quantity, changeType, reason, notes } = update;
+        const { productId, variantId, quantity, changeType, reason, notes } = update;
         
         try {
           const result = await this.updateStock(
@@ -179,11 +259,12 @@ class InventoryService {
             null, 
             'bulk', 
             notes, 
-            performedBy
+            performedBy,
+            { variantId }
           );
-          results.push({ productId, success: true, ...result });
+          results.push({ productId, variantId, success: true, ...result });
         } catch (error) {
-          results.push({ productId, success: false, error: error.message });
+          results.push({ productId, variantId, success: false, error: error.message });
         }
       }
 
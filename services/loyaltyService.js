@@ -1,4 +1,10 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
 const User = require('../models/User');
+const LoyaltyVoucher = require('../models/LoyaltyVoucher');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { createHttpError } = require('../utils/httpError');
 
 const TIER_THRESHOLDS = {
   bronze: 0,
@@ -12,41 +18,212 @@ const TIER_ORDER = ['bronze', 'silver', 'gold', 'platinum'];
 const POINTS_PER_DH = 1; // Base: 1 point per DH spent
 const MEMBER_MULTIPLIER = 2; // Prime members earn 2x
 const REDEMPTION_RATE = 50; // 1000 points = 50 DH
+const VOUCHER_VALIDITY_DAYS = 180;
+
+function generateVoucherCode() {
+  return `FID-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
 
 class LoyaltyService {
+  /**
+   * Apply a points movement to the user's balance and write it to the ledger.
+   * Debits use a guarded UPDATE so the balance can never go negative.
+   * Runs in the caller's transaction when one is given.
+   * @param {object} entry - { userId, type, points, orderId, voucherId, description, createdBy }
+   * @returns {object} - LoyaltyTransaction instance
+   */
+  async recordTransaction(entry, options = {}) {
+    const points = Number(entry.points);
+    if (!Number.isInteger(points) || points === 0) {
+      throw createHttpError('Le nombre de points doit être un entier non nul.');
+    }
+
+    const apply = async (transaction) => {
+      const where = { id: entry.userId };
+      if (points < 0) {
+        where.loyaltyPoints = { [Op.gte]: -points };
+      }
+
+      const [updated] = await User.update(
+        { loyaltyPoints: sequelize.literal(`"loyaltyPoints" ${points < 0 ? '-' : '+'} ${Math.abs(points)}`) },
+        { where, transaction }
+      );
+      if (!updated) {
+        throw createHttpError('Points insuffisants.');
+      }
+
+      const user = await User.findByPk(entry.userId, { attributes: ['id', 'loyaltyPoints'], transaction });
+
+      return LoyaltyTransaction.create({
+        userId: entry.userId,
+        type: entry.type,
+        points,
+        balanceAfter: user.loyaltyPoints,
+        orderId: entry.orderId || null,
+        voucherId: entry.voucherId || null,
+        description: entry.description || null,
+        createdBy: entry.createdBy || null
+      }, { transaction });
+    };
+
+    return options.transaction ? apply(options.transaction) : sequelize.transaction(apply);
+  }
+
   /**
    * Award points after an order is placed.
    * @param {object} user - User instance
    * @param {number} orderAmount - Order total in DH
    * @param {boolean} isMember - Whether user has active Prime membership
+   * @param {string} orderId - Order the points are earned on
    * @returns {object} - { pointsEarned, newBalance, newTier, tierUpgrade }
    */
-  async awardPoints(user, orderAmount, isMember = false) {
+  async awardPoints(user, orderAmount, isMember = false, orderId = null) {
     const multiplier = isMember ? MEMBER_MULTIPLIER : POINTS_PER_DH;
     const pointsEarned = Math.floor(orderAmount * multiplier);
 
     if (pointsEarned <= 0) return { pointsEarned: 0, newBalance: user.loyaltyPoints, newTier: user.loyaltyTier, tierUpgrade: false };
 
-    const newBalance = (user.loyaltyPoints || 0) + pointsEarned;
-    const newTotal = (user.totalLoyaltyPointsEarned || 0) + pointsEarned;
-    const oldTier = user.loyaltyTier || 'bronze';
-    const newTier = this.calculateTier(newTotal);
+    const { entry, oldTier, newTier } = await sequelize.transaction(async (transaction) => {
+      // The lifetime total decides the tier: read it under the lock so two
+      // orders earning at once both count
+      const locked = await User.findByPk(user.id, {
+        attributes: ['id', 'loyaltyTier', 'totalLoyaltyPointsEarned'],
+        transaction,
+        lock: true
+      });
+      const newTotal = (locked.totalLoyaltyPointsEarned || 0) + pointsEarned;
+
+      const earned = await this.recordTransaction({
+        userId: user.id,
+        type: 'earn',
+        points: pointsEarned,
+        orderId,
+        description: `Points gagnés (${isMember ? '2x Prime' : '1x'})`
+      }, { transaction });
+
+      const tier = this.calculateTier(newTotal);
+      await User.update(
+        { totalLoyaltyPointsEarned: newTotal, loyaltyTier: tier },
+        { where: { id: user.id }, transaction }
+      );
+
+      return { entry: earned, oldTier: locked.loyaltyTier || 'bronze', newTier: tier };
+    });
     const tierUpgrade = TIER_ORDER.indexOf(newTier) > TIER_ORDER.indexOf(oldTier);
 
-    await user.update({
-      loyaltyPoints: newBalance,
-      totalLoyaltyPointsEarned: newTotal,
-      loyaltyTier: newTier
+    await user.reload();
+
+    return { pointsEarned, newBalance: entry.balanceAfter, newTier, tierUpgrade, oldTier };
+  }
+
+  /**
+   * Take back the points earned on an order that was cancelled or refunded.
+   * Points the customer already spent cannot be recovered, so the reversal is
+   * capped at the current balance. Only one reversal is written per order
+   * (a unique index backs this up), even when nothing could be recovered.
+   * A partial refund keeps the points on purpose: the customer still bought
+   * the rest of the order, and the points go once it is fully refunded.
+   * @param {object} order - Order instance
+   * @param {string} reason - Shown in the customer's history
+   * @returns {object|null} - LoyaltyTransaction instance, or null if nothing to reverse
+   */
+  async reverseOrderPoints(order, reason) {
+    return sequelize.transaction(async (transaction) => {
+      // A cancel, an admin refund and the Stripe webhook can all land at
+      // once: the user lock makes them check for a reversal one at a time
+      const user = await User.findByPk(order.userId, { transaction, lock: true });
+      if (!user) return null;
+
+      const alreadyReversed = await LoyaltyTransaction.count({
+        where: { orderId: order.id, type: 'reversal' },
+        transaction
+      });
+      if (alreadyReversed) return null;
+
+      const earned = await LoyaltyTransaction.sum('points', {
+        where: { orderId: order.id, type: 'earn' },
+        transaction
+      });
+      if (!earned || earned <= 0) return null;
+
+      const recoverable = Math.min(earned, user.loyaltyPoints || 0);
+      const newTotal = Math.max(0, (user.totalLoyaltyPointsEarned || 0) - earned);
+
+      await User.update(
+        { totalLoyaltyPointsEarned: newTotal, loyaltyTier: this.calculateTier(newTotal) },
+        { where: { id: user.id }, transaction }
+      );
+
+      const description = recoverable < earned
+        ? `${reason} (${earned - recoverable} points déjà utilisés)`
+        : reason;
+
+      if (recoverable <= 0) {
+        // Nothing left to debit, but the lifetime total was lowered: mark the
+        // order reversed so it is not lowered again
+        await LoyaltyTransaction.create({
+          userId: user.id,
+          type: 'reversal',
+          points: 0,
+          balanceAfter: user.loyaltyPoints || 0,
+          orderId: order.id,
+          description
+        }, { transaction });
+        return null;
+      }
+
+      return this.recordTransaction({
+        userId: user.id,
+        type: 'reversal',
+        points: -recoverable,
+        orderId: order.id,
+        description
+      }, { transaction });
     });
+  }
 
-    return { pointsEarned, newBalance, newTier, tierUpgrade, oldTier };
+  /**
+   * Manual credit or debit made by an admin.
+   */
+  async adjustPoints(userId, points, description, adminId) {
+    return this.recordTransaction({
+      userId,
+      type: 'adjustment',
+      points,
+      description,
+      createdBy: adminId
+    });
+  }
+
+  /**
+   * Paginated points history, most recent first.
+   * @returns {object} - { count, rows }
+   */
+  async getHistory(userId, { page = 1, limit = 20 } = {}) {
+    return LoyaltyTransaction.findAndCountAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+
+  /**
+   * Balance rebuilt from the ledger. Matches User.loyaltyPoints once the
+   * opening balances have been backfilled (scripts/backfill-loyalty-ledger.js).
+   */
+  async getLedgerBalance(userId) {
+    const balance = await LoyaltyTransaction.sum('points', { where: { userId } });
+    return balance || 0;
   }
 
   /**
    * Redeem points for a voucher.
+   * The points debit and the voucher are written in the same transaction,
+   * so a customer never loses points without a voucher.
    * @param {object} user - User instance
    * @param {number} pointsToRedeem - Must be multiple of 1000
-   * @returns {object} - { voucherAmount, remainingPoints }
+   * @returns {object} - { voucherAmount, remainingPoints, pointsRedeemed, voucher }
    */
   async redeemPoints(user, pointsToRedeem) {
     if (pointsToRedeem < 1000 || pointsToRedeem % 1000 !== 0) {
@@ -58,11 +235,194 @@ class LoyaltyService {
     }
 
     const voucherAmount = (pointsToRedeem / 1000) * REDEMPTION_RATE;
-    const remainingPoints = user.loyaltyPoints - pointsToRedeem;
 
-    await user.update({ loyaltyPoints: remainingPoints });
+    const voucher = await sequelize.transaction(async (transaction) => {
+      const created = await LoyaltyVoucher.create({
+        code: generateVoucherCode(),
+        userId: user.id,
+        amount: voucherAmount,
+        pointsRedeemed: pointsToRedeem,
+        status: 'active',
+        expiresAt: new Date(Date.now() + VOUCHER_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+      }, { transaction });
+
+      await this.recordTransaction({
+        userId: user.id,
+        type: 'redeem',
+        points: -pointsToRedeem,
+        voucherId: created.id,
+        description: `Bon de ${voucherAmount} DH (${created.code})`
+      }, { transaction });
+
+      return created;
+    });
+
+    await user.reload();
+
+    return { voucherAmount, remainingPoints: user.loyaltyPoints, pointsRedeemed: pointsToRedeem, voucher };
+  }
+
+  /**
+   * Shape a ledger entry for API responses.
+   */
+  formatTransaction(entry) {
+    return {
+      id: entry.id,
+      type: entry.type,
+      points: entry.points,
+      balanceAfter: entry.balanceAfter,
+      orderId: entry.orderId,
+      voucherId: entry.voucherId,
+      description: entry.description,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * List a user's vouchers, most recent first. Active vouchers past their
+   * expiry date are flagged as expired on the way out.
+   */
+  async getUserVouchers(userId, status = null) {
+    await this.expireVouchers({ userId });
+
+    const where = { userId };
+    if (status) where.status = status;
+
+    return LoyaltyVoucher.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Find a voucher the user can spend at checkout.
+   * @returns {object} - LoyaltyVoucher instance
+   */
+  async getUsableVoucher(userId, code) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    const voucher = normalized
+      ? await LoyaltyVoucher.findOne({ where: { code: normalized, userId } })
+      : null;
+
+    if (!voucher) {
+      throw createHttpError('Bon de réduction introuvable', 404);
+    }
+    if (voucher.status === 'consumed') {
+      throw createHttpError('Ce bon de réduction a déjà été utilisé');
+    }
+    if (!voucher.isUsable()) {
+      throw createHttpError('Ce bon de réduction a expiré');
+    }
+
+    return voucher;
+  }
+
+  /**
+   * Mark a voucher as spent on an order. The status guard makes the claim
+   * atomic: only one checkout can move a voucher out of 'active'.
+   */
+  async consumeVoucher(voucher, orderId, options = {}) {
+    const [updated] = await LoyaltyVoucher.update(
+      { status: 'consumed', consumedAt: new Date(), orderId },
+      {
+        where: { id: voucher.id, status: 'active', expiresAt: { [Op.gt]: new Date() } },
+        transaction: options.transaction
+      }
+    );
+
+    if (!updated) {
+      throw createHttpError('Ce bon de réduction a déjà été utilisé');
+    }
+  }
+
+  /**
+   * Give back the voucher spent on a cancelled order. A voucher whose
+   * validity ended in the meantime goes straight to expired.
+   * @param {object} order - Order instance
+   * @param {object} options - { transaction }
+   * @returns {object|null} - The released LoyaltyVoucher, or null when none was spent
+   */
+  async releaseVoucher(order, options = {}) {
+    if (!order.loyaltyVoucherId) return null;
+
+    const { transaction } = options;
+    const voucher = await LoyaltyVoucher.findOne({
+      where: { id: order.loyaltyVoucherId, orderId: order.id, status: 'consumed' },
+      transaction,
+      lock: Boolean(transaction)
+    });
+    if (!voucher) return null;
+
+    if (new Date(voucher.expiresAt) > new Date()) {
+      await voucher.update({ status: 'active', consumedAt: null, orderId: null }, { transaction });
+    } else {
+      await voucher.update({ status: 'expired' }, { transaction });
+      await this.recordVoucherExpiry(voucher, transaction);
+    }
+    return voucher;
+  }
+
+  /**
+   * Flag the active vouchers past their expiry date as expired, each with an
+   * `expiry` line in the ledger.
+   * @param {object} filter - { userId } to sweep a single customer
+   * @returns {number} - Vouchers expired
+   */
+  async expireVouchers({ userId = null } = {}) {
+    const where = { status: 'active', expiresAt: { [Op.lt]: new Date() } };
+    if (userId) where.userId = userId;
+
+    const due = await LoyaltyVoucher.findAll({ where });
+    let expired = 0;
+    for (const voucher of due) {
+      const done = await sequelize.transaction(async (transaction) => {
+        // A checkout may have spent it since it was loaded
+        const [updated] = await LoyaltyVoucher.update(
+          { status: 'expired' },
+          { where: { id: voucher.id, status: 'active' }, transaction }
+        );
+        if (!updated) return false;
 
-    return { voucherAmount, remainingPoints, pointsRedeemed: pointsToRedeem };
+        await this.recordVoucherExpiry(voucher, transaction);
+        return true;
+      });
+      if (done) expired++;
+    }
+    return expired;
+  }
+
+  /**
+   * Ledger line for a voucher lost unspent. The points it cost were debited
+   * by the redeem entry, so the balance does not move.
+   */
+  async recordVoucherExpiry(voucher, transaction) {
+    const user = await User.findByPk(voucher.userId, { attributes: ['id', 'loyaltyPoints'], transaction });
+
+    return LoyaltyTransaction.create({
+      userId: voucher.userId,
+      type: 'expiry',
+      points: 0,
+      balanceAfter: user.loyaltyPoints,
+      voucherId: voucher.id,
+      description: `Bon ${voucher.code} expiré sans être utilisé (${voucher.pointsRedeemed} points)`
+    }, { transaction });
+  }
+
+  /**
+   * Shape a voucher for API responses.
+   */
+  formatVoucher(voucher) {
+    return {
+      id: voucher.id,
+      code: voucher.code,
+      amount: Number(voucher.amount),
+      currency: voucher.currency,
+      pointsRedeemed: voucher.pointsRedeemed,
+      status: voucher.status,
+      expiresAt: voucher.expiresAt,
+      consumedAt: voucher.consumedAt,
+      orderId: voucher.orderId
+    };
   }
 
   /**
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const loyaltyService = require('./loyaltyService');
+
+function startLoyaltyVoucherExpiry() {
+  // Run daily at 3:30 AM
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const expired = await loyaltyService.expireVouchers();
+      if (expired > 0) {
+        console.log(`🎟️ Loyalty vouchers expired: ${expired}`);
+      }
+    } catch (error) {
+      console.error('❌ Loyalty voucher expiry error:', error);
+    }
+  });
+
+  console.log('🎟️ Loyalty voucher expiry cron scheduled (daily at 3:30 AM)');
+}
+
+module.exports = { startLoyaltyVoucherExpiry };
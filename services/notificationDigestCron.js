@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const notificationDigestService = require('./notificationDigestService');
+
+function startNotificationDigest() {
+  // Run every 5 minutes: digests are due on the hour, quiet hours end at any minute
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const { users, notifications, failed } = await notificationDigestService.sendDueDigests();
+      if (users > 0 || failed > 0) {
+        console.log(`📬 Notification digests: ${users} sent (${notifications} notifications), ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Notification digest cron error:', error);
+    }
+  });
+
+  console.log('📬 Notification digest cron scheduled (every 5 minutes)');
+}
+
+module.exports = { startNotificationDigest };
@@ -0,0 +1,168 @@
+const { Op } = require('sequelize');
+const { Notification, User } = require('../models');
+const emailService = require('./emailService');
+const { timezone, dailyDigestHour, maxDigestItems } = require('../config/notificationDelivery');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const BATCH_SIZE = 1000;
+const RETRY_MIN_MS = 15 * MINUTE_MS;
+const RETRY_MAX_MS = DAY_MINUTES * MINUTE_MS;
+
+const localTimeFormat = new Intl.DateTimeFormat('en-GB', {
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23',
+  timeZone: timezone
+});
+
+class NotificationDigestService {
+  /**
+   * Minutes since local midnight.
+   */
+  getLocalMinutes(date) {
+    const parts = localTimeFormat.formatToParts(date);
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+  }
+
+  // 'HH:MM' -> minutes since midnight, null when unset or malformed
+  parseTime(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  /**
+   * Minutes left before the end of the quiet hours, 0 outside them. Quiet
+   * hours may span midnight (22:00 - 07:00).
+   * @param {object} preference - { quietHoursStart, quietHoursEnd }
+   * @param {Date} date
+   * @returns {number}
+   */
+  getQuietMinutesLeft(preference, date) {
+    const start = this.parseTime(preference.quietHoursStart);
+    const end = this.parseTime(preference.quietHoursEnd);
+    if (start === null || end === null || start === end) {
+      return 0;
+    }
+
+    const now = this.getLocalMinutes(date);
+    const inQuietHours = start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+    return inQuietHours ? (end - now + DAY_MINUTES) % DAY_MINUTES : 0;
+  }
+
+  /**
+   * When the email of a new notification should go out.
+   * @param {object} preference - The user's preference for the notification type
+   * @param {string} priority - Notification priority
+   * @param {Date} now
+   * @returns {Date|null} - null to send it now
+   */
+  getScheduledDelivery(preference, priority, now = new Date()) {
+    if (priority === 'critical') {
+      return null;
+    }
+
+    const localMinutes = this.getLocalMinutes(now);
+    let delayMinutes = 0;
+    if (preference.deliveryMode === 'hourly') {
+      delayMinutes = 60 - (localMinutes % 60);
+    } else if (preference.deliveryMode === 'daily') {
+      delayMinutes = (dailyDigestHour * 60 - localMinutes + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+    }
+
+    const scheduled = new Date(now.getTime() + delayMinutes * MINUTE_MS);
+    if (delayMinutes > 0) {
+      // Digests go out on the hour, not at the second the first event came in
+      scheduled.setSeconds(0, 0);
+    }
+    const quietMinutes = this.getQuietMinutesLeft(preference, scheduled);
+    if (delayMinutes === 0 && quietMinutes === 0) {
+      return null;
+    }
+    return new Date(scheduled.getTime() + quietMinutes * MINUTE_MS);
+  }
+
+  /**
+   * Put a notification's email in the queue.
+   * @param {object} notification - Notification instance
+   * @param {Date} scheduledFor
+   */
+  async queue(notification, scheduledFor) {
+    await notification.update({ emailStatus: 'queued', emailScheduledFor: scheduledFor });
+  }
+
+  /**
+   * Push a failed digest back so it stops holding the oldest rows of the
+   * batch. The wait grows with the age of its oldest notification, so it
+   * about doubles on every failure, from 15 minutes up to a day.
+   * @param {Array} notifications - The user's queued notifications
+   * @param {Date} now
+   */
+  async postpone(notifications, now) {
+    const oldest = Math.min(...notifications.map(notification => new Date(notification.createdAt || now).getTime()));
+    const delay = Math.min(Math.max(now.getTime() - oldest, RETRY_MIN_MS), RETRY_MAX_MS);
+    await Notification.update(
+      { emailScheduledFor: new Date(now.getTime() + delay) },
+      { where: { id: { [Op.in]: notifications.map(notification => notification.id) } } }
+    );
+  }
+
+  /**
+   * Send one digest email per user for the queued notifications now due.
+   * Run by services/notificationDigestCron.js.
+   * @param {Date} now
+   * @returns {object} - { users, notifications, failed }
+   */
+  async sendDueDigests(now = new Date()) {
+    const queued = await Notification.findAll({
+      where: {
+        emailStatus: 'queued',
+        emailScheduledFor: { [Op.lte]: now }
+      },
+      order: [['createdAt', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    const byUser = new Map();
+    for (const notification of queued) {
+      if (!byUser.has(notification.userId)) byUser.set(notification.userId, []);
+      byUser.get(notification.userId).push(notification);
+    }
+
+    const result = { users: 0, notifications: 0, failed: 0 };
+    for (const [userId, notifications] of byUser) {
+      try {
+        const ids = notifications.map(notification => notification.id);
+        const user = await User.findByPk(userId, { attributes: ['email', 'firstName', 'language', 'isActive'] });
+        if (user && user.isActive && user.email) {
+          const sent = await emailService.sendNotificationDigestEmail(user, notifications.slice(0, maxDigestItems), {
+            total: notifications.length
+          });
+          if (!sent.success) {
+            // Stays queued, for a later run
+            result.failed++;
+            await this.postpone(notifications, now);
+            continue;
+          }
+          result.users++;
+          result.notifications += notifications.length;
+        }
+        await Notification.update({ emailStatus: 'sent' }, { where: { id: { [Op.in]: ids } } });
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Notification digest failed for user ${userId}:`, error.message);
+        try {
+          await this.postpone(notifications, now);
+        } catch (postponeError) {
+          console.error(`❌ Could not postpone the digest for user ${userId}:`, postponeError.message);
+        }
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = new NotificationDigestService();
@@ -1,6 +1,8 @@
 const { Notification, NotificationPreference, User, Order, OrderItem, Product } = require('../models');
 const { Op } = require('sequelize');
 const emailService = require('./emailService');
+const notificationDigestService = require('./notificationDigestService');
+const { DELIVERY_MODES } = require('../config/notificationDelivery');
 
 class NotificationService {
   constructor(io) {
@@ -14,7 +16,7 @@ class NotificationService {
       // Get notification type preferences
       const preferences = await NotificationPreference.findAll({
         where: { userId },
-        attributes: ['type', 'enabled', 'emailEnabled', 'soundEnabled', 'toastEnabled']
+        attributes: ['type', 'enabled', 'emailEnabled', 'soundEnabled', 'toastEnabled', 'deliveryMode', 'quietHoursStart', 'quietHoursEnd']
       });
 
       const preferencesMap = {};
@@ -23,7 +25,10 @@ class NotificationService {
           enabled: pref.enabled,
           emailEnabled: pref.emailEnabled,
           soundEnabled: pref.soundEnabled,
-          toastEnabled: pref.toastEnabled
+          toastEnabled: pref.toastEnabled,
+          deliveryMode: pref.deliveryMode,
+          quietHoursStart: pref.quietHoursStart,
+          quietHoursEnd: pref.quietHoursEnd
         };
       });
 
@@ -80,19 +85,25 @@ class NotificationService {
       // Send real-time notification
       await this.sendRealTimeNotification(notification, userId);
 
-      // Send email notification if user has email enabled for this type
+      // Send email notification if user has email enabled for this type,
+      // unless it waits for a digest or the end of the user's quiet hours
       if (userId) {
         try {
           const preferences = await this.getUserPreferences(userId);
-          if (preferences[type]?.emailEnabled) {
-            const notifUser = await User.findByPk(userId, { attributes: ['email', 'firstName', 'lastName'] });
+          const scheduledFor = preferences[type]?.emailEnabled
+            ? notificationDigestService.getScheduledDelivery(preferences[type], priority)
+            : null;
+          if (scheduledFor) {
+            await notificationDigestService.queue(notification, scheduledFor);
+          } else if (preferences[type]?.emailEnabled) {
+            const notifUser = await User.findByPk(userId, { attributes: ['email', 'firstName', 'lastName', 'language'] });
             if (notifUser?.email) {
               await emailService.sendNotificationEmail(
                 notifUser.email,
                 notifUser.firstName || 'Client',
                 title,
                 message,
-                { priority }
+                { priority, language: notifUser.language }
               );
             }
           }
@@ -472,7 +483,10 @@ class NotificationService {
           enabled: settings.enabled,
           emailEnabled: settings.emailEnabled || false,
           soundEnabled: settings.soundEnabled !== false,
-          toastEnabled: settings.toastEnabled !== false
+          toastEnabled: settings.toastEnabled !== false,
+          deliveryMode: DELIVERY_MODES.includes(settings.deliveryMode) ? settings.deliveryMode : 'instant',
+          quietHoursStart: settings.quietHoursStart || null,
+          quietHoursEnd: settings.quietHoursEnd || null
         });
       }
 
@@ -500,7 +514,8 @@ class NotificationService {
         'inventory_low_stock', 'inventory_out_of_stock', 'inventory_restored',
         'user_registration', 'user_vip_login', 'user_verification',
         'revenue_milestone', 'system_error', 'system_performance',
-        'payment_failure', 'refund_request', 'membership'
+        'payment_failure', 'refund_request', 'membership', 'cart_recovery',
+        'product_back_in_stock', 'product_price_drop'
       ];
 
       for (const type of defaultTypes) {
@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const ExcelJS = require('exceljs');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const OrderRefund = require('../models/OrderRefund');
+const User = require('../models/User');
+const { createHttpError } = require('../utils/httpError');
+const { formatCsvLine } = require('../utils/csv');
+
+// Import models index to ensure associations are loaded
+require('../models/index');
+
+const EXPORT_BATCH_SIZE = 200;
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+const toNumber = (value) => (value === null || value === undefined || value === '' ? '' : Number(value));
+
+// Every column an export can contain. Item columns are only filled in
+// per-item mode; order columns repeat on each line of the same order.
+const COLUMNS = [
+  { key: 'orderId', header: 'Order ID', value: (order) => order.id },
+  { key: 'orderNumber', header: 'Order Number', value: (order) => order.orderNumber },
+  { key: 'createdAt', header: 'Created At', value: (order) => formatDate(order.createdAt) },
+  { key: 'status', header: 'Status', value: (order) => order.status },
+  { key: 'paymentStatus', header: 'Payment Status', value: (order) => order.paymentStatus },
+  { key: 'paymentMethod', header: 'Payment Method', value: (order) => order.paymentMethod },
+  { key: 'paymentTransactionId', header: 'Payment ID', value: (order) => order.paymentTransactionId || '' },
+  { key: 'customerName', header: 'Customer Name', value: (order) => `${order.customerFirstName || ''} ${order.customerLastName || ''}`.trim() },
+  { key: 'customerEmail', header: 'Customer Email', value: (order) => order.customerEmail },
+  { key: 'customerPhone', header: 'Customer Phone', value: (order) => order.customerPhone || '' },
+  { key: 'billingAddress', header: 'Billing Address', value: (order) => order.billingAddress || '' },
+  { key: 'billingCity', header: 'Billing City', value: (order) => order.billingCity || '' },
+  { key: 'billingPostalCode', header: 'Billing Postal Code', value: (order) => order.billingPostalCode || '' },
+  { key: 'billingCountry', header: 'Billing Country', value: (order) => order.billingCountry || '' },
+  { key: 'shippingAddress', header: 'Shipping Address', value: (order) => order.shippingAddress || '' },
+  { key: 'shippingCity', header: 'Shipping City', value: (order) => order.shippingCity || '' },
+  { key: 'shippingPostalCode', header: 'Shipping Postal Code', value: (order) => order.shippingPostalCode || '' },
+  { key: 'shippingCountry', header: 'Shipping Country', value: (order) => order.shippingCountry || '' },
+  { key: 'shippingMethod', header: 'Shipping Method', value: (order) => order.shippingMethod || '' },
+  { key: 'trackingNumber', header: 'Tracking Number', value: (order) => order.trackingNumber || '' },
+  { key: 'itemCount', header: 'Items Count', value: (order) => (order.orderItems || []).reduce((sum, item) => sum + item.quantity, 0) },
+  { key: 'subtotal', header: 'Subtotal', value: (order) => toNumber(order.subtotal) },
+  { key: 'discountAmount', header: 'Discount', value: (order) => toNumber(order.discountAmount) },
+  { key: 'couponCode', header: 'Coupon Code', value: (order) => order.couponCode || '' },
+  { key: 'taxAmount', header: 'Tax', value: (order) => toNumber(order.taxAmount) },
+  { key: 'shippingAmount', header: 'Shipping', value: (order) => toNumber(order.shippingAmount) },
+  { key: 'totalAmount', header: 'Total Amount', value: (order) => toNumber(order.totalAmount) },
+  { key: 'refundedAmount', header: 'Refunded Amount', value: (order) => toNumber(order.refundedAmount || 0) },
+  { key: 'refundCount', header: 'Refunds', value: (order) => (order.refunds || []).length },
+  { key: 'lastRefundAt', header: 'Last Refund At', value: (order) => formatDate((order.refunds || []).reduce((last, refund) => (!last || new Date(refund.createdAt) > new Date(last) ? refund.createdAt : last), null)) },
+  { key: 'itemSku', header: 'Item SKU', item: true, value: (order, item) => item.productSku },
+  { key: 'itemName', header: 'Item Name', item: true, value: (order, item) => item.productName },
+  { key: 'itemOptions', header: 'Item Options', item: true, value: (order, item) => Object.values(item.variantOptions || {}).join(' / ') },
+  { key: 'itemQuantity', header: 'Item Quantity', item: true, value: (order, item) => item.quantity },
+  { key: 'itemUnitPrice', header: 'Item Unit Price', item: true, value: (order, item) => toNumber(item.unitPrice) },
+  { key: 'itemDiscount', header: 'Item Discount', item: true, value: (order, item) => toNumber(item.discountAmount || 0) },
+  { key: 'itemTotal', header: 'Item Total', item: true, value: (order, item) => toNumber(item.totalPrice) },
+  { key: 'itemRefundedQuantity', header: 'Item Refunded Quantity', item: true, value: (order, item) => item.refundedQuantity || 0 }
+];
+
+const DEFAULT_COLUMNS = [
+  'orderNumber', 'createdAt', 'status', 'paymentStatus', 'customerName', 'customerEmail',
+  'shippingCity', 'subtotal', 'discountAmount', 'taxAmount', 'shippingAmount', 'totalAmount', 'refundedAmount'
+];
+const DEFAULT_ITEM_COLUMNS = [
+  'orderNumber', 'createdAt', 'status', 'customerName', 'itemSku', 'itemName', 'itemOptions',
+  'itemQuantity', 'itemUnitPrice', 'itemDiscount', 'itemTotal', 'taxAmount', 'shippingAmount', 'totalAmount'
+];
+
+class OrderExportService {
+  /**
+   * Build the Order where clause and includes for the admin order filters.
+   * Shared by GET /api/admin/orders and the export so both list the same orders.
+   * @param {object} filters - { status, search, startDate, endDate, minAmount, maxAmount }
+   * @returns {object} - { where, userInclude }
+   */
+  buildOrderQuery({ status, search, startDate, endDate, minAmount, maxAmount } = {}) {
+    const where = {};
+    if (status && status !== 'all') {
+      where.status = status;
+    }
+    if (startDate || endDate) {
+      where.createdAt = {
+        ...(startDate && { [Op.gte]: new Date(startDate) }),
+        ...(endDate && { [Op.lte]: new Date(endDate) })
+      };
+    }
+    if (minAmount || maxAmount) {
+      where.totalAmount = {
+        ...(minAmount && { [Op.gte]: parseFloat(minAmount) }),
+        ...(maxAmount && { [Op.lte]: parseFloat(maxAmount) })
+      };
+    }
+
+    const userInclude = {
+      model: User,
+      as: 'user',
+      attributes: ['firstName', 'lastName', 'email']
+    };
+    if (search) {
+      userInclude.where = {
+        [Op.or]: [
+          { firstName: { [Op.like]: `%${search}%` } },
+          { lastName: { [Op.like]: `%${search}%` } },
+          { email: { [Op.like]: `%${search}%` } }
+        ]
+      };
+    }
+
+    return { where, userInclude };
+  }
+
+  /**
+   * Export columns the admin can pick from.
+   */
+  getAvailableColumns() {
+    return COLUMNS.map(({ key, header, item }) => ({ key, header, perItem: Boolean(item) }));
+  }
+
+  /**
+   * Resolve the requested column keys, falling back to the defaults of the mode.
+   * Item columns need per-item mode.
+   * @param {Array|null} keys - Requested column keys
+   * @param {boolean} perItem - One row per order line
+   * @returns {Array} - Column definitions
+   */
+  resolveColumns(keys, perItem = false) {
+    const requested = keys && keys.length > 0 ? keys : (perItem ? DEFAULT_ITEM_COLUMNS : DEFAULT_COLUMNS);
+
+    return requested.map(key => {
+      const column = COLUMNS.find(candidate => candidate.key === key);
+      if (!column) {
+        throw createHttpError(`Colonne inconnue : ${key}`);
+      }
+      if (column.item && !perItem) {
+        throw createHttpError(`La colonne ${key} nécessite l'export par article`);
+      }
+      return column;
+    });
+  }
+
+  /**
+   * Rows for one order: a single row, or one per line item.
+   */
+  buildRows(order, columns, perItem = false) {
+    if (!perItem) {
+      return [columns.map(column => column.value(order))];
+    }
+    return (order.orderItems || []).map(item => columns.map(column => column.value(order, item)));
+  }
+
+  /**
+   * Load matching orders in batches so large exports never sit in memory
+   * all at once.
+   */
+  async *iterateOrders(filters) {
+    const { where, userInclude } = this.buildOrderQuery(filters);
+    let offset = 0;
+
+    while (true) {
+      const orders = await Order.findAll({
+        where,
+        include: [
+          userInclude,
+          { model: OrderItem, as: 'orderItems' },
+          { model: OrderRefund, as: 'refunds', attributes: ['id', 'amount', 'createdAt'], where: { status: 'succeeded' }, required: false }
+        ],
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE,
+        offset
+      });
+
+      for (const order of orders) {
+        yield order;
+      }
+      if (orders.length < EXPORT_BATCH_SIZE) return;
+      offset += EXPORT_BATCH_SIZE;
+    }
+  }
+
+  /**
+   * Stream a CSV export to a writable stream (an Express response).
+   * @param {object} stream - Writable stream
+   * @param {object} filters - Admin order filters
+   * @param {object} options - { columns, perItem, delimiter }
+   * @returns {number} - Rows written
+   */
+  async writeCsv(stream, filters, { columns, perItem = false, delimiter = ',' } = {}) {
+    const line = (values) => formatCsvLine(values, delimiter);
+    let rowCount = 0;
+
+    // BOM so Excel opens accented names correctly
+    stream.write('\uFEFF' + line(columns.map(column => column.header)));
+    for await (const order of this.iterateOrders(filters)) {
+      for (const row of this.buildRows(order, columns, perItem)) {
+        if (!stream.write(line(row))) {
+          await new Promise(resolve => stream.once('drain', resolve));
+        }
+        rowCount++;
+      }
+    }
+    stream.end();
+
+    return rowCount;
+  }
+
+  /**
+   * Stream an XLSX export to a writable stream (an Express response).
+   * @returns {number} - Rows written
+   */
+  async writeXlsx(stream, filters, { columns, perItem = false } = {}) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet(perItem ? 'Articles' : 'Commandes');
+    sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    let rowCount = 0;
+
+    for await (const order of this.iterateOrders(filters)) {
+      for (const row of this.buildRows(order, columns, perItem)) {
+        sheet.addRow(row).commit();
+        rowCount++;
+      }
+    }
+    sheet.commit();
+    await workbook.commit();
+
+    return rowCount;
+  }
+}
+
+module.exports = new OrderExportService();
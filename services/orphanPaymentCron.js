@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const stripeWebhookService = require('./stripeWebhookService');
+
+function startOrphanPaymentCheck() {
+  // Run every 10 minutes
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      const { resolved, refunded, flagged } = await stripeWebhookService.resolveOrphanPayments();
+      if (resolved || refunded || flagged) {
+        console.log(`💳 Orphan payments: ${resolved} matched, ${refunded} refunded, ${flagged} flagged`);
+      }
+    } catch (error) {
+      console.error('❌ Orphan payment check error:', error);
+    }
+  });
+
+  console.log('💳 Orphan payment check cron scheduled (every 10 minutes)');
+}
+
+module.exports = { startOrphanPaymentCheck };
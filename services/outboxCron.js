@@ -0,0 +1,30 @@
+const cron = require('node-cron');
+const outboxService = require('./outboxService');
+
+function startOutbox() {
+  // Retry failed emails and SMS every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { sent, retrying, dead } = await outboxService.processDue();
+      if (sent > 0 || retrying > 0 || dead > 0) {
+        console.log(`📤 Outbox: ${sent} sent, ${retrying} to retry, ${dead} dead-lettered`);
+      }
+    } catch (error) {
+      console.error('❌ Outbox cron error:', error);
+    }
+  });
+
+  // Forget old sent messages daily at 3:30 AM
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const purged = await outboxService.purgeSent();
+      console.log(`🧹 Outbox cleanup: ${purged} sent messages deleted`);
+    } catch (error) {
+      console.error('❌ Outbox cleanup error:', error);
+    }
+  });
+
+  console.log('📤 Outbox cron scheduled (retries every minute, cleanup daily at 3:30 AM)');
+}
+
+module.exports = { startOutbox };
@@ -0,0 +1,261 @@
+const { Op } = require('sequelize');
+const OutboundMessage = require('../models/OutboundMessage');
+const { getTransport } = require('./transports');
+const { SENSITIVE_CATEGORIES, maxAttempts, retryDelaysMinutes, expiryMinutes, staleSendingMinutes, retentionDays } = require('../config/outbox');
+const { createHttpError } = require('../utils/httpError');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const BATCH_SIZE = 100;
+const RESENDABLE_STATUSES = ['pending', 'dead'];
+
+class OutboxService {
+  /**
+   * Whether messages of a channel can go out at all (provider credentials
+   * set, or a file/memory transport).
+   */
+  isEnabled(channel) {
+    return getTransport(channel).isConfigured();
+  }
+
+  /**
+   * Milliseconds to wait after a failed attempt.
+   * @param {number} attempts - Attempts made so far
+   */
+  getRetryDelay(attempts) {
+    const index = Math.min(attempts, retryDelaysMinutes.length) - 1;
+    return retryDelaysMinutes[Math.max(index, 0)] * MINUTE_MS;
+  }
+
+  /**
+   * Whether the code or link a message carries no longer works.
+   * @param {object} message - OutboundMessage instance
+   * @param {Date} at
+   */
+  isExpired(message, at = new Date()) {
+    return Boolean(message.expiresAt) && new Date(message.expiresAt) <= at;
+  }
+
+  /**
+   * Store a message and try to send it right away. When that attempt fails
+   * the message stays in the outbox and services/outboxCron.js retries it.
+   * @param {string} channel - 'email' or 'sms'
+   * @param {object} payload - What the transport sends; `to` is the recipient
+   * @param {object} options - { category }
+   * @returns {object} - { message, error } where error is the failure of the first attempt, if any
+   */
+  async send(channel, payload, { category = null } = {}) {
+    const ttl = expiryMinutes[category];
+    const message = await OutboundMessage.create({
+      channel,
+      category,
+      recipient: payload.to,
+      subject: payload.subject || null,
+      payload,
+      status: 'sending',
+      maxAttempts,
+      nextAttemptAt: new Date(),
+      expiresAt: ttl ? new Date(Date.now() + ttl * MINUTE_MS) : null
+    });
+
+    const error = await this.attempt(message);
+    return { message, error };
+  }
+
+  /**
+   * One delivery attempt of a message the caller marked 'sending'. On
+   * failure the message is scheduled for a retry, or dead-lettered once out
+   * of attempts, when the provider refused it for good or when its code
+   * would have expired by the next attempt.
+   * @param {object} message - OutboundMessage instance
+   * @returns {Error|null} - The failure, null when sent
+   */
+  async attempt(message) {
+    const transport = getTransport(message.channel);
+    const attempts = message.attempts + 1;
+
+    try {
+      const { providerMessageId } = await transport.send(message);
+      await message.update({
+        status: 'sent',
+        attempts,
+        transport: transport.name,
+        providerMessageId,
+        sentAt: new Date(),
+        nextAttemptAt: null,
+        lastError: null
+      });
+      return null;
+    } catch (error) {
+      const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+      const dead = Boolean(error.permanent) || attempts >= message.maxAttempts || this.isExpired(message, nextAttemptAt);
+      await message.update({
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        transport: transport.name,
+        lastError: String(error.message || error).slice(0, 1000),
+        nextAttemptAt: dead ? null : nextAttemptAt
+      });
+      console.error(`❌ Outbound ${message.channel} ${message.id} failed (attempt ${attempts}/${message.maxAttempts}${dead ? ', dead-lettered' : ''}):`, error.message);
+      return error;
+    }
+  }
+
+  /**
+   * Retry the messages whose next attempt is due. Run by services/outboxCron.js.
+   * @param {Date} now
+   * @returns {object} - { sent, retrying, dead }
+   */
+  async processDue(now = new Date()) {
+    // Attempts cut short by a restart never recorded their outcome
+    await OutboundMessage.update({ status: 'pending' }, {
+      where: {
+        status: 'sending',
+        updatedAt: { [Op.lt]: new Date(now.getTime() - staleSendingMinutes * MINUTE_MS) }
+      }
+    });
+
+    const due = await OutboundMessage.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: now }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    const result = { sent: 0, retrying: 0, dead: 0 };
+    for (const message of due) {
+      // Claim it first: another instance may run the same job
+      const [claimed] = await OutboundMessage.update({ status: 'sending' }, {
+        where: { id: message.id, status: 'pending' }
+      });
+      if (!claimed) continue;
+      message.status = 'sending';
+
+      // e.g. a send cut short by a restart, picked up after the code expired
+      if (this.isExpired(message, now)) {
+        await message.update({ status: 'dead', nextAttemptAt: null, lastError: 'Expiré avant l\'envoi' });
+        result.dead++;
+        continue;
+      }
+
+      const error = await this.attempt(message);
+      if (!error) {
+        result.sent++;
+      } else if (message.status === 'dead') {
+        result.dead++;
+      } else {
+        result.retrying++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Send a failed message again, with a fresh set of attempts.
+   * @param {string} id - OutboundMessage id
+   * @returns {object} - { message, error }
+   */
+  async resend(id) {
+    const message = await OutboundMessage.findByPk(id);
+    if (!message) {
+      throw createHttpError('Message non trouvé', 404);
+    }
+    if (this.isExpired(message)) {
+      throw createHttpError('Le code ou le lien de ce message a expiré : le client doit en demander un nouveau', 409);
+    }
+
+    const [claimed] = await OutboundMessage.update({ status: 'sending', attempts: 0, maxAttempts, nextAttemptAt: new Date() }, {
+      where: { id, status: { [Op.in]: RESENDABLE_STATUSES } }
+    });
+    if (!claimed) {
+      throw createHttpError(message.status === 'sent'
+        ? 'Ce message a déjà été envoyé'
+        : 'Ce message est en cours d\'envoi', 409);
+    }
+    await message.reload();
+
+    const error = await this.attempt(message);
+    return { message, error };
+  }
+
+  /**
+   * One message for the admin.
+   * @param {string} id - OutboundMessage id
+   * @returns {object} - See toAdminJSON()
+   */
+  async get(id) {
+    const message = await OutboundMessage.findByPk(id);
+    if (!message) {
+      throw createHttpError('Message non trouvé', 404);
+    }
+    return this.toAdminJSON(message);
+  }
+
+  /**
+   * A message as admins see it. Verification codes and password-reset links
+   * would let whoever reads them into the customer's account, so the payload
+   * of those categories is left out.
+   * @param {object} message - OutboundMessage instance
+   * @returns {object}
+   */
+  toAdminJSON(message) {
+    const data = message.toJSON();
+    if (SENSITIVE_CATEGORIES.includes(message.category)) {
+      data.payload = null;
+      data.payloadHidden = true;
+    }
+    return data;
+  }
+
+  /**
+   * Messages for the admin, newest first, without their payload.
+   * @param {object} filters - { status, channel, category, recipient, page, limit }
+   * @returns {object} - { messages, counts, pagination }
+   */
+  async list({ status, channel, category, recipient, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (channel) where.channel = channel;
+    if (category) where.category = category;
+    if (recipient) where.recipient = { [Op.iLike]: `%${recipient}%` };
+
+    const [{ count, rows }, byStatus] = await Promise.all([
+      OutboundMessage.findAndCountAll({
+        where,
+        attributes: { exclude: ['payload'] },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      }),
+      OutboundMessage.count({ group: ['status'] })
+    ]);
+
+    return {
+      messages: rows,
+      counts: Object.fromEntries(byStatus.map(row => [row.status, Number(row.count)])),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Delete sent messages older than the retention period.
+   * @returns {number} - Deleted messages
+   */
+  async purgeSent(now = new Date()) {
+    return OutboundMessage.destroy({
+      where: {
+        status: 'sent',
+        sentAt: { [Op.lt]: new Date(now.getTime() - retentionDays * DAY_MS) }
+      }
+    });
+  }
+}
+
+module.exports = new OutboxService();
@@ -81,7 +81,16 @@ class PaymentProcessorService {
    * Retrieve a PaymentIntent to verify its status.
    */
   async retrievePaymentIntent(paymentIntentId) {
-    return this.getStripe().paymentIntents.retrieve(paymentIntentId);
+    // latest_charge.amount_refunded tells a refunded payment apart, as the
+    // PaymentIntent itself stays 'succeeded'
+    return this.getStripe().paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+  }
+
+  /**
+   * Cancel a PaymentIntent that must not be paid (e.g. stock could not be held).
+   */
+  async cancelPaymentIntent(paymentIntentId) {
+    return this.getStripe().paymentIntents.cancel(paymentIntentId);
   }
 
   // ---------------------------------------------------------------------------
@@ -168,13 +177,29 @@ class PaymentProcessorService {
    * Refund a payment (full or partial).
    * @param {string} paymentIntentId
    * @param {number|null} amount - null for full refund, or amount in centimes
+   * @param {object} options - { orderRefundId } of the OrderRefund row being issued
    */
-  async refundPayment(paymentIntentId, amount = null) {
-    const params = { payment_intent: paymentIntentId };
+  async refundPayment(paymentIntentId, amount = null, { orderRefundId = null } = {}) {
+    const params = {
+      payment_intent: paymentIntentId,
+      // Lets the charge.refunded webhook skip refunds the backend already recorded
+      metadata: { source: 'backend', ...(orderRefundId && { orderRefundId }) }
+    };
     if (amount) {
       params.amount = Math.round(amount);
     }
-    return this.getStripe().refunds.create(params);
+    // Retrying the same order refund never refunds the customer twice
+    const requestOptions = orderRefundId ? [{ idempotencyKey: `order-refund-${orderRefundId}` }] : [];
+    return this.getStripe().refunds.create(params, ...requestOptions);
+  }
+
+  /**
+   * List the refunds issued on a PaymentIntent, wherever they were created
+   * (backend or Stripe dashboard).
+   */
+  async listRefunds(paymentIntentId) {
+    const refunds = await this.getStripe().refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+    return refunds.data;
   }
 
   // ---------------------------------------------------------------------------
@@ -0,0 +1,200 @@
+const Product = require('../models/Product');
+const couponService = require('./couponService');
+const seasonalService = require('./seasonalService');
+const loyaltyService = require('./loyaltyService');
+const productVariantService = require('./productVariantService');
+const shippingService = require('./shippingService');
+const cashOnDeliveryService = require('./cashOnDeliveryService');
+const { DEFAULT_METHOD } = require('../config/shipping');
+const { createHttpError } = require('../utils/httpError');
+
+const VAT_RATE = 0.20;
+const PRIME_DISCOUNT_RATE = 0.05;
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+class PricingService {
+  /**
+   * Whether the user currently has an active UMOD Prime membership.
+   */
+  isPrimeMember(user) {
+    return Boolean(user &&
+      user.membershipStatus === 'active' &&
+      user.membershipExpiresAt &&
+      new Date(user.membershipExpiresAt) > new Date());
+  }
+
+  /**
+   * Resolve and price the cart items, checking availability and stock.
+   * @param {Array<object>} items - [{ productId, variantId, quantity }]
+   * @returns {object} - { lines, subtotal }
+   */
+  async priceLines(items = []) {
+    if (!items.length) {
+      throw createHttpError('Au moins un produit est requis');
+    }
+
+    const lines = [];
+    let subtotal = 0;
+
+    for (const item of items) {
+      const product = await Product.findByPk(item.productId);
+      if (!product || product.isActive === false) {
+        throw createHttpError(`Produit ${item.productId} non trouvé`);
+      }
+
+      const variant = await productVariantService.resolveVariant(product, item.variantId);
+      if (productVariantService.getAvailableStock(product, variant) < item.quantity) {
+        throw createHttpError(`Stock insuffisant pour ${productVariantService.getDisplayName(product, variant)}`);
+      }
+
+      const unitPrice = roundMoney(productVariantService.getUnitPrice(product, variant));
+      const totalPrice = roundMoney(unitPrice * item.quantity);
+      subtotal += totalPrice;
+      lines.push({ product, variant, quantity: item.quantity, unitPrice, totalPrice });
+    }
+
+    return { lines, subtotal: roundMoney(subtotal) };
+  }
+
+  /**
+   * Price a checkout from the cart items. This is the single source of truth
+   * for what the customer pays: the PaymentIntent amount and the order totals
+   * are both derived from it.
+   * @param {object} params - { user, items: [{ productId, variantId, quantity }], couponCode, voucherCode,
+   *   shippingCity, shippingMethod, paymentMethod }
+   * @returns {object} - { lines, subtotal, taxAmount, shipping, shippingAmount, primeDiscount,
+   *   campaign, campaignDiscountAmount, coupon, couponDiscountAmount, discountAmount,
+   *   voucher, voucherAmount, codFee, totalAmount, amountInCentimes, isMember }
+   */
+  async quote({
+    user,
+    items = [],
+    couponCode = null,
+    voucherCode = null,
+    shippingCity = null,
+    shippingMethod = DEFAULT_METHOD,
+    paymentMethod = null
+  }) {
+    const { lines, subtotal } = await this.priceLines(items);
+
+    const isMember = this.isPrimeMember(user);
+
+    const couponResult = couponCode
+      ? await couponService.validateCoupon(couponCode, { userId: user.id, items: lines, subtotal })
+      : null;
+
+    const voucher = voucherCode
+      ? await loyaltyService.getUsableVoucher(user.id, voucherCode)
+      : null;
+
+    const taxAmount = roundMoney(subtotal * VAT_RATE);
+    const shipping = shippingService.getRate(shippingMethod, {
+      city: shippingCity,
+      lines,
+      subtotal,
+      isMember,
+      freeShipping: Boolean(couponResult?.freeShipping)
+    });
+    const shippingAmount = shipping.amount;
+
+    const primeDiscount = isMember ? roundMoney(subtotal * PRIME_DISCOUNT_RATE) : 0;
+    // Extra Prime discount from the running seasonal campaign (e.g. Ramadan +3%)
+    const { campaign, discountAmount: campaignDiscountAmount } = await seasonalService.getCampaignDiscount(subtotal, isMember);
+    const couponDiscountAmount = couponResult ? couponResult.discountAmount : 0;
+    const discountAmount = roundMoney(Math.min(primeDiscount + campaignDiscountAmount + couponDiscountAmount, subtotal));
+
+    const totalBeforeVoucher = roundMoney(subtotal + taxAmount + shippingAmount - discountAmount);
+    // A voucher is spent in one go; any value above the order total is lost
+    const voucherAmount = voucher ? roundMoney(Math.min(Number(voucher.amount), totalBeforeVoucher)) : 0;
+    const totalBeforeFee = roundMoney(totalBeforeVoucher - voucherAmount);
+    // Paying cash adds the courier's collection fee, within the COD cap
+    const codFee = paymentMethod === 'cash_on_delivery' ? cashOnDeliveryService.getFee(shippingCity, totalBeforeFee) : 0;
+    const totalAmount = roundMoney(totalBeforeFee + codFee);
+
+    return {
+      lines,
+      subtotal,
+      taxAmount,
+      shipping,
+      shippingAmount,
+      primeDiscount,
+      campaign,
+      campaignDiscountAmount,
+      coupon: couponResult,
+      couponDiscountAmount,
+      discountAmount,
+      voucher,
+      voucherAmount,
+      codFee,
+      totalAmount,
+      amountInCentimes: Math.round(totalAmount * 100),
+      isMember
+    };
+  }
+
+  /**
+   * Shipping options for the cart items delivered to a city.
+   * @param {object} params - { user, items, city }
+   * @returns {object} - { subtotal, weight (grams), rates }
+   */
+  async getShippingRates({ user = null, items = [], city = null }) {
+    const { lines, subtotal } = await this.priceLines(items);
+
+    return {
+      subtotal,
+      weight: shippingService.getParcelWeight(lines),
+      rates: shippingService.getRates({ city, lines, subtotal, isMember: this.isPrimeMember(user) })
+    };
+  }
+
+  /**
+   * Shape a quote for API responses.
+   */
+  formatQuote(quote) {
+    return {
+      items: quote.lines.map(line => ({
+        productId: line.product.id,
+        variantId: line.variant ? line.variant.id : null,
+        name: productVariantService.getDisplayName(line.product, line.variant),
+        sku: line.variant ? line.variant.sku : line.product.sku,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        totalPrice: line.totalPrice
+      })),
+      subtotal: quote.subtotal,
+      taxAmount: quote.taxAmount,
+      shippingAmount: quote.shippingAmount,
+      shipping: {
+        method: quote.shipping.method,
+        label: quote.shipping.label,
+        zone: quote.shipping.zone,
+        minDays: quote.shipping.minDays,
+        maxDays: quote.shipping.maxDays,
+        estimatedDeliveryDate: quote.shipping.estimatedDeliveryDate
+      },
+      primeDiscount: quote.primeDiscount,
+      campaign: quote.campaign
+        ? { id: quote.campaign.id, name: quote.campaign.name, discountAmount: quote.campaignDiscountAmount }
+        : null,
+      coupon: quote.coupon
+        ? {
+          code: quote.coupon.coupon.code,
+          type: quote.coupon.coupon.type,
+          discountAmount: quote.couponDiscountAmount,
+          freeShipping: quote.coupon.freeShipping
+        }
+        : null,
+      voucher: quote.voucher
+        ? { code: quote.voucher.code, amount: quote.voucherAmount }
+        : null,
+      discountAmount: quote.discountAmount,
+      codFee: quote.codFee,
+      totalAmount: quote.totalAmount,
+      currency: 'MAD',
+      isMember: quote.isMember
+    };
+  }
+}
+
+module.exports = new PricingService();
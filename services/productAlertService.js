@@ -0,0 +1,275 @@
+const { Op } = require('sequelize');
+const ProductAlert = require('../models/ProductAlert');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const emailService = require('./emailService');
+const { createHttpError } = require('../utils/httpError');
+const {
+  TYPES,
+  backInStockCooldownHours,
+  minPriceDropPercent,
+  maxAlertsPerUserPerDay
+} = require('../config/productAlerts');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Notification type of each alert, also used to count what a customer got today
+const NOTIFICATION_TYPES = {
+  back_in_stock: 'product_back_in_stock',
+  price_drop: 'product_price_drop'
+};
+
+class ProductAlertService {
+  constructor() {
+    this.notificationService = null;
+  }
+
+  setNotificationService(ns) {
+    this.notificationService = ns;
+  }
+
+  // Price the customer pays, sale included
+  getPrice(product) {
+    return Number(product.getDiscountedPrice ? product.getDiscountedPrice() : product.price);
+  }
+
+  /**
+   * "Notify me" on a product page.
+   * @param {string} userId
+   * @param {string} productId
+   * @param {string} type - back_in_stock or price_drop
+   * @returns {object} - ProductAlert
+   */
+  async subscribe(userId, productId, type) {
+    if (!TYPES.includes(type)) {
+      throw createHttpError('Type d\'alerte invalide');
+    }
+
+    const product = await Product.findOne({ where: { id: productId, isActive: true } });
+    if (!product) {
+      throw createHttpError('Produit non trouvé ou inactif', 404);
+    }
+    if (type === 'back_in_stock' && product.stockQuantity > 0) {
+      throw createHttpError('Ce produit est déjà disponible');
+    }
+
+    const [alert, created] = await ProductAlert.findOrCreate({
+      where: { userId, productId, type },
+      defaults: { source: 'manual' }
+    });
+    // Asked for explicitly: keep it even if the product leaves the wishlist
+    if (!created && alert.source !== 'manual') {
+      await alert.update({ source: 'manual' });
+    }
+    return alert;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} alertId
+   */
+  async unsubscribe(userId, alertId) {
+    const deleted = await ProductAlert.destroy({ where: { id: alertId, userId } });
+    if (!deleted) {
+      throw createHttpError('Alerte non trouvée', 404);
+    }
+  }
+
+  async listForUser(userId) {
+    return ProductAlert.findAll({
+      where: { userId },
+      include: [{
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'name', 'price', 'isOnSale', 'salePercentage', 'mainImage', 'stockQuantity', 'isActive']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Wishlisted products get both alerts without asking.
+   * @param {string} userId
+   * @param {string} productId
+   */
+  async addWishlistAlerts(userId, productId) {
+    for (const type of TYPES) {
+      await ProductAlert.findOrCreate({
+        where: { userId, productId, type },
+        defaults: { source: 'wishlist' }
+      });
+    }
+  }
+
+  async removeWishlistAlerts(userId, productId) {
+    await ProductAlert.destroy({ where: { userId, productId, source: 'wishlist' } });
+  }
+
+  /**
+   * Alert after an admin edit: stock back from zero, or a lower price.
+   * @param {object} product - Updated Product instance
+   * @param {object} previous - { stockQuantity, price } before the edit; no
+   *   stockQuantity when the stock went through inventoryService.updateStock,
+   *   which sends the back-in-stock alerts itself
+   */
+  async handleProductChange(product, { stockQuantity, price }) {
+    if (stockQuantity !== undefined && stockQuantity <= 0 && product.stockQuantity > 0) {
+      await this.notifyBackInStock(product.id);
+    }
+    if (price !== undefined && this.getPrice(product) < price) {
+      await this.notifyPriceDrop(product.id, price);
+    }
+  }
+
+  /**
+   * Tell the customers waiting for a product that it can be ordered again.
+   * "Notify me" alerts are used once; wishlist ones wait for the next time.
+   * @param {string} productId
+   * @returns {object} - { notified }
+   */
+  async notifyBackInStock(productId) {
+    const product = await Product.findByPk(productId);
+    if (!product || !product.isActive || product.stockQuantity <= 0) {
+      return { notified: 0 };
+    }
+
+    const alerts = await ProductAlert.findAll({
+      where: {
+        productId,
+        type: 'back_in_stock',
+        [Op.or]: [
+          { lastNotifiedAt: null },
+          { lastNotifiedAt: { [Op.lt]: new Date(Date.now() - backInStockCooldownHours * HOUR_MS) } }
+        ]
+      },
+      include: [{ model: User, as: 'user', attributes: ['id', 'email', 'firstName', 'language', 'isActive'] }]
+    });
+
+    let notified = 0;
+    for (const alert of alerts) {
+      try {
+        const sent = await this.deliver(alert, product, {
+          title: `De retour en stock : ${product.name}`,
+          message: `${product.name} est de nouveau disponible. Commandez-le avant qu'il ne reparte !`
+        });
+        if (!sent) continue;
+
+        notified++;
+        if (alert.source === 'manual') {
+          await alert.destroy();
+        } else {
+          await alert.update({ lastNotifiedAt: new Date() });
+        }
+      } catch (error) {
+        console.error(`❌ Back-in-stock alert failed for user ${alert.userId}:`, error.message);
+      }
+    }
+    return { notified };
+  }
+
+  /**
+   * Tell the customers watching a product that it got cheaper. Each one hears
+   * about a given price once, and only about drops worth mentioning.
+   * @param {string} productId
+   * @param {number} previousPrice - Price before the change
+   * @returns {object} - { notified }
+   */
+  async notifyPriceDrop(productId, previousPrice) {
+    const product = await Product.findByPk(productId);
+    if (!product || !product.isActive) {
+      return { notified: 0 };
+    }
+
+    const price = this.getPrice(product);
+    const dropPercent = ((previousPrice - price) / previousPrice) * 100;
+    if (!(dropPercent >= minPriceDropPercent)) {
+      return { notified: 0 };
+    }
+
+    const alerts = await ProductAlert.findAll({
+      where: {
+        productId,
+        type: 'price_drop',
+        [Op.or]: [
+          { notifiedPrice: null },
+          { notifiedPrice: { [Op.gt]: price } }
+        ]
+      },
+      include: [{ model: User, as: 'user', attributes: ['id', 'email', 'firstName', 'language', 'isActive'] }]
+    });
+
+    let notified = 0;
+    for (const alert of alerts) {
+      try {
+        const sent = await this.deliver(alert, product, {
+          title: `Prix en baisse : ${product.name}`,
+          message: `${product.name} passe de ${previousPrice.toFixed(2)} DH à ${price.toFixed(2)} DH (-${Math.round(dropPercent)}%).`,
+          price,
+          previousPrice
+        });
+        if (!sent) continue;
+
+        notified++;
+        await alert.update({ lastNotifiedAt: new Date(), notifiedPrice: price });
+      } catch (error) {
+        console.error(`❌ Price-drop alert failed for user ${alert.userId}:`, error.message);
+      }
+    }
+    return { notified };
+  }
+
+  /**
+   * Email and in-app notification for one alert, unless the customer turned
+   * these alerts off or already got their share for the day.
+   * @returns {boolean} - Whether the customer was alerted
+   */
+  async deliver(alert, product, { title, message, price = null, previousPrice = null }) {
+    const user = alert.user;
+    const notificationType = NOTIFICATION_TYPES[alert.type];
+    if (!user || !user.isActive) {
+      return false;
+    }
+
+    const receivedToday = await Notification.count({
+      where: {
+        userId: user.id,
+        type: { [Op.in]: Object.values(NOTIFICATION_TYPES) },
+        createdAt: { [Op.gte]: new Date(Date.now() - 24 * HOUR_MS) }
+      }
+    });
+    if (receivedToday >= maxAlertsPerUserPerDay) {
+      return false;
+    }
+
+    if (this.notificationService) {
+      const preferences = await this.notificationService.getUserPreferences(user.id);
+      if (preferences[notificationType] && !preferences[notificationType].enabled) {
+        return false;
+      }
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    await emailService.sendProductAlertEmail(user, {
+      type: alert.type,
+      productName: product.name,
+      price: price !== null ? price : this.getPrice(product),
+      previousPrice,
+      productUrl: `${frontendUrl}/products/${product.id}`
+    });
+
+    if (this.notificationService) {
+      await this.notificationService.createNotification({
+        userId: user.id,
+        type: notificationType,
+        title,
+        message,
+        priority: 'low',
+        data: { productId: product.id, url: `/products/${product.id}` }
+      });
+    }
+    return true;
+  }
+}
+
+module.exports = new ProductAlertService();
@@ -0,0 +1,353 @@
+const sequelize = require('../config/database');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const inventoryService = require('./inventoryService');
+const productAlertService = require('./productAlertService');
+const { createHttpError } = require('../utils/httpError');
+const { formatCsvLine, parseCsv } = require('../utils/csv');
+
+// Import models index to ensure associations are loaded
+require('../models/index');
+
+const MAX_IMPORT_ROWS = 5000;
+const EXPORT_BATCH_SIZE = 500;
+const LIST_SEPARATOR = '|';
+
+// CSV columns in export order. The import accepts any subset as long as sku
+// is present; an empty cell leaves the current value untouched.
+const COLUMNS = [
+  'sku', 'name', 'description', 'shortDescription', 'price', 'originalPrice', 'stockQuantity',
+  'category', 'brand', 'tags', 'isActive', 'isFeatured', 'isOnSale', 'salePercentage',
+  'saleStartDate', 'saleEndDate', 'mainImage', 'images'
+];
+const REQUIRED_ON_CREATE = ['name', 'description', 'price', 'category'];
+
+const TRUE_VALUES = ['true', '1', 'oui', 'yes'];
+const FALSE_VALUES = ['false', '0', 'non', 'no'];
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+const isImageReference = (value) => /^https?:\/\/\S+$/.test(value) || /^products\/[^\s]+$/.test(value);
+
+class ProductCsvService {
+  /**
+   * Stream the whole catalog, inactive products included, as CSV.
+   * @param {object} stream - Writable stream (an Express response)
+   * @param {object} options - { delimiter }
+   * @returns {number} - Products written
+   */
+  async writeCatalogCsv(stream, { delimiter = ',' } = {}) {
+    let offset = 0;
+    let count = 0;
+
+    stream.write('\uFEFF' + formatCsvLine(COLUMNS, delimiter));
+    while (true) {
+      const products = await Product.findAll({
+        include: [{ model: Category, as: 'category', attributes: ['slug'] }],
+        order: [['sku', 'ASC']],
+        limit: EXPORT_BATCH_SIZE,
+        offset
+      });
+
+      for (const product of products) {
+        if (!stream.write(formatCsvLine(this.toRow(product), delimiter))) {
+          await new Promise(resolve => stream.once('drain', resolve));
+        }
+        count++;
+      }
+      if (products.length < EXPORT_BATCH_SIZE) break;
+      offset += EXPORT_BATCH_SIZE;
+    }
+    stream.end();
+
+    return count;
+  }
+
+  toRow(product) {
+    return [
+      product.sku,
+      product.name,
+      product.description,
+      product.shortDescription || '',
+      product.price,
+      product.originalPrice ?? '',
+      product.stockQuantity,
+      product.category?.slug || '',
+      product.brand || '',
+      (product.tags || []).join(LIST_SEPARATOR),
+      product.isActive,
+      product.isFeatured,
+      product.isOnSale,
+      product.salePercentage ?? '',
+      formatDate(product.saleStartDate),
+      formatDate(product.saleEndDate),
+      product.mainImage || '',
+      (product.images || []).join(LIST_SEPARATOR)
+    ];
+  }
+
+  /**
+   * Create or update products from CSV, matched by SKU. Each row is checked
+   * on its own; valid rows are applied and invalid ones reported, unless
+   * dryRun is set in which case nothing is written. The stock of existing
+   * products is only set with updateStock: an older export would otherwise
+   * undo every sale and restock made since.
+   * @param {string} csv - CSV text with a header row
+   * @param {object} options - { dryRun, updateStock, performedBy }
+   * @returns {object} - { dryRun, totalRows, created, updated, unchanged, failed, rows }
+   */
+  async importCsv(csv, { dryRun = false, updateStock = false, performedBy = null } = {}) {
+    const [header, ...records] = parseCsv(csv);
+    if (!header) {
+      throw createHttpError('Fichier CSV vide');
+    }
+
+    const columns = header.map(name => name.trim());
+    const unknown = columns.filter(name => !COLUMNS.includes(name));
+    if (unknown.length > 0) {
+      throw createHttpError(`Colonnes inconnues : ${unknown.join(', ')}`);
+    }
+    if (!columns.includes('sku')) {
+      throw createHttpError('La colonne sku est obligatoire');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw createHttpError(`Maximum ${MAX_IMPORT_ROWS} produits par import`);
+    }
+
+    const entries = records.map((cells, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(columns.map((name, position) => [name, this.cleanCell(cells[position])]))
+    }));
+
+    const skus = entries.map(entry => entry.values.sku).filter(Boolean);
+    const slugs = [...new Set(entries.map(entry => entry.values.category).filter(Boolean))];
+    const [products, categories] = await Promise.all([
+      skus.length > 0 ? Product.findAll({ where: { sku: skus } }) : [],
+      slugs.length > 0 ? Category.findAll({ where: { slug: slugs }, attributes: ['id', 'slug'] }) : []
+    ]);
+    const productsBySku = new Map(products.map(product => [product.sku, product]));
+    const categoriesBySlug = new Map(categories.map(category => [category.slug, category]));
+
+    const seen = new Set();
+    const report = { dryRun, totalRows: entries.length, created: 0, updated: 0, unchanged: 0, failed: 0, rows: [] };
+
+    for (const { line, values } of entries) {
+      const existing = productsBySku.get(values.sku) || null;
+      const { data, errors } = this.parseRow(values, { existing, categoriesBySlug, updateStock });
+      if (values.sku && seen.has(values.sku)) {
+        errors.push('SKU en double dans le fichier');
+      }
+      seen.add(values.sku);
+
+      const result = { line, sku: values.sku || null };
+      if (errors.length > 0) {
+        report.failed++;
+        report.rows.push({ ...result, action: 'error', errors });
+        continue;
+      }
+
+      const changes = existing ? this.diff(existing, data) : data;
+      const action = !existing ? 'create' : Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+      if (action === 'unchanged' || dryRun) {
+        report[action === 'create' ? 'created' : action === 'update' ? 'updated' : 'unchanged']++;
+        report.rows.push({ ...result, action, ...(existing && { productId: existing.id }), ...(action === 'update' && { fields: Object.keys(changes) }) });
+        continue;
+      }
+
+      try {
+        const product = await this.applyRow(existing, changes, performedBy);
+        report[action === 'create' ? 'created' : 'updated']++;
+        report.rows.push({ ...result, action, productId: product.id, ...(action === 'update' && { fields: Object.keys(changes) }) });
+      } catch (error) {
+        report.failed++;
+        report.rows.push({ ...result, action: 'error', errors: [error.errors?.[0]?.message || error.message] });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Trim a cell and undo the formula guard added by the export.
+   */
+  cleanCell(value) {
+    const text = (value || '').trim();
+    return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+  }
+
+  /**
+   * Validate one row and convert it to Product attributes.
+   * @returns {object} - { data, errors }
+   */
+  parseRow(values, { existing, categoriesBySlug, updateStock = false }) {
+    const data = {};
+    const errors = [];
+    const has = (name) => values[name] !== undefined && values[name] !== '';
+
+    if (!values.sku) {
+      errors.push('SKU manquant');
+    }
+    if (!existing) {
+      for (const name of REQUIRED_ON_CREATE) {
+        if (!has(name)) errors.push(`${name} est obligatoire pour un nouveau produit`);
+      }
+    }
+
+    for (const name of ['name', 'description', 'shortDescription', 'brand']) {
+      if (has(name)) data[name] = values[name];
+    }
+    if (has('name') && (values.name.length < 2 || values.name.length > 200)) {
+      errors.push('Le nom doit contenir entre 2 et 200 caractères');
+    }
+    if (has('description') && (values.description.length < 10 || values.description.length > 2000)) {
+      errors.push('La description doit contenir entre 10 et 2000 caractères');
+    }
+
+    for (const name of ['price', 'originalPrice']) {
+      if (!has(name)) continue;
+      const amount = Number(values[name].replace(',', '.'));
+      if (!Number.isFinite(amount) || amount < 0) {
+        errors.push(`${name} doit être un nombre positif`);
+      } else {
+        data[name] = Math.round(amount * 100) / 100;
+      }
+    }
+
+    for (const [name, max] of [['stockQuantity', null], ['salePercentage', 100]]) {
+      if (!has(name)) continue;
+      const number = Number(values[name]);
+      if (!Number.isInteger(number) || number < 0 || (max !== null && number > max)) {
+        errors.push(max === null ? `${name} doit être un entier positif` : `${name} doit être un entier entre 0 et ${max}`);
+      } else {
+        data[name] = number;
+      }
+    }
+    if (existing && !updateStock) {
+      delete data.stockQuantity;
+    }
+    if (existing && existing.hasVariants && data.stockQuantity !== undefined && data.stockQuantity !== existing.stockQuantity) {
+      errors.push('Le stock de ce produit est géré par variante');
+    }
+
+    if (has('category')) {
+      const category = categoriesBySlug.get(values.category);
+      if (!category) {
+        errors.push(`Catégorie inconnue : ${values.category}`);
+      } else {
+        data.categoryId = category.id;
+      }
+    }
+
+    for (const name of ['isActive', 'isFeatured', 'isOnSale']) {
+      if (!has(name)) continue;
+      const flag = values[name].toLowerCase();
+      if (TRUE_VALUES.includes(flag)) data[name] = true;
+      else if (FALSE_VALUES.includes(flag)) data[name] = false;
+      else errors.push(`${name} doit valoir true ou false`);
+    }
+
+    for (const name of ['saleStartDate', 'saleEndDate']) {
+      if (!has(name)) continue;
+      const date = new Date(values[name]);
+      if (isNaN(date.getTime())) {
+        errors.push(`${name} n'est pas une date valide`);
+      } else {
+        data[name] = date;
+      }
+    }
+    const saleStart = data.saleStartDate || existing?.saleStartDate;
+    const saleEnd = data.saleEndDate || existing?.saleEndDate;
+    if (saleStart && saleEnd && new Date(saleEnd) < new Date(saleStart)) {
+      errors.push('La fin de promotion précède son début');
+    }
+
+    if (has('tags')) {
+      data.tags = values.tags.split(LIST_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+    }
+    if (has('images')) {
+      data.images = values.images.split(LIST_SEPARATOR).map(ref => ref.trim()).filter(Boolean);
+    }
+    if (has('mainImage')) {
+      data.mainImage = values.mainImage;
+    }
+    const imageRefs = [...(data.images || []), ...(data.mainImage ? [data.mainImage] : [])];
+    if (imageRefs.some(ref => !isImageReference(ref))) {
+      errors.push('Les images doivent être des URL http(s) ou des clés products/...');
+    }
+
+    if (!existing) {
+      data.sku = values.sku;
+    }
+
+    return { data, errors };
+  }
+
+  /**
+   * Attributes of data that differ from the stored product.
+   */
+  diff(product, data) {
+    const normalize = (value) => {
+      if (value instanceof Date) return value.getTime();
+      if (Array.isArray(value)) return JSON.stringify(value);
+      if (value === null || value === undefined) return null;
+      return typeof value === 'boolean' ? value : String(value);
+    };
+    const asStored = (name, value) => {
+      if (value === null || value === undefined) return null;
+      if (['saleStartDate', 'saleEndDate'].includes(name)) return new Date(value);
+      if (['price', 'originalPrice'].includes(name)) return String(Number(value));
+      return value;
+    };
+
+    const changes = {};
+    for (const [name, value] of Object.entries(data)) {
+      const next = ['price', 'originalPrice'].includes(name) ? String(value) : value;
+      if (normalize(next) !== normalize(asStored(name, product[name]))) {
+        changes[name] = value;
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Write one validated row. Stock differences on existing products go
+   * through the inventory service so they appear in the stock history, and
+   * a lower price alerts the customers following the product.
+   */
+  async applyRow(existing, changes, performedBy) {
+    const previous = existing && { price: productAlertService.getPrice(existing) };
+
+    const product = await sequelize.transaction(async (transaction) => {
+      if (!existing) {
+        return Product.create(changes, { transaction });
+      }
+
+      const { stockQuantity, ...fields } = changes;
+      if (Object.keys(fields).length > 0) {
+        await existing.update(fields, { transaction });
+      }
+      if (stockQuantity !== undefined) {
+        // The level in the file, against the stock read under the row lock
+        await inventoryService.updateStock(
+          existing.id,
+          stockQuantity,
+          'adjustment',
+          'Import CSV',
+          null,
+          'import',
+          null,
+          performedBy,
+          { transaction, absolute: true }
+        );
+      }
+      return existing;
+    });
+
+    if (existing) {
+      productAlertService.handleProductChange(product, previous)
+        .catch(error => console.error('❌ Product alerts error:', error));
+    }
+    return product;
+  }
+}
+
+module.exports = new ProductCsvService();
@@ -0,0 +1,259 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// Must match the configuration used for products.searchVector in
+// scripts/migrate-product-search.js
+const SEARCH_CONFIG = 'french';
+const MAX_SEARCH_TERMS = 10;
+
+// Price facet ranges in MAD; the last one is open-ended
+const PRICE_BUCKETS = [
+  { min: 0, max: 100 },
+  { min: 100, max: 250 },
+  { min: 250, max: 500 },
+  { min: 500, max: 1000 },
+  { min: 1000, max: null }
+];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const MAX_SUGGEST_LENGTH = 100;
+
+// Accent- and case-insensitive form of a column, matching the trigram
+// indexes created by scripts/migrate-product-suggest.js
+const normalizedSql = (column) => `f_unaccent(lower(${column}))`;
+
+// Aggregates over approved reviews, correlated with the outer "Product" row
+const approvedReviews = (aggregate) =>
+  `(SELECT ${aggregate} FROM "reviews" AS r WHERE r."productId" = "Product"."id" AND r."status" = 'approved')`;
+const AVERAGE_RATING_SQL = approvedReviews('COALESCE(ROUND(AVG(r."rating"), 1), 0)');
+const REVIEW_COUNT_SQL = approvedReviews('COUNT(*)');
+
+class ProductSearchService {
+  /**
+   * Turn free text into a prefix-matching tsquery, e.g. "robe brodée" ->
+   * "robe:* & brodée:*". Punctuation is dropped so user input can never
+   * produce tsquery syntax.
+   * @param {string} search
+   * @returns {string} - Empty when the text has no searchable words
+   */
+  buildTsQuery(search) {
+    const terms = String(search || '').normalize('NFC').match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.slice(0, MAX_SEARCH_TERMS).map(term => `${term}:*`).join(' & ');
+  }
+
+  tsQuerySql(tsQuery) {
+    return `to_tsquery('${SEARCH_CONFIG}', f_unaccent(${sequelize.escape(tsQuery)}))`;
+  }
+
+  /**
+   * Where clause for the public catalog filters.
+   * @param {object} filters - { search, category, brand, minPrice, maxPrice, featured, onSale, minRating }
+   * @param {object} options - { exclude } filter names to leave out, so a
+   *   facet can count the values of its own dimension
+   * @returns {object} - Sequelize where
+   */
+  buildWhere(filters = {}, { exclude = [] } = {}) {
+    const use = (name) => filters[name] !== undefined && filters[name] !== '' && !exclude.includes(name);
+    const where = { isActive: true };
+    const conditions = [];
+
+    const tsQuery = use('search') ? this.buildTsQuery(filters.search) : '';
+    if (tsQuery) {
+      conditions.push(sequelize.literal(`"Product"."searchVector" @@ ${this.tsQuerySql(tsQuery)}`));
+    }
+    if (use('category')) {
+      where.categoryId = filters.category;
+    }
+    if (use('brand')) {
+      where.brand = filters.brand;
+    }
+    if (!exclude.includes('price') && (filters.minPrice !== undefined || filters.maxPrice !== undefined)) {
+      where.price = {
+        ...(filters.minPrice !== undefined && { [Op.gte]: Number(filters.minPrice) }),
+        ...(filters.maxPrice !== undefined && { [Op.lte]: Number(filters.maxPrice) })
+      };
+    }
+    if (use('featured')) {
+      where.isFeatured = String(filters.featured) === 'true';
+    }
+    if (use('onSale')) {
+      where.isOnSale = String(filters.onSale) === 'true';
+    }
+    if (use('minRating')) {
+      conditions.push(sequelize.literal(`${AVERAGE_RATING_SQL} >= ${Number(filters.minRating)}`));
+    }
+
+    if (conditions.length > 0) {
+      where[Op.and] = conditions;
+    }
+    return where;
+  }
+
+  /**
+   * Search the active catalog. With a search term results are ranked by
+   * relevance unless another sort is asked for.
+   * @param {object} filters - See buildWhere()
+   * @param {object} options - { page, limit, sort, order }
+   * @returns {object} - { count, products }
+   */
+  async search(filters = {}, { page = 1, limit = 12, sort, order = 'desc' } = {}) {
+    const tsQuery = this.buildTsQuery(filters.search);
+    const relevanceSql = tsQuery ? `ts_rank("Product"."searchVector", ${this.tsQuerySql(tsQuery)})` : null;
+    const sortBy = sort || (relevanceSql ? 'relevance' : 'createdAt');
+    const direction = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    let ordering;
+    if (sortBy === 'relevance' && relevanceSql) {
+      ordering = [[sequelize.literal(relevanceSql), 'DESC'], ['createdAt', 'DESC']];
+    } else if (sortBy === 'rating') {
+      ordering = [[sequelize.literal(AVERAGE_RATING_SQL), direction], [sequelize.literal(REVIEW_COUNT_SQL), 'DESC']];
+    } else {
+      ordering = [[sortBy === 'relevance' ? 'createdAt' : sortBy, direction]];
+    }
+
+    const { count, rows } = await Product.findAndCountAll({
+      where: this.buildWhere(filters),
+      attributes: {
+        include: [
+          [sequelize.literal(AVERAGE_RATING_SQL), 'averageRating'],
+          [sequelize.literal(REVIEW_COUNT_SQL), 'reviewCount'],
+          ...(relevanceSql ? [[sequelize.literal(relevanceSql), 'relevance']] : [])
+        ]
+      },
+      include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'slug'] }],
+      order: ordering,
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    const products = rows.map(product => {
+      const data = product.toJSON();
+      data.averageRating = Number(data.averageRating) || 0;
+      data.reviewCount = Number(data.reviewCount) || 0;
+      if (data.relevance !== undefined) data.relevance = Number(data.relevance);
+      return data;
+    });
+
+    return { count, products };
+  }
+
+  /**
+   * Counts per category, brand, price range, rating and sale status for the
+   * current filters. Each facet ignores its own filter so the other values
+   * stay selectable.
+   * @returns {object} - { categories, brands, price, rating, onSale }
+   */
+  async getFacets(filters = {}) {
+    const countBy = (exclude, attribute, alias) => Product.findAll({
+      where: this.buildWhere(filters, { exclude }),
+      attributes: [[attribute, alias], [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']],
+      group: [alias],
+      raw: true
+    });
+
+    const priceCase = `CASE ${PRICE_BUCKETS.map((bucket, index) => (
+      bucket.max === null
+        ? `WHEN "Product"."price" >= ${bucket.min} THEN ${index}`
+        : `WHEN "Product"."price" < ${bucket.max} THEN ${index}`
+    )).join(' ')} END`;
+
+    const [categoryRows, brandRows, priceRows, ratingRows, saleRows] = await Promise.all([
+      countBy(['category'], sequelize.col('categoryId'), 'categoryId'),
+      countBy(['brand'], sequelize.col('brand'), 'brand'),
+      countBy(['price'], sequelize.literal(priceCase), 'bucket'),
+      countBy(['minRating'], sequelize.literal(`FLOOR(${AVERAGE_RATING_SQL})`), 'stars'),
+      countBy(['onSale'], sequelize.col('isOnSale'), 'isOnSale')
+    ]);
+
+    const categoryIds = categoryRows.map(row => row.categoryId);
+    const categories = categoryIds.length > 0
+      ? await Category.findAll({ where: { id: categoryIds }, attributes: ['id', 'name', 'slug'], raw: true })
+      : [];
+    const categoriesById = new Map(categories.map(category => [category.id, category]));
+
+    return {
+      categories: categoryRows
+        .filter(row => categoriesById.has(row.categoryId))
+        .map(row => ({ ...categoriesById.get(row.categoryId), count: Number(row.count) }))
+        .sort((a, b) => b.count - a.count),
+      brands: brandRows
+        .filter(row => row.brand)
+        .map(row => ({ value: row.brand, count: Number(row.count) }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      price: PRICE_BUCKETS.map((bucket, index) => ({
+        ...bucket,
+        count: Number(priceRows.find(row => Number(row.bucket) === index)?.count || 0)
+      })),
+      rating: RATING_THRESHOLDS.map(minRating => ({
+        minRating,
+        count: ratingRows
+          .filter(row => Number(row.stars) >= minRating)
+          .reduce((sum, row) => sum + Number(row.count), 0)
+      })),
+      onSale: {
+        true: Number(saleRows.find(row => row.isOnSale === true)?.count || 0),
+        false: Number(saleRows.find(row => row.isOnSale === false)?.count || 0)
+      }
+    };
+  }
+
+  /**
+   * Autocomplete suggestions for the search box. Substrings match directly;
+   * anything else goes through trigram word similarity so typos such as
+   * "samsng" still find "Samsung".
+   * @param {string} text - What has been typed so far
+   * @param {object} options - { limit } per suggestion type
+   * @returns {object} - { products, brands, categories }
+   */
+  async suggest(text, { limit = 5 } = {}) {
+    const term = String(text || '').normalize('NFC').trim().replace(/\s+/g, ' ').slice(0, MAX_SUGGEST_LENGTH);
+    if (!term) {
+      return { products: [], brands: [], categories: [] };
+    }
+
+    const needle = normalizedSql(sequelize.escape(term));
+    const pattern = sequelize.escape(`%${term.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+    // <% is word_similarity() >= pg_trgm.word_similarity_threshold (0.6 by default)
+    const matchSql = (column) => `(${normalizedSql(column)} LIKE f_unaccent(${pattern}) OR ${needle} <% ${normalizedSql(column)})`;
+    const scoreSql = (column) => `word_similarity(${needle}, ${normalizedSql(column)})`;
+
+    const [products, brands, categories] = await Promise.all([
+      Product.findAll({
+        where: { isActive: true, [Op.and]: [sequelize.literal(matchSql('"Product"."name"'))] },
+        attributes: ['id', 'name', 'price', 'mainImage'],
+        order: [[sequelize.literal(scoreSql('"Product"."name"')), 'DESC'], ['name', 'ASC']],
+        limit
+      }),
+      Product.findAll({
+        where: { isActive: true, brand: { [Op.ne]: null }, [Op.and]: [sequelize.literal(matchSql('"Product"."brand"'))] },
+        attributes: ['brand', [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']],
+        group: ['brand'],
+        order: [[sequelize.literal(`MAX(${scoreSql('"Product"."brand"')})`), 'DESC'], ['brand', 'ASC']],
+        limit,
+        raw: true
+      }),
+      Category.findAll({
+        where: { isActive: true, [Op.and]: [sequelize.literal(matchSql('"Category"."name"'))] },
+        attributes: ['id', 'name', 'slug'],
+        order: [[sequelize.literal(scoreSql('"Category"."name"')), 'DESC'], ['name', 'ASC']],
+        limit,
+        raw: true
+      })
+    ]);
+
+    return {
+      products: products.map(product => ({
+        id: product.id,
+        name: product.name,
+        price: product.price,
+        mainImage: product.mainImage
+      })),
+      brands: brands.map(row => ({ value: row.brand, count: Number(row.count) })),
+      categories
+    };
+  }
+}
+
+module.exports = new ProductSearchService();
@@ -0,0 +1,212 @@
+const sequelize = require('../config/database');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const OrderItem = require('../models/OrderItem');
+const { createHttpError } = require('../utils/httpError');
+
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'images', 'isActive', 'sortOrder'];
+
+class ProductVariantService {
+  /**
+   * Resolve the variant a cart or order line refers to. A product with
+   * variants can only be bought through one of its active variants.
+   * @param {object} product - Product instance
+   * @param {string|null} variantId - Requested variant
+   * @param {object} options - { transaction, lock }
+   * @returns {object|null} - ProductVariant instance, or null for simple products
+   */
+  async resolveVariant(product, variantId = null, { transaction = null, lock = false } = {}) {
+    if (!variantId) {
+      if (product.hasVariants) {
+        throw createHttpError(`Veuillez choisir une variante pour ${product.name}`);
+      }
+      return null;
+    }
+
+    const variant = await ProductVariant.findOne({
+      where: { id: variantId, productId: product.id },
+      ...(transaction && { transaction }),
+      ...(lock && { lock: true })
+    });
+    if (!variant || !variant.isActive) {
+      throw createHttpError(`Variante non disponible pour ${product.name}`);
+    }
+
+    return variant;
+  }
+
+  /**
+   * Price per unit, after the product sale, of a product or one of its variants.
+   */
+  getUnitPrice(product, variant = null) {
+    return variant ? variant.getDiscountedPrice(product) : product.getDiscountedPrice();
+  }
+
+  /**
+   * Units on hand for a product or one of its variants.
+   */
+  getAvailableStock(product, variant = null) {
+    return variant ? variant.stockQuantity : product.stockQuantity;
+  }
+
+  /**
+   * Customer-facing name, e.g. "T-shirt Atlas (M / Noir)".
+   */
+  getDisplayName(product, variant = null) {
+    return variant ? `${product.name} (${variant.getLabel()})` : product.name;
+  }
+
+  /**
+   * Variants of a product in display order.
+   */
+  async getProductVariants(productId, { includeInactive = false } = {}) {
+    return ProductVariant.findAll({
+      where: { productId, ...(includeInactive ? {} : { isActive: true }) },
+      order: [['sortOrder', 'ASC'], ['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Distinct values per option for building selectors on the product page.
+   * @param {Array} variants - ProductVariant instances
+   * @returns {object} - e.g. { taille: ['S', 'M'], couleur: ['Noir'] }
+   */
+  summarizeOptions(variants) {
+    const summary = {};
+    for (const variant of variants) {
+      for (const [name, value] of Object.entries(variant.options || {})) {
+        summary[name] = summary[name] || [];
+        if (!summary[name].includes(value)) {
+          summary[name].push(value);
+        }
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Add a variant to a product. Its initial stock goes through the inventory
+   * service, which keeps the product stock at the sum of its variants. A
+   * product getting its first variant gives up its own stock, since those
+   * units cannot be told apart by variant.
+   * @param {object} product - Product instance
+   * @param {object} data - { sku, options, price, stockQuantity, images, isActive, sortOrder }
+   * @param {string} performedBy - Admin user id
+   * @returns {object} - Created ProductVariant
+   */
+  async createVariant(product, data, performedBy = null) {
+    // Loaded here: inventoryService pulls in every model association
+    const inventoryService = require('./inventoryService');
+
+    return sequelize.transaction(async (transaction) => {
+      const locked = await Product.findByPk(product.id, { transaction, lock: true });
+      if (!locked.hasVariants && locked.stockQuantity > 0) {
+        await inventoryService.updateStock(
+          product.id,
+          -locked.stockQuantity,
+          'adjustment',
+          'Stock du produit remplacé par celui de ses variantes',
+          null,
+          'manual',
+          null,
+          performedBy,
+          { transaction }
+        );
+      }
+
+      const variant = await ProductVariant.create({
+        ...this.pickFields(data),
+        productId: product.id,
+        stockQuantity: 0
+      }, { transaction });
+      await this.syncProduct(product.id, { transaction });
+
+      const stockQuantity = data.stockQuantity || 0;
+      if (stockQuantity > 0) {
+        await inventoryService.updateStock(
+          product.id,
+          stockQuantity,
+          'initial',
+          `Stock initial de la variante ${variant.sku}`,
+          null,
+          'manual',
+          null,
+          performedBy,
+          { transaction, variantId: variant.id }
+        );
+        await variant.reload({ transaction });
+      }
+
+      return variant;
+    });
+  }
+
+  /**
+   * Update a variant's descriptive fields. Stock goes through the inventory
+   * endpoints so every movement is tracked.
+   */
+  async updateVariant(variant, data) {
+    return sequelize.transaction(async (transaction) => {
+      await variant.update(this.pickFields(data), { transaction });
+      await this.syncProduct(variant.productId, { transaction });
+      return variant;
+    });
+  }
+
+  /**
+   * Delete a variant, or deactivate it when orders reference it so order
+   * history keeps pointing at a real row.
+   * @returns {object} - { deactivated }
+   */
+  async deleteVariant(variant) {
+    const ordered = await OrderItem.count({ where: { variantId: variant.id } });
+
+    await sequelize.transaction(async (transaction) => {
+      if (ordered > 0) {
+        await variant.update({ isActive: false }, { transaction });
+      } else {
+        await variant.destroy({ transaction });
+      }
+      await this.syncProduct(variant.productId, { transaction });
+    });
+
+    return { deactivated: ordered > 0 };
+  }
+
+  /**
+   * Recompute hasVariants and the product stock from its variants. A product
+   * whose last variant was deleted goes back to managing its own stock.
+   */
+  async syncProduct(productId, { transaction = null } = {}) {
+    const variants = await ProductVariant.findAll({
+      where: { productId },
+      attributes: ['stockQuantity', 'isActive'],
+      transaction
+    });
+    if (variants.length === 0) {
+      await Product.update({ hasVariants: false }, { where: { id: productId }, transaction });
+      return;
+    }
+
+    const stockQuantity = variants
+      .filter(variant => variant.isActive)
+      .reduce((sum, variant) => sum + variant.stockQuantity, 0);
+
+    await Product.update(
+      { hasVariants: true, stockQuantity },
+      { where: { id: productId }, transaction }
+    );
+  }
+
+  pickFields(data) {
+    const fields = {};
+    for (const key of VARIANT_FIELDS) {
+      if (data[key] !== undefined) {
+        fields[key] = data[key];
+      }
+    }
+    return fields;
+  }
+}
+
+module.exports = new ProductVariantService();
@@ -0,0 +1,296 @@
+const sequelize = require('../config/database');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const OrderRefund = require('../models/OrderRefund');
+const paymentProcessor = require('./paymentProcessor');
+const inventoryService = require('./inventoryService');
+const { createHttpError } = require('../utils/httpError');
+
+// Import models index to ensure associations are loaded
+require('../models/index');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+class RefundService {
+  /**
+   * Turn a refund request into concrete lines and an amount.
+   * Each line is refunded at its share of what the customer actually paid
+   * for goods (VAT and order-level discounts included, shipping excluded).
+   * @param {object} order - Order instance with orderItems loaded
+   * @param {object} request - { items: [{ orderItemId, quantity }], amount } — both
+   *   empty means a full refund of whatever is left
+   * @returns {object} - { lines, amount, isFullRefund }
+   */
+  planRefund(order, { items = [], amount = null } = {}) {
+    const refundable = order.getRefundableAmount();
+    if (refundable <= 0) {
+      throw createHttpError('Cette commande a déjà été entièrement remboursée');
+    }
+
+    const orderItems = order.orderItems || [];
+    const lines = [];
+
+    for (const requested of items) {
+      const orderItem = orderItems.find(item => item.id === requested.orderItemId);
+      if (!orderItem) {
+        throw createHttpError(`Article ${requested.orderItemId} introuvable dans cette commande`);
+      }
+
+      const remaining = orderItem.quantity - (orderItem.refundedQuantity || 0);
+      const quantity = requested.quantity || remaining;
+      if (quantity < 1 || quantity > remaining) {
+        throw createHttpError(`Quantité remboursable pour ${orderItem.productName} : ${remaining}`);
+      }
+
+      lines.push({ orderItem, quantity });
+    }
+
+    let refundAmount;
+    if (amount !== null && amount !== undefined) {
+      refundAmount = roundMoney(amount);
+    } else if (lines.length > 0) {
+      const subtotal = Number(order.subtotal);
+      const paidForGoods = Number(order.totalAmount) - Number(order.shippingAmount || 0);
+      const linesTotal = lines.reduce((sum, line) => sum + Number(line.orderItem.unitPrice) * line.quantity, 0);
+      refundAmount = roundMoney(subtotal > 0 ? (linesTotal / subtotal) * paidForGoods : 0);
+    } else {
+      // Nothing selected: refund everything left, restocking every remaining unit
+      for (const orderItem of orderItems) {
+        const remaining = orderItem.quantity - (orderItem.refundedQuantity || 0);
+        if (remaining > 0) lines.push({ orderItem, quantity: remaining });
+      }
+      refundAmount = refundable;
+    }
+
+    if (refundAmount <= 0) {
+      throw createHttpError('Le montant du remboursement doit être positif');
+    }
+    if (refundAmount > refundable) {
+      throw createHttpError(`Le montant maximum remboursable est de ${refundable.toFixed(2)} DH`);
+    }
+
+    return { lines, amount: refundAmount, isFullRefund: refundAmount >= refundable };
+  }
+
+  /**
+   * Refund part or all of an order through Stripe, restock the refunded lines
+   * and record the refund. Several refunds can be issued on the same order
+   * until the paid total is exhausted.
+   *
+   * The refund is planned on the locked order and reserved as a pending row
+   * before Stripe is called, so concurrent refunds cannot exceed what was paid
+   * and a refund issued by Stripe is never left without a record.
+   * @param {object} order - Order instance with orderItems loaded
+   * @param {object} request - { items, amount, reason, processedBy }
+   * @returns {object} - { refund, isFullRefund, refundableAmount }
+   */
+  async refundOrder(order, { items = [], amount = null, reason = null, processedBy = null } = {}) {
+    const { refund, isWholeCharge } = await sequelize.transaction(async (transaction) => {
+      const locked = await Order.findByPk(order.id, { transaction, lock: true });
+      locked.orderItems = await OrderItem.findAll({ where: { orderId: locked.id }, transaction });
+      const plan = this.planRefund(locked, { items, amount });
+
+      // A first refund covering the whole order lets Stripe refund the full charge
+      const wholeCharge = plan.isFullRefund && Number(locked.refundedAmount || 0) === 0;
+
+      const created = await OrderRefund.create({
+        orderId: locked.id,
+        amount: plan.amount,
+        items: plan.lines.map(line => ({
+          orderItemId: line.orderItem.id,
+          productId: line.orderItem.productId,
+          ...(line.orderItem.variantId && { variantId: line.orderItem.variantId }),
+          quantity: line.quantity
+        })),
+        reason,
+        status: 'pending',
+        processedBy
+      }, { transaction });
+
+      await this.reserveRefund(locked, created, 1, transaction);
+
+      return { refund: created, isWholeCharge: wholeCharge };
+    });
+
+    let stripeRefundId = null;
+    if (order.paymentTransactionId) {
+      try {
+        const stripeRefund = await paymentProcessor.refundPayment(
+          order.paymentTransactionId,
+          isWholeCharge ? undefined : Math.round(Number(refund.amount) * 100),
+          { orderRefundId: refund.id }
+        );
+        stripeRefundId = stripeRefund.id;
+      } catch (error) {
+        await this.failRefund(refund.id);
+        throw error;
+      }
+    }
+
+    const completed = await this.completeRefund(refund.id, stripeRefundId);
+    await order.reload();
+
+    return {
+      refund: completed ? completed.refund : await OrderRefund.findByPk(refund.id),
+      // Already completed by the charge.refunded webhook, which took back the points
+      isFullRefund: completed ? completed.isFullRefund : false,
+      refundableAmount: order.getRefundableAmount()
+    };
+  }
+
+  /**
+   * Finish a refund once Stripe issued it: restock the refunded lines and
+   * update the order status. Called after the Stripe call, and by the
+   * charge.refunded webhook when the request died before getting here.
+   * A refund marked failed is reserved again since Stripe did refund it.
+   * @param {string} refundId - OrderRefund id
+   * @param {string|null} stripeRefundId - Stripe Refund id
+   * @returns {object|null} - { refund, isFullRefund }, or null when already completed
+   */
+  async completeRefund(refundId, stripeRefundId = null) {
+    return sequelize.transaction(async (transaction) => {
+      const refund = await OrderRefund.findByPk(refundId, { transaction, lock: true });
+      if (!refund || refund.status === 'succeeded') return null;
+
+      const order = await Order.findByPk(refund.orderId, { transaction, lock: true });
+      if (refund.status === 'failed') {
+        await this.reserveRefund(order, refund, 1, transaction);
+      }
+
+      await refund.update({ status: 'succeeded', stripeRefundId }, { transaction });
+
+      for (const item of refund.items || []) {
+        await inventoryService.updateStock(
+          item.productId,
+          item.quantity,
+          'in',
+          `Remboursement commande ${order.orderNumber}`,
+          refund.id,
+          'refund',
+          null,
+          refund.processedBy,
+          { transaction, variantId: item.variantId || null }
+        );
+      }
+
+      const isFullRefund = order.getRefundableAmount() <= 0;
+      await order.update(this.buildStatusUpdates(order, isFullRefund), { transaction });
+
+      return { refund, isFullRefund };
+    });
+  }
+
+  /**
+   * Mark a pending refund failed after Stripe refused it, releasing the
+   * amount and quantities it reserved on the order.
+   */
+  async failRefund(refundId) {
+    await sequelize.transaction(async (transaction) => {
+      const refund = await OrderRefund.findByPk(refundId, { transaction, lock: true });
+      if (!refund || refund.status !== 'pending') return;
+
+      const order = await Order.findByPk(refund.orderId, { transaction, lock: true });
+      await this.reserveRefund(order, refund, -1, transaction);
+      await refund.update({ status: 'failed' }, { transaction });
+    });
+  }
+
+  /**
+   * Add (direction 1) or remove (direction -1) a refund's amount and
+   * quantities on its locked order.
+   */
+  async reserveRefund(order, refund, direction, transaction) {
+    for (const item of refund.items || []) {
+      await OrderItem.increment('refundedQuantity', {
+        by: direction * item.quantity,
+        where: { id: item.orderItemId },
+        transaction
+      });
+    }
+    await order.update({
+      refundedAmount: roundMoney(Number(order.refundedAmount || 0) + direction * Number(refund.amount))
+    }, { transaction });
+  }
+
+  /**
+   * Record a refund issued outside the backend, e.g. from the Stripe
+   * dashboard. Nothing is restocked since the refunded lines are unknown.
+   * @param {object} order - Order paid with the refunded PaymentIntent
+   * @param {object} stripeRefund - Stripe Refund object (amount in centimes)
+   * @returns {object|null} - { refund, isFullRefund }, or null when already recorded
+   */
+  async recordStripeRefund(order, stripeRefund) {
+    const existing = await OrderRefund.findOne({ where: { stripeRefundId: stripeRefund.id } });
+    if (existing) return null;
+
+    const refundable = order.getRefundableAmount();
+    const amount = roundMoney(Math.min(stripeRefund.amount / 100, refundable));
+    if (amount <= 0) return null;
+    const isFullRefund = amount >= refundable;
+
+    const refund = await sequelize.transaction(async (transaction) => {
+      const created = await OrderRefund.create({
+        orderId: order.id,
+        amount,
+        currency: (stripeRefund.currency || 'mad').toUpperCase(),
+        items: [],
+        reason: 'Remboursement effectué depuis Stripe',
+        stripeRefundId: stripeRefund.id,
+        processedBy: null
+      }, { transaction });
+
+      await order.update(this.buildOrderUpdates(order, amount, isFullRefund), { transaction });
+
+      return created;
+    });
+
+    return { refund, isFullRefund };
+  }
+
+  /**
+   * Order fields to change once a refund of `amount` has been issued.
+   */
+  buildOrderUpdates(order, amount, isFullRefund) {
+    return {
+      refundedAmount: roundMoney(Number(order.refundedAmount || 0) + amount),
+      ...this.buildStatusUpdates(order, isFullRefund)
+    };
+  }
+
+  /**
+   * Order statuses once a refund has been issued.
+   */
+  buildStatusUpdates(order, isFullRefund) {
+    const updates = {
+      paymentStatus: isFullRefund ? 'refunded' : 'partially_refunded'
+    };
+    if (isFullRefund) {
+      updates.status = 'refunded';
+    } else if (order.status === 'refund_requested') {
+      // A partially approved request closes the request; the order stays delivered
+      updates.status = 'delivered';
+    }
+    return updates;
+  }
+
+  /**
+   * Refunds issued on an order, oldest first.
+   */
+  async getOrderRefunds(orderId) {
+    return OrderRefund.findAll({
+      where: { orderId },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Load an order with the lines needed to plan a refund.
+   */
+  async findRefundableOrder(orderId) {
+    return Order.findByPk(orderId, {
+      include: [{ model: OrderItem, as: 'orderItems' }]
+    });
+  }
+}
+
+module.exports = new RefundService();
@@ -10,7 +10,7 @@ const GET_TTL = parseInt(process.env.AWS_PRESIGNED_GET_TTL || '900', 10);
 
 const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
 const ALLOWED_CONTENT_TYPE = /^image\/(jpeg|png|webp|gif)$/;
-const ALLOWED_CATEGORIES = ['profile-photos', 'products', 'categories', 'refund-proofs', 'reviews'];
+const ALLOWED_CATEGORIES = ['profile-photos', 'products', 'categories', 'refund-proofs', 'reviews', 'bank-transfer-receipts'];
 
 let client = null;
 function getClient() {
@@ -0,0 +1,91 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const SearchQueryLog = require('../models/SearchQueryLog');
+
+// Shorter texts are mostly keystrokes in progress, not real searches
+const MIN_QUERY_LENGTH = 3;
+const MAX_QUERY_LENGTH = 200;
+
+class SearchQueryLogService {
+  normalize(text) {
+    return String(text || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_QUERY_LENGTH);
+  }
+
+  /**
+   * Count a search that found nothing. Queries are aggregated per day so the
+   * table stays small however often the same text is typed.
+   * @param {string} text - Raw search text
+   * @param {string} source - 'search' or 'suggest'
+   * @returns {boolean} - Whether the query was recorded
+   */
+  async recordZeroResults(text, source) {
+    const query = this.normalize(text);
+    if (query.length < MIN_QUERY_LENGTH) {
+      return false;
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    const [entry, created] = await SearchQueryLog.findOrCreate({
+      where: { query, source, day },
+      defaults: { count: 1 }
+    });
+    if (!created) {
+      await entry.increment('count');
+    }
+    return true;
+  }
+
+  /**
+   * Most frequent zero-result queries over a period.
+   * @param {object} options - { period (days), source, limit }
+   * @returns {object} - { totalSearches, uniqueQueries, queries: [{ query, searches, searchCount, suggestCount, lastSearchedAt }] }
+   */
+  async getZeroResultQueries({ period = 30, source, limit = 50 } = {}) {
+    const since = new Date();
+    since.setDate(since.getDate() - period);
+    const where = {
+      day: { [Op.gte]: since.toISOString().slice(0, 10) },
+      ...(source && { source })
+    };
+
+    const countFor = (name) => sequelize.fn('SUM', sequelize.literal(`CASE WHEN "source" = '${name}' THEN "count" ELSE 0 END`));
+    const [rows, totals] = await Promise.all([
+      SearchQueryLog.findAll({
+        where,
+        attributes: [
+          'query',
+          [sequelize.fn('SUM', sequelize.col('count')), 'searches'],
+          [countFor('search'), 'searchCount'],
+          [countFor('suggest'), 'suggestCount'],
+          [sequelize.fn('MAX', sequelize.col('updatedAt')), 'lastSearchedAt']
+        ],
+        group: ['query'],
+        order: [[sequelize.literal('"searches"'), 'DESC'], [sequelize.literal('"lastSearchedAt"'), 'DESC']],
+        limit,
+        raw: true
+      }),
+      SearchQueryLog.findOne({
+        where,
+        attributes: [
+          [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('count')), 0), 'totalSearches'],
+          [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('query'))), 'uniqueQueries']
+        ],
+        raw: true
+      })
+    ]);
+
+    return {
+      totalSearches: parseInt(totals?.totalSearches || 0),
+      uniqueQueries: parseInt(totals?.uniqueQueries || 0),
+      queries: rows.map(row => ({
+        query: row.query,
+        searches: parseInt(row.searches),
+        searchCount: parseInt(row.searchCount),
+        suggestCount: parseInt(row.suggestCount),
+        lastSearchedAt: row.lastSearchedAt
+      }))
+    };
+  }
+}
+
+module.exports = new SearchQueryLogService();
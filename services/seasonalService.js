@@ -1,33 +1,87 @@
-const campaigns = require('../config/seasonalOffers');
+const { Op } = require('sequelize');
+const SeasonalCampaign = require('../models/SeasonalCampaign');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
 
 class SeasonalService {
   /**
    * Get currently active seasonal offers.
+   * Campaigns live in the seasonal_campaigns table and are managed from the
+   * admin API (config/seasonalOffers.js is only used to seed it).
    */
-  getActiveOffers() {
-    const now = new Date();
-    return campaigns.filter(c => {
-      const start = new Date(c.startDate);
-      const end = new Date(c.endDate);
-      return now >= start && now <= end;
+  async getActiveOffers(at = new Date()) {
+    const campaigns = await SeasonalCampaign.findAll({
+      where: {
+        isActive: true,
+        startDate: { [Op.lte]: at },
+        endDate: { [Op.gte]: at }
+      },
+      order: [['startDate', 'ASC']]
     });
+
+    return campaigns.map(c => this.formatCampaign(c));
+  }
+
+  /**
+   * Active campaign granting the highest extra Prime discount, or null.
+   */
+  async getBestMemberCampaign(at = new Date()) {
+    const active = await this.getActiveOffers(at);
+    return active
+      .filter(c => c.memberExtraDiscount > 0)
+      .reduce((best, c) => (!best || c.memberExtraDiscount > best.memberExtraDiscount ? c : best), null);
   }
 
   /**
    * Get total extra discount for Prime members during active seasonal campaigns.
+   * Uses the highest extra discount among active campaigns.
+   */
+  async getMemberExtraDiscount() {
+    const campaign = await this.getBestMemberCampaign();
+    return campaign ? campaign.memberExtraDiscount : 0;
+  }
+
+  /**
+   * Campaign discount applied to a Prime member's order.
+   * @param {number} subtotal - Order subtotal in DH
+   * @param {boolean} isMember - Whether user has active Prime membership
+   * @returns {object} - { campaign, discountAmount }
    */
-  getMemberExtraDiscount() {
-    const active = this.getActiveOffers();
-    if (active.length === 0) return 0;
-    // Use the highest extra discount among active campaigns
-    return Math.max(...active.map(c => c.memberExtraDiscount || 0));
+  async getCampaignDiscount(subtotal, isMember) {
+    if (!isMember || subtotal <= 0) {
+      return { campaign: null, discountAmount: 0 };
+    }
+
+    const campaign = await this.getBestMemberCampaign();
+    if (!campaign) {
+      return { campaign: null, discountAmount: 0 };
+    }
+
+    return { campaign, discountAmount: roundMoney(subtotal * campaign.memberExtraDiscount) };
   }
 
   /**
    * Get all campaigns (for admin or preview).
    */
-  getAllCampaigns() {
-    return campaigns;
+  async getAllCampaigns() {
+    const campaigns = await SeasonalCampaign.findAll({ order: [['startDate', 'DESC']] });
+    return campaigns.map(c => this.formatCampaign(c));
+  }
+
+  formatCampaign(campaign) {
+    return {
+      id: campaign.id,
+      slug: campaign.slug,
+      name: campaign.name,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      memberExtraDiscount: Number(campaign.memberExtraDiscount),
+      specialPerks: campaign.specialPerks || [],
+      bannerMessage: campaign.bannerMessage,
+      theme: campaign.theme,
+      icon: campaign.icon,
+      isActive: campaign.isActive
+    };
   }
 }
 
@@ -0,0 +1,235 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const OrderStatusLog = require('../models/OrderStatusLog');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const shippingService = require('./shippingService');
+const emailService = require('./emailService');
+const { getCarrier, EVENT_STATUSES } = require('./carriers');
+const { createHttpError } = require('../utils/httpError');
+
+// Carrier statuses meaning the parcel has left our warehouse
+const IN_CARRIER_HANDS = ['picked_up', 'in_transit', 'out_for_delivery', 'failed_attempt', 'delivered', 'returned'];
+// Orders a carrier can still move forward
+const TRACKED_ORDER_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+const SYNC_BATCH_SIZE = 100;
+const SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+const byDate = (a, b) => new Date(a.occurredAt) - new Date(b.occurredAt);
+
+class ShipmentService {
+  /**
+   * Book the carrier pickup for an order and keep its tracking number.
+   * @param {object} order - Order instance
+   * @param {object} options - { carrier, adminId }
+   * @returns {object} - Updated order
+   */
+  async createShipment(order, { carrier: carrierName, adminId = null } = {}) {
+    if (!['confirmed', 'processing'].includes(order.status)) {
+      throw createHttpError('Seule une commande confirmée ou en préparation peut être expédiée');
+    }
+    if (order.carrier) {
+      throw createHttpError(`Un envoi ${order.carrier} existe déjà pour cette commande (${order.trackingNumber})`);
+    }
+
+    const carrier = getCarrier(carrierName);
+    const items = await OrderItem.findAll({
+      where: { orderId: order.id },
+      include: [{ model: Product, as: 'product', attributes: ['id', 'weight'] }]
+    });
+    const parcel = {
+      weightGrams: shippingService.getParcelWeight(items.map(item => ({ product: item.product || {}, quantity: item.quantity }))),
+      itemCount: items.reduce((total, item) => total + item.quantity, 0)
+    };
+
+    const shipment = await carrier.createShipment(order, parcel);
+    await order.update({
+      carrier: carrier.name,
+      carrierShipmentId: shipment.shipmentId,
+      trackingNumber: shipment.trackingNumber,
+      trackingEvents: [],
+      trackingSyncedAt: new Date()
+    });
+
+    await this.applyEvents(order, shipment.events, { changedBy: adminId });
+    return order;
+  }
+
+  /**
+   * Merge carrier events into the order and move the order along: shipped
+   * once the carrier has the parcel, delivered when it says so.
+   * @param {object} order - Order instance
+   * @param {Array<object>} events - Normalized carrier events
+   * @param {object} options - { changedBy }
+   * @returns {object} - { added, previousStatus, newStatus }
+   */
+  async applyEvents(order, events, { changedBy = null } = {}) {
+    const now = new Date();
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // A webhook and the sync job can carry events for the same order at
+      // once: merge into the stored events, not a copy read before the lock
+      await order.reload({ transaction, lock: true });
+
+      const known = new Set((order.trackingEvents || []).map(event => event.id));
+      const added = events.filter(event => !known.has(event.id));
+      const previousStatus = order.status;
+
+      const merged = [...(order.trackingEvents || []), ...added].sort(byDate);
+      const delivered = merged.find(event => event.status === 'delivered');
+      const pickedUp = merged.find(event => IN_CARRIER_HANDS.includes(event.status));
+
+      let newStatus = previousStatus;
+      if (delivered && TRACKED_ORDER_STATUSES.includes(previousStatus)) {
+        newStatus = 'delivered';
+      } else if (pickedUp && ['confirmed', 'processing'].includes(previousStatus)) {
+        newStatus = 'shipped';
+      }
+
+      if (added.length === 0 && newStatus === previousStatus) {
+        await order.update({ trackingSyncedAt: now }, { transaction });
+        return { added: 0, previousStatus, newStatus };
+      }
+
+      await order.update({
+        trackingEvents: merged,
+        trackingSyncedAt: now,
+        ...(newStatus !== previousStatus && !order.shippedAt && pickedUp && { shippedAt: new Date(pickedUp.occurredAt) }),
+        ...(newStatus === 'delivered' && {
+          status: 'delivered',
+          deliveredAt: new Date(delivered.occurredAt),
+          actualDeliveryDate: new Date(delivered.occurredAt)
+        }),
+        ...(newStatus === 'shipped' && { status: 'shipped' })
+      }, { transaction });
+
+      if (newStatus !== previousStatus) {
+        const event = newStatus === 'delivered' ? delivered : pickedUp;
+        await OrderStatusLog.create({
+          orderId: order.id,
+          previousStatus,
+          newStatus,
+          changedBy,
+          changedByRole: changedBy ? 'admin' : 'system',
+          reason: `Suivi ${order.carrier} : ${event.description || EVENT_STATUSES[event.status]}`,
+          metadata: { carrier: order.carrier, trackingNumber: order.trackingNumber, eventId: event.id }
+        }, { transaction });
+      }
+
+      return { added: added.length, previousStatus, newStatus };
+    });
+    const { previousStatus, newStatus } = result;
+
+    if (newStatus !== previousStatus) {
+      try {
+        const user = order.userId ? await User.findByPk(order.userId) : null;
+        await emailService.sendOrderStatusUpdateEmail(order, user, previousStatus, newStatus);
+      } catch (emailError) {
+        console.error('❌ Error sending tracking status email:', emailError);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Poll the carrier for an order's shipment.
+   * @param {object} order - Order instance with a carrier
+   * @returns {object} - See applyEvents()
+   */
+  async syncOrder(order) {
+    if (!order.carrier || !order.trackingNumber) {
+      throw createHttpError('Aucun envoi transporteur pour cette commande');
+    }
+    const events = await getCarrier(order.carrier).getTrackingEvents(order.trackingNumber);
+    return this.applyEvents(order, events);
+  }
+
+  /**
+   * Poll every shipment still on its way that was not synced in the last
+   * hour (webhooks keep most of them fresh already).
+   * @returns {object} - { synced, updated, failed }
+   */
+  async syncActiveShipments() {
+    const orders = await Order.findAll({
+      where: {
+        carrier: { [Op.ne]: null },
+        status: { [Op.in]: TRACKED_ORDER_STATUSES },
+        [Op.or]: [
+          { trackingSyncedAt: null },
+          { trackingSyncedAt: { [Op.lt]: new Date(Date.now() - SYNC_INTERVAL_MS) } }
+        ]
+      },
+      order: [['trackingSyncedAt', 'ASC']],
+      limit: SYNC_BATCH_SIZE
+    });
+
+    const result = { synced: 0, updated: 0, failed: 0 };
+    for (const order of orders) {
+      try {
+        const { added, previousStatus, newStatus } = await this.syncOrder(order);
+        result.synced++;
+        if (added > 0 || newStatus !== previousStatus) result.updated++;
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Tracking sync failed for ${order.orderNumber}:`, error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply a carrier webhook delivery.
+   * @param {string} carrierName
+   * @param {Buffer} rawBody
+   * @param {object} headers
+   * @returns {object} - { matched, added, newStatus }
+   */
+  async handleWebhook(carrierName, rawBody, headers) {
+    const { trackingNumber, events } = getCarrier(carrierName).parseWebhook(rawBody, headers);
+    const order = await Order.findOne({ where: { carrier: carrierName, trackingNumber } });
+    if (!order) {
+      return { matched: false, added: 0 };
+    }
+    const { added, newStatus } = await this.applyEvents(order, events);
+    return { matched: true, added, newStatus };
+  }
+
+  /**
+   * Carrier's public tracking page for the order, when it has one.
+   */
+  getTrackingUrl(order) {
+    if (!order.carrier || !order.trackingNumber) {
+      return null;
+    }
+    try {
+      return getCarrier(order.carrier).getTrackingUrl(order.trackingNumber);
+    } catch (error) {
+      // Carrier no longer configured
+      return null;
+    }
+  }
+
+  /**
+   * Events for the customer, newest first.
+   * @param {object} order
+   * @returns {Array<object>} - [{ status, label, description, location, occurredAt }]
+   */
+  getTimeline(order) {
+    return [...(order.trackingEvents || [])]
+      .sort(byDate)
+      .reverse()
+      .map(event => ({
+        status: event.status,
+        label: EVENT_STATUSES[event.status] || event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt: event.occurredAt
+      }));
+  }
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const shipmentService = require('./shipmentService');
+
+function startShipmentSync() {
+  // Run every hour, at minute 15
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const { synced, updated, failed } = await shipmentService.syncActiveShipments();
+      if (synced || failed) {
+        console.log(`🚚 Shipment tracking: ${synced} synced, ${updated} updated, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Shipment tracking sync error:', error);
+    }
+  });
+
+  console.log('🚚 Shipment tracking sync cron scheduled (every hour)');
+}
+
+module.exports = { startShipmentSync };
@@ -0,0 +1,130 @@
+const shippingConfig = require('../config/shipping');
+const { normalizeCityKey } = require('../utils/morocco');
+const { createHttpError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+// City key -> zone key, built once from the zone city lists
+const ZONE_BY_CITY = new Map(
+  Object.entries(shippingConfig.zones).flatMap(([zoneKey, zone]) => zone.cities.map(city => [normalizeCityKey(city), zoneKey]))
+);
+
+class ShippingService {
+  /**
+   * Zone a city ships from. Unknown or missing cities use the default zone.
+   * @param {string} city
+   * @returns {object} - Zone config with its key
+   */
+  resolveZone(city) {
+    const key = ZONE_BY_CITY.get(normalizeCityKey(city)) || shippingConfig.DEFAULT_ZONE;
+    return { key, ...shippingConfig.zones[key] };
+  }
+
+  /**
+   * Total parcel weight in grams from priced checkout lines.
+   */
+  getParcelWeight(lines) {
+    return lines.reduce((total, line) => {
+      const weight = Number(line.product.weight) || shippingConfig.DEFAULT_ITEM_WEIGHT_GRAMS;
+      return total + weight * line.quantity;
+    }, 0);
+  }
+
+  /**
+   * Date after a number of delivery days. Carriers do not deliver on
+   * Sundays, so Sundays are skipped and never returned.
+   */
+  addDeliveryDays(from, days) {
+    const date = new Date(from);
+    let added = 0;
+    while (added < days) {
+      date.setTime(date.getTime() + DAY_MS);
+      if (date.getDay() !== 0) added++;
+    }
+    if (date.getDay() === 0) {
+      date.setTime(date.getTime() + DAY_MS);
+    }
+    return date;
+  }
+
+  /**
+   * Hour of the day in Morocco, whatever the server timezone.
+   */
+  getLocalHour(date) {
+    return Number(new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone: 'Africa/Casablanca' }).format(date));
+  }
+
+  /**
+   * Price and delivery window of every method available for a city.
+   * @param {object} params - { city, lines, subtotal, isMember, freeShipping, now }
+   * @returns {Array<object>} - [{ method, label, zone, zoneLabel, amount, originalAmount, isFree,
+   *   minDays, maxDays, earliestDeliveryDate, estimatedDeliveryDate }]
+   */
+  getRates({ city, lines = [], subtotal = 0, isMember = false, freeShipping = false, now = new Date() }) {
+    const zone = this.resolveZone(city);
+    const chargeableKg = Math.max(1, Math.ceil(this.getParcelWeight(lines) / 1000));
+
+    return Object.entries(zone.rates).map(([methodKey, rate]) => {
+      const method = shippingConfig.methods[methodKey];
+      const originalAmount = roundMoney(rate.base + rate.perKg * (chargeableKg - 1));
+      const isFree = (isMember && method.includedInPrime) ||
+        (method.freeShippingEligible && (freeShipping || subtotal > zone.freeShippingThreshold));
+
+      // Past the cutoff, a same-day order leaves with the next day's round
+      const delay = method.cutoffHour !== undefined && this.getLocalHour(now) >= method.cutoffHour ? 1 : 0;
+
+      return {
+        method: methodKey,
+        label: method.label,
+        zone: zone.key,
+        zoneLabel: zone.label,
+        amount: isFree ? 0 : originalAmount,
+        originalAmount,
+        isFree,
+        minDays: rate.minDays + delay,
+        maxDays: rate.maxDays + delay,
+        earliestDeliveryDate: this.addDeliveryDays(now, rate.minDays + delay),
+        estimatedDeliveryDate: this.addDeliveryDays(now, rate.maxDays + delay)
+      };
+    });
+  }
+
+  /**
+   * Rate of one method, refused when the method does not serve the city.
+   * @param {string} method - Key from config/shipping.js
+   * @param {object} params - See getRates()
+   * @returns {object} - Rate
+   */
+  getRate(method, params) {
+    const rate = this.getRates(params).find(candidate => candidate.method === method);
+    if (!rate) {
+      throw createHttpError(`Le mode de livraison « ${shippingConfig.methods[method]?.label || method} » n'est pas disponible pour cette ville`);
+    }
+    return rate;
+  }
+
+  /**
+   * Public description of the zones and the methods they offer.
+   */
+  listZones() {
+    return Object.entries(shippingConfig.zones).map(([key, zone]) => ({
+      key,
+      label: zone.label,
+      cities: zone.cities,
+      isDefault: key === shippingConfig.DEFAULT_ZONE,
+      freeShippingThreshold: zone.freeShippingThreshold,
+      methods: Object.entries(zone.rates).map(([methodKey, rate]) => ({
+        method: methodKey,
+        label: shippingConfig.methods[methodKey].label,
+        baseAmount: rate.base,
+        perKgAmount: rate.perKg,
+        minDays: rate.minDays,
+        maxDays: rate.maxDays
+      }))
+    }));
+  }
+}
+
+module.exports = new ShippingService();
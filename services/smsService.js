@@ -1,31 +1,29 @@
-const twilio = require('twilio');
+const outboxService = require('./outboxService');
+const { getTransport } = require('./transports');
 
 class SMSService {
   constructor() {
-    // Check if SMS configuration is available
-    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+    // SMS go through the outbox; its transport decides whether they reach
+    // Twilio or a local file/memory store
+    this.enabled = outboxService.isEnabled('sms');
+    if (!this.enabled) {
       console.warn('⚠️ SMS configuration missing. SMS service will be disabled.');
-      this.client = null;
-      this.enabled = false;
-      return;
     }
+  }
 
-    // Initialize Twilio client
-    try {
-      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-      this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
-      this.enabled = true;
-      console.log('✅ SMS service initialized successfully');
-    } catch (error) {
-      console.error('❌ Error initializing SMS service:', error);
-      this.client = null;
-      this.enabled = false;
+  // Hand an SMS to the outbox. A failed first attempt is retried by the
+  // outbox cron, so only a message refused for good is an error.
+  async dispatch(phoneNumber, body, category) {
+    const { message, error } = await outboxService.send('sms', { to: phoneNumber, body }, { category });
+    if (message.status === 'dead') {
+      throw error;
     }
+    return { success: true, messageId: message.providerMessageId || message.id, status: message.status };
   }
 
   // Send verification SMS
   async sendVerificationSMS(phoneNumber, verificationCode) {
-    if (!this.enabled || !this.client) {
+    if (!this.enabled) {
       console.warn('⚠️ SMS service is disabled. Skipping SMS send.');
       console.warn('⚠️ Check environment variables: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER');
       return { success: false, error: 'SMS service is disabled. Please configure Twilio credentials.' };
@@ -34,22 +32,21 @@ class SMSService {
     try {
       console.log('📱 Attempting to send SMS:', {
         to: phoneNumber,
-        from: this.phoneNumber,
         codeLength: verificationCode.length
       });
 
-      const message = await this.client.messages.create({
-        body: `UMOD: Votre code de vérification est ${verificationCode}. Ce code expire dans 10 minutes.`,
-        from: this.phoneNumber,
-        to: phoneNumber
-      });
+      const { messageId, status } = await this.dispatch(
+        phoneNumber,
+        `UMOD: Votre code de vérification est ${verificationCode}. Ce code expire dans 10 minutes.`,
+        'phone_verification'
+      );
 
       console.log('✅ SMS verification sent successfully:', {
-        messageSid: message.sid,
-        status: message.status,
+        messageId,
+        status,
         to: phoneNumber
       });
-      return { success: true, messageId: message.sid };
+      return { success: true, messageId };
     } catch (error) {
       console.error('❌ Error sending SMS verification:', error);
       console.error('❌ Twilio error details:', {
@@ -74,16 +71,41 @@ class SMSService {
     }
   }
 
+  // Send the code confirming a cash-on-delivery order
+  async sendOrderConfirmationSMS(phoneNumber, { orderNumber, totalAmount, code }) {
+    if (!this.enabled) {
+      console.warn('⚠️ SMS service is disabled. Skipping order confirmation SMS.');
+      return { success: false, error: 'SMS service is disabled. Please configure Twilio credentials.' };
+    }
+
+    try {
+      const { messageId } = await this.dispatch(
+        phoneNumber,
+        `UMOD: Confirmez votre commande ${orderNumber} (${Number(totalAmount).toFixed(2)} DH à payer à la livraison) avec le code ${code}.`,
+        'cod_confirmation'
+      );
+
+      console.log('✅ Order confirmation SMS sent:', { messageId, orderNumber });
+      return { success: true, messageId };
+    } catch (error) {
+      console.error('❌ Error sending order confirmation SMS:', error);
+      return { success: false, error: error.message || 'Erreur lors de l\'envoi du SMS' };
+    }
+  }
+
   // Test SMS configuration
   async testConnection() {
-    if (!this.enabled || !this.client) {
+    if (!this.enabled) {
       console.warn('⚠️ SMS service is disabled');
       return false;
     }
 
     try {
-      // Test by trying to get account info
-      const account = await this.client.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+      // Twilio: try to get account info; file/memory transports have nothing to check
+      const transport = getTransport('sms');
+      if (transport.testConnection) {
+        await transport.testConnection();
+      }
       console.log('✅ SMS service configured successfully');
       return true;
     } catch (error) {
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const stockReservationService = require('./stockReservationService');
+
+function startStockReservationExpiry() {
+  // Run every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const expired = await stockReservationService.expireStale();
+      if (expired > 0) {
+        console.log(`📦 Stock reservations expired: ${expired}`);
+      }
+    } catch (error) {
+      console.error('❌ Stock reservation expiry error:', error);
+    }
+  });
+
+  console.log('📦 Stock reservation expiry cron scheduled (every 5 minutes)');
+}
+
+module.exports = { startStockReservationExpiry };
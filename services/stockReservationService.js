@@ -0,0 +1,176 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const inventoryService = require('./inventoryService');
+const productVariantService = require('./productVariantService');
+const { createHttpError } = require('../utils/httpError');
+
+// Import models index to ensure associations are loaded
+require('../models/index');
+
+const RESERVATION_TTL_MINUTES = 15;
+
+class StockReservationService {
+  /**
+   * Units of a product (or one of its variants) held by unpaid checkouts,
+   * optionally ignoring the checkout that is asking.
+   */
+  async getReservedQuantity(productId, { variantId = null, excludePaymentIntentId = null, transaction = null } = {}) {
+    const where = {
+      productId,
+      variantId,
+      status: 'active',
+      expiresAt: { [Op.gt]: new Date() }
+    };
+    if (excludePaymentIntentId) {
+      where.paymentIntentId = { [Op.ne]: excludePaymentIntentId };
+    }
+
+    const reserved = await StockReservation.sum('quantity', { where, transaction });
+    return Number(reserved) || 0;
+  }
+
+  /**
+   * Lock each product (and variant) row and check that the requested quantity
+   * is still free once other checkouts' reservations are taken into account.
+   * Rows are locked in a stable order so two checkouts of the same products
+   * cannot deadlock.
+   * @param {Array} items - [{ productId, variantId, quantity }]
+   * @param {object} options - { paymentIntentId, transaction }
+   * @returns {Array} - [{ product, variant, quantity }] in lock order
+   */
+  async lockAvailableStock(items, { paymentIntentId, transaction }) {
+    const lockKey = (item) => `${item.productId}:${item.variantId || ''}`;
+    const sorted = [...items].sort((a, b) => lockKey(a).localeCompare(lockKey(b)));
+    const locked = [];
+
+    for (const item of sorted) {
+      const product = await Product.findByPk(item.productId, { transaction, lock: true });
+      if (!product) {
+        throw createHttpError(`Produit ${item.productId} non trouvé`);
+      }
+      const variant = await productVariantService.resolveVariant(product, item.variantId, { transaction, lock: true });
+
+      const reserved = await this.getReservedQuantity(item.productId, {
+        variantId: variant ? variant.id : null,
+        excludePaymentIntentId: paymentIntentId,
+        transaction
+      });
+      if (productVariantService.getAvailableStock(product, variant) - reserved < item.quantity) {
+        throw createHttpError(`Stock insuffisant pour ${productVariantService.getDisplayName(product, variant)}`);
+      }
+
+      locked.push({ product, variant, quantity: item.quantity });
+    }
+
+    return locked;
+  }
+
+  /**
+   * Hold the cart's units for a PaymentIntent so they cannot be sold to
+   * someone else while the customer pays. The hold lapses after
+   * RESERVATION_TTL_MINUTES if no order is placed. Earlier holds of the same
+   * customer are released, since only the latest PaymentIntent can be paid.
+   * @param {string} paymentIntentId - Stripe PaymentIntent id
+   * @param {string} userId - Customer placing the order
+   * @param {Array} items - [{ productId, variantId, quantity }]
+   * @returns {Array} - Created reservations
+   */
+  async reserve(paymentIntentId, userId, items) {
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+    return sequelize.transaction(async (transaction) => {
+      await StockReservation.update(
+        { status: 'released' },
+        {
+          where: {
+            userId,
+            status: 'active',
+            paymentIntentId: { [Op.ne]: paymentIntentId }
+          },
+          transaction
+        }
+      );
+
+      const locked = await this.lockAvailableStock(items, { paymentIntentId, transaction });
+
+      return StockReservation.bulkCreate(
+        locked.map(({ product, variant, quantity }) => ({
+          productId: product.id,
+          variantId: variant ? variant.id : null,
+          userId,
+          paymentIntentId,
+          quantity,
+          expiresAt
+        })),
+        { transaction }
+      );
+    });
+  }
+
+  /**
+   * Take the order's units out of stock inside the order transaction. The
+   * product rows stay locked until the order commits, the movement is written
+   * to the stock history as a sale, and the PaymentIntent's reservations are
+   * marked consumed.
+   * @param {object} order - Order being created
+   * @param {Array} items - [{ productId, variantId, quantity }]
+   * @param {object} options - { paymentIntentId, performedBy, transaction }
+   */
+  async allocateOrderStock(order, items, { paymentIntentId = null, performedBy = null, transaction }) {
+    const locked = await this.lockAvailableStock(items, { paymentIntentId, transaction });
+
+    for (const { product, variant, quantity } of locked) {
+      await inventoryService.updateStock(
+        product.id,
+        -quantity,
+        'sale',
+        `Commande ${order.orderNumber}`,
+        order.id,
+        'order',
+        null,
+        performedBy,
+        { transaction, variantId: variant ? variant.id : null }
+      );
+    }
+
+    if (paymentIntentId) {
+      await StockReservation.update(
+        { status: 'consumed', orderId: order.id },
+        { where: { paymentIntentId, status: 'active' }, transaction }
+      );
+    }
+  }
+
+  /**
+   * Give back the units held for a PaymentIntent (payment failed or cancelled).
+   * @returns {number} - Number of reservations released
+   */
+  async release(paymentIntentId) {
+    const [released] = await StockReservation.update(
+      { status: 'released' },
+      { where: { paymentIntentId, status: 'active' } }
+    );
+    return released;
+  }
+
+  /**
+   * Mark holds whose checkout was never paid as expired.
+   * @returns {number} - Number of reservations expired
+   */
+  async expireStale() {
+    const [expired] = await StockReservation.update(
+      { status: 'expired' },
+      {
+        where: {
+          status: 'active',
+          expiresAt: { [Op.lte]: new Date() }
+        }
+      }
+    );
+    return expired;
+  }
+}
+
+module.exports = new StockReservationService();
@@ -0,0 +1,392 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const MembershipTransaction = require('../models/MembershipTransaction');
+const StripeWebhookEvent = require('../models/StripeWebhookEvent');
+const OrphanPayment = require('../models/OrphanPayment');
+const paymentProcessor = require('./paymentProcessor');
+const refundService = require('./refundService');
+const loyaltyService = require('./loyaltyService');
+const membershipService = require('./membershipService');
+const stockReservationService = require('./stockReservationService');
+
+// Import models index to ensure associations are loaded
+require('../models/index');
+
+// Time a customer has to place the order after paying before the payment is
+// treated as orphaned (browser closed, network error, order creation failed).
+const ORPHAN_PAYMENT_GRACE_MINUTES = 30;
+
+// Orphan payments not settled yet
+const OPEN_ORPHAN_STATUSES = ['pending', 'flagged'];
+
+// PaymentIntents created off-session for UMOD Prime carry a metadata type
+const MEMBERSHIP_PAYMENT_TYPES = ['membership', 'membership_renewal', 'membership_gift'];
+
+class StripeWebhookService {
+  constructor() {
+    this.notificationService = null;
+  }
+
+  setNotificationService(ns) {
+    this.notificationService = ns;
+  }
+
+  /**
+   * Apply a verified Stripe event exactly once. Stripe retries deliveries and
+   * may send the same event concurrently, so the event id is claimed first;
+   * if handling fails the claim is dropped so the next retry can run it again.
+   * @param {object} event - Event returned by paymentProcessor.constructWebhookEvent
+   * @returns {object} - { duplicate }
+   */
+  async processEvent(event) {
+    const claimed = await this.claimEvent(event);
+    if (!claimed) {
+      return { duplicate: true };
+    }
+
+    try {
+      await this.dispatch(event);
+    } catch (error) {
+      await StripeWebhookEvent.destroy({ where: { id: event.id } });
+      throw error;
+    }
+
+    await StripeWebhookEvent.update(
+      { status: 'processed', processedAt: new Date() },
+      { where: { id: event.id } }
+    );
+
+    return { duplicate: false };
+  }
+
+  /**
+   * Insert the event id; false when another delivery already holds it.
+   */
+  async claimEvent(event) {
+    try {
+      await StripeWebhookEvent.create({ id: event.id, type: event.type });
+      return true;
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async dispatch(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return this.handlePaymentSucceeded(object);
+      case 'payment_intent.payment_failed':
+        return this.handlePaymentFailed(object);
+      case 'payment_intent.canceled':
+        return stockReservationService.release(object.id);
+      case 'charge.refunded':
+        return this.handleChargeRefunded(object);
+      case 'charge.dispute.created':
+        return this.handleDisputeCreated(object);
+      case 'charge.dispute.closed':
+        return this.handleDisputeClosed(object);
+      case 'invoice.payment_failed':
+        return this.handleInvoicePaymentFailed(object);
+      default:
+        return null;
+    }
+  }
+
+  isMembershipPayment(paymentIntent) {
+    return MEMBERSHIP_PAYMENT_TYPES.includes(paymentIntent.metadata?.type);
+  }
+
+  async handlePaymentSucceeded(pi) {
+    // Update order payment status if order already exists
+    const order = await Order.findOne({ where: { paymentTransactionId: pi.id } });
+    if (order) {
+      if (order.paymentStatus !== 'paid') {
+        await order.update({ paymentStatus: 'paid' });
+      }
+      return;
+    }
+
+    // Membership charges never have an order
+    if (this.isMembershipPayment(pi)) return;
+
+    // Checkout paid but no order yet: the client normally creates it within
+    // seconds. Track it so the orphan cron can refund or flag it later.
+    await OrphanPayment.findOrCreate({
+      where: { paymentIntentId: pi.id },
+      defaults: {
+        userId: pi.metadata?.userId || null,
+        amount: (pi.amount_received ?? pi.amount) / 100,
+        currency: (pi.currency || 'mad').toUpperCase()
+      }
+    });
+  }
+
+  async handlePaymentFailed(pi) {
+    const order = await Order.findOne({ where: { paymentTransactionId: pi.id } });
+    if (order) {
+      await order.update({ paymentStatus: 'failed' });
+    }
+
+    await stockReservationService.release(pi.id);
+
+    if (this.isMembershipPayment(pi) && pi.metadata.userId) {
+      const user = await User.findByPk(pi.metadata.userId);
+      if (user) {
+        await this.failMembershipPayment(user, pi.id);
+      }
+    }
+  }
+
+  /**
+   * A membership charge failed after the fact (e.g. bank decline or 3-D Secure
+   * never completed). Mark the transaction failed and, if the membership is
+   * currently running on that payment, expire it.
+   */
+  async failMembershipPayment(user, paymentIntentId) {
+    if (paymentIntentId) {
+      await MembershipTransaction.update(
+        { status: 'failed' },
+        { where: { stripePaymentIntentId: paymentIntentId, status: { [Op.ne]: 'failed' } } }
+      );
+    }
+
+    const lastPaymentId = user.membershipBenefitsSnapshot?.lastTransaction?.paymentIntentId;
+    const runsOnThisPayment = !paymentIntentId || lastPaymentId === paymentIntentId;
+    if (user.membershipStatus !== 'active' || !runsOnThisPayment) return;
+
+    await membershipService.expireMembership(user);
+
+    await this.notify({
+      userId: user.id,
+      type: 'membership',
+      title: 'Échec du renouvellement',
+      message: 'Le paiement de votre abonnement UMOD Prime a échoué. Vérifiez votre méthode de paiement.',
+      data: { membershipStatus: 'expired' }
+    });
+  }
+
+  async handleInvoicePaymentFailed(invoice) {
+    if (!invoice.customer) return;
+
+    const user = await User.findOne({ where: { stripeCustomerId: invoice.customer } });
+    if (!user) {
+      console.warn(`⚠️ Stripe invoice ${invoice.id} failed for unknown customer ${invoice.customer}`);
+      return;
+    }
+
+    await this.failMembershipPayment(user, invoice.payment_intent || null);
+  }
+
+  /**
+   * Record refunds issued from the Stripe dashboard. Refunds created by the
+   * backend are tagged with metadata.source = 'backend' and already recorded,
+   * unless the request died between Stripe and completing the OrderRefund.
+   */
+  async handleChargeRefunded(charge) {
+    if (!charge.payment_intent) return;
+
+    const order = await Order.findOne({ where: { paymentTransactionId: charge.payment_intent } });
+    if (!order) {
+      // An orphan payment refunded by hand from the dashboard
+      await OrphanPayment.update(
+        { status: 'refunded', resolvedAt: new Date() },
+        { where: { paymentIntentId: charge.payment_intent, status: { [Op.in]: OPEN_ORPHAN_STATUSES } } }
+      );
+      return;
+    }
+
+    const refunds = await paymentProcessor.listRefunds(charge.payment_intent);
+    const succeeded = refunds
+      .filter(refund => refund.status === 'succeeded')
+      .sort((a, b) => a.created - b.created);
+
+    for (const stripeRefund of succeeded) {
+      let result = null;
+      if (stripeRefund.metadata?.source !== 'backend') {
+        result = await refundService.recordStripeRefund(order, stripeRefund);
+      } else if (stripeRefund.metadata.orderRefundId) {
+        result = await refundService.completeRefund(stripeRefund.metadata.orderRefundId, stripeRefund.id);
+        if (result) await order.reload();
+      }
+      if (result?.isFullRefund) {
+        await loyaltyService.reverseOrderPoints(order, `Remboursement de la commande ${order.orderNumber}`);
+      }
+    }
+  }
+
+  async handleDisputeCreated(dispute) {
+    const order = await this.findDisputedOrder(dispute);
+    if (!order) return;
+
+    await order.update({
+      disputeId: dispute.id,
+      disputeStatus: dispute.status,
+      disputeReason: dispute.reason,
+      disputeAmount: dispute.amount / 100,
+      disputedAt: new Date()
+    });
+
+    await this.notify({
+      type: 'payment_failure',
+      title: `⚠️ Litige bancaire - commande ${order.orderNumber}`,
+      message: `Le client conteste un paiement de ${(dispute.amount / 100).toFixed(2)} DH (motif : ${dispute.reason}). Répondez depuis Stripe avant l'échéance.`,
+      priority: 'critical',
+      data: {
+        orderId: order.id,
+        disputeId: dispute.id,
+        reason: dispute.reason,
+        dueBy: dispute.evidence_details?.due_by || null
+      }
+    });
+  }
+
+  async handleDisputeClosed(dispute) {
+    const order = await this.findDisputedOrder(dispute);
+    if (!order) return;
+
+    await order.update({ disputeId: dispute.id, disputeStatus: dispute.status });
+
+    // A lost dispute takes the money back, so the points earned go too
+    if (dispute.status === 'lost') {
+      await loyaltyService.reverseOrderPoints(order, `Litige perdu sur la commande ${order.orderNumber}`);
+    }
+
+    await this.notify({
+      type: 'payment_failure',
+      title: dispute.status === 'lost'
+        ? `❌ Litige perdu - commande ${order.orderNumber}`
+        : `✅ Litige clos - commande ${order.orderNumber}`,
+      message: `Le litige sur la commande ${order.orderNumber} est clos (statut : ${dispute.status}).`,
+      priority: dispute.status === 'lost' ? 'high' : 'medium',
+      data: { orderId: order.id, disputeId: dispute.id, status: dispute.status }
+    });
+  }
+
+  async findDisputedOrder(dispute) {
+    if (!dispute.payment_intent) {
+      console.warn(`⚠️ Stripe dispute ${dispute.id} has no payment intent`);
+      return null;
+    }
+
+    const order = await Order.findOne({ where: { paymentTransactionId: dispute.payment_intent } });
+    if (!order) {
+      console.warn(`⚠️ Stripe dispute ${dispute.id} does not match any order`);
+    }
+    return order;
+  }
+
+  /**
+   * Settle orphan payments whose grace period has passed: link them to an
+   * order placed late, otherwise refund them automatically when
+   * STRIPE_AUTO_REFUND_ORPHANS=true or flag them for an admin.
+   * @returns {object} - { resolved, refunded, flagged }
+   */
+  async resolveOrphanPayments() {
+    const cutoff = new Date(Date.now() - ORPHAN_PAYMENT_GRACE_MINUTES * 60 * 1000);
+    const pending = await OrphanPayment.findAll({
+      where: { status: 'pending', createdAt: { [Op.lt]: cutoff } }
+    });
+
+    const summary = { resolved: 0, refunded: 0, flagged: 0 };
+    const autoRefund = process.env.STRIPE_AUTO_REFUND_ORPHANS === 'true';
+
+    for (const orphan of pending) {
+      try {
+        const order = await Order.findOne({ where: { paymentTransactionId: orphan.paymentIntentId } });
+        if (order) {
+          await orphan.update({ status: 'resolved', orderId: order.id, resolvedAt: new Date() });
+          summary.resolved++;
+        } else if (autoRefund) {
+          // The order may still be created while refunding
+          await this.refundOrphanPayment(orphan);
+          if (orphan.status === 'refunded') summary.refunded++;
+          else if (orphan.status === 'resolved') summary.resolved++;
+        } else {
+          await orphan.update({ status: 'flagged' });
+          await this.notify({
+            type: 'payment_failure',
+            title: '💳 Paiement sans commande',
+            message: `Un paiement de ${Number(orphan.amount).toFixed(2)} DH (${orphan.paymentIntentId}) n'a donné lieu à aucune commande.`,
+            priority: 'high',
+            data: { orphanPaymentId: orphan.id, paymentIntentId: orphan.paymentIntentId, userId: orphan.userId }
+          });
+          summary.flagged++;
+        }
+      } catch (error) {
+        console.error(`❌ Error resolving orphan payment ${orphan.paymentIntentId}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Refund an orphan payment in full and tell the customer. The row stays
+   * locked while refunding, so an order created for the payment meanwhile
+   * (POST /api/orders locks it too) either fails or is found here first; the
+   * orphan is then left resolved rather than refunded.
+   * @param {object} orphan - OrphanPayment instance
+   * @param {string} resolvedBy - Admin user id, null when automatic
+   * @returns {object} - The orphan, status 'refunded' when it was refunded
+   */
+  async refundOrphanPayment(orphan, resolvedBy = null) {
+    const refunded = await sequelize.transaction(async (transaction) => {
+      const locked = await OrphanPayment.findByPk(orphan.id, { transaction, lock: true });
+      if (!locked || !OPEN_ORPHAN_STATUSES.includes(locked.status)) {
+        return false;
+      }
+
+      const order = await Order.findOne({ where: { paymentTransactionId: orphan.paymentIntentId }, transaction });
+      if (order) {
+        await locked.update({ status: 'resolved', orderId: order.id, resolvedAt: new Date(), resolvedBy }, { transaction });
+        return false;
+      }
+
+      const stripeRefund = await paymentProcessor.refundPayment(orphan.paymentIntentId);
+      await locked.update({
+        status: 'refunded',
+        stripeRefundId: stripeRefund.id,
+        resolvedAt: new Date(),
+        resolvedBy
+      }, { transaction });
+      return true;
+    });
+
+    await orphan.reload();
+    if (!refunded) {
+      return orphan;
+    }
+
+    await stockReservationService.release(orphan.paymentIntentId);
+
+    if (orphan.userId) {
+      await this.notify({
+        userId: orphan.userId,
+        type: 'payment_failure',
+        title: 'Paiement remboursé',
+        message: `Votre paiement de ${Number(orphan.amount).toFixed(2)} DH n'a pas pu être associé à une commande et vous a été remboursé.`,
+        data: { paymentIntentId: orphan.paymentIntentId }
+      });
+    }
+
+    return orphan;
+  }
+
+  async notify(payload) {
+    if (!this.notificationService) return;
+    try {
+      await this.notificationService.createNotification(payload);
+    } catch (error) {
+      console.error('Notification error:', error.message);
+    }
+  }
+}
+
+module.exports = new StripeWebhookService();
@@ -0,0 +1,33 @@
+/**
+ * Interface of an outbox transport. A transport delivers one OutboundMessage
+ * and returns { providerMessageId }. It throws when the message could not be
+ * sent; errors flagged `permanent` (invalid address...) are not retried.
+ */
+class BaseTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the transport has what it needs (credentials) to send.
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {object} message - OutboundMessage: { id, channel, recipient, subject, payload }
+   * @returns {object} - { providerMessageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name}: send not implemented`);
+  }
+}
+
+// Mark a provider error as not worth retrying
+const permanentError = (error) => {
+  error.permanent = true;
+  return error;
+};
+
+module.exports = { BaseTransport, permanentError };
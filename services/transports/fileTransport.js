@@ -0,0 +1,29 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BaseTransport } = require('./baseTransport');
+
+/**
+ * Local development: appends each message as a JSON line to
+ * <dir>/<channel>.jsonl (email.jsonl, sms.jsonl) instead of sending it.
+ */
+class FileTransport extends BaseTransport {
+  constructor(dir) {
+    super('file');
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const line = JSON.stringify({
+      id: message.id,
+      recipient: message.recipient,
+      subject: message.subject,
+      payload: message.payload,
+      writtenAt: new Date().toISOString()
+    });
+    await fs.appendFile(path.join(this.dir, `${message.channel}.jsonl`), `${line}\n`, 'utf8');
+    return { providerMessageId: `file-${message.id}` };
+  }
+}
+
+module.exports = { FileTransport };
@@ -0,0 +1,40 @@
+const { SendGridTransport } = require('./sendGridTransport');
+const { TwilioTransport } = require('./twilioTransport');
+const { FileTransport } = require('./fileTransport');
+const { MemoryTransport } = require('./memoryTransport');
+const { TRANSPORTS, transport, fileDir } = require('../../config/outbox');
+
+if (transport && !TRANSPORTS.includes(transport)) {
+  throw new Error(`OUTBOX_TRANSPORT must be one of ${TRANSPORTS.join(', ')} (got "${transport}")`);
+}
+
+// Real providers, one per channel. Add an adapter here to support a new one.
+const providers = {
+  email: new SendGridTransport(),
+  sms: new TwilioTransport()
+};
+
+const fileTransport = new FileTransport(fileDir);
+const memoryTransport = new MemoryTransport();
+
+// Without OUTBOX_TRANSPORT, a server with provider credentials delivers for
+// real: only a machine without them (development) writes to files
+const defaultTransport = (channel) => {
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  if (process.env.NODE_ENV === 'production' || providers[channel].isConfigured()) return 'provider';
+  return 'file';
+};
+
+/**
+ * Transport messages of a channel go through, as set by OUTBOX_TRANSPORT.
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {object} - Transport adapter
+ */
+function getTransport(channel) {
+  const name = transport || defaultTransport(channel);
+  if (name === 'memory') return memoryTransport;
+  if (name === 'file') return fileTransport;
+  return providers[channel];
+}
+
+module.exports = { getTransport, providers, memoryTransport };
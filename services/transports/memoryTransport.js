@@ -0,0 +1,30 @@
+const { BaseTransport } = require('./baseTransport');
+
+/**
+ * Keeps messages in the process instead of sending them. Used by tests,
+ * which read `sent` to check what would have gone out.
+ */
+class MemoryTransport extends BaseTransport {
+  constructor() {
+    super('memory');
+    this.sent = [];
+  }
+
+  async send(message) {
+    const providerMessageId = `memory-${this.sent.length + 1}`;
+    this.sent.push({
+      providerMessageId,
+      channel: message.channel,
+      recipient: message.recipient,
+      subject: message.subject,
+      payload: message.payload
+    });
+    return { providerMessageId };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = { MemoryTransport };
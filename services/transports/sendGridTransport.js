@@ -0,0 +1,34 @@
+const sgMail = require('@sendgrid/mail');
+const { BaseTransport, permanentError } = require('./baseTransport');
+
+/**
+ * Emails through SendGrid. The payload is the SendGrid message as built by
+ * services/emailService.js.
+ */
+class SendGridTransport extends BaseTransport {
+  constructor() {
+    super('sendgrid');
+    if (this.isConfigured()) {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    }
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SENDGRID_API_KEY);
+  }
+
+  async send(message) {
+    try {
+      const [response] = await sgMail.send(message.payload);
+      return { providerMessageId: response?.headers?.['x-message-id'] || null };
+    } catch (error) {
+      // SendGrid rejected the message itself (bad address, bad content)
+      if (error.code === 400) {
+        throw permanentError(error);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { SendGridTransport };
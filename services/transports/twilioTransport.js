@@ -0,0 +1,46 @@
+const twilio = require('twilio');
+const { BaseTransport, permanentError } = require('./baseTransport');
+
+// Twilio errors about the number itself: invalid, unverified (trial
+// accounts), unable to receive SMS
+const PERMANENT_ERROR_CODES = [21211, 21608, 21614];
+
+/**
+ * SMS through Twilio. The payload is { to, body }.
+ */
+class TwilioTransport extends BaseTransport {
+  constructor() {
+    super('twilio');
+    this.client = this.isConfigured()
+      ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER);
+  }
+
+  async send(message) {
+    try {
+      const sent = await this.client.messages.create({
+        body: message.payload.body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: message.recipient
+      });
+      return { providerMessageId: sent.sid };
+    } catch (error) {
+      if (PERMANENT_ERROR_CODES.includes(error.code) || error.status === 400) {
+        throw permanentError(error);
+      }
+      throw error;
+    }
+  }
+
+  // Credentials check: fetch the account
+  async testConnection() {
+    await this.client.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+    return true;
+  }
+}
+
+module.exports = { TwilioTransport };
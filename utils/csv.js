@@ -0,0 +1,88 @@
+/**
+ * Minimal RFC 4180 CSV helpers shared by the admin imports and exports.
+ */
+
+/**
+ * Quote a value for a CSV cell. Text starting like a spreadsheet formula
+ * ("=HYPERLINK(...)") is prefixed with a quote so it is shown, not run.
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function escapeCsvValue(value, delimiter = ',') {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d\s.]*$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * One CSV line, CRLF-terminated.
+ */
+function formatCsvLine(values, delimiter = ',') {
+  return values.map(value => escapeCsvValue(value, delimiter)).join(delimiter) + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). Handles quoted
+ * cells with embedded delimiters, quotes and line breaks, and a leading BOM.
+ * When no delimiter is given, ';' is used if the header line has more
+ * semicolons than commas (French Excel exports).
+ * @param {string} text
+ * @param {object} options - { delimiter }
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text, { delimiter } = {}) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  if (!delimiter) {
+    const header = source.split(/\r?\n/, 1)[0];
+    delimiter = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+  }
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines, e.g. the trailing newline most editors add
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+module.exports = { escapeCsvValue, formatCsvLine, parseCsv };
@@ -0,0 +1,11 @@
+// Errors raised by services for invalid client input carry the HTTP status the
+// route should answer with, so routes can forward them without re-mapping
+// messages. Anything without a status is treated as an unexpected 500.
+function createHttpError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+module.exports = { createHttpError };
@@ -46,10 +46,41 @@ function normalizeMoroccanPhone(raw) {
   return { valid: true, normalized: '+212' + local.slice(1) };
 }
 
+// Common spellings of city names (French, English, Darija transliterations)
+// mapped to the key used across the backend, e.g. shipping zones.
+const CITY_ALIASES = {
+  casa: 'casablanca',
+  'dar el beida': 'casablanca',
+  'dar el baida': 'casablanca',
+  fez: 'fes',
+  tangier: 'tanger',
+  tangiers: 'tanger',
+  marrakesh: 'marrakech',
+  tetuan: 'tetouan',
+  'el aaiun': 'laayoune',
+  'el ayoun': 'laayoune',
+  layoune: 'laayoune',
+  mohamedia: 'mohammedia',
+  'beni melal': 'beni mellal',
+};
+
+// Normalise a city name to a comparison key: no accents, lowercase, single
+// spaces, aliases resolved. "  Fès " and "Fez" both give "fes".
+function normalizeCityKey(raw) {
+  if (typeof raw !== 'string') return '';
+  const key = raw
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return CITY_ALIASES[key] || key;
+}
+
 module.exports = {
   CANONICAL_COUNTRY,
   ACCEPTED_COUNTRY_ALIASES,
   isMoroccanCountry,
   normalizeCountry,
   normalizeMoroccanPhone,
+  normalizeCityKey,
 };
@@ -0,0 +1,191 @@
+/**
+ * Small Mustache/Handlebars-style template engine for the email templates.
+ *
+ *   {{name}} {{order.number}}          value, HTML-escaped
+ *   {{{html}}}                         value, not escaped
+ *   {{#if x}}...{{else}}...{{/if}}     also {{#unless x}}
+ *   {{#each items}}...{{else}}...{{/each}}
+ *                                      inside: the item's fields, {{this}}, {{@index}},
+ *                                      {{@number}} (1-based); outer names stay visible
+ *   {{> partial}}                      another template, rendered with the same data
+ *   {{helper "text" path}}             a helper from options.helpers; its output is not escaped
+ *   {{! comment }}
+ */
+
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Words of a tag: quoted strings stay whole
+const splitArgs = (text) => text.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+
+/**
+ * Parse a template into a tree of nodes, to render many times.
+ * @param {string} source
+ * @returns {Array<object>} - Nodes
+ */
+function compile(source) {
+  const root = [];
+  // Open blocks, innermost last; nodes go to the branch being written
+  const stack = [];
+  const target = () => {
+    if (!stack.length) return root;
+    const { block, inElse } = stack[stack.length - 1];
+    return inElse ? block.inverse : block.children;
+  };
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    if (match.index > last) {
+      target().push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = TAG.lastIndex;
+
+    if (match[1] !== undefined) {
+      target().push({ type: 'value', path: match[1], escape: false });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [name, path] = splitArgs(tag.slice(1));
+      if (!BLOCKS.includes(name) || !path) {
+        throw new Error(`Unknown block {{${tag}}}`);
+      }
+      const block = { type: name, path, children: [], inverse: [] };
+      target().push(block);
+      stack.push({ block, inElse: false });
+    } else if (tag === 'else') {
+      if (!stack.length) throw new Error('{{else}} outside of a block');
+      stack[stack.length - 1].inElse = true;
+    } else if (tag.startsWith('/')) {
+      const open = stack.pop();
+      if (!open || open.block.type !== tag.slice(1).trim()) {
+        throw new Error(`Unexpected {{${tag}}}`);
+      }
+    } else if (tag.startsWith('>')) {
+      target().push({ type: 'partial', name: tag.slice(1).trim() });
+    } else {
+      const [name, ...args] = splitArgs(tag);
+      target().push(args.length
+        ? { type: 'helper', name, args }
+        : { type: 'value', path: name, escape: true });
+    }
+  }
+
+  if (stack.length) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].block.type}}}`);
+  }
+  if (last < source.length) {
+    root.push({ type: 'text', value: source.slice(last) });
+  }
+  return root;
+}
+
+/**
+ * Value of a path, looked up from the innermost scope outwards.
+ * @param {Array<object>} scopes - Outermost first
+ * @param {string} path - 'name', 'order.number', 'this', '@index'
+ */
+function lookup(scopes, path) {
+  if (path === 'this' || path === '.') {
+    return scopes[scopes.length - 1];
+  }
+  const [head, ...rest] = path.split('.');
+  const dig = (value) => rest.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+
+  if (head === 'this') {
+    return dig(scopes[scopes.length - 1]);
+  }
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return dig(scope[head]);
+    }
+  }
+  return undefined;
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'value': {
+        const text = toText(lookup(scopes, node.path));
+        output += node.escape ? escapeHtml(text) : text;
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(lookup(scopes, node.path));
+        const branch = (node.type === 'if') === truthy ? node.children : node.inverse;
+        output += renderNodes(branch, scopes, options);
+        break;
+      }
+      case 'each': {
+        const list = lookup(scopes, node.path);
+        if (!isTruthy(list) || !Array.isArray(list)) {
+          output += renderNodes(node.inverse, scopes, options);
+          break;
+        }
+        list.forEach((item, index) => {
+          const frame = { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === list.length - 1 };
+          output += renderNodes(node.children, [...scopes, frame, item], options);
+        });
+        break;
+      }
+      case 'partial': {
+        const partial = options.partials && options.partials[node.name];
+        if (partial === undefined) {
+          throw new Error(`Unknown partial {{> ${node.name}}}`);
+        }
+        output += renderNodes(typeof partial === 'string' ? compile(partial) : partial, scopes, options);
+        break;
+      }
+      case 'helper': {
+        const helper = options.helpers && options.helpers[node.name];
+        if (!helper) {
+          throw new Error(`Unknown helper {{${node.name}}}`);
+        }
+        const args = node.args.map(arg => (/^["']/.test(arg) ? arg.slice(1, -1) : lookup(scopes, arg)));
+        output += toText(helper(args, {
+          lookup: (path) => lookup(scopes, path),
+          // Render another template (a translation...) with the data in scope
+          render: (template) => renderNodes(typeof template === 'string' ? compile(template) : template, scopes, options)
+        }));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return output;
+}
+
+/**
+ * @param {string|Array<object>} template - Source or compile() result
+ * @param {object} data
+ * @param {object} options - { partials: { name: source|nodes }, helpers: { name: (args, context) => string } }
+ * @returns {string}
+ */
+function render(template, data = {}, options = {}) {
+  const nodes = typeof template === 'string' ? compile(template) : template;
+  return renderNodes(nodes, [data], options);
+}
+
+module.exports = { compile, render, escapeHtml };